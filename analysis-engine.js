@@ -0,0 +1,2168 @@
+// Analysis engine
+// Parses uploaded files and runs every analysis step. It normally runs inside
+// analysis-worker.js so large files never block the page; the page only receives
+// the analysis results, a few sample rows and pre-binned chart series.
+
+class AnalysisEngine {
+    // task carries the request id, cancellation flag and reply channel of the
+    // request being served; cache keeps parsed workbooks and columnar schemas
+    // between requests for the same file.
+    constructor(task = null, cache = {}) {
+        this.task = task;
+        this.cache = cache;
+        this.data = null;
+        this.columns = [];
+        this.numericColumns = [];
+        this.dateColumns = [];
+        this.categoricalColumns = [];
+        this.textColumns = []; // Identifiers and free text: profiled, never aggregated
+        this.columnSchema = {}; // Semantic type and unit per column
+        this.schemaSignature = null;
+        this.schemaOverrides = null; // Types/units the user chose for this header signature
+        this.locale = 'auto'; // Locale for number styles and date orders the data cannot decide
+        this.timeZone = 'source'; // Display zone: 'source' (each date column's own), 'local' or an IANA name
+        this.store = null; // ColumnStore built after column types are known
+        this.recipe = []; // Transform steps applied to the parsed rows before analysis
+        this.imputationSettings = {}; // Missing-value method per column for this header signature
+        this.contract = null; // Data contract checked against the rows as uploaded
+        this.indicators = []; // Technical indicators to compute for price data
+        this.indicatorColumns = []; // Numeric columns those indicators added to the store
+        this.riskFreeRate = 0; // Annual rate (fraction) Sharpe and Sortino ratios are measured against
+        this.resample = { frequency: 'raw', method: 'mean' }; // Time frame rows are aggregated to before analysis
+        this.sessionSettings = MarketData.DEFAULT_SETTINGS; // Exchange calendar, session hours and the sessions analysed
+        this.sourceColumns = []; // Columns as parsed, before the recipe
+        this.analysisResults = {};
+        this.declaredColumnTypes = null; // Column types from a file schema (Parquet/Arrow)
+        this.lastYield = Date.now();
+    }
+
+    // options.schemas maps header signatures to the column overrides remembered
+    // for them; options.locale is the locale the user picked (or 'auto'),
+    // options.timeZone the zone dates are bucketed and shown in,
+    // options.recipe the transform steps to run on the rows first,
+    // options.imputations the missing-value methods per header signature,
+    // options.contract the data contract the rows must meet and
+    // options.indicators the technical indicators to add to price data,
+    // options.riskFreeRate the annual risk-free rate as a fraction,
+    // options.resample the { frequency, method } to aggregate rows to and
+    // options.sessions the trading session settings (see
+    // MarketData.sessionSettings). A contract
+    // that fails in blockOnFailure mode stops the analysis: the view then only
+    // carries the validation results.
+    async analyse(parsed, options = {}) {
+        const { schemas = {}, locale = 'auto', timeZone = 'source', recipe = [], imputations = {}, contract = null, indicators = [], riskFreeRate = 0, resample = {}, sessions = {} } = options;
+        this.locale = LocaleParser.LOCALES[locale] ? locale : 'auto';
+        this.timeZone = timeZone === 'source' || TimeZones.isValid(timeZone) ? timeZone : 'source';
+        this.recipe = Array.isArray(recipe) ? recipe : [];
+        this.contract = contract && Array.isArray(contract.rules) && contract.rules.length > 0 ? contract : null;
+        this.indicators = Array.isArray(indicators) ? indicators : [];
+        this.riskFreeRate = isFinite(riskFreeRate) ? Number(riskFreeRate) : 0;
+        this.resample = {
+            frequency: Resampler.FREQUENCIES[resample.frequency] ? resample.frequency : 'raw',
+            method: Resampler.METHODS[resample.method] ? resample.method : 'mean'
+        };
+        this.sessionSettings = MarketData.sessionSettings(sessions || {});
+        this.sourceColumns = Object.keys(parsed.data[0] || {});
+        this.analysisResults = { diagnostics: parsed.diagnostics };
+
+        if (this.contract) {
+            await this.runStep('profile', 'Checking the data contract', () => this.validateContract(parsed), 'validation', { rows: parsed.data.length });
+            if (this.analysisResults.validation.blocked) return this.buildBlockedView(parsed);
+        }
+
+        this.applyRecipe(parsed);
+        this.schemaSignature = SemanticTypes.headerSignature(Object.keys(this.data[0] || {}));
+        this.schemaOverrides = (schemas && schemas[this.schemaSignature]) || null;
+        this.imputationSettings = (imputations && imputations[this.schemaSignature]) || {};
+
+        await this.performComprehensiveAnalysis();
+        return this.buildView();
+    }
+
+    // The contract describes the extract as delivered, so it sees the parsed
+    // rows before the recipe changes them
+    validateContract(parsed) {
+        this.analysisResults.validation = DataContract.validate(parsed.data, this.contract, { locale: this.locale });
+    }
+
+    // Runs the transform recipe on a copy of the parsed rows; the schema signature
+    // and everything after it see the transformed columns
+    applyRecipe(parsed) {
+        if (this.recipe.length > 0) this.progress('profile', 'Applying transform recipe', { rows: parsed.data.length });
+
+        const defaults = LocaleParser.defaults(this.locale);
+        const result = TransformPipeline.apply(parsed.data, this.recipe, {
+            columnTypes: parsed.columnTypes || null,
+            numberStyle: defaults.numberStyle,
+            dateOrder: defaults.dateOrder
+        });
+        this.data = result.data;
+        this.declaredColumnTypes = result.columnTypes;
+
+        if (this.recipe.length > 0) {
+            this.analysisResults.transform = {
+                rowsIn: parsed.data.length,
+                rowsOut: result.data.length,
+                steps: result.report
+            };
+            if (result.data.length === 0) throw new Error('The transform recipe removed every row');
+        }
+    }
+
+    // Stage progress for the loading screen. details.done / details.total measure
+    // the stage (bytes, columns or column pairs); details.rows is rows read so far.
+    progress(stage, message, details = {}) {
+        if (this.task) this.task.post({ type: 'progress', stage, message, ...details });
+        this.throwIfCancelled();
+    }
+
+    partial(key, value) {
+        if (this.task) this.task.post({ type: 'partial', key, value });
+    }
+
+    throwIfCancelled() {
+        if (this.task && this.task.cancelled) throw AnalysisEngine.cancelledError();
+    }
+
+    // Run one analysis step, then yield so a pending cancel message can be
+    // received before the next one starts.
+    async runStep(stage, message, run, resultKey, details) {
+        this.progress(stage, message, details);
+        await run();
+        if (resultKey) this.partial(resultKey, this.analysisResults[resultKey]);
+        await this.yieldToMessages();
+    }
+
+    // Long loops call this between units of work; it only yields once
+    // YIELD_INTERVAL ms have passed, so the loop is not slowed down much.
+    async yieldIfBusy() {
+        if (Date.now() - this.lastYield >= AnalysisEngine.YIELD_INTERVAL) {
+            await this.yieldToMessages();
+        }
+    }
+
+    async yieldToMessages() {
+        await new Promise(resolve => setTimeout(resolve, 0));
+        this.lastYield = Date.now();
+        this.throwIfCancelled();
+    }
+
+    // What the page gets when a failed contract blocks the analysis
+    buildBlockedView(parsed) {
+        return {
+            blocked: true,
+            rowCount: parsed.data.length,
+            sourceColumns: this.sourceColumns,
+            recipe: this.recipe,
+            analysisResults: this.analysisResults
+        };
+    }
+
+    // Everything the page needs to render the results
+    buildView() {
+        const sample = this.buildSample();
+        return {
+            rowCount: this.data.length,
+            columns: this.columns,
+            sourceColumns: this.sourceColumns,
+            recipe: this.recipe,
+            numericColumns: this.numericColumns,
+            dateColumns: this.dateColumns,
+            categoricalColumns: this.categoricalColumns,
+            textColumns: this.textColumns,
+            indicatorColumns: this.indicatorColumns,
+            columnSchema: this.columnSchema,
+            schemaSignature: this.schemaSignature,
+            analysisResults: this.analysisResults,
+            sampleRows: sample.rows,
+            sampleImputed: sample.imputed,
+            charts: this.prepareChartData()
+        };
+    }
+
+    // The analysed rows as CSV: the columns after the recipe, with imputed cells
+    // filled in, followed by the indicator columns
+    exportCSV() {
+        const columns = [...this.columns, ...this.indicatorColumns];
+        const stored = columns.map(col => (this.store ? this.store.column(col) : null));
+        const lines = [CSVParser.formatRecord(columns)];
+        this.data.forEach((row, index) => {
+            lines.push(CSVParser.formatRecord(columns.map((col, position) => {
+                const column = stored[position];
+                if (this.indicatorColumns.includes(col)) return ColumnStore.isValid(column, index) ? this.formatValue(col, 'numeric', column.values[index]) : '';
+                if (column && ColumnStore.isImputed(column, index)) return this.formatCell(col, column, index);
+                return row[col];
+            })));
+        });
+        return lines.join('\r\n');
+    }
+
+    // The first rows for the sample table with imputed values written into the
+    // gaps they filled; imputed lists the filled columns of each row. The rows
+    // are copied because parsed rows are re-used by later requests.
+    buildSample() {
+        const rows = this.data.slice(0, AnalysisEngine.SAMPLE_ROWS);
+        const imputed = rows.map(() => []);
+        if (!this.store) return { rows, imputed };
+
+        const columns = Object.entries(this.store.columns).filter(([, column]) => column.imputed);
+        return {
+            rows: rows.map((row, index) => {
+                const copy = { ...row };
+                columns.forEach(([col, column]) => {
+                    if (!ColumnStore.isImputed(column, index)) return;
+                    copy[col] = this.formatCell(col, column, index);
+                    imputed[index].push(col);
+                });
+                return copy;
+            }),
+            imputed
+        };
+    }
+
+    // A stored cell as text: dates on their source zone's clock, numbers rounded
+    formatCell(col, column, row) {
+        if (column.kind === 'categorical') return column.codes[row] === -1 ? '' : column.dictionary[column.codes[row]];
+        return this.formatValue(col, column.kind, column.values[row]);
+    }
+
+    formatValue(col, kind, value) {
+        if (kind === 'date') {
+            const zone = (this.columnSchema[col] && this.columnSchema[col].timeZone) || TimeZones.DEFAULT_SOURCE;
+            return new Date(TimeZones.toWallClock(value, zone)).toISOString().slice(0, 19).replace('T', ' ');
+        }
+        return Math.round(value * 10000) / 10000;
+    }
+
+    prepareChartData() {
+        const charts = {};
+        if (this.numericColumns.length === 0) return charts;
+
+        const primaryMetric = this.numericColumns[0];
+        const count = this.store.stats(primaryMetric).count;
+        charts.primaryMetric = primaryMetric;
+        charts.performanceHistogram = this.buildHistogram(primaryMetric, Math.min(20, Math.ceil(Math.sqrt(count))));
+        charts.distributionHistogram = this.buildHistogram(primaryMetric, Math.min(15, Math.ceil(Math.sqrt(count))));
+
+        if (this.dateColumns.length > 0) {
+            charts.timeSeries = this.buildTimeSeries(this.dateColumns[0], primaryMetric);
+            const ohlc = MarketData.ohlcColumns(this.numericColumns);
+            if (ohlc) charts.ohlc = this.buildOHLC(this.dateColumns[0], ohlc);
+        }
+        return charts;
+    }
+
+    buildHistogram(column, binCount) {
+        const values = this.store.values(column);
+        const { min, max } = this.store.stats(column).moments;
+        const binWidth = (max - min) / binCount;
+        const bins = Array(binCount).fill(0);
+
+        for (const value of values) {
+            const binIndex = Math.min(Math.floor((value - min) / binWidth), binCount - 1);
+            bins[binIndex]++;
+        }
+
+        return { min, binWidth, bins };
+    }
+
+    // Sorted points as two typed arrays so they can be transferred, not copied
+    buildTimeSeries(dateColumn, valueColumn) {
+        const dates = this.store.column(dateColumn);
+        const metric = this.store.numeric(valueColumn);
+        const order = this.sortedRows(dates, row => ColumnStore.isValid(metric, row));
+
+        return {
+            dateColumn,
+            valueColumn,
+            timeZone: this.displayZone(dateColumn),
+            times: Float64Array.from(order, row => dates.values[row]),
+            values: Float64Array.from(order, row => metric.values[row])
+        };
+    }
+
+    // The price chart's bars (see priceBars) with the series of every added
+    // indicator, in the same bar order
+    buildOHLC(dateColumn, fields) {
+        const { rows, day, ...bars } = this.priceBars(dateColumn, fields);
+        const added = this.analysisResults.indicators ? this.analysisResults.indicators.added : [];
+        return {
+            dateColumn,
+            fields,
+            timeZone: this.displayZone(dateColumn),
+            sessionZone: this.sourceZone(dateColumn),
+            sessionHours: this.sessionSettings.hours,
+            ...bars,
+            indicators: added.map(indicator => ({
+                ...indicator,
+                columns: indicator.columns.map(output => {
+                    const column = this.store.numeric(output.name);
+                    return {
+                        ...output,
+                        values: Float64Array.from(rows, row => (ColumnStore.isValid(column, row) ? column.values[row] : NaN))
+                    };
+                })
+            }))
+        };
+    }
+
+    // The bars behind the price chart and indicators: rows (store indices) in
+    // time order with all four prices, their times, prices and volume (NaN
+    // where missing), and each bar's MarketData session and trading day, read
+    // on the clock the timestamps were recorded in. Bars resampled to a day or
+    // longer span several sessions, so they have none (sessions is null).
+    priceBars(dateColumn, fields) {
+        const dates = this.store.column(dateColumn);
+        const prices = MarketData.PRICE_FIELDS.map(field => this.store.numeric(fields[field]));
+        const volume = fields.volume ? this.store.numeric(fields.volume) : null;
+        const rows = this.sortedRows(dates, row => prices.every(column => ColumnStore.isValid(column, row)));
+        const sessionZone = this.sourceZone(dateColumn);
+
+        const bars = { rows, times: Float64Array.from(rows, row => dates.values[row]) };
+        MarketData.PRICE_FIELDS.forEach((field, index) => {
+            bars[field] = Float64Array.from(rows, row => prices[index].values[row]);
+        });
+        bars.volume = volume
+            ? Float64Array.from(rows, row => (ColumnStore.isValid(volume, row) ? volume.values[row] : NaN))
+            : null;
+        const resampling = this.analysisResults.resampling;
+        bars.sessions = resampling && !Resampler.FREQUENCIES[resampling.frequency].minutes
+            ? null
+            : Uint8Array.from(bars.times, time => MarketData.session(time, sessionZone, this.sessionSettings));
+        bars.day = Float64Array.from(bars.times, time => Math.floor(TimeZones.toWallClock(time, sessionZone) / TimeZones.DAY));
+        return bars;
+    }
+
+    // Indices of rows with a valid date that pass include(row), in date order
+    sortedRows(dates, include = () => true) {
+        const rows = [];
+        for (let row = 0; row < this.store.rowCount; row++) {
+            if (ColumnStore.isValid(dates, row) && include(row)) rows.push(row);
+        }
+        return Uint32Array.from(rows).sort((a, b) => dates.values[a] - dates.values[b]);
+    }
+
+    // The IANA zone a date column is bucketed and drawn in: the user's display
+    // zone, or the column's own source zone when they kept 'source'
+    displayZone(dateColumn) {
+        return this.timeZone === 'source' ? this.sourceZone(dateColumn) : TimeZones.resolve(this.timeZone);
+    }
+
+    // The zone a date column's naive timestamps were recorded in
+    sourceZone(dateColumn) {
+        const schema = this.columnSchema[dateColumn] || {};
+        return TimeZones.resolve(schema.timeZone || TimeZones.DEFAULT_SOURCE);
+    }
+
+    readFile(file, encoding) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = e => resolve(e.target.result);
+            reader.onerror = reject;
+            reader.readAsText(file, encoding);
+        });
+    }
+
+    async detectImportSettings(file) {
+        const bytes = new Uint8Array(await file.slice(0, AnalysisEngine.SNIFF_BYTES).arrayBuffer());
+        const { encoding, bom } = CSVParser.detectEncoding(bytes);
+        const sample = new TextDecoder(encoding).decode(bytes, { stream: true });
+        const name = file.name.toLowerCase();
+
+        if (ColumnarImporter.isParquet(name, bytes)) {
+            return { format: 'parquet' };
+        }
+        if (ColumnarImporter.isArrow(name, bytes)) {
+            return { format: 'arrow' };
+        }
+        if (WorkbookImporter.isWorkbook(name, bytes)) {
+            return { format: 'workbook' };
+        }
+
+        const looksLikeJSON = /\.(json|jsonl|ndjson)$/.test(name) || (!/\.(csv|tsv|txt)$/.test(name) && /^\s*[[{]/.test(sample));
+        if (looksLikeJSON) {
+            const format = JSONImporter.isJSONLines(name, sample) ? 'jsonl' : 'json';
+            return { format, encoding, bom, arrayStrategy: 'join' };
+        }
+
+        const delimiter = name.endsWith('.tsv') && sample.includes('\t')
+            ? '\t'
+            : CSVParser.detectDelimiter(sample);
+        const records = CSVParser.parseText(sample.slice(0, Math.max(sample.lastIndexOf('\n'), 0)), { delimiter })
+            .filter(record => !(record.length === 1 && record[0].trim() === ''))
+            .slice(0, 51);
+        const hasHeader = CSVParser.detectHeader(records);
+
+        return {
+            format: 'csv',
+            encoding,
+            bom,
+            delimiter,
+            hasHeader,
+            detected: { encoding, delimiter, hasHeader }
+        };
+    }
+
+    async parseFile(file, overrides = {}) {
+        this.progress('parse', `Reading ${file.name}`, { done: 0, total: file.size, rows: 0 });
+        const settings = { ...(await this.detectImportSettings(file)), ...overrides };
+
+        let parsed;
+        if (settings.format === 'csv') {
+            parsed = await this.parseCSVFile(file, settings);
+        } else if (settings.format === 'jsonl') {
+            parsed = await this.parseJSONLinesFile(file, settings);
+        } else if (settings.format === 'workbook') {
+            parsed = await this.parseWorkbookFile(file, settings);
+        } else if (settings.format === 'parquet' || settings.format === 'arrow') {
+            parsed = await this.parseColumnarFile(file, settings);
+        } else {
+            const text = await this.readFile(file, settings.encoding);
+            parsed = this.parseJSON(JSON.parse(text), settings);
+        }
+
+        this.progress('parse', `Reading ${file.name}`, { done: file.size, total: file.size, rows: parsed.data.length });
+        return { ...parsed, settings };
+    }
+
+    async parseCSVFile(file, settings) {
+        let headers = null;
+        const data = [];
+        const diagnostics = this.createImportDiagnostics('csv');
+
+        await CSVParser.parseFile(file, {
+            delimiter: settings.delimiter,
+            encoding: settings.encoding,
+            onProgress: (done, total) => this.progress('parse', `Reading ${file.name}`, { done, total, rows: data.length }),
+            onRecord: (fields, info) => {
+                // Whitespace-only lines carry no data
+                if (fields.length === 1 && fields[0].trim() === '') return;
+
+                if (!headers) {
+                    // A header ending in a delimiter means the rows end in one too
+                    if (fields.length > 1 && fields[fields.length - 1].trim() === '') fields.pop();
+                    diagnostics.expectedFields = fields.length;
+                    if (settings.hasHeader) {
+                        headers = CSVParser.normalizeHeaders(fields);
+                        return;
+                    }
+                    headers = CSVParser.generateHeaders(fields.length);
+                }
+
+                diagnostics.recordsRead++;
+
+                if (fields.some(field => field.includes('\uFFFD'))) {
+                    this.rejectRow(diagnostics, info.line, 'encoding_error', info.raw);
+                    return;
+                }
+
+                // Trailing delimiter
+                if (fields.length === headers.length + 1 && fields[fields.length - 1].trim() === '') {
+                    fields.pop();
+                }
+
+                if (fields.length > headers.length) {
+                    // Extra fields are only safe to drop when they hold nothing
+                    if (fields.slice(headers.length).some(field => field.trim() !== '')) {
+                        this.rejectRow(diagnostics, info.line, 'too_many_fields', info.raw);
+                        return;
+                    }
+                    fields.length = headers.length;
+                    diagnostics.repaired.truncated++;
+                } else if (fields.length < headers.length) {
+                    // Exports often omit trailing empty columns, but a row missing most of
+                    // its fields is more likely a footer or a fragment than real data
+                    if (fields.length < Math.ceil(headers.length / 2)) {
+                        this.rejectRow(diagnostics, info.line, 'too_few_fields', info.raw);
+                        return;
+                    }
+                    while (fields.length < headers.length) fields.push('');
+                    diagnostics.repaired.padded++;
+                }
+
+                const row = {};
+                headers.forEach((header, index) => {
+                    row[header] = fields[index].trim();
+                });
+                data.push(row);
+            },
+            onInvalid: (info) => {
+                diagnostics.recordsRead++;
+                this.rejectRow(diagnostics, info.line, info.reason, info.raw);
+            }
+        });
+
+        if (!headers) throw new Error('Empty CSV file');
+        if (data.length === 0) throw new Error('No valid data rows found');
+
+        diagnostics.rowsAccepted = data.length;
+        return { data, diagnostics };
+    }
+
+    // Fills in settings.recordPaths / settings.arrayFields so the File Information
+    // panel can offer them as choices.
+    parseJSON(json, settings) {
+        let records = json;
+
+        if (!Array.isArray(json)) {
+            settings.recordPaths = JSONImporter.findRecordPaths(json);
+            if (settings.recordPath === undefined) {
+                settings.recordPath = settings.recordPaths.length > 0 ? settings.recordPaths[0].path : '';
+            }
+            records = JSONImporter.getPath(json, settings.recordPath);
+            if (JSONImporter.isPlainObject(records)) records = [records];
+            if (!Array.isArray(records)) {
+                throw new Error(`No array of records found at "${settings.recordPath}"`);
+            }
+        }
+
+        this.resolveJSONArrayFields(records.slice(0, AnalysisEngine.JSON_SAMPLE_SIZE), settings);
+
+        const diagnostics = this.createImportDiagnostics('json');
+        const data = [];
+
+        records.forEach((record, index) => {
+            this.addJSONRecord(record, { line: index + 1 }, settings, data, diagnostics);
+        });
+
+        return this.finishJSONImport(data, diagnostics);
+    }
+
+    async parseJSONLinesFile(file, settings) {
+        const diagnostics = this.createImportDiagnostics('jsonl');
+        const data = [];
+        const pending = [];
+
+        // The first records are held back until the array fields are known
+        const flushPending = () => {
+            this.resolveJSONArrayFields(pending.map(([record]) => record), settings);
+            pending.splice(0).forEach(([record, info]) => this.addJSONRecord(record, info, settings, data, diagnostics));
+        };
+
+        await JSONImporter.parseLinesFile(file, {
+            encoding: settings.encoding,
+            onProgress: (done, total) => this.progress('parse', `Reading ${file.name}`, { done, total, rows: data.length + pending.length }),
+            onRecord: (record, info) => {
+                if (settings.arrayFields) {
+                    this.addJSONRecord(record, info, settings, data, diagnostics);
+                    return;
+                }
+                pending.push([record, info]);
+                if (pending.length === AnalysisEngine.JSON_SAMPLE_SIZE) flushPending();
+            },
+            onInvalid: (info) => {
+                diagnostics.recordsRead++;
+                this.rejectRow(diagnostics, info.line, info.reason, info.raw);
+            }
+        });
+
+        if (pending.length > 0) flushPending();
+
+        return this.finishJSONImport(data, diagnostics);
+    }
+
+    resolveJSONArrayFields(sample, settings) {
+        settings.arrayFields = JSONImporter.findArrayFields(sample);
+        if (settings.explodePath === undefined) settings.explodePath = settings.arrayFields[0] || '';
+    }
+
+    addJSONRecord(record, info, settings, data, diagnostics) {
+        diagnostics.recordsRead++;
+        if (!JSONImporter.isPlainObject(record)) {
+            this.rejectRow(diagnostics, info.line, 'not_an_object', info.raw || JSON.stringify(record));
+            return;
+        }
+
+        const rows = JSONImporter.flatten(record, settings);
+        if (rows.length > 1) diagnostics.explodedRows = (diagnostics.explodedRows || 0) + rows.length - 1;
+        rows.forEach(row => data.push(row));
+    }
+
+    // Records in API dumps rarely share one shape: give every row the full set of
+    // columns, in first-seen order, so column detection sees all of them.
+    finishJSONImport(data, diagnostics) {
+        if (data.length === 0) throw new Error('No valid data rows found');
+
+        const columns = new Set();
+        data.forEach(row => Object.keys(row).forEach(key => columns.add(key)));
+        const allColumns = [...columns];
+
+        const normalized = data.map(row => {
+            const full = {};
+            allColumns.forEach(column => {
+                full[column] = row[column] === undefined ? null : row[column];
+            });
+            return full;
+        });
+
+        diagnostics.rowsAccepted = normalized.length;
+        return { data: normalized, diagnostics };
+    }
+
+    // Fills in settings.sheets / settings.headerRows for the File Information panel.
+    // headerRow is 1-based, like Excel's row numbers.
+    async parseWorkbookFile(file, settings) {
+        await this.loadScript(AnalysisEngine.XLSX_LIBRARY);
+
+        // Changing the sheet or header row should not re-read the whole workbook
+        if (!AnalysisEngine.sameFile(this.cache.workbook, file)) {
+            this.cache.workbook = { file, workbook: WorkbookImporter.read(await file.arrayBuffer()) };
+        }
+        const workbook = this.cache.workbook.workbook;
+
+        settings.sheets = WorkbookImporter.describeSheets(workbook);
+        if (!settings.sheet || !workbook.Sheets[settings.sheet]) {
+            const firstWithData = settings.sheets.find(sheet => sheet.rows > 0);
+            settings.sheet = firstWithData ? firstWithData.name : workbook.SheetNames[0];
+        }
+
+        const { rows, textCounts, missingFormulaValues, merges } = WorkbookImporter.toRows(workbook.Sheets[settings.sheet]);
+        if (rows.length === 0) throw new Error(`Sheet "${settings.sheet}" is empty`);
+
+        if (!settings.headerRow) settings.headerRow = WorkbookImporter.detectHeaderRow(textCounts) + 1;
+        const headerIndex = Math.min(settings.headerRow, rows.length) - 1;
+        settings.headerRows = rows.slice(0, 20).map((row, index) => ({
+            row: index + 1,
+            preview: row.filter(value => value !== null && value !== '').slice(0, 3).join(', ')
+        }));
+
+        const headers = WorkbookImporter.buildHeaders(rows, headerIndex, merges);
+        const diagnostics = this.createImportDiagnostics('workbook');
+        diagnostics.expectedFields = headers.length;
+        diagnostics.missingFormulaValues = missingFormulaValues;
+        const data = [];
+
+        rows.slice(headerIndex + 1).forEach(values => {
+            if (values.every(value => value === null || value === '')) return;
+            diagnostics.recordsRead++;
+            const row = {};
+            headers.forEach((header, index) => {
+                row[header] = values[index] === undefined ? null : values[index];
+            });
+            data.push(row);
+        });
+
+        if (data.length === 0) throw new Error('No valid data rows found');
+        WorkbookImporter.convertDateSerials(data, headers);
+
+        diagnostics.rowsAccepted = data.length;
+        return { data, diagnostics };
+    }
+
+    // Fills in settings.availableColumns for the column picker. Only the columns in
+    // settings.columns are read; column types come from the file's schema.
+    async parseColumnarFile(file, settings) {
+        const isParquet = settings.format === 'parquet';
+        await this.loadScript(isParquet ? AnalysisEngine.PARQUET_LIBRARY : AnalysisEngine.ARROW_LIBRARY);
+
+        if (!AnalysisEngine.sameFile(this.cache.columnar, file)) {
+            const info = isParquet
+                ? await ColumnarImporter.readParquetSchema(file)
+                : await ColumnarImporter.readArrowSchema(file);
+            this.cache.columnar = { file, info };
+        }
+        const info = this.cache.columnar.info;
+
+        settings.rowCount = info.rowCount;
+        settings.availableColumns = info.fields;
+        const available = info.fields.map(field => field.name);
+        const requested = (settings.columns || []).filter(column => available.includes(column));
+        settings.columns = requested.length > 0
+            ? requested
+            : available.slice(0, AnalysisEngine.MAX_DEFAULT_COLUMNS);
+
+        const data = isParquet
+            ? await ColumnarImporter.readParquetRows(info, settings.columns)
+            : ColumnarImporter.readArrowRows(info, settings.columns);
+        if (data.length === 0) throw new Error('No valid data rows found');
+
+        const columnTypes = {};
+        info.fields
+            .filter(field => settings.columns.includes(field.name))
+            .forEach(field => { columnTypes[field.name] = field.kind; });
+
+        const diagnostics = this.createImportDiagnostics(settings.format);
+        diagnostics.recordsRead = data.length;
+        diagnostics.rowsAccepted = data.length;
+        diagnostics.expectedFields = settings.columns.length;
+        diagnostics.skippedColumns = available.length - settings.columns.length;
+
+        return { data, diagnostics, columnTypes };
+    }
+
+    // Libraries are loaded on first use: importScripts inside the worker, a script
+    // tag when the engine runs in the page.
+    loadScript(src) {
+        const loaded = AnalysisEngine.loadedScripts;
+        if (!loaded[src]) {
+            loaded[src] = new Promise((resolve, reject) => {
+                if (typeof document === 'undefined') {
+                    try {
+                        importScripts(src);
+                        resolve();
+                    } catch (error) {
+                        delete loaded[src];
+                        reject(new Error(`Could not load ${src}`));
+                    }
+                    return;
+                }
+                const script = document.createElement('script');
+                script.src = src;
+                script.onload = resolve;
+                script.onerror = () => {
+                    delete loaded[src];
+                    reject(new Error(`Could not load ${src}`));
+                };
+                document.head.appendChild(script);
+            });
+        }
+        return loaded[src];
+    }
+
+    createImportDiagnostics(format) {
+        return {
+            format: format,
+            recordsRead: 0,
+            rowsAccepted: 0,
+            rejectedCount: 0,
+            rejectedByReason: {},
+            rejected: [],
+            repaired: { padded: 0, truncated: 0 }
+        };
+    }
+
+    rejectRow(diagnostics, line, reason, raw) {
+        diagnostics.rejectedCount++;
+        diagnostics.rejectedByReason[reason] = (diagnostics.rejectedByReason[reason] || 0) + 1;
+        // Keep the report readable for badly broken files; the counts stay exact
+        if (diagnostics.rejected.length < AnalysisEngine.MAX_REJECTED_SAMPLES) {
+            diagnostics.rejected.push({ line, reason, raw });
+        }
+    }
+
+    // Files with the same columns as the first are appended; otherwise join on the
+    // column pair whose values overlap the most.
+    suggestCombinePlan(datasets) {
+        const base = datasets[0];
+        return datasets.slice(1).map(dataset => {
+            const sameColumns = dataset.columns.length === base.columns.length &&
+                dataset.columns.every(column => base.columns.includes(column));
+            const keys = sameColumns ? null : DatasetCombiner.suggestKeys(base, dataset);
+            if (!keys) return { type: 'union', keys: [{ left: base.columns[0], right: dataset.columns[0] }] };
+            return { type: 'left', keys: [{ left: keys.leftKey, right: keys.rightKey }] };
+        });
+    }
+
+    combineDatasets(datasets, plan) {
+        let result = { name: datasets[0].name, data: datasets[0].data, columns: datasets[0].columns };
+        const joins = [];
+
+        plan.forEach((step, index) => {
+            const dataset = datasets[index + 1];
+            if (step.type === 'union') {
+                const union = DatasetCombiner.union([result, dataset]);
+                result = { name: result.name, data: union.data, columns: union.columns };
+                return;
+            }
+
+            const joined = DatasetCombiner.join(result, dataset, {
+                type: step.type,
+                leftKeys: step.keys.map(key => key.left),
+                rightKeys: step.keys.map(key => key.right)
+            });
+            result = { name: result.name, data: joined.data, columns: joined.columns };
+            joins.push(joined.stats);
+        });
+
+        // Schema types carry over for columns that kept their name
+        const columnTypes = {};
+        datasets.forEach(dataset => {
+            Object.entries(dataset.columnTypes || {}).forEach(([column, kind]) => {
+                if (!(column in columnTypes)) columnTypes[column] = kind;
+            });
+        });
+
+        if (result.data.length === 0) {
+            throw new Error('The combined data has no rows - check the join keys');
+        }
+
+        const diagnostics = this.mergeDiagnostics(datasets);
+        diagnostics.rowsAccepted = result.data.length;
+        diagnostics.joins = joins;
+
+        return {
+            data: result.data,
+            columnTypes: Object.keys(columnTypes).length > 0 ? columnTypes : null,
+            diagnostics
+        };
+    }
+
+    mergeDiagnostics(datasets) {
+        const diagnostics = this.createImportDiagnostics('multiple');
+        diagnostics.files = datasets.map(dataset => ({
+            name: dataset.name,
+            format: dataset.settings.format,
+            rows: dataset.data.length
+        }));
+
+        datasets.forEach(dataset => {
+            const source = dataset.diagnostics;
+            diagnostics.recordsRead += source.recordsRead;
+            diagnostics.rejectedCount += source.rejectedCount;
+            diagnostics.repaired.padded += source.repaired.padded;
+            diagnostics.repaired.truncated += source.repaired.truncated;
+            Object.entries(source.rejectedByReason).forEach(([reason, count]) => {
+                diagnostics.rejectedByReason[reason] = (diagnostics.rejectedByReason[reason] || 0) + count;
+            });
+            ['missingFormulaValues', 'skippedColumns', 'explodedRows'].forEach(key => {
+                if (source[key]) diagnostics[key] = (diagnostics[key] || 0) + source[key];
+            });
+            source.rejected.forEach(row => {
+                if (diagnostics.rejected.length < AnalysisEngine.MAX_REJECTED_SAMPLES) {
+                    diagnostics.rejected.push({ ...row, file: dataset.name, format: source.format });
+                }
+            });
+        });
+
+        return diagnostics;
+    }
+
+    async performComprehensiveAnalysis() {
+        console.log('Starting comprehensive analysis with AI...');
+        const rows = this.data.length;
+        
+        // Step 1: Data profiling and quality assessment
+        await this.runStep('profile', 'Profiling columns', () => this.identifyColumnTypes(), null, { rows });
+        await this.runStep('profile', 'Building column store', () => this.buildColumnStore(), null, { rows });
+        await this.runStep('quality', 'Assessing data quality', () => this.assessDataQuality(), 'dataQuality', { rows });
+        await this.runStep('quality', 'Imputing missing values', () => this.imputeMissingValues(), 'imputation', { rows });
+        await this.runStep('analysis', 'Profiling trading sessions', () => this.analyseSessions(), 'sessions', { rows });
+        if (this.resample.frequency !== 'raw' && this.dateColumns.length > 0) {
+            await this.runStep('analysis', 'Resampling', () => this.resampleRows(), 'resampling', { rows });
+        }
+        if (this.indicators.length > 0) {
+            await this.runStep('analysis', 'Computing technical indicators', () => this.addIndicators(), 'indicators', { rows });
+        }
+        
+        // Steps 2 and 3: Executive summary metrics and detailed analyses
+        const analyses = [
+            ['Summarising key metrics', () => this.generateExecutiveSummary(), 'executiveSummary'],
+            ['Analysing performance', () => this.performPerformanceAnalysis(), 'performance'],
+            ['Analysing segments', () => this.performDemographicAnalysis(), 'demographics'],
+            ['Analysing trends', () => this.performTemporalAnalysis(), 'temporal'],
+            ['Measuring returns and risk', () => this.performRiskAnalysis(), 'risk'],
+            ['Analysing distributions', () => this.performStatisticalAnalysis(), 'statistical']
+        ];
+        for (let i = 0; i < analyses.length; i++) {
+            const [message, run, resultKey] = analyses[i];
+            await this.runStep('analysis', message, run, resultKey, { done: i, total: analyses.length, rows });
+        }
+        await this.runStep('correlations', 'Calculating correlations', () => this.performCorrelationAnalysis(), 'correlations', { rows });
+        
+        // Step 4: AI-powered analysis (with fallback)
+        this.progress('ai', 'Waiting for AI analysis', { rows });
+        try {
+            await this.performAIAnalysis();
+        } catch (error) {
+            if (error.name === 'AbortError') throw error;
+            console.warn('AI analysis failed, using statistical analysis:', error);
+            this.generateAdvancedInsights();
+            this.generateRecommendations();
+        }
+    }
+
+    async performAIAnalysis() {
+        console.log('Performing AI analysis...');
+        
+        // Prepare data for AI analysis
+        const dataPreview = this.prepareDataForAI();
+        const summary = this.generateAISummary();
+        
+        try {
+            // Call our Netlify function
+            const response = await fetch('/.netlify/functions/ai-analysis', {
+                method: 'POST',
+                signal: this.task ? this.task.controller.signal : undefined,
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    dataPreview: dataPreview,
+                    columns: this.columns,
+                    summary: summary
+                })
+            });
+
+            if (!response.ok) {
+                throw new Error(`AI analysis failed: ${response.status}`);
+            }
+
+            const result = await response.json();
+            
+            if (result.success && result.analysis) {
+                this.analysisResults.aiAnalysis = result.analysis;
+                this.enhanceAnalysisWithAI(result.analysis);
+                console.log('AI analysis completed successfully');
+            } else {
+                throw new Error('Invalid AI response format');
+            }
+            
+        } catch (error) {
+            console.error('AI Analysis Error:', error);
+            // Fallback to statistical analysis
+            this.generateAdvancedInsights();
+            this.generateRecommendations();
+            throw error; // Re-throw to trigger fallback in main function
+        }
+    }
+
+    prepareDataForAI() {
+        // Send a representative sample of the data (first 15 rows)
+        const sampleSize = Math.min(15, this.data.length);
+        return this.data.slice(0, sampleSize);
+    }
+
+    generateAISummary() {
+        // Generate summary statistics for AI context
+        const summary = {
+            totalRows: this.data.length,
+            totalColumns: this.columns.length,
+            numericColumns: this.numericColumns,
+            dateColumns: this.dateColumns,
+            categoricalColumns: this.categoricalColumns,
+            textColumns: this.textColumns,
+            columnTypes: Object.fromEntries(Object.entries(this.columnSchema).map(([col, schema]) => [col, schema.unit ? `${schema.type} (${schema.unit})` : schema.type])),
+            statistics: {}
+        };
+
+        // Add basic statistics for numeric columns
+        this.numericColumns.forEach(col => {
+            const { count, mean, min, max, sum } = this.store.stats(col).moments;
+            if (count > 0) {
+                summary.statistics[col] = {
+                    count,
+                    mean: mean.toFixed(2),
+                    min,
+                    max,
+                    sum
+                };
+            }
+        });
+
+        return summary;
+    }
+
+    enhanceAnalysisWithAI(aiAnalysis) {
+        // Replace or enhance existing analysis with AI insights
+        if (aiAnalysis.businessRecommendations) {
+            this.analysisResults.recommendations = aiAnalysis.businessRecommendations;
+        }
+
+        if (aiAnalysis.keyInsights) {
+            this.analysisResults.advancedInsights = aiAnalysis.keyInsights.map((insight, index) => ({
+                type: 'ai_insight',
+                title: `AI Insight ${index + 1}`,
+                description: insight
+            }));
+        }
+
+        // Store additional AI insights
+        this.analysisResults.aiPatterns = aiAnalysis.patterns || [];
+        this.analysisResults.aiAnomalies = aiAnalysis.anomalies || [];
+        this.analysisResults.aiPredictions = aiAnalysis.predictions || [];
+        this.analysisResults.dataQualityAssessment = aiAnalysis.dataQualityAssessment || '';
+        this.analysisResults.nextSteps = aiAnalysis.nextSteps || [];
+    }
+
+    identifyColumnTypes() {
+        if (this.data.length === 0) return;
+        
+        this.columns = Object.keys(this.data[0]);
+        this.numericColumns = [];
+        this.dateColumns = [];
+        this.categoricalColumns = [];
+        this.textColumns = [];
+        this.columnSchema = {};
+
+        this.columns.forEach(col => {
+            // A file schema is authoritative; no need to guess from a sample
+            const declared = this.declaredColumnTypes && this.declaredColumnTypes[col];
+            const sample = this.sampleColumn(col);
+            const number = LocaleParser.guessNumberStyle(sample, this.locale);
+            const date = LocaleParser.guessDateOrder(sample, this.locale);
+            const formats = { numberStyle: number.style, dateOrder: date.order };
+            const detected = {
+                ...(declared
+                    ? { type: SemanticTypes.fromKind(declared), unit: '' }
+                    : SemanticTypes.detect(col, sample, formats)),
+                ...formats,
+                timeZone: TimeZones.DEFAULT_SOURCE
+            };
+
+            const override = (this.schemaOverrides && this.schemaOverrides[col]) || {};
+            const pick = (key, valid) => (valid(override[key]) ? override[key] : detected[key]);
+            const type = pick('type', value => Boolean(SemanticTypes.TYPES[value]));
+            this.columnSchema[col] = {
+                type,
+                unit: pick('unit', value => typeof value === 'string'),
+                numberStyle: pick('numberStyle', value => Boolean(LocaleParser.NUMBER_STYLES[value])),
+                dateOrder: pick('dateOrder', value => Boolean(LocaleParser.DATE_ORDERS[value])),
+                timeZone: pick('timeZone', TimeZones.isValid),
+                // Only worth flagging while the user has not chosen for themselves
+                numberAmbiguous: number.ambiguous && !override.numberStyle,
+                dateAmbiguous: date.ambiguous && !override.dateOrder,
+                detected,
+                overridden: Object.keys(override).length > 0
+            };
+
+            const target = {
+                numeric: this.numericColumns,
+                date: this.dateColumns,
+                categorical: this.categoricalColumns,
+                text: this.textColumns
+            }[SemanticTypes.kind(type)];
+            target.push(col);
+        });
+    }
+
+    // Non-empty values from rows spread evenly through the data, so a column
+    // that changes shape part-way through is not judged on its first rows only
+    sampleColumn(col) {
+        const step = Math.max(1, Math.floor(this.data.length / AnalysisEngine.TYPE_SAMPLE_SIZE));
+        const sample = [];
+        for (let i = 0; i < this.data.length && sample.length < AnalysisEngine.TYPE_SAMPLE_SIZE; i += step) {
+            const value = this.data[i][col];
+            if (value != null && value !== '') sample.push(value);
+        }
+        return sample;
+    }
+
+    // Every later step reads the typed columns rather than the row objects
+    buildColumnStore() {
+        const parsers = {};
+        Object.entries(this.columnSchema).forEach(([col, schema]) => {
+            const parser = SemanticTypes.parser(schema.type, schema);
+            if (parser) parsers[col] = parser;
+        });
+
+        const defaults = LocaleParser.defaults(this.locale);
+        this.store = ColumnStore.build(this.data, {
+            numeric: this.numericColumns,
+            date: this.dateColumns,
+            categorical: [...this.categoricalColumns, ...this.textColumns]
+        }, parsers, {
+            parseNumber: value => LocaleParser.parseNumber(value, defaults.numberStyle),
+            parseDate: value => LocaleParser.parseDate(value, defaults.dateOrder, TimeZones.DEFAULT_SOURCE)
+        });
+    }
+
+    // Column name for display, with its unit when it has one
+    columnLabel(col) {
+        const schema = this.columnSchema[col];
+        const name = AnalysisEngine.formatColumnName(col);
+        return schema && schema.unit ? `${name} (${schema.unit})` : name;
+    }
+
+    // Scores the data on six dimensions - completeness, type conformance, value
+    // ranges, duplicate rows, cross-column consistency and timestamp order - and
+    // combines them with QualityChecks.WEIGHTS. Every failed check becomes an
+    // issue listing its first offending rows for the drill-down.
+    async assessDataQuality() {
+        const totalRows = this.data.length;
+        const qualityMetrics = {
+            completeness: {},
+            uniqueness: {},
+            conformance: {},
+            validity: {},
+            duplicates: {},
+            consistency: [],
+            timestamps: null,
+            dimensions: {},
+            issues: [],
+            overall: 0
+        };
+        const rate = result => (result.checked > 0 ? (result.checked - result.failed) / result.checked * 100 : null);
+        const totals = { conformance: QualityChecks.result(0), validity: QualityChecks.result(0), consistency: QualityChecks.result(0) };
+        const addTotals = (total, result) => {
+            total.checked += result.checked;
+            total.failed += result.failed;
+        };
+
+        for (let i = 0; i < this.columns.length; i++) {
+            const col = this.columns[i];
+            this.progress('quality', 'Assessing data quality', { done: i, total: this.columns.length, rows: totalRows });
+            const column = this.store.column(col);
+            const schema = this.columnSchema[col];
+            
+            qualityMetrics.completeness[col] = (column.present / totalRows * 100).toFixed(1);
+            qualityMetrics.uniqueness[col] = this.store.distinctCount(col);
+            if (column.present < totalRows) {
+                const missing = QualityChecks.result(totalRows);
+                for (let row = 0; row < totalRows; row++) {
+                    if (ColumnStore.isMissing(this.data[row][col])) QualityChecks.fail(missing, row, 'Missing');
+                }
+                this.addQualityIssue(qualityMetrics, 'completeness', `Missing ${col}`, missing, [col]);
+            }
+
+            const conformance = QualityChecks.conformance(this.data, this.store, col, schema);
+            qualityMetrics.conformance[col] = rate(conformance);
+            addTotals(totals.conformance, conformance);
+            this.addQualityIssue(qualityMetrics, 'conformance', `${col} not a valid ${SemanticTypes.TYPES[schema.type].label.toLowerCase()}`, conformance, [col]);
+
+            const domain = QualityChecks.domain(col, schema);
+            if (domain) {
+                const range = QualityChecks.range(this.store, col, domain, value => this.formatValue(col, column.kind, value));
+                qualityMetrics.validity[col] = { rule: domain.label, rate: rate(range), failed: range.failed };
+                addTotals(totals.validity, range);
+                this.addQualityIssue(qualityMetrics, 'validity', `${col} not ${domain.label}`, range, [col]);
+            }
+            await this.yieldIfBusy();
+        }
+
+        const { exact, near } = QualityChecks.duplicates(this.data, this.columns, this.store, this.columnSchema);
+        qualityMetrics.duplicates = { exact: exact.failed, near: near.failed };
+        const shown = this.columns.slice(0, AnalysisEngine.QUALITY_DRILL_COLUMNS);
+        this.addQualityIssue(qualityMetrics, 'uniqueness', 'Exact duplicate rows', exact, shown);
+        this.addQualityIssue(qualityMetrics, 'uniqueness', 'Near-duplicate rows', near, shown);
+        await this.yieldIfBusy();
+
+        QualityChecks.crossFieldRules([...this.numericColumns, ...this.dateColumns]).forEach(rule => {
+            const result = QualityChecks.crossField(this.store, rule, (col, value) => this.formatValue(col, this.store.column(col).kind, value));
+            qualityMetrics.consistency.push({ rule: rule.label, columns: [rule.left, rule.right], checked: result.checked, failed: result.failed });
+            addTotals(totals.consistency, result);
+            this.addQualityIssue(qualityMetrics, 'consistency', `Breaks ${rule.label}`, result, [rule.left, rule.right]);
+        });
+
+        if (this.dateColumns.length > 0) {
+            const dateCol = this.dateColumns[0];
+            const timestamps = QualityChecks.timestamps(this.store, dateCol, this.displayZone(dateCol));
+            const { rows, ...counts } = timestamps;
+            qualityMetrics.timestamps = { column: dateCol, ...counts };
+            this.addQualityIssue(qualityMetrics, 'timeliness', `${dateCol} out of order, repeated or after a gap`, timestamps, [dateCol]);
+        }
+
+        // Calculate overall quality score
+        const avgCompleteness = Object.values(qualityMetrics.completeness)
+            .reduce((sum, val) => sum + parseFloat(val), 0) / this.columns.length;
+        const duplicateRows = exact.failed + near.failed;
+        const scores = {
+            completeness: avgCompleteness,
+            conformance: rate(totals.conformance),
+            validity: rate(totals.validity),
+            uniqueness: totalRows > 0 ? (totalRows - duplicateRows) / totalRows * 100 : null,
+            consistency: rate(totals.consistency),
+            timeliness: qualityMetrics.timestamps ? rate(qualityMetrics.timestamps) : null
+        };
+        Object.entries(QualityChecks.WEIGHTS).forEach(([dimension, weight]) => {
+            qualityMetrics.dimensions[dimension] = { score: scores[dimension], weight };
+        });
+        
+        qualityMetrics.averageCompleteness = avgCompleteness;
+        qualityMetrics.overall = QualityChecks.score(qualityMetrics.dimensions);
+        this.analysisResults.dataQuality = qualityMetrics;
+    }
+
+    // Records a failed check with the offending rows' values in columns, read
+    // from the rows as loaded
+    addQualityIssue(qualityMetrics, dimension, label, result, columns) {
+        if (result.failed === 0) return;
+        qualityMetrics.issues.push({
+            dimension,
+            label,
+            failed: result.failed,
+            columns,
+            rows: result.rows.map(({ row, detail }) => ({
+                row: row + 1,
+                detail,
+                values: columns.map(col => this.data[row][col])
+            }))
+        });
+    }
+
+    // Fills or drops the missing cells of each column the way the user chose for
+    // this header signature. Quality is assessed on the data as loaded; every
+    // later step sees the imputed columns. Rows dropped here are gone for good.
+    async imputeMissingValues() {
+        const imputation = { columns: {}, rowsDropped: 0 };
+        const names = [...this.numericColumns, ...this.dateColumns, ...this.categoricalColumns];
+        const drops = [];
+
+        names.forEach(col => {
+            const column = this.store.column(col);
+            const missing = this.store.rowCount - column.count;
+            if (missing === 0) return;
+            const choice = this.imputationSettings[col] || {};
+            const method = Imputer.methodsFor(column.kind).includes(choice.method) ? choice.method : 'none';
+            imputation.columns[col] = {
+                kind: column.kind,
+                missing,
+                method,
+                value: method === 'constant' ? String(choice.value === undefined ? '' : choice.value) : '',
+                methods: Imputer.methodsFor(column.kind),
+                before: this.imputationSummary(col)
+            };
+            if (method === 'drop') drops.push(col);
+        });
+
+        if (drops.length > 0) {
+            const columns = drops.map(col => this.store.column(col));
+            const keep = new Uint8Array(this.store.rowCount);
+            for (let row = 0; row < keep.length; row++) {
+                keep[row] = columns.every(column => (column.kind === 'categorical'
+                    ? column.codes[row] !== -1
+                    : ColumnStore.isValid(column, row))) ? 1 : 0;
+            }
+            this.data = this.data.filter((row, index) => keep[index] === 1);
+            imputation.rowsDropped = keep.length - this.data.length;
+            if (this.data.length === 0) throw new Error('Dropping rows with missing values removed every row');
+            this.store = this.store.filterRows(keep);
+        }
+
+        // Fills follow time when the first date column dates every row
+        const dates = this.dateColumns.length > 0 ? this.store.column(this.dateColumns[0]) : null;
+        const timed = dates && dates.count === this.store.rowCount;
+        const order = timed ? this.sortedRows(dates) : null;
+
+        for (const [col, entry] of Object.entries(imputation.columns)) {
+            const result = entry.method === 'none' || entry.method === 'drop'
+                ? { filled: 0, unfilled: this.store.rowCount - this.store.column(col).count }
+                : Imputer.fill(this.store, col, entry.method, {
+                    order,
+                    times: timed && col !== this.dateColumns[0] ? dates.values : null,
+                    constant: entry.method === 'constant' ? this.parseConstant(col, entry.value) : undefined
+                });
+            entry.filled = result.filled;
+            entry.unfilled = result.unfilled;
+            if (entry.method === 'constant' && entry.filled === 0) entry.problem = `"${entry.value}" is not a valid value for this column`;
+            entry.after = this.imputationSummary(col);
+            await this.yieldIfBusy();
+        }
+
+        imputation.examples = this.imputedExamples();
+        this.analysisResults.imputation = imputation;
+    }
+
+    // The first few rows with an imputed cell, with the values filled in
+    imputedExamples() {
+        const columns = Object.entries(this.store.columns).filter(([, column]) => column.imputed);
+        const examples = [];
+        for (let row = 0; row < this.store.rowCount && examples.length < AnalysisEngine.IMPUTATION_EXAMPLES; row++) {
+            const values = {};
+            columns.forEach(([col, column]) => {
+                if (ColumnStore.isImputed(column, row)) values[col] = this.formatCell(col, column, row);
+            });
+            if (Object.keys(values).length > 0) examples.push({ row: row + 1, values });
+        }
+        return examples;
+    }
+
+    // Distribution of a column for the before/after comparison: the usual
+    // summary for numbers and dates, counts and the commonest label otherwise
+    imputationSummary(col) {
+        const column = this.store.column(col);
+        if (column.kind !== 'categorical') {
+            const summary = this.store.stats(col).summary();
+            if (!summary) return { count: 0 };
+            const { count, mean, median, std, min, max } = summary;
+            return { count, mean, median, std, min, max };
+        }
+
+        const counts = new Float64Array(column.dictionary.length);
+        column.codes.forEach(code => { if (code !== -1) counts[code]++; });
+        const mode = Imputer.mostFrequent(column.codes.filter(code => code !== -1));
+        return {
+            count: column.count,
+            distinct: counts.filter(count => count > 0).length,
+            mode: isNaN(mode) ? null : column.dictionary[mode],
+            modeShare: isNaN(mode) || column.count === 0 ? 0 : counts[mode] / column.count
+        };
+    }
+
+    // The constant of a constant fill, read the way the column's cells are
+    parseConstant(col, value) {
+        const column = this.store.column(col);
+        const schema = this.columnSchema[col] || {};
+        const parser = SemanticTypes.parser(schema.type, schema);
+        if (column.kind === 'categorical') return value === '' ? '' : (parser || String)(value);
+        if (value === '') return NaN;
+        return (parser || (column.kind === 'date' ? this.store.parseDate : this.store.parseNumber))(value);
+    }
+
+    // Volume and volatility by session, time of day and weekday hour (see
+    // SessionProfile) for intraday price data - a price and a date column with
+    // bars less than a day apart - read on the exchange clock: the date
+    // column's source zone. The profile covers every session; rows in the
+    // sessions the settings leave out are then dropped, so every later step
+    // sees only the sessions kept. Null for other data.
+    analyseSessions() {
+        this.analysisResults.sessions = null;
+        const priceColumn = this.dateColumns.length > 0 ? MarketData.priceColumn(this.numericColumns) : null;
+        if (!priceColumn) return;
+
+        const dateColumn = this.dateColumns[0];
+        const zone = this.sourceZone(dateColumn);
+        const dates = this.store.column(dateColumn);
+        const price = this.store.numeric(priceColumn);
+        const volumeColumn = MarketData.volumeColumn(this.numericColumns);
+        const volume = volumeColumn ? this.store.numeric(volumeColumn) : null;
+        const rows = this.sortedRows(dates, row => ColumnStore.isValid(price, row) && price.values[row] > 0);
+        const times = Float64Array.from(rows, row => dates.values[row]);
+        if (times.length < 2 || RiskMetrics.interval(times) >= TimeZones.DAY) return;
+
+        const sessionOf = time => MarketData.session(time, zone, this.sessionSettings);
+        const profile = SessionProfile.analyse(
+            times,
+            Float64Array.from(rows, row => price.values[row]),
+            volume ? Float64Array.from(rows, row => (ColumnStore.isValid(volume, row) ? volume.values[row] : NaN)) : null,
+            Uint8Array.from(times, sessionOf),
+            zone
+        );
+
+        // Rows without a date cannot be placed in a session and stay
+        const { include } = this.sessionSettings;
+        const keep = new Uint8Array(this.store.rowCount);
+        for (let row = 0; row < keep.length; row++) {
+            keep[row] = !ColumnStore.isValid(dates, row) || include.includes(sessionOf(dates.values[row])) ? 1 : 0;
+        }
+        const rowsIn = this.data.length;
+        if (keep.includes(0)) {
+            this.data = this.data.filter((row, index) => keep[index] === 1);
+            if (this.data.length === 0) throw new Error('The sessions left out removed every row');
+            this.store = this.store.filterRows(keep);
+        }
+
+        this.analysisResults.sessions = {
+            ...profile,
+            column: priceColumn,
+            volumeColumn,
+            dateColumn,
+            timeZone: zone,
+            settings: this.sessionSettings,
+            calendarLabel: MarketData.CALENDARS[this.sessionSettings.calendar].label,
+            rowsIn,
+            rowsExcluded: rowsIn - this.data.length
+        };
+    }
+
+    // Replaces the rows and the store with one row per time bucket of the first
+    // date column (see Resampler); rows without a date are left out. Price
+    // data is bucketed on the exchange clock around its sessions, other data
+    // on the display clock. Quality and imputation have seen the rows as
+    // recorded; every later step, the sample table and the export see buckets.
+    resampleRows() {
+        const { frequency, method } = this.resample;
+        const dateColumn = this.dateColumns[0];
+        const fields = MarketData.ohlcColumns(this.numericColumns);
+        const zone = fields ? this.sourceZone(dateColumn) : this.displayZone(dateColumn);
+        const dates = this.store.column(dateColumn);
+        const order = this.sortedRows(dates);
+        const { starts, ends } = Resampler.buckets(Float64Array.from(order, row => dates.values[row]), zone, frequency, fields ? this.sessionSettings.hours : null);
+        if (starts.length === 0) throw new Error(`No dates in ${dateColumn} to resample by`);
+
+        const methods = Resampler.columnMethods(this.numericColumns, method);
+        const store = new ColumnStore(starts.length, { parseNumber: this.store.parseNumber, parseDate: this.store.parseDate });
+        const rows = Array.from(starts, () => ({}));
+        this.columns.forEach(col => {
+            const column = this.store.column(col);
+            if (column.kind === 'categorical') {
+                // The last label in each bucket
+                let from = 0;
+                ends.forEach((end, bucket) => {
+                    let label = '';
+                    for (let i = from; i < end; i++) {
+                        if (column.codes[order[i]] !== -1) label = column.dictionary[column.codes[order[i]]];
+                    }
+                    rows[bucket][col] = label;
+                    from = end;
+                });
+                store.addCategorical(col, rows, String);
+                return;
+            }
+
+            const values = col === dateColumn
+                ? starts
+                : Resampler.aggregate(Float64Array.from(order, row => (ColumnStore.isValid(column, row) ? column.values[row] : NaN)), ends, methods[col] || 'last');
+            store.addValues(col, values, column.kind);
+            values.forEach((value, bucket) => {
+                rows[bucket][col] = isNaN(value) ? '' : this.formatValue(col, column.kind, value);
+            });
+        });
+
+        this.analysisResults.resampling = {
+            frequency,
+            label: Resampler.FREQUENCIES[frequency].label,
+            method,
+            methods,
+            dateColumn,
+            timeZone: zone,
+            sessionAware: Boolean(fields),
+            rowsIn: this.data.length,
+            rowsOut: starts.length,
+            undated: this.data.length - order.length
+        };
+        this.data = rows;
+        this.store = store;
+    }
+
+    // Computes the requested indicators over the price bars and adds each output
+    // to the store as a numeric column (NaN in rows that are not bars, and
+    // during the warm-up), so correlations and exports see them. Only data with
+    // OHLC columns and a date column has bars; indicators that cannot be
+    // computed are listed as skipped with the reason.
+    addIndicators() {
+        const indicators = { added: [], skipped: [] };
+        this.analysisResults.indicators = indicators;
+        const fields = this.dateColumns.length > 0 ? MarketData.ohlcColumns(this.numericColumns) : null;
+        if (!fields) {
+            this.indicators.forEach(indicator => {
+                indicators.skipped.push({ label: TechnicalIndicators.describe(indicator), problem: 'No open, high, low and close columns with dates' });
+            });
+            return;
+        }
+
+        const bars = this.priceBars(this.dateColumns[0], fields);
+        this.indicators.forEach(requested => {
+            const indicator = TechnicalIndicators.withDefaults(requested);
+            const definition = TechnicalIndicators.INDICATORS[indicator.type];
+            const label = TechnicalIndicators.describe(indicator);
+            const problem = TechnicalIndicators.validate(indicator) ||
+                (definition.needsVolume && !bars.volume ? 'Needs a volume column' : null);
+            const names = problem ? [] : definition.outputs.map(output => TechnicalIndicators.columnName(indicator, output));
+            const taken = names.find(name => this.columns.includes(name) || this.indicatorColumns.includes(name));
+            if (problem || taken) {
+                indicators.skipped.push({ label, problem: problem || `Column ${taken} already exists` });
+                return;
+            }
+
+            const series = TechnicalIndicators.compute(indicator, bars);
+            const columns = definition.outputs.map((output, index) => {
+                const values = new Float64Array(this.store.rowCount).fill(NaN);
+                bars.rows.forEach((row, bar) => { values[row] = series[output.key][bar]; });
+                this.store.addValues(names[index], values);
+                this.indicatorColumns.push(names[index]);
+                return { name: names[index], label: TechnicalIndicators.outputLabel(indicator, output), bars: Boolean(output.bars) };
+            });
+            indicators.added.push({
+                ...indicator,
+                label,
+                pane: definition.pane,
+                columns,
+                levels: definition.levels || [],
+                range: definition.range || null
+            });
+        });
+    }
+
+    generateExecutiveSummary() {
+        const summary = {
+            totalRows: this.data.length,
+            totalColumns: this.columns.length,
+            numericColumns: this.numericColumns.length,
+            dateColumns: this.dateColumns.length,
+            categoricalColumns: this.categoricalColumns.length,
+            dataQualityScore: this.analysisResults.dataQuality.overall,
+            keyMetrics: []
+        };
+
+        // Calculate key business metrics if applicable
+        if (this.hasColumns(['impressions', 'clicks', 'spent'])) {
+            const totalImpressions = this.sumColumn('impressions');
+            const totalClicks = this.sumColumn('clicks');
+            const totalSpent = this.sumColumn('spent');
+            const ctr = totalImpressions > 0 ? (totalClicks / totalImpressions * 100) : 0;
+
+            summary.keyMetrics = [
+                { label: 'Total Impressions', value: totalImpressions.toLocaleString(), type: 'count' },
+                { label: 'Total Clicks', value: totalClicks.toLocaleString(), type: 'count' },
+                { label: 'Total Spend', value: `$${totalSpent.toLocaleString()}`, type: 'currency' },
+                { label: 'Overall CTR', value: `${ctr.toFixed(3)}%`, type: 'percentage' }
+            ];
+        } else {
+            // Generic metrics for any dataset
+            // Totals make no sense for rates and coordinates; those show the average
+            const topNumericCols = this.numericColumns.slice(0, 4);
+            summary.keyMetrics = topNumericCols.map(col => {
+                const { type } = this.columnSchema[col];
+                if (AnalysisEngine.AVERAGED_TYPES.includes(type)) {
+                    return {
+                        label: `Average ${this.columnLabel(col)}`,
+                        value: this.store.stats(col).moments.mean.toLocaleString(undefined, { maximumFractionDigits: 4 }),
+                        type
+                    };
+                }
+                return {
+                    label: this.columnLabel(col),
+                    value: this.sumColumn(col).toLocaleString(),
+                    type: type === 'number' ? 'count' : type
+                };
+            });
+        }
+
+        this.analysisResults.executiveSummary = summary;
+    }
+
+    performPerformanceAnalysis() {
+        const performance = {
+            topPerformers: [],
+            trends: [],
+            efficiency: {},
+            insights: []
+        };
+
+        // Identify top performers based on key metrics
+        if (this.numericColumns.length > 0) {
+            const metric = this.store.column(this.numericColumns[0]);
+            const rows = [];
+            for (let row = 0; row < this.store.rowCount; row++) {
+                if (ColumnStore.isValid(metric, row)) rows.push(row);
+            }
+            const top = Uint32Array.from(rows).sort((a, b) => metric.values[b] - metric.values[a]).slice(0, 10);
+            performance.topPerformers = Array.from(top, row => this.data[row]);
+        }
+
+        // Calculate efficiency metrics
+        if (this.hasColumns(['spent', 'clicks']) || this.hasColumns(['cost', 'revenue'])) {
+            performance.efficiency = this.calculateEfficiencyMetrics();
+        }
+
+        this.analysisResults.performance = performance;
+    }
+
+    performDemographicAnalysis() {
+        const demographics = {
+            segments: {},
+            performance: {},
+            insights: []
+        };
+
+        // Look for demographic columns
+        const demoColumns = this.categoricalColumns.filter(col => 
+            ['age', 'gender', 'location', 'segment', 'category', 'type'].some(demo => 
+                col.toLowerCase().includes(demo)
+            )
+        );
+
+        demoColumns.forEach(col => {
+            demographics.segments[col] = this.store.categoryCounts(col);
+            
+            if (this.numericColumns.length > 0) {
+                demographics.performance[col] = this.calculateSegmentPerformance(col);
+            }
+        });
+
+        this.analysisResults.demographics = demographics;
+    }
+
+    performTemporalAnalysis() {
+        const temporal = {
+            trends: {},
+            seasonality: {},
+            insights: []
+        };
+
+        if (this.dateColumns.length > 0) {
+            const dateCol = this.dateColumns[0];
+            const timeSeriesData = this.createTimeSeriesData(dateCol);
+            
+            temporal.timeZone = this.displayZone(dateCol);
+            temporal.trends = this.calculateTrends(timeSeriesData, temporal.timeZone);
+            temporal.seasonality = this.calculateSeasonality(dateCol, temporal.timeZone);
+        }
+
+        this.analysisResults.temporal = temporal;
+    }
+
+    // Returns and risk of the price series - the close, or a column named like
+    // a price - in time order; bars without a positive price are left out.
+    // Null for data without a price and a date column.
+    performRiskAnalysis() {
+        const priceColumn = this.dateColumns.length > 0 ? MarketData.priceColumn(this.numericColumns) : null;
+        this.analysisResults.risk = null;
+        if (!priceColumn) return;
+
+        const dateColumn = this.dateColumns[0];
+        const dates = this.store.column(dateColumn);
+        const prices = this.store.numeric(priceColumn);
+        const rows = this.sortedRows(dates, row => ColumnStore.isValid(prices, row) && prices.values[row] > 0);
+        const risk = RiskMetrics.analyse(
+            Float64Array.from(rows, row => prices.values[row]),
+            Float64Array.from(rows, row => dates.values[row]),
+            { riskFreeRate: this.riskFreeRate, zone: this.sourceZone(dateColumn) }
+        );
+        if (risk) this.analysisResults.risk = { ...risk, column: priceColumn, dateColumn, timeZone: this.displayZone(dateColumn) };
+    }
+
+    performStatisticalAnalysis() {
+        const statistical = {
+            distributions: {},
+            outliers: {},
+            insights: []
+        };
+
+        this.numericColumns.forEach(col => {
+            const stats = this.store.stats(col).summary();
+            statistical.distributions[col] = stats;
+            statistical.outliers[col] = this.detectOutliers(this.store.values(col), stats);
+        });
+
+        this.analysisResults.statistical = statistical;
+    }
+
+    async performCorrelationAnalysis() {
+        const correlations = {
+            significant: [],
+            insights: []
+        };
+
+        // Indicator columns are compared with the data and with each other
+        const columns = [...this.numericColumns, ...this.indicatorColumns];
+        if (columns.length >= 2) {
+            const totalPairs = columns.length * (columns.length - 1) / 2;
+            let pairsDone = 0;
+            for (let i = 0; i < columns.length; i++) {
+                for (let j = i + 1; j < columns.length; j++) {
+                    this.progress('correlations', 'Calculating correlations', { done: pairsDone++, total: totalPairs, rows: this.data.length });
+                    await this.yieldIfBusy();
+                    const col1 = columns[i];
+                    const col2 = columns[j];
+                    const correlation = this.calculateCorrelation(col1, col2);
+                    
+                    if (Math.abs(correlation) > 0.3) {
+                        correlations.significant.push({
+                            column1: col1,
+                            column2: col2,
+                            correlation: correlation,
+                            strength: this.getCorrelationStrength(correlation)
+                        });
+                    }
+                }
+            }
+        }
+
+        this.analysisResults.correlations = correlations;
+    }
+
+    generateAdvancedInsights() {
+        const insights = [];
+
+        // Data quality insights
+        const quality = this.analysisResults.dataQuality;
+        if (quality.overall < 80) {
+            const weakest = Object.entries(quality.dimensions)
+                .filter(([, dimension]) => dimension.score !== null)
+                .sort((a, b) => a[1].score - b[1].score)[0];
+            insights.push({
+                type: 'warning',
+                title: 'Data Quality Concern',
+                description: `The data quality score is ${quality.overall.toFixed(1)}%, lowest on ${weakest[0]} (${weakest[1].score.toFixed(1)}%). Consider data cleaning to improve analysis accuracy.`
+            });
+        }
+
+        // Performance insights
+        if (this.analysisResults.performance.efficiency) {
+            const efficiency = this.analysisResults.performance.efficiency;
+            if (efficiency.roi && efficiency.roi < 1) {
+                insights.push({
+                    type: 'opportunity',
+                    title: 'ROI Optimization Opportunity',
+                    description: `Current ROI is ${efficiency.roi.toFixed(2)}. Focus on high-performing segments to improve returns.`
+                });
+            }
+        }
+
+        // Correlation insights
+        const strongCorrelations = this.analysisResults.correlations.significant.filter(c => 
+            Math.abs(c.correlation) > 0.7
+        );
+        if (strongCorrelations.length > 0) {
+            insights.push({
+                type: 'insight',
+                title: 'Strong Correlations Detected',
+                description: `Found ${strongCorrelations.length} strong correlations that could indicate causal relationships.`
+            });
+        }
+
+        this.analysisResults.advancedInsights = insights;
+    }
+
+    generateRecommendations() {
+        const recommendations = [];
+
+        // Data-driven recommendations based on analysis
+        if (this.analysisResults.demographics.performance) {
+            const bestSegments = this.findBestPerformingSegments();
+            if (bestSegments.length > 0) {
+                recommendations.push({
+                    priority: 'high',
+                    title: 'Focus on High-Performing Segments',
+                    description: `Allocate more resources to ${bestSegments.join(', ')} segments which show superior performance metrics.`
+                });
+            }
+        }
+
+        if (this.analysisResults.temporal.trends) {
+            const trends = this.analysisResults.temporal.trends;
+            if (trends.direction === 'declining') {
+                recommendations.push({
+                    priority: 'high',
+                    title: 'Address Declining Trend',
+                    description: 'Implement strategies to reverse the declining performance trend identified in the temporal analysis.'
+                });
+            }
+        }
+
+        // Quality recommendations
+        const lowQualityColumns = Object.entries(this.analysisResults.dataQuality.completeness)
+            .filter(([col, quality]) => parseFloat(quality) < 70)
+            .map(([col, quality]) => col);
+
+        if (lowQualityColumns.length > 0) {
+            recommendations.push({
+                priority: 'medium',
+                title: 'Improve Data Collection',
+                description: `Improve data collection for ${lowQualityColumns.join(', ')} to enhance analysis accuracy.`
+            });
+        }
+
+        this.analysisResults.recommendations = recommendations;
+    }
+
+    // Helper methods
+    hasColumns(requiredColumns) {
+        return requiredColumns.every(col => 
+            this.columns.some(existingCol => 
+                existingCol.toLowerCase() === col.toLowerCase()
+            )
+        );
+    }
+
+    sumColumn(columnName) {
+        return this.store.sum(columnName);
+    }
+
+    calculateCorrelation(col1, col2) {
+        const a = this.store.numeric(col1);
+        const b = this.store.numeric(col2);
+        if (!a || !b) return 0;
+
+        // One pass over rows where both columns have a value
+        let n = 0, sumX = 0, sumY = 0, sumXY = 0, sumXX = 0, sumYY = 0;
+        for (let row = 0; row < this.store.rowCount; row++) {
+            if (!ColumnStore.isValid(a, row) || !ColumnStore.isValid(b, row)) continue;
+            const x = a.values[row];
+            const y = b.values[row];
+            n++;
+            sumX += x;
+            sumY += y;
+            sumXY += x * y;
+            sumXX += x * x;
+            sumYY += y * y;
+        }
+
+        if (n < 2) return 0;
+
+        const numerator = n * sumXY - sumX * sumY;
+        const denominator = Math.sqrt((n * sumXX - sumX * sumX) * (n * sumYY - sumY * sumY));
+
+        return denominator === 0 ? 0 : numerator / denominator;
+    }
+
+    getCorrelationStrength(correlation) {
+        const abs = Math.abs(correlation);
+        if (abs >= 0.8) return 'Very Strong';
+        if (abs >= 0.6) return 'Strong';
+        if (abs >= 0.4) return 'Moderate';
+        if (abs >= 0.2) return 'Weak';
+        return 'Very Weak';
+    }
+
+    // One pass, no sorting: quartiles and median come from a t-digest
+    calculateDistributionStats(values) {
+        return StreamingStats.of(values).summary();
+    }
+
+    detectOutliers(values, stats = this.calculateDistributionStats(values)) {
+        if (!stats) return [];
+
+        const iqr = stats.q3 - stats.q1;
+        const lowerBound = stats.q1 - 1.5 * iqr;
+        const upperBound = stats.q3 + 1.5 * iqr;
+
+        return values.filter(val => val < lowerBound || val > upperBound);
+    }
+
+    calculateEfficiencyMetrics() {
+        const efficiency = {};
+        
+        if (this.hasColumns(['spent', 'clicks'])) {
+            const totalSpent = this.sumColumn('spent');
+            const totalClicks = this.sumColumn('clicks');
+            efficiency.cpc = totalClicks > 0 ? totalSpent / totalClicks : 0;
+        }
+
+        if (this.hasColumns(['spent', 'approved_conversion'])) {
+            const totalSpent = this.sumColumn('spent');
+            const totalConversions = this.sumColumn('approved_conversion');
+            efficiency.costPerConversion = totalConversions > 0 ? totalSpent / totalConversions : 0;
+            efficiency.roi = totalSpent > 0 ? totalConversions / totalSpent : 0;
+        }
+
+        return efficiency;
+    }
+
+    calculateSegmentPerformance(column) {
+        const performance = {};
+        const segments = this.store.categoryLabels(column);
+        const totals = this.numericColumns.map(numCol => this.store.groupTotals(column, numCol));
+        
+        segments.forEach((segment, index) => {
+            const metrics = {};
+            
+            this.numericColumns.forEach((numCol, k) => {
+                const sum = totals[k].sums[index];
+                const count = totals[k].counts[index];
+                metrics[numCol] = {
+                    sum,
+                    avg: count > 0 ? sum / count : 0,
+                    count
+                };
+            });
+            
+            performance[segment] = metrics;
+        });
+        
+        return performance;
+    }
+
+    findBestPerformingSegments() {
+        const bestSegments = [];
+        
+        if (this.analysisResults.demographics.performance) {
+            Object.entries(this.analysisResults.demographics.performance).forEach(([column, segments]) => {
+                const primaryMetric = this.numericColumns[0];
+                if (primaryMetric && segments) {
+                    const sortedSegments = Object.entries(segments)
+                        .sort(([,a], [,b]) => (b[primaryMetric]?.avg || 0) - (a[primaryMetric]?.avg || 0));
+                    
+                    if (sortedSegments.length > 0) {
+                        bestSegments.push(`${column}: ${sortedSegments[0][0]}`);
+                    }
+                }
+            });
+        }
+        
+        return bestSegments;
+    }
+
+    createTimeSeriesData(dateColumn) {
+        const dates = this.store.column(dateColumn);
+        const metrics = this.numericColumns.map(col => [col, this.store.column(col)]);
+        const timeSeriesData = Array.from(this.sortedRows(dates), row => ({
+            date: new Date(dates.values[row]),
+            ...metrics.reduce((acc, [col, metric]) => {
+                acc[col] = ColumnStore.isValid(metric, row) ? metric.values[row] : null;
+                return acc;
+            }, {})
+        }));
+
+        return timeSeriesData;
+    }
+
+    // Fitted to daily means when the data spans several days, with days running
+    // midnight to midnight in zone; to the points themselves otherwise, or when
+    // the rows were resampled to a chosen time frame. Missing values (null) are
+    // left out rather than counted as zero.
+    calculateTrends(timeSeriesData, zone = 'UTC') {
+        const primaryMetric = this.numericColumns[0];
+        if (!primaryMetric) return { direction: 'no_numeric_data' };
+
+        const points = timeSeriesData.filter(item => item[primaryMetric] !== null);
+        if (points.length < 2) return { direction: 'insufficient_data' };
+
+        const days = new Map();
+        points.forEach(item => {
+            const day = Math.floor(TimeZones.toWallClock(item.date.getTime(), zone) / TimeZones.DAY);
+            const totals = days.get(day) || { sum: 0, count: 0 };
+            totals.sum += item[primaryMetric];
+            totals.count++;
+            days.set(day, totals);
+        });
+        const basis = this.analysisResults.resampling ? 'resampled' : days.size >= 2 ? 'daily' : 'points';
+
+        const values = basis === 'daily'
+            ? [...days].map(([day, totals]) => ({ x: day, y: totals.sum / totals.count }))
+            : points.map((item, index) => ({ x: index, y: item[primaryMetric] }));
+
+        // Simple linear regression
+        const n = values.length;
+        const sumX = values.reduce((sum, point) => sum + point.x, 0);
+        const sumY = values.reduce((sum, point) => sum + point.y, 0);
+        const sumXY = values.reduce((sum, point) => sum + point.x * point.y, 0);
+        const sumXX = values.reduce((sum, point) => sum + point.x * point.x, 0);
+
+        const slope = (n * sumXY - sumX * sumY) / (n * sumXX - sumX * sumX);
+        const direction = slope > 0.001 ? 'increasing' : slope < -0.001 ? 'declining' : 'stable';
+
+        return { direction, slope, metric: primaryMetric, basis, days: days.size, points: points.length };
+    }
+
+    // Mean of the primary metric by hour of day and by weekday, read on zone's
+    // clock, so a 9:30 open in New York is hour 9 wherever the dashboard is
+    // viewed. Rows resampled to daily or slower bars have no peak hour.
+    calculateSeasonality(dateColumn, zone) {
+        const metricName = this.numericColumns[0];
+        if (!metricName) return {};
+
+        const dates = this.store.column(dateColumn);
+        const metric = this.store.numeric(metricName);
+        const resampling = this.analysisResults.resampling;
+        const hourSums = new Float64Array(24);
+        const hourCounts = new Float64Array(24);
+        const weekdaySums = new Float64Array(7);
+        const weekdayCounts = new Float64Array(7);
+
+        for (let row = 0; row < this.store.rowCount; row++) {
+            if (!ColumnStore.isValid(dates, row) || !ColumnStore.isValid(metric, row)) continue;
+            const wall = TimeZones.toWallClock(dates.values[row], zone);
+            const hour = TimeZones.hourOf(wall);
+            const weekday = TimeZones.weekdayOf(wall);
+            hourSums[hour] += metric.values[row];
+            hourCounts[hour]++;
+            weekdaySums[weekday] += metric.values[row];
+            weekdayCounts[weekday]++;
+        }
+
+        const means = (sums, counts) => Array.from(sums, (sum, index) => (counts[index] > 0 ? sum / counts[index] : null));
+        const peak = values => values.reduce((best, value, index) =>
+            (value !== null && (best === null || value > values[best]) ? index : best), null);
+        const byHour = means(hourSums, hourCounts);
+        const byWeekday = means(weekdaySums, weekdayCounts);
+
+        return {
+            metric: metricName,
+            byHour,
+            byWeekday,
+            hourCounts: Array.from(hourCounts),
+            weekdayCounts: Array.from(weekdayCounts),
+            peakHour: resampling && !Resampler.FREQUENCIES[resampling.frequency].minutes ? null : peak(byHour),
+            peakWeekday: peak(byWeekday)
+        };
+    }
+
+    static formatColumnName(col) {
+        return col.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+    }
+
+    // Uploaded files are cloned on their way into the worker, so compare by identity
+    // of contents rather than by object.
+    static sameFile(cached, file) {
+        return Boolean(cached) &&
+            cached.file.name === file.name &&
+            cached.file.size === file.size &&
+            cached.file.lastModified === file.lastModified;
+    }
+
+    static cancelledError() {
+        return new DOMException('Analysis cancelled', 'AbortError');
+    }
+}
+
+// Bytes read up front to detect encoding, delimiter and header
+AnalysisEngine.SNIFF_BYTES = 64 * 1024;
+
+// Bundled SheetJS build, loaded the first time a workbook is uploaded
+AnalysisEngine.XLSX_LIBRARY = 'vendor/xlsx.full.min.js';
+
+AnalysisEngine.PARQUET_LIBRARY = 'vendor/hyparquet.min.js';
+AnalysisEngine.ARROW_LIBRARY = 'vendor/arrow.min.js';
+
+AnalysisEngine.loadedScripts = {};
+
+// Wide Parquet/Arrow files load this many columns until the user picks others
+AnalysisEngine.MAX_DEFAULT_COLUMNS = 50;
+
+// Records sampled to find the array fields of a JSON document
+AnalysisEngine.JSON_SAMPLE_SIZE = 100;
+
+// Rejected rows kept (with raw text) for the Import Report
+AnalysisEngine.MAX_REJECTED_SAMPLES = 500;
+
+// Longest stretch (ms) a loop runs before letting a cancel message through
+AnalysisEngine.YIELD_INTERVAL = 100;
+
+// Rows sampled (evenly spaced) when detecting column types
+AnalysisEngine.TYPE_SAMPLE_SIZE = 500;
+
+// Semantic types summarised by their mean rather than their total
+AnalysisEngine.AVERAGED_TYPES = ['percentage', 'latitude', 'longitude'];
+
+// Rows sent to the page for the sample data table
+AnalysisEngine.SAMPLE_ROWS = 10;
+
+// Columns shown for each offending row of a whole-row quality issue (duplicates)
+AnalysisEngine.QUALITY_DRILL_COLUMNS = 8;
+
+// Rows with imputed cells listed in the Missing Values card
+AnalysisEngine.IMPUTATION_EXAMPLES = 5;
+
+// Receives requests from the page, runs each one on its own AnalysisEngine and
+// posts progress, partial results and the final result back, all tagged with the
+// request id.
+//
+//   page -> engine   { type: 'load', id, file, overrides, schemas, locale, timeZone }  parse one file and analyse it
+//                    { type: 'loadMany', id, files }         parse several files, suggest how to combine them
+//                    { type: 'combine', id, plan, schemas, locale, timeZone }  combine the files from the last loadMany and analyse
+//                    { type: 'retype', id, schemas, locale, timeZone, recipe, imputations, contract, indicators, riskFreeRate, resample, sessions } analyse the last data again with new settings
+//                    { type: 'export', id }                  the last analysed rows (resampled, if they were) as CSV, indicator columns included
+//                    { type: 'cancel', id }
+//
+// schemas maps header signatures to remembered column type overrides, locale is
+// the selected number/date locale and timeZone the display zone (the page keeps
+// all three in localStorage, which workers cannot use). recipe is the list of
+// transform steps to run before analysis (see TransformPipeline) and
+// imputations maps header signatures to a missing-value method per column
+// (see Imputer); contract is the data contract to check first (see
+// DataContract) and indicators the technical indicators to add to price data
+// (see TechnicalIndicators); riskFreeRate is the annual rate risk ratios are
+// measured against, resample the { frequency, method } rows are aggregated
+// to (see Resampler) and sessions the exchange calendar, session hours and
+// sessions to analyse (see MarketData.sessionSettings). load and combine
+// accept imputations, contract, indicators, riskFreeRate, resample and
+// sessions as well.
+//   engine -> page   { type: 'progress', id, stage, message, done, total }
+//                    { type: 'partial', id, key, value }     import settings, then each analysis result as it is ready
+//                    { type: 'result', id, value }
+//                    { type: 'cancelled', id } | { type: 'error', id, message }
+class AnalysisHost {
+    constructor(post) {
+        this.post = post;
+        this.cache = {};
+        this.datasets = null;
+        this.parsed = null; // Last analysed data, re-used when column types change
+        this.engine = null; // Engine of the last completed analysis, for exports
+        this.task = null;
+    }
+
+    async handle(message) {
+        if (message.type === 'cancel') {
+            if (this.task && this.task.id === message.id) this.cancel(this.task);
+            return;
+        }
+
+        // A new request supersedes whatever is still running
+        if (this.task) this.cancel(this.task);
+        const task = {
+            id: message.id,
+            cancelled: false,
+            controller: new AbortController(),
+            post: reply => this.post({ ...reply, id: message.id })
+        };
+        this.task = task;
+        const engine = new AnalysisEngine(task, this.cache);
+
+        try {
+            let value;
+            if (message.type === 'load') {
+                const parsed = await engine.parseFile(message.file, message.overrides);
+                engine.partial('settings', parsed.settings);
+                this.parsed = parsed;
+                value = { settings: parsed.settings, view: await engine.analyse(parsed, message) };
+            } else if (message.type === 'loadMany') {
+                value = await this.loadMany(engine, message.files);
+            } else if (message.type === 'combine') {
+                if (!this.datasets) throw new Error('No files to combine');
+                this.parsed = engine.combineDatasets(this.datasets, message.plan);
+                value = { view: await engine.analyse(this.parsed, message) };
+            } else if (message.type === 'retype') {
+                if (!this.parsed) throw new Error('No data to re-analyse');
+                value = { view: await engine.analyse(this.parsed, message) };
+            } else if (message.type === 'export') {
+                if (!this.engine) throw new Error('No analysed data to export');
+                value = { csv: this.engine.exportCSV() };
+            } else {
+                throw new Error(`Unknown request: ${message.type}`);
+            }
+            engine.throwIfCancelled();
+            if (value.view && !value.view.blocked) this.engine = engine;
+            task.post({ type: 'result', value });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                task.post({ type: 'cancelled' });
+            } else {
+                console.error('Analysis error:', error);
+                task.post({ type: 'error', message: error.message });
+            }
+        } finally {
+            if (this.task === task) this.task = null;
+        }
+    }
+
+    async loadMany(engine, files) {
+        const datasets = [];
+        for (const file of files) {
+            try {
+                const parsed = await engine.parseFile(file);
+                datasets.push({
+                    name: file.name,
+                    size: file.size,
+                    data: parsed.data,
+                    columns: Object.keys(parsed.data[0] || {}),
+                    columnTypes: parsed.columnTypes || null,
+                    diagnostics: parsed.diagnostics,
+                    settings: parsed.settings
+                });
+            } catch (error) {
+                if (error.name === 'AbortError') throw error;
+                throw new Error(`${file.name}: ${error.message}`);
+            }
+        }
+
+        this.datasets = datasets;
+        return {
+            datasets: datasets.map(dataset => ({
+                name: dataset.name,
+                size: dataset.size,
+                format: dataset.settings.format,
+                rows: dataset.data.length,
+                columns: dataset.columns
+            })),
+            plan: engine.suggestCombinePlan(datasets)
+        };
+    }
+
+    cancel(task) {
+        task.cancelled = true;
+        task.controller.abort();
+    }
+
+    // Chart series are typed arrays; hand their buffers over instead of copying
+    static transferables(message) {
+        const charts = message.type === 'result' && message.value.view && message.value.view.charts;
+        if (!charts || !charts.timeSeries) return [];
+        const buffers = [charts.timeSeries.times.buffer, charts.timeSeries.values.buffer];
+        if (charts.ohlc) {
+            ['times', ...MarketData.FIELDS, 'sessions'].forEach(key => {
+                if (charts.ohlc[key]) buffers.push(charts.ohlc[key].buffer);
+            });
+            charts.ohlc.indicators.forEach(indicator => {
+                indicator.columns.forEach(output => buffers.push(output.values.buffer));
+            });
+        }
+        return buffers;
+    }
+
+    // Stand-in for a Worker when the page cannot start one (pages opened from
+    // file://); the same host runs in the page, still answering asynchronously.
+    static createInlineWorker() {
+        const worker = {
+            onmessage: null,
+            onerror: null,
+            terminate() {}
+        };
+        const host = new AnalysisHost(message => {
+            setTimeout(() => worker.onmessage && worker.onmessage({ data: message }), 0);
+        });
+        worker.postMessage = message => setTimeout(() => host.handle(message), 0);
+        return worker;
+    }
+}
@@ -0,0 +1,31 @@
+// Analysis worker
+// Runs file parsing and every analysis step off the main thread. The message
+// protocol is documented on AnalysisHost in analysis-engine.js.
+
+importScripts(
+    'csv-parser.js',
+    'json-importer.js',
+    'workbook-importer.js',
+    'columnar-importer.js',
+    'dataset-combiner.js',
+    'streaming-stats.js',
+    'time-zones.js',
+    'locale-parser.js',
+    'semantic-types.js',
+    'column-store.js',
+    'expression-parser.js',
+    'transform-pipeline.js',
+    'market-data.js',
+    'technical-indicators.js',
+    'risk-metrics.js',
+    'resampler.js',
+    'session-profile.js',
+    'data-contract.js',
+    'quality-checks.js',
+    'imputer.js',
+    'analysis-engine.js'
+);
+
+const host = new AnalysisHost(message => self.postMessage(message, AnalysisHost.transferables(message)));
+
+self.onmessage = event => host.handle(event.data);
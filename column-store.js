@@ -0,0 +1,279 @@
+// Columnar store for analysis
+// Built once after column types are known. Numeric and date columns become
+// Float64Arrays with a validity bitmap (one bit per row, set when the row has a
+// usable value); categorical columns are dictionary encoded as Int32Array codes
+// into a list of distinct values, with -1 for missing cells. Analyses read these
+// arrays instead of re-parsing row objects on every pass. Cells filled in by
+// imputation are marked in a second bitmap, column.imputed.
+
+class ColumnStore {
+    // defaults.parseNumber / parseDate read cells of columns without their own parser
+    constructor(rowCount, defaults = {}) {
+        this.rowCount = rowCount;
+        this.parseNumber = defaults.parseNumber || (value => parseFloat(value));
+        this.parseDate = defaults.parseDate || (value => new Date(value).getTime());
+        this.columns = {};
+        this.derived = {}; // Numeric views of categorical columns, built on demand
+        this.statistics = {}; // StreamingStats per column, built on demand
+    }
+
+    // parsers optionally maps a column name to how its cells are read: a number
+    // for numeric columns, a label for categorical ones
+    static build(data, types, parsers = {}, defaults = {}) {
+        const store = new ColumnStore(data.length, defaults);
+        types.numeric.forEach(name => store.addNumeric(name, data, 'numeric', parsers[name] || store.parseNumber));
+        types.date.forEach(name => store.addNumeric(name, data, 'date', parsers[name] || store.parseDate));
+        types.categorical.forEach(name => store.addCategorical(name, data, parsers[name] || String));
+        return store;
+    }
+
+    // present counts non-empty cells; count only those that parsed
+    addNumeric(name, data, kind, parse) {
+        const rowCount = this.rowCount;
+        const values = new Float64Array(rowCount);
+        const valid = new Uint8Array((rowCount + 7) >> 3);
+        let present = 0;
+        let count = 0;
+
+        for (let i = 0; i < rowCount; i++) {
+            const raw = data[i][name];
+            if (ColumnStore.isMissing(raw)) continue;
+            present++;
+            const value = parse(raw);
+            if (isNaN(value)) continue;
+            values[i] = value;
+            valid[i >> 3] |= 1 << (i & 7);
+            count++;
+        }
+
+        this.columns[name] = { kind, values, valid, present, count };
+    }
+
+    addCategorical(name, data, label) {
+        const rowCount = this.rowCount;
+        const codes = new Int32Array(rowCount).fill(-1);
+        const dictionary = [];
+        const lookup = new Map();
+        let count = 0;
+
+        for (let i = 0; i < rowCount; i++) {
+            const raw = data[i][name];
+            if (ColumnStore.isMissing(raw)) continue;
+            const key = label(raw);
+            let code = lookup.get(key);
+            if (code === undefined) {
+                code = dictionary.length;
+                dictionary.push(key);
+                lookup.set(key, code);
+            }
+            codes[i] = code;
+            count++;
+        }
+
+        this.columns[name] = { kind: 'categorical', codes, dictionary, present: count, count };
+    }
+
+    has(name) {
+        return Object.prototype.hasOwnProperty.call(this.columns, name);
+    }
+
+    column(name) {
+        return this.has(name) ? this.columns[name] : null;
+    }
+
+    // A { values, valid, count } view of any column. Categorical columns are
+    // parsed once per distinct value, so summing a mis-typed column stays cheap.
+    numeric(name) {
+        const column = this.column(name);
+        if (!column) return null;
+        if (column.kind !== 'categorical') return column;
+
+        if (!this.derived[name]) {
+            const parsed = column.dictionary.map(value => this.parseNumber(value));
+            const values = new Float64Array(this.rowCount);
+            const valid = new Uint8Array((this.rowCount + 7) >> 3);
+            let count = 0;
+            for (let i = 0; i < this.rowCount; i++) {
+                const code = column.codes[i];
+                if (code === -1 || isNaN(parsed[code])) continue;
+                values[i] = parsed[code];
+                valid[i >> 3] |= 1 << (i & 7);
+                count++;
+            }
+            this.derived[name] = { kind: 'numeric', values, valid, present: column.present, count };
+        }
+        return this.derived[name];
+    }
+
+    // The valid values of a column, in row order, without gaps
+    values(name) {
+        const column = this.numeric(name);
+        if (!column) return new Float64Array(0);
+
+        const values = new Float64Array(column.count);
+        let next = 0;
+        for (let i = 0; i < this.rowCount; i++) {
+            if (ColumnStore.isValid(column, i)) values[next++] = column.values[i];
+        }
+        return values;
+    }
+
+    sum(name) {
+        const column = this.numeric(name);
+        if (!column) return 0;
+
+        let sum = 0;
+        for (let i = 0; i < this.rowCount; i++) {
+            if (ColumnStore.isValid(column, i)) sum += column.values[i];
+        }
+        return sum;
+    }
+
+    // Moments and quantile sketch over the valid values, computed once
+    stats(name) {
+        if (!this.statistics[name]) {
+            const column = this.numeric(name);
+            const stats = new StreamingStats();
+            if (column) {
+                for (let i = 0; i < this.rowCount; i++) {
+                    if (ColumnStore.isValid(column, i)) stats.add(column.values[i]);
+                }
+            }
+            this.statistics[name] = stats;
+        }
+        return this.statistics[name];
+    }
+
+    // Distinct valid values (numeric/date) or dictionary size (categorical)
+    distinctCount(name) {
+        const column = this.column(name);
+        if (!column) return 0;
+        if (column.kind === 'categorical') return column.dictionary.length;
+        return new Set(this.values(name)).size;
+    }
+
+    // Segment labels for a categorical column; missing cells form their own segment
+    categoryLabels(name) {
+        const column = this.column(name);
+        const labels = [...column.dictionary];
+        if (column.count < this.rowCount) labels.push(ColumnStore.MISSING_LABEL);
+        return labels;
+    }
+
+    // Index into categoryLabels for a row
+    categoryIndex(column, row) {
+        const code = column.codes[row];
+        return code === -1 ? column.dictionary.length : code;
+    }
+
+    categoryCounts(name) {
+        const column = this.column(name);
+        const labels = this.categoryLabels(name);
+        const counts = new Array(labels.length).fill(0);
+        for (let i = 0; i < this.rowCount; i++) {
+            counts[this.categoryIndex(column, i)]++;
+        }
+
+        const result = {};
+        labels.forEach((label, index) => { result[label] = counts[index]; });
+        return result;
+    }
+
+    // Sum and count of a numeric column per segment of a categorical column,
+    // indexed like categoryLabels
+    groupTotals(categoryName, numericName) {
+        const category = this.column(categoryName);
+        const numeric = this.numeric(numericName);
+        const size = category.dictionary.length + 1;
+        const sums = new Float64Array(size);
+        const counts = new Float64Array(size);
+
+        for (let i = 0; i < this.rowCount; i++) {
+            if (!ColumnStore.isValid(numeric, i)) continue;
+            const index = this.categoryIndex(category, i);
+            sums[index] += numeric.values[i];
+            counts[index]++;
+        }
+        return { sums, counts };
+    }
+
+    // A new store with only the rows where keep[row] is set. Its present counts
+    // are the usable cells that remain.
+    filterRows(keep) {
+        const rows = [];
+        for (let i = 0; i < this.rowCount; i++) {
+            if (keep[i]) rows.push(i);
+        }
+        const store = new ColumnStore(rows.length, { parseNumber: this.parseNumber, parseDate: this.parseDate });
+        const pick = bitmap => {
+            const result = ColumnStore.bitmap(rows.length);
+            rows.forEach((row, index) => {
+                if (ColumnStore.hasBit(bitmap, row)) ColumnStore.setBit(result, index);
+            });
+            return result;
+        };
+
+        Object.entries(this.columns).forEach(([name, column]) => {
+            const filtered = { ...column };
+            if (column.kind === 'categorical') {
+                filtered.codes = Int32Array.from(rows, row => column.codes[row]);
+                filtered.count = filtered.codes.reduce((count, code) => count + (code === -1 ? 0 : 1), 0);
+            } else {
+                filtered.values = Float64Array.from(rows, row => column.values[row]);
+                filtered.valid = pick(column.valid);
+                filtered.count = rows.reduce((count, row) => count + (ColumnStore.isValid(column, row) ? 1 : 0), 0);
+            }
+            if (column.imputed) filtered.imputed = pick(column.imputed);
+            filtered.present = filtered.count;
+            store.columns[name] = filtered;
+        });
+        return store;
+    }
+
+    // A numeric or date column computed from the others (technical indicators,
+    // resampled buckets); NaN marks rows without a value
+    addValues(name, values, kind = 'numeric') {
+        const valid = ColumnStore.bitmap(this.rowCount);
+        let count = 0;
+        for (let i = 0; i < this.rowCount; i++) {
+            if (isNaN(values[i])) continue;
+            ColumnStore.setBit(valid, i);
+            count++;
+        }
+        this.columns[name] = { kind, values, valid, present: count, count };
+        this.invalidate(name);
+    }
+
+    // Cached views and statistics of a column are stale once its cells change
+    invalidate(name) {
+        delete this.derived[name];
+        delete this.statistics[name];
+    }
+
+    static isValid(column, row) {
+        return (column.valid[row >> 3] & (1 << (row & 7))) !== 0;
+    }
+
+    static isImputed(column, row) {
+        return Boolean(column.imputed) && ColumnStore.hasBit(column.imputed, row);
+    }
+
+    // One bit per row, as used for valid and imputed
+    static bitmap(rowCount) {
+        return new Uint8Array((rowCount + 7) >> 3);
+    }
+
+    static hasBit(bitmap, row) {
+        return (bitmap[row >> 3] & (1 << (row & 7))) !== 0;
+    }
+
+    static setBit(bitmap, row) {
+        bitmap[row >> 3] |= 1 << (row & 7);
+    }
+
+    static isMissing(value) {
+        return value === null || value === undefined || value === '';
+    }
+}
+
+ColumnStore.MISSING_LABEL = '(missing)';
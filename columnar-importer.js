@@ -0,0 +1,144 @@
+// Apache Parquet and Arrow IPC importer
+// Uses the bundled hyparquet (vendor/hyparquet.min.js) and Apache Arrow
+// (vendor/arrow.min.js) builds. Both formats carry a schema, so column types come
+// from the file itself rather than from sampling values, and only the columns the
+// user selected are materialised into rows.
+
+class ColumnarImporter {
+    static isParquet(fileName, bytes) {
+        if (/\.parquet$/i.test(fileName)) return true;
+        return bytes.length >= 4 && bytes[0] === 0x50 && bytes[1] === 0x41 && bytes[2] === 0x52 && bytes[3] === 0x31; // PAR1
+    }
+
+    static isArrow(fileName, bytes) {
+        if (/\.(arrow|arrows|feather|ipc)$/i.test(fileName)) return true;
+        const magic = String.fromCharCode(...bytes.slice(0, 6));
+        return magic === 'ARROW1';
+    }
+
+    // hyparquet reads through an AsyncBuffer, so only the footer and the column
+    // chunks that are actually requested are read from disk.
+    static fileBuffer(file) {
+        return {
+            byteLength: file.size,
+            slice: (start, end) => file.slice(start, end).arrayBuffer()
+        };
+    }
+
+    static async readParquetSchema(file) {
+        const buffer = ColumnarImporter.fileBuffer(file);
+        const metadata = await hyparquet.parquetMetadataAsync(buffer);
+        const schema = hyparquet.parquetSchema(metadata);
+
+        return {
+            buffer,
+            metadata,
+            rowCount: Number(metadata.num_rows),
+            fields: schema.children.map(child => ({
+                name: child.element.name,
+                type: ColumnarImporter.describeParquetType(child),
+                kind: ColumnarImporter.parquetKind(child)
+            }))
+        };
+    }
+
+    static parquetKind(child) {
+        if (child.children && child.children.length > 0) return 'categorical';
+
+        const element = child.element;
+        const logical = element.logical_type && element.logical_type.type;
+        const converted = element.converted_type || '';
+
+        if (logical === 'DATE' || logical === 'TIMESTAMP' || element.type === 'INT96') return 'date';
+        if (converted === 'DATE' || converted.startsWith('TIMESTAMP')) return 'date';
+        if (logical === 'DECIMAL' || converted === 'DECIMAL') return 'numeric';
+        if (['INT32', 'INT64', 'FLOAT', 'DOUBLE'].includes(element.type)) return 'numeric';
+        return 'categorical';
+    }
+
+    static describeParquetType(child) {
+        if (child.children && child.children.length > 0) return 'GROUP';
+        const element = child.element;
+        const logical = element.logical_type && element.logical_type.type;
+        return logical || element.converted_type || element.type;
+    }
+
+    static async readParquetRows(schemaInfo, columns) {
+        const rows = await hyparquet.parquetReadObjects({
+            file: schemaInfo.buffer,
+            metadata: schemaInfo.metadata,
+            columns,
+            compressors: hyparquet.compressors
+        });
+        const kinds = ColumnarImporter.kindsByName(schemaInfo.fields);
+
+        return rows.map(row => {
+            const normalized = {};
+            columns.forEach(column => {
+                normalized[column] = ColumnarImporter.normalizeValue(row[column], kinds[column]);
+            });
+            return normalized;
+        });
+    }
+
+    static async readArrowSchema(file) {
+        const table = Arrow.tableFromIPC(new Uint8Array(await file.arrayBuffer()));
+
+        return {
+            table,
+            rowCount: table.numRows,
+            fields: table.schema.fields.map(field => ({
+                name: field.name,
+                type: String(field.type),
+                kind: ColumnarImporter.arrowKind(field.type)
+            }))
+        };
+    }
+
+    static arrowKind(type) {
+        const DataType = Arrow.DataType;
+        if (DataType.isTimestamp(type) || DataType.isDate(type)) return 'date';
+        if (DataType.isInt(type) || DataType.isFloat(type) || DataType.isDecimal(type)) return 'numeric';
+        return 'categorical';
+    }
+
+    static readArrowRows(schemaInfo, columns) {
+        const table = schemaInfo.table;
+        const kinds = ColumnarImporter.kindsByName(schemaInfo.fields);
+        const vectors = columns.map(column => table.getChild(column));
+        const rows = new Array(table.numRows);
+
+        for (let i = 0; i < table.numRows; i++) {
+            const row = {};
+            columns.forEach((column, index) => {
+                row[column] = ColumnarImporter.normalizeValue(vectors[index].get(i), kinds[column]);
+            });
+            rows[i] = row;
+        }
+        return rows;
+    }
+
+    static kindsByName(fields) {
+        const kinds = {};
+        fields.forEach(field => { kinds[field.name] = field.kind; });
+        return kinds;
+    }
+
+    // Bring values into the shapes the rest of the dashboard expects: plain
+    // numbers, ISO date strings and text.
+    static normalizeValue(value, kind) {
+        if (value === null || value === undefined) return null;
+        if (typeof value === 'bigint') value = Number(value);
+
+        if (kind === 'date') {
+            const date = value instanceof Date ? value : new Date(value);
+            if (isNaN(date.getTime())) return null;
+            const iso = date.toISOString();
+            return iso.endsWith('T00:00:00.000Z') ? iso.slice(0, 10) : iso;
+        }
+        if (typeof value === 'number') return value;
+        if (value instanceof Uint8Array) return `[${value.length} bytes]`;
+        if (typeof value === 'object') return JSON.stringify(value, (key, item) => (typeof item === 'bigint' ? Number(item) : item));
+        return String(value);
+    }
+}
@@ -0,0 +1,394 @@
+// Streaming CSV parser (RFC 4180)
+// Handles quoted fields with embedded delimiters and newlines, escaped quotes,
+// CRLF / LF / CR line endings and chunk boundaries that fall anywhere in a record.
+// Every record is reported with its starting line number and raw source text so
+// callers can explain exactly which rows they rejected.
+
+const CSV_STATE = {
+    FIELD_START: 0,
+    UNQUOTED: 1,
+    QUOTED: 2,
+    QUOTE_IN_QUOTED: 3
+};
+
+class CSVParser {
+    constructor(options = {}) {
+        this.delimiter = options.delimiter || ',';
+        this.quote = options.quote || '"';
+        this.onRecord = options.onRecord || (() => {});
+        this.onInvalid = options.onInvalid || (() => {});
+        this.reset();
+    }
+
+    reset() {
+        this.state = CSV_STATE.FIELD_START;
+        this.field = '';
+        this.fieldQuoted = false;
+        this.record = [];
+        this.line = 1;
+        this.recordLine = 1;
+        this.skipLineFeed = false;
+        this.carriageReturnCounted = false;
+        this.rawPending = '';
+        this.rawStart = 0;
+        this.recordCount = 0;
+        this.invalidCount = 0;
+    }
+
+    // Feed the next piece of decoded text. Records are emitted through onRecord
+    // as soon as they are complete; partial records are carried to the next call.
+    write(chunk) {
+        const text = chunk;
+        const length = text.length;
+        const delimiter = this.delimiter;
+        const quote = this.quote;
+        let i = 0;
+
+        if (this.skipLineFeed && length > 0) {
+            if (text[0] === '\n') i = 1;
+            this.skipLineFeed = false;
+        }
+        this.rawStart = i;
+
+        while (i < length) {
+            switch (this.state) {
+                case CSV_STATE.FIELD_START: {
+                    const char = text[i];
+                    if (char === quote) {
+                        this.state = CSV_STATE.QUOTED;
+                        this.fieldQuoted = true;
+                        i++;
+                    } else if (char === delimiter) {
+                        this.endField();
+                        i++;
+                    } else if (char === '\n' || char === '\r') {
+                        i = this.endLine(text, i);
+                    } else {
+                        this.state = CSV_STATE.UNQUOTED;
+                    }
+                    break;
+                }
+
+                case CSV_STATE.UNQUOTED: {
+                    let end = i;
+                    while (end < length) {
+                        const char = text[end];
+                        if (char === delimiter || char === '\n' || char === '\r') break;
+                        end++;
+                    }
+                    this.field += text.slice(i, end);
+                    i = end;
+                    if (i < length) {
+                        if (text[i] === delimiter) {
+                            this.endField();
+                            i++;
+                        } else {
+                            i = this.endLine(text, i);
+                        }
+                    }
+                    break;
+                }
+
+                case CSV_STATE.QUOTED: {
+                    const close = text.indexOf(quote, i);
+                    const end = close === -1 ? length : close;
+                    const segment = text.slice(i, end);
+                    this.line += this.countLineBreaks(segment, close === -1);
+                    this.field += segment;
+                    if (close === -1) {
+                        i = length;
+                    } else {
+                        this.state = CSV_STATE.QUOTE_IN_QUOTED;
+                        i = close + 1;
+                    }
+                    break;
+                }
+
+                case CSV_STATE.QUOTE_IN_QUOTED: {
+                    const char = text[i];
+                    if (char === quote) {
+                        // Escaped quote ("")
+                        this.field += quote;
+                        this.state = CSV_STATE.QUOTED;
+                        i++;
+                    } else if (char === delimiter) {
+                        this.endField();
+                        i++;
+                    } else if (char === '\n' || char === '\r') {
+                        i = this.endLine(text, i);
+                    } else {
+                        // Text after a closing quote ("abc"def) - keep it rather than lose data
+                        this.state = CSV_STATE.UNQUOTED;
+                    }
+                    break;
+                }
+            }
+        }
+
+        this.rawPending += text.slice(this.rawStart);
+        this.rawStart = 0;
+    }
+
+    // Flush whatever is left once the input is exhausted.
+    end() {
+        // An opening quote that is never closed swallows the rest of the input.
+        // Reject only the physical line it started on and re-parse what follows.
+        while (this.state === CSV_STATE.QUOTED) {
+            const raw = this.rawPending;
+            const lineBreak = raw.search(/\r\n|\n|\r/);
+            const firstLine = lineBreak === -1 ? raw : raw.slice(0, lineBreak);
+            const rest = lineBreak === -1 ? '' : raw.slice(lineBreak).replace(/^(\r\n|\n|\r)/, '');
+            const line = this.recordLine;
+
+            this.invalidCount++;
+            this.onInvalid({ line, raw: firstLine, reason: 'unbalanced_quotes' });
+
+            this.state = CSV_STATE.FIELD_START;
+            this.field = '';
+            this.fieldQuoted = false;
+            this.record = [];
+            this.rawPending = '';
+            this.line = line + 1;
+            this.recordLine = this.line;
+            this.skipLineFeed = false;
+            this.carriageReturnCounted = false;
+            this.write(rest);
+        }
+
+        if (this.state !== CSV_STATE.FIELD_START || this.record.length > 0) {
+            this.endField();
+            this.endRecord(this.rawPending);
+        }
+        this.state = CSV_STATE.FIELD_START;
+        this.rawPending = '';
+    }
+
+    endField() {
+        this.record.push(this.field);
+        this.field = '';
+        this.fieldQuoted = false;
+        this.state = CSV_STATE.FIELD_START;
+    }
+
+    // Handles \n, \r\n and a lone \r; returns the index after the line break.
+    endLine(text, i) {
+        const blank = this.record.length === 0 && this.field === '' && !this.fieldQuoted;
+        if (!blank) {
+            this.endField();
+            this.endRecord(this.rawPending + text.slice(this.rawStart, i));
+        }
+        this.rawPending = '';
+        this.line++;
+        this.recordLine = this.line;
+
+        let next = i + 1;
+        if (text[i] === '\r') {
+            if (i + 1 < text.length) {
+                if (text[i + 1] === '\n') next = i + 2;
+            } else {
+                this.skipLineFeed = true;
+            }
+        }
+        this.rawStart = next;
+        return next;
+    }
+
+    endRecord(raw) {
+        const record = this.record;
+        this.record = [];
+        this.recordCount++;
+        this.onRecord(record, { line: this.recordLine, raw });
+    }
+
+    // Line breaks inside a quoted segment. A \r that ends the chunk is counted
+    // straight away, so a \n opening the next segment belongs to it (CRLF split
+    // across two writes) and is not counted again.
+    countLineBreaks(text, atChunkEnd) {
+        let count = 0;
+        let i = 0;
+        if (this.carriageReturnCounted && text.length > 0) {
+            if (text[0] === '\n') i = 1;
+            this.carriageReturnCounted = false;
+        }
+        for (; i < text.length; i++) {
+            const char = text[i];
+            if (char === '\n') {
+                count++;
+            } else if (char === '\r' && text[i + 1] !== '\n') {
+                count++;
+            }
+        }
+        if (atChunkEnd && text[text.length - 1] === '\r') this.carriageReturnCounted = true;
+        return count;
+    }
+
+    // Parse a complete string in one go.
+    static parseText(text, options = {}) {
+        const records = [];
+        const parser = new CSVParser({
+            ...options,
+            onRecord: options.onRecord || (record => records.push(record))
+        });
+        parser.write(text);
+        parser.end();
+        return records;
+    }
+
+    // Stream a File/Blob through the parser in fixed-size chunks so the whole
+    // file never has to be held as a single string.
+    static async parseFile(file, options = {}) {
+        const chunkSize = options.chunkSize || CSVParser.DEFAULT_CHUNK_SIZE;
+        const decoder = new TextDecoder(options.encoding || 'utf-8');
+        const parser = new CSVParser(options);
+
+        for (let offset = 0; offset < file.size; offset += chunkSize) {
+            const buffer = await file.slice(offset, offset + chunkSize).arrayBuffer();
+            parser.write(decoder.decode(buffer, { stream: true }));
+            if (options.onProgress) {
+                options.onProgress(Math.min(offset + chunkSize, file.size), file.size);
+            }
+        }
+
+        parser.write(decoder.decode());
+        parser.end();
+        return parser.recordCount;
+    }
+
+    // Work out the text encoding from a byte sample: BOMs first, then the
+    // zero-byte pattern of BOM-less UTF-16, then whether the bytes are valid UTF-8.
+    static detectEncoding(bytes) {
+        if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+            return { encoding: 'utf-8', bom: true };
+        }
+        if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+            return { encoding: 'utf-16le', bom: true };
+        }
+        if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+            return { encoding: 'utf-16be', bom: true };
+        }
+
+        const length = Math.min(bytes.length, 4096) & ~1;
+        let evenZeros = 0;
+        let oddZeros = 0;
+        for (let i = 0; i < length; i += 2) {
+            if (bytes[i] === 0) evenZeros++;
+            if (bytes[i + 1] === 0) oddZeros++;
+        }
+        const pairs = length / 2;
+        if (pairs > 0 && oddZeros / pairs > 0.3 && evenZeros / pairs < 0.05) {
+            return { encoding: 'utf-16le', bom: false };
+        }
+        if (pairs > 0 && evenZeros / pairs > 0.3 && oddZeros / pairs < 0.05) {
+            return { encoding: 'utf-16be', bom: false };
+        }
+
+        try {
+            // stream: true so a multi-byte character cut off by the sample end is not an error
+            new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true });
+            return { encoding: 'utf-8', bom: false };
+        } catch (error) {
+            return { encoding: 'windows-1252', bom: false };
+        }
+    }
+
+    // Pick the candidate delimiter that splits the sample into the most
+    // consistent number of fields per record.
+    static detectDelimiter(sample) {
+        // The sample usually ends mid-record; drop the last partial line
+        const lastBreak = Math.max(sample.lastIndexOf('\n'), sample.lastIndexOf('\r'));
+        const text = lastBreak > 0 ? sample.slice(0, lastBreak) : sample;
+
+        let best = { delimiter: ',', score: 0, fields: 1 };
+
+        CSVParser.DELIMITERS.forEach(delimiter => {
+            const counts = [];
+            CSVParser.parseText(text, {
+                delimiter,
+                onRecord: record => {
+                    if (counts.length < 50) counts.push(record.length);
+                }
+            });
+            if (counts.length === 0) return;
+
+            const frequency = {};
+            counts.forEach(count => { frequency[count] = (frequency[count] || 0) + 1; });
+            const [mode, occurrences] = Object.entries(frequency)
+                .map(([count, times]) => [Number(count), times])
+                .sort((a, b) => b[1] - a[1] || b[0] - a[0])[0];
+            if (mode < 2) return;
+
+            const score = occurrences / counts.length;
+            if (score > best.score || (score === best.score && mode > best.fields)) {
+                best = { delimiter, score, fields: mode };
+            }
+        });
+
+        return best.delimiter;
+    }
+
+    // Decide whether the first record is a header. A first-row cell that looks like
+    // the numbers or dates underneath it means the file starts straight with data.
+    static detectHeader(records) {
+        if (records.length < 2) return true;
+
+        const [first, ...rest] = records;
+        const body = rest.slice(0, 50);
+        const kindOf = value => {
+            const trimmed = value.trim();
+            if (trimmed === '') return 'empty';
+            if (!isNaN(parseFloat(trimmed)) && isFinite(trimmed)) return 'number';
+            if (/^\d{1,4}[-/.]\d{1,2}[-/.]\d{1,4}/.test(trimmed) && !isNaN(new Date(trimmed).getTime())) return 'date';
+            return 'text';
+        };
+
+        for (let col = 0; col < first.length; col++) {
+            const firstKind = kindOf(first[col]);
+            if (firstKind !== 'number' && firstKind !== 'date') continue;
+
+            const bodyKinds = body.map(record => kindOf(record[col] || '')).filter(kind => kind !== 'empty');
+            const matching = bodyKinds.filter(kind => kind === firstKind).length;
+            if (bodyKinds.length > 0 && matching / bodyKinds.length > 0.5) return false;
+        }
+
+        return true;
+    }
+
+    // Generate a usable, unique set of column names from a header record.
+    // Repeats get the first free _N suffix, skipping names other headers
+    // already have ("a,a,a_2" -> "a,a_3,a_2").
+    static normalizeHeaders(fields) {
+        const names = fields.map((field, index) => field.trim() || `column_${index + 1}`);
+        const used = new Set(names);
+        const seen = {};
+        return names.map(name => {
+            if (!seen[name]) {
+                seen[name] = 1;
+                return name;
+            }
+            let unique;
+            do {
+                seen[name]++;
+                unique = `${name}_${seen[name]}`;
+            } while (used.has(unique));
+            used.add(unique);
+            return unique;
+        });
+    }
+
+    static generateHeaders(count) {
+        return Array.from({ length: count }, (_, index) => `column_${index + 1}`);
+    }
+
+    // One record as CSV text; fields holding the delimiter, a quote or a line
+    // break are quoted, with quotes doubled
+    static formatRecord(fields, delimiter = ',') {
+        return fields.map(value => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return text.includes(delimiter) || /["\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        }).join(delimiter);
+    }
+}
+
+CSVParser.DEFAULT_CHUNK_SIZE = 1024 * 1024;
+
+CSVParser.DELIMITERS = [',', '\t', ';', '|'];
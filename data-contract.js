@@ -0,0 +1,290 @@
+// Data contracts
+// Expectations a team declares for a dataset - required columns, types, allowed
+// values, patterns, ranges and unique keys - checked against the rows as
+// uploaded, before any transform or analysis runs. A contract is plain JSON
+// ({ format, version, blockOnFailure, rules }) so it can be exported, kept next
+// to the extract it describes and imported again:
+//
+//   { "check": "required", "column": "timestamp", "complete": true }
+//   { "check": "type", "column": "volume", "type": "integer" }
+//   { "check": "allowed", "column": "region", "values": ["North", "South"] }
+//   { "check": "pattern", "column": "ticker", "pattern": "^[A-Z]{1,5}$" }
+//   { "check": "range", "column": "close", "min": 0, "max": 10000 }
+//   { "check": "unique", "columns": ["timestamp"] }
+
+class DataContract {
+    // options.locale picks number styles and date orders a column cannot decide
+    static validate(data, contract, options = {}) {
+        const columns = Object.keys(data[0] || {});
+        const results = contract.rules.map(rule => {
+            const entry = { check: rule.check, description: DataContract.describe(rule), checked: 0, failed: 0, examples: [] };
+            const problem = DataContract.validateRule(rule);
+            if (problem) return { ...entry, passed: false, problem };
+
+            const missing = DataContract.ruleColumns(rule).filter(col => !columns.includes(col));
+            if (missing.length > 0) {
+                return { ...entry, passed: false, problem: `Missing column${missing.length > 1 ? 's' : ''} ${missing.join(', ')}` };
+            }
+
+            const check = DataContract.CHECKS[rule.check];
+            const result = DataContract[check.method](data, rule, options);
+            return { ...entry, ...result, passed: result.failed === 0 };
+        });
+
+        const failed = results.filter(result => !result.passed).length;
+        return {
+            passed: results.length - failed,
+            failed,
+            blocked: Boolean(contract.blockOnFailure) && failed > 0,
+            results
+        };
+    }
+
+    // Each check visits the non-empty cells of its column (all cells for
+    // required) and records failing rows, keeping the first MAX_EXAMPLES
+    static checkRequired(data, rule) {
+        const result = DataContract.result();
+        if (!rule.complete) return result;
+        data.forEach((row, index) => {
+            result.checked++;
+            if (ColumnStore.isMissing(row[rule.column])) DataContract.fail(result, index, '');
+        });
+        return result;
+    }
+
+    static checkType(data, rule, options) {
+        const values = DataContract.cells(data, rule.column).map(({ value }) => value);
+        const sample = values.slice(0, DataContract.SAMPLE_SIZE).map(String);
+        const numberStyle = LocaleParser.guessNumberStyle(sample, options.locale || 'auto').style;
+        const dateOrder = LocaleParser.guessDateOrder(sample, options.locale || 'auto').order;
+        const test = {
+            number: value => !isNaN(LocaleParser.parseNumber(value, numberStyle)),
+            integer: value => Number.isInteger(LocaleParser.parseNumber(value, numberStyle)),
+            date: value => !isNaN(LocaleParser.parseDate(value, dateOrder, TimeZones.DEFAULT_SOURCE)),
+            boolean: value => SemanticTypes.BOOLEAN_VALUES.has(String(value).trim().toLowerCase()),
+            text: () => true
+        }[rule.type];
+        return DataContract.checkCells(data, rule.column, test);
+    }
+
+    static checkAllowed(data, rule) {
+        const allowed = new Set(TransformPipeline.list(rule.values));
+        return DataContract.checkCells(data, rule.column, value => allowed.has(String(value).trim()));
+    }
+
+    static checkPattern(data, rule) {
+        const pattern = new RegExp(rule.pattern);
+        return DataContract.checkCells(data, rule.column, value => pattern.test(String(value)));
+    }
+
+    static checkRange(data, rule, options) {
+        const sample = DataContract.cells(data, rule.column).slice(0, DataContract.SAMPLE_SIZE).map(({ value }) => String(value));
+        const numberStyle = LocaleParser.guessNumberStyle(sample, options.locale || 'auto').style;
+        const min = DataContract.bound(rule.min);
+        const max = DataContract.bound(rule.max);
+        return DataContract.checkCells(data, rule.column, value => {
+            const number = LocaleParser.parseNumber(value, numberStyle);
+            return !isNaN(number) && (min === null || number >= min) && (max === null || number <= max);
+        });
+    }
+
+    // Rows whose key (the listed columns together) appeared before; rows with an
+    // empty key cell are skipped
+    static checkUnique(data, rule) {
+        const columns = DataContract.ruleColumns(rule);
+        const result = DataContract.result();
+        const seen = new Map();
+        data.forEach((row, index) => {
+            if (columns.some(col => ColumnStore.isMissing(row[col]))) return;
+            result.checked++;
+            const key = JSON.stringify(columns.map(col => String(row[col]).trim()));
+            if (seen.has(key)) DataContract.fail(result, index, columns.map(col => row[col]).join(', '), `Same as row ${seen.get(key) + 1}`);
+            else seen.set(key, index);
+        });
+        return result;
+    }
+
+    static checkCells(data, column, test) {
+        const result = DataContract.result();
+        DataContract.cells(data, column).forEach(({ value, index }) => {
+            result.checked++;
+            if (!test(value)) DataContract.fail(result, index, value);
+        });
+        return result;
+    }
+
+    static cells(data, column) {
+        const cells = [];
+        data.forEach((row, index) => {
+            if (!ColumnStore.isMissing(row[column])) cells.push({ value: row[column], index });
+        });
+        return cells;
+    }
+
+    static result() {
+        return { checked: 0, failed: 0, examples: [] };
+    }
+
+    static fail(result, index, value, note = '') {
+        result.failed++;
+        if (result.examples.length < DataContract.MAX_EXAMPLES) result.examples.push({ row: index + 1, value: String(value), note });
+    }
+
+    static bound(value) {
+        if (value === undefined || value === null || value === '') return null;
+        const number = Number(value);
+        return isNaN(number) ? null : number;
+    }
+
+    // Columns a rule reads: unique takes a list, the others one column
+    static ruleColumns(rule) {
+        return rule.check === 'unique' ? TransformPipeline.list(rule.columns) : [rule.column];
+    }
+
+    // A problem with the rule itself, or null when it can be checked
+    static validateRule(rule) {
+        const check = rule && DataContract.CHECKS[rule.check];
+        if (!check) return `Unknown check "${rule && rule.check}"`;
+
+        for (const param of check.params) {
+            const value = rule[param.name];
+            const empty = value === undefined || value === null || value === '' ||
+                ((param.kind === 'columns' || param.kind === 'names') && TransformPipeline.list(value).length === 0);
+            if (empty && !param.optional) return `${check.label}: ${param.label} is required`;
+            if (!empty && param.kind === 'select' && !param.options[value]) return `${check.label}: unknown ${param.label.toLowerCase()} "${value}"`;
+            if (!empty && param.kind === 'number' && isNaN(Number(value))) return `${check.label}: ${param.label} must be a number`;
+        }
+        if (rule.check === 'pattern') {
+            try {
+                new RegExp(rule.pattern);
+            } catch (error) {
+                return `Invalid pattern: ${error.message}`;
+            }
+        }
+        if (rule.check === 'range' && DataContract.bound(rule.min) === null && DataContract.bound(rule.max) === null) {
+            return 'Numeric range: give a minimum, a maximum or both';
+        }
+        return null;
+    }
+
+    // Reads an exported contract; a bare list of rules is accepted too. Throws
+    // on anything that is not a usable contract.
+    static parseContract(text) {
+        let contract;
+        try {
+            contract = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Not a JSON file: ${error.message}`);
+        }
+        const rules = Array.isArray(contract) ? contract : contract && contract.rules;
+        if (!Array.isArray(rules)) throw new Error('The file has no "rules" list');
+
+        rules.forEach((rule, index) => {
+            const problem = DataContract.validateRule(rule);
+            if (problem) throw new Error(`Rule ${index + 1}: ${problem}`);
+        });
+        return { blockOnFailure: Boolean(contract.blockOnFailure), rules };
+    }
+
+    static exportContract(contract) {
+        return JSON.stringify({
+            format: DataContract.FORMAT,
+            version: 1,
+            blockOnFailure: Boolean(contract.blockOnFailure),
+            rules: contract.rules
+        }, null, 2);
+    }
+
+    static describe(rule) {
+        const check = rule && DataContract.CHECKS[rule.check];
+        if (!check) return `Unknown check "${rule && rule.check}"`;
+        const names = value => TransformPipeline.list(value).join(', ');
+
+        switch (rule.check) {
+            case 'required':
+                return `${rule.column} is present${rule.complete ? ' with no empty cells' : ''}`;
+            case 'type':
+                return `${rule.column} is ${(DataContract.TYPES[rule.type] || rule.type).toLowerCase()}`;
+            case 'allowed':
+                return `${rule.column} is one of ${names(rule.values)}`;
+            case 'pattern':
+                return `${rule.column} matches /${rule.pattern}/`;
+            case 'range': {
+                const min = DataContract.bound(rule.min);
+                const max = DataContract.bound(rule.max);
+                if (min !== null && max !== null) return `${rule.column} is between ${min} and ${max}`;
+                if (min !== null) return `${rule.column} is at least ${min}`;
+                return max !== null ? `${rule.column} is at most ${max}` : `${rule.column} is in a range`;
+            }
+            case 'unique':
+                return `${names(rule.columns)} ${TransformPipeline.list(rule.columns).length > 1 ? 'are unique together' : 'is unique'}`;
+            default:
+                return check.label;
+        }
+    }
+}
+
+DataContract.FORMAT = 'data-dashboard-contract';
+// Failing cells listed per rule
+DataContract.MAX_EXAMPLES = 10;
+// Cells read to guess a column's number style and date order
+DataContract.SAMPLE_SIZE = 500;
+DataContract.TYPES = {
+    number: 'A number',
+    integer: 'A whole number',
+    date: 'A date',
+    boolean: 'Yes/no',
+    text: 'Text'
+};
+// params are edited with the same controls as transform steps (see
+// TransformPipeline.OPERATIONS); number params take a plain number
+DataContract.CHECKS = {
+    required: {
+        label: 'Required column',
+        method: 'checkRequired',
+        params: [
+            { name: 'column', label: 'Column', kind: 'column' },
+            { name: 'complete', label: 'No empty cells', kind: 'flag', optional: true }
+        ]
+    },
+    type: {
+        label: 'Column type',
+        method: 'checkType',
+        params: [
+            { name: 'column', label: 'Column', kind: 'column' },
+            { name: 'type', label: 'Type', kind: 'select', options: DataContract.TYPES }
+        ]
+    },
+    allowed: {
+        label: 'Allowed values',
+        method: 'checkAllowed',
+        params: [
+            { name: 'column', label: 'Column', kind: 'column' },
+            { name: 'values', label: 'Values (comma separated)', kind: 'names' }
+        ]
+    },
+    pattern: {
+        label: 'Matches pattern',
+        method: 'checkPattern',
+        params: [
+            { name: 'column', label: 'Column', kind: 'column' },
+            { name: 'pattern', label: 'Regular expression', kind: 'text' }
+        ]
+    },
+    range: {
+        label: 'Numeric range',
+        method: 'checkRange',
+        params: [
+            { name: 'column', label: 'Column', kind: 'column' },
+            { name: 'min', label: 'Minimum', kind: 'number', optional: true },
+            { name: 'max', label: 'Maximum', kind: 'number', optional: true }
+        ]
+    },
+    unique: {
+        label: 'Unique values',
+        method: 'checkUnique',
+        params: [
+            { name: 'columns', label: 'Columns', kind: 'columns' }
+        ]
+    }
+};
@@ -0,0 +1,168 @@
+// Combines several parsed datasets before analysis: union (append rows),
+// inner / left joins on one or more key columns, and lookup enrichment.
+// Every join reports key-match statistics so a bad join is visible rather
+// than silently shrinking or multiplying the data.
+
+class DatasetCombiner {
+    // Append rows from every dataset. Columns are aligned by name and each row
+    // records which file it came from.
+    static union(datasets) {
+        const columns = [];
+        const seen = new Set();
+        datasets.forEach(dataset => {
+            dataset.columns.forEach(column => {
+                if (!seen.has(column)) {
+                    seen.add(column);
+                    columns.push(column);
+                }
+            });
+        });
+        if (!seen.has('source_file')) columns.push('source_file');
+
+        const data = [];
+        datasets.forEach(dataset => {
+            dataset.data.forEach(row => {
+                const combined = {};
+                columns.forEach(column => {
+                    combined[column] = row[column] === undefined ? null : row[column];
+                });
+                if (row.source_file === undefined) combined.source_file = dataset.name;
+                data.push(combined);
+            });
+        });
+
+        return { data, columns };
+    }
+
+    // type is 'inner', 'left' or 'lookup'. A lookup behaves like a left join but
+    // takes only the first matching right-hand row, so it never adds rows.
+    static join(left, right, options) {
+        const { type, leftKeys, rightKeys } = options;
+        if (leftKeys.length === 0 || leftKeys.length !== rightKeys.length) {
+            throw new Error(`Choose matching key columns to join ${right.name}`);
+        }
+
+        const keyOf = (row, keys) => {
+            const parts = keys.map(key => row[key]);
+            if (parts.some(part => part === null || part === undefined || String(part).trim() === '')) return null;
+            return parts.map(part => String(part).trim()).join('␟');
+        };
+
+        // Right-hand columns that clash with left-hand names get the file name appended
+        const rightColumns = right.columns.filter(column => !rightKeys.includes(column));
+        const suffix = DatasetCombiner.columnSuffix(right.name);
+        const renamed = {};
+        rightColumns.forEach(column => {
+            renamed[column] = left.columns.includes(column) ? `${column}_${suffix}` : column;
+        });
+
+        const index = new Map();
+        right.data.forEach(row => {
+            const key = keyOf(row, rightKeys);
+            if (key === null) return;
+            if (!index.has(key)) index.set(key, []);
+            index.get(key).push(row);
+        });
+
+        const stats = {
+            type,
+            leftName: left.name,
+            rightName: right.name,
+            leftKeys,
+            rightKeys,
+            leftRows: left.data.length,
+            rightRows: right.data.length,
+            leftMatched: 0,
+            leftUnmatched: 0,
+            leftNullKeys: 0,
+            rightKeyCount: index.size,
+            rightUnmatchedKeys: 0,
+            duplicateRightKeys: 0,
+            unmatchedLeftSamples: [],
+            unmatchedRightSamples: [],
+            outputRows: 0
+        };
+
+        const usedKeys = new Set();
+        const emptyRight = {};
+        rightColumns.forEach(column => { emptyRight[renamed[column]] = null; });
+
+        const data = [];
+        left.data.forEach(row => {
+            const key = keyOf(row, leftKeys);
+            const matches = key === null ? undefined : index.get(key);
+
+            if (!matches) {
+                stats.leftUnmatched++;
+                if (key === null) {
+                    stats.leftNullKeys++;
+                } else if (stats.unmatchedLeftSamples.length < DatasetCombiner.SAMPLE_SIZE && !stats.unmatchedLeftSamples.includes(key)) {
+                    stats.unmatchedLeftSamples.push(key);
+                }
+                if (type !== 'inner') data.push({ ...row, ...emptyRight });
+                return;
+            }
+
+            stats.leftMatched++;
+            usedKeys.add(key);
+            const joined = type === 'lookup' ? matches.slice(0, 1) : matches;
+            joined.forEach(match => {
+                const combined = { ...row };
+                rightColumns.forEach(column => {
+                    combined[renamed[column]] = match[column] === undefined ? null : match[column];
+                });
+                data.push(combined);
+            });
+        });
+
+        index.forEach((rows, key) => {
+            if (rows.length > 1) stats.duplicateRightKeys++;
+            if (!usedKeys.has(key)) {
+                stats.rightUnmatchedKeys++;
+                if (stats.unmatchedRightSamples.length < DatasetCombiner.SAMPLE_SIZE) {
+                    stats.unmatchedRightSamples.push(key);
+                }
+            }
+        });
+        stats.outputRows = data.length;
+
+        const columns = [...left.columns, ...rightColumns.map(column => renamed[column])];
+        return { data, columns, stats };
+    }
+
+    // Suggest the key pair whose values overlap the most between two datasets
+    static suggestKeys(left, right) {
+        const sample = (dataset, column) => new Set(
+            dataset.data.slice(0, 1000)
+                .map(row => row[column])
+                .filter(value => value !== null && value !== undefined && String(value).trim() !== '')
+                .map(value => String(value).trim())
+        );
+
+        let best = null;
+        left.columns.forEach(leftColumn => {
+            const leftValues = sample(left, leftColumn);
+            if (leftValues.size === 0) return;
+            right.columns.forEach(rightColumn => {
+                const rightValues = sample(right, rightColumn);
+                if (rightValues.size === 0) return;
+                let overlap = 0;
+                rightValues.forEach(value => { if (leftValues.has(value)) overlap++; });
+                // Prefer columns with the same name, then higher overlap
+                const score = overlap / rightValues.size + (leftColumn.toLowerCase() === rightColumn.toLowerCase() ? 0.5 : 0);
+                if (overlap > 0 && (!best || score > best.score)) {
+                    best = { leftKey: leftColumn, rightKey: rightColumn, score };
+                }
+            });
+        });
+
+        return best;
+    }
+
+    static columnSuffix(fileName) {
+        return fileName.replace(/\.[^.]+$/, '').replace(/[^A-Za-z0-9]+/g, '_').replace(/^_|_$/g, '').toLowerCase() || 'right';
+    }
+}
+
+// Unmatched keys listed per side in the key-match report
+DatasetCombiner.SAMPLE_SIZE = 10;
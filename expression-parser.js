@@ -0,0 +1,445 @@
+// Expression language for calculated columns
+// A small formula language, sandboxed: the text is tokenised and parsed into a
+// tree that is walked row by row. Nothing is handed to eval or Function, and
+// only the functions in ExpressionParser.FUNCTIONS can be called.
+//
+//   (high - low) / low              close > open ? "up" : "down"
+//   if(impressions > 0, clicks / impressions, null)
+//   upper(left(region, 3))          hour(timestamp)          close - lag(close, 1)
+//
+// Columns are referenced by name, or in square brackets when the name has spaces
+// or punctuation: [Unit Price] * [Qty]. Missing cells are null, and null
+// propagates through arithmetic instead of turning into 0.
+
+class ExpressionParser {
+    // { tree, columns } for source; throws an Error naming the position of the
+    // first problem. columns are the column names the expression reads.
+    static parse(source) {
+        const text = String(source === undefined || source === null ? '' : source);
+        if (text.trim() === '') throw new Error('The expression is empty');
+        if (text.length > ExpressionParser.MAX_LENGTH) {
+            throw new Error(`Expressions are limited to ${ExpressionParser.MAX_LENGTH} characters`);
+        }
+
+        const tokens = ExpressionParser.tokenize(text);
+        const columns = [];
+        let position = 0;
+
+        const peek = () => tokens[position];
+        const fail = (token, message) => {
+            const what = message || `Unexpected ${token.type === 'end' ? 'end of expression' : `"${token.text}"`}`;
+            throw new Error(`${what} at position ${token.position + 1}`);
+        };
+        const accept = value => {
+            const token = peek();
+            if (token.type !== 'operator' || token.value !== value) return false;
+            position++;
+            return true;
+        };
+        const expect = value => accept(value) || fail(peek());
+        const binary = (operators, operand) => {
+            let left = operand();
+            while (peek().type === 'operator' && operators.includes(peek().value)) {
+                const operator = tokens[position++].value;
+                left = { type: 'binary', operator, left, right: operand() };
+            }
+            return left;
+        };
+
+        // Lowest to highest precedence: ?: | or | and | not | comparison | + - & |
+        // * / % | unary minus | ^
+        function conditional() {
+            const test = or();
+            if (!accept('?')) return test;
+            const consequent = conditional();
+            expect(':');
+            return { type: 'conditional', test, consequent, alternate: conditional() };
+        }
+        function or() {
+            return binary(['||'], and);
+        }
+        function and() {
+            return binary(['&&'], not);
+        }
+        function not() {
+            return accept('!') ? { type: 'unary', operator: '!', operand: not() } : comparison();
+        }
+        function comparison() {
+            return binary(['=', '!=', '<', '<=', '>', '>='], additive);
+        }
+        function additive() {
+            return binary(['+', '-', '&'], multiplicative);
+        }
+        function multiplicative() {
+            return binary(['*', '/', '%'], unary);
+        }
+        function unary() {
+            if (accept('-')) return { type: 'unary', operator: '-', operand: unary() };
+            if (accept('+')) return unary();
+            return power();
+        }
+        // Right associative and tighter than unary minus, so -2^2 is -4
+        function power() {
+            const base = primary();
+            return accept('^') ? { type: 'binary', operator: '^', left: base, right: unary() } : base;
+        }
+        function primary() {
+            const token = tokens[position++];
+            if (token.type === 'literal') return { type: 'literal', value: token.value };
+            if (token.type === 'identifier' && peek().type === 'operator' && peek().value === '(') return call(token);
+            if (token.type === 'identifier' || token.type === 'column') {
+                if (!columns.includes(token.value)) columns.push(token.value);
+                return { type: 'column', name: token.value };
+            }
+            if (token.type === 'operator' && token.value === '(') {
+                const inner = conditional();
+                expect(')');
+                return inner;
+            }
+            return fail(token);
+        }
+        function call(token) {
+            const name = token.value.toLowerCase();
+            if (!ExpressionParser.hasFunction(name)) fail(token, `Unknown function "${token.value}"`);
+            expect('(');
+            const args = [];
+            if (!accept(')')) {
+                do {
+                    args.push(conditional());
+                } while (accept(','));
+                expect(')');
+            }
+
+            const [min, max] = ExpressionParser.FUNCTIONS[name].arity;
+            if (args.length < min || args.length > max) {
+                const expected = min === max ? `${min}` : max === Infinity ? `at least ${min}` : `${min} to ${max}`;
+                fail(token, `${name}() takes ${expected} argument${expected === '1' ? '' : 's'}, not ${args.length}`);
+            }
+            return { type: 'call', name, args };
+        }
+
+        const tree = conditional();
+        if (peek().type !== 'end') fail(peek());
+        return { tree, columns };
+    }
+
+    static tokenize(text) {
+        const tokens = [];
+        let index = 0;
+
+        while (index < text.length) {
+            const rest = text.slice(index);
+            const start = index;
+            let match;
+
+            if ((match = rest.match(/^\s+/))) {
+                index += match[0].length;
+                continue;
+            }
+            if ((match = rest.match(/^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i))) {
+                tokens.push({ type: 'literal', value: Number(match[0]), text: match[0], position: start });
+            } else if ((match = rest.match(/^"((?:[^"\\]|\\.|"")*)"|^'((?:[^'\\]|\\.|'')*)'/))) {
+                const quote = match[0][0];
+                const body = match[1] !== undefined ? match[1] : match[2];
+                const value = body.replace(new RegExp(`${quote}${quote}`, 'g'), quote).replace(/\\(.)/g, '$1');
+                tokens.push({ type: 'literal', value, text: match[0], position: start });
+            } else if ((match = rest.match(/^\[((?:[^\]]|\]\])*)\]/))) {
+                tokens.push({ type: 'column', value: match[1].replace(/\]\]/g, ']'), text: match[0], position: start });
+            } else if ((match = rest.match(/^[A-Za-z_][\w.]*/))) {
+                const word = match[0].toLowerCase();
+                if (Object.prototype.hasOwnProperty.call(ExpressionParser.KEYWORDS, word)) {
+                    const keyword = ExpressionParser.KEYWORDS[word];
+                    tokens.push({ type: keyword.operator ? 'operator' : 'literal', value: keyword.operator || keyword.value, text: match[0], position: start });
+                } else {
+                    tokens.push({ type: 'identifier', value: match[0], text: match[0], position: start });
+                }
+            } else if ((match = rest.match(/^(<=|>=|<>|!=|==|&&|\|\||[-+*/%^&=<>!?:(),])/))) {
+                const value = { '<>': '!=', '==': '=' }[match[0]] || match[0];
+                tokens.push({ type: 'operator', value, text: match[0], position: start });
+            } else if (/^["']/.test(rest)) {
+                throw new Error(`Unclosed string at position ${start + 1}`);
+            } else if (rest[0] === '[') {
+                throw new Error(`Unclosed [column name] at position ${start + 1}`);
+            } else {
+                throw new Error(`Unexpected "${rest[0]}" at position ${start + 1}`);
+            }
+            index += match[0].length;
+        }
+
+        tokens.push({ type: 'end', text: '', position: text.length });
+        return tokens;
+    }
+
+    static hasFunction(name) {
+        return Object.prototype.hasOwnProperty.call(ExpressionParser.FUNCTIONS, name);
+    }
+
+    // A function of (rows, index) giving the expression's value for rows[index].
+    // options.numberStyle / dateOrder say how text cells are read as numbers and dates.
+    static compile(source, options = {}) {
+        const { tree } = ExpressionParser.parse(source);
+        const context = ExpressionParser.context(options);
+        return (rows, index) => ExpressionParser.evaluate(tree, rows, index, context);
+    }
+
+    static evaluate(node, rows, index, context) {
+        const evaluate = child => ExpressionParser.evaluate(child, rows, index, context);
+
+        switch (node.type) {
+            case 'literal':
+                return node.value;
+            case 'column': {
+                const row = rows[index];
+                if (!row || !Object.prototype.hasOwnProperty.call(row, node.name)) return null;
+                const value = row[node.name];
+                return ColumnStore.isMissing(value) ? null : value;
+            }
+            case 'unary': {
+                const operand = evaluate(node.operand);
+                if (node.operator === '!') return !context.truthy(operand);
+                const number = context.number(operand);
+                return number === null ? null : -number;
+            }
+            case 'conditional':
+                return context.truthy(evaluate(node.test)) ? evaluate(node.consequent) : evaluate(node.alternate);
+            case 'binary':
+                return ExpressionParser.binary(node, evaluate, context);
+            case 'call': {
+                const definition = ExpressionParser.FUNCTIONS[node.name];
+                // Lazy functions get the argument trees and decide what to evaluate,
+                // and at which row
+                if (definition.lazy) return definition.run(context, node.args, rows, index);
+                return definition.run(context, ...node.args.map(evaluate));
+            }
+            default:
+                return null;
+        }
+    }
+
+    static binary(node, evaluate, context) {
+        const { operator } = node;
+        if (operator === '&&') return context.truthy(evaluate(node.left)) && context.truthy(evaluate(node.right));
+        if (operator === '||') return context.truthy(evaluate(node.left)) || context.truthy(evaluate(node.right));
+
+        const left = evaluate(node.left);
+        const right = evaluate(node.right);
+        if (operator === '&') return context.text(left) + context.text(right);
+
+        const a = context.number(left);
+        const b = context.number(right);
+        if (['=', '!=', '<', '<=', '>', '>='].includes(operator)) {
+            if (left === null || right === null) {
+                if (operator === '=') return left === right;
+                if (operator === '!=') return left !== right;
+                return null;
+            }
+            const order = a !== null && b !== null ? a - b : String(left).localeCompare(String(right));
+            return { '=': order === 0, '!=': order !== 0, '<': order < 0, '<=': order <= 0, '>': order > 0, '>=': order >= 0 }[operator];
+        }
+
+        // + joins text when either side is not a number
+        if (operator === '+' && left !== null && right !== null && (a === null || b === null)) {
+            return context.text(left) + context.text(right);
+        }
+        if (a === null || b === null) return null;
+        switch (operator) {
+            case '+': return a + b;
+            case '-': return a - b;
+            case '*': return a * b;
+            case '/': return b === 0 ? null : a / b;
+            case '%': return b === 0 ? null : a % b;
+            case '^': return context.finite(Math.pow(a, b));
+            default: return null;
+        }
+    }
+
+    // Conversions shared by operators and functions
+    static context(options) {
+        const { numberStyle = 'comma-dot', dateOrder = 'MDY' } = options;
+        const context = {
+            number(value) {
+                if (value === null || value === undefined || value === '') return null;
+                if (typeof value === 'boolean') return value ? 1 : 0;
+                const number = typeof value === 'number' ? value : LocaleParser.parseNumber(value, numberStyle);
+                return isFinite(number) ? number : null;
+            },
+            text(value) {
+                if (value === null || value === undefined) return '';
+                if (typeof value === 'number') return String(Math.round(value * 1e10) / 1e10);
+                return String(value);
+            },
+            truthy(value) {
+                if (value === null || value === undefined || value === false || value === '') return false;
+                if (typeof value === 'string' && ['false', 'no', 'n', 'f'].includes(value.toLowerCase())) return false;
+                const number = context.number(value);
+                return number === null || number !== 0;
+            },
+            finite(value) {
+                return typeof value === 'number' && !isFinite(value) ? null : value;
+            },
+            // Calendar fields as written in the cell, so "2025-05-30 19:55" is hour
+            // 19 whatever zone the dashboard shows; numbers and Dates read as UTC
+            date(value) {
+                if (value === null || value === undefined || value === '') return null;
+                if (typeof value === 'number' || value instanceof Date) {
+                    const date = new Date(value);
+                    if (isNaN(date.getTime())) return null;
+                    return {
+                        year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(),
+                        hour: date.getUTCHours(), minute: date.getUTCMinutes(), second: date.getUTCSeconds()
+                    };
+                }
+                return LocaleParser.dateParts(String(value).trim(), dateOrder);
+            },
+            // Days since 1970-01-01 of a date's calendar day
+            dayNumber(parts) {
+                return Math.floor(TimeZones.utc(parts.year, parts.month, parts.day, 0, 0, 0, 0) / TimeZones.DAY);
+            },
+            // Whole-number argument such as lag's offset, or null
+            count(value) {
+                const number = context.number(value);
+                return number !== null && Number.isInteger(number) && number >= 0 ? number : null;
+            }
+        };
+        return context;
+    }
+
+    // What a result becomes in the row: numbers stay numbers, booleans become
+    // "true"/"false" and null an empty (missing) cell
+    static toCell(value) {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'boolean') return value ? 'true' : 'false';
+        if (typeof value === 'number') return isFinite(value) ? value : '';
+        return String(value);
+    }
+}
+
+ExpressionParser.MAX_LENGTH = 2000;
+
+// Words with a meaning of their own; columns with these names need [brackets]
+ExpressionParser.KEYWORDS = {
+    and: { operator: '&&' },
+    or: { operator: '||' },
+    not: { operator: '!' },
+    true: { value: true },
+    false: { value: false },
+    null: { value: null }
+};
+
+// arity is [min, max] arguments. run gets the conversion context and the
+// evaluated arguments, or for lazy functions the argument trees, the rows and
+// the current row index.
+ExpressionParser.FUNCTIONS = (() => {
+    // Numeric functions return null when any argument is not a number
+    const numeric = (arity, fn) => ({
+        arity,
+        run: (context, ...args) => {
+            const numbers = args.map(context.number);
+            return numbers.includes(null) ? null : context.finite(fn(...numbers));
+        }
+    });
+    // Text functions get the first argument as text and the rest as they are
+    const textual = (arity, fn) => ({
+        arity,
+        run: (context, value, ...args) => (value === null ? null : fn(context.text(value), args, context))
+    });
+    const datePart = fn => ({
+        arity: [1, 1],
+        run: (context, value) => {
+            const parts = context.date(value);
+            return parts ? fn(parts, context) : null;
+        }
+    });
+    // lag(expr, n) / lead(expr, n): expr evaluated n rows before / after this one
+    const shifted = direction => ({
+        arity: [1, 2],
+        lazy: true,
+        run: (context, args, rows, index) => {
+            const n = args.length > 1 ? context.count(ExpressionParser.evaluate(args[1], rows, index, context)) : 1;
+            const target = n === null ? -1 : index + direction * n;
+            return target >= 0 && target < rows.length ? ExpressionParser.evaluate(args[0], rows, target, context) : null;
+        }
+    });
+
+    return {
+        // Conditionals and missing values
+        if: {
+            arity: [2, 3],
+            lazy: true,
+            run: (context, args, rows, index) => {
+                const branch = context.truthy(ExpressionParser.evaluate(args[0], rows, index, context)) ? args[1] : args[2];
+                return branch ? ExpressionParser.evaluate(branch, rows, index, context) : null;
+            }
+        },
+        coalesce: {
+            arity: [1, Infinity],
+            run: (context, ...args) => {
+                const found = args.find(value => value !== null && value !== '');
+                return found === undefined ? null : found;
+            }
+        },
+        isblank: { arity: [1, 1], run: (context, value) => value === null || value === '' },
+
+        // Arithmetic
+        abs: numeric([1, 1], Math.abs),
+        round: numeric([1, 2], (value, digits = 0) => {
+            const factor = Math.pow(10, digits);
+            return Math.round(value * factor) / factor;
+        }),
+        floor: numeric([1, 1], Math.floor),
+        ceil: numeric([1, 1], Math.ceil),
+        sqrt: numeric([1, 1], value => (value < 0 ? NaN : Math.sqrt(value))),
+        pow: numeric([2, 2], Math.pow),
+        exp: numeric([1, 1], Math.exp),
+        ln: numeric([1, 1], value => (value <= 0 ? NaN : Math.log(value))),
+        log10: numeric([1, 1], value => (value <= 0 ? NaN : Math.log10(value))),
+        sign: numeric([1, 1], Math.sign),
+        min: numeric([1, Infinity], Math.min),
+        max: numeric([1, Infinity], Math.max),
+        number: numeric([1, 1], value => value),
+
+        // Text
+        text: { arity: [1, 1], run: (context, value) => context.text(value) },
+        upper: textual([1, 1], text => text.toUpperCase()),
+        lower: textual([1, 1], text => text.toLowerCase()),
+        trim: textual([1, 1], text => text.trim()),
+        len: textual([1, 1], text => text.length),
+        left: textual([2, 2], (text, [count], context) => text.slice(0, context.count(count) || 0)),
+        right: textual([2, 2], (text, [count], context) => {
+            const n = context.count(count) || 0;
+            return n === 0 ? '' : text.slice(-n);
+        }),
+        // 1-based start, like spreadsheet MID
+        mid: textual([2, 3], (text, [start, length], context) => {
+            const from = Math.max((context.number(start) || 1) - 1, 0);
+            return length === undefined ? text.slice(from) : text.substr(from, context.count(length) || 0);
+        }),
+        replace: textual([3, 3], (text, [find, replacement], context) => text.split(context.text(find)).join(context.text(replacement))),
+        contains: textual([2, 2], (text, [part], context) => text.toLowerCase().includes(context.text(part).toLowerCase())),
+        concat: { arity: [1, Infinity], run: (context, ...args) => args.map(context.text).join('') },
+
+        // Dates
+        year: datePart(parts => parts.year),
+        quarter: datePart(parts => Math.ceil(parts.month / 3)),
+        month: datePart(parts => parts.month),
+        day: datePart(parts => parts.day),
+        hour: datePart(parts => parts.hour),
+        minute: datePart(parts => parts.minute),
+        second: datePart(parts => parts.second),
+        // ISO weekday: 1 = Monday ... 7 = Sunday
+        weekday: datePart((parts, context) => ((context.dayNumber(parts) + 3) % 7 + 7) % 7 + 1),
+        date: datePart(parts => `${String(parts.year).padStart(4, '0')}-${String(parts.month).padStart(2, '0')}-${String(parts.day).padStart(2, '0')}`),
+        days_between: {
+            arity: [2, 2],
+            run: (context, from, to) => {
+                const [a, b] = [from, to].map(context.date);
+                return a && b ? context.dayNumber(b) - context.dayNumber(a) : null;
+            }
+        },
+
+        // Other rows
+        lag: shifted(-1),
+        lead: shifted(1),
+        rownum: { arity: [0, 0], lazy: true, run: (context, args, rows, index) => index + 1 }
+    };
+})();
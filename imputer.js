@@ -0,0 +1,153 @@
+// Missing-value imputation
+// Fills the gaps of ColumnStore columns in place, one strategy per column, and
+// marks every filled cell in the column's imputed bitmap so the page can flag
+// it. Rows are never re-parsed: numeric and date columns are filled in their
+// Float64Array, categorical ones by dictionary code.
+
+class Imputer {
+    // Methods that apply to a column of the given store kind
+    static methodsFor(kind) {
+        return Object.keys(Imputer.METHODS).filter(method => Imputer.METHODS[method].kinds.includes(kind));
+    }
+
+    // Fills the missing cells of one column. options.order lists the rows in the
+    // order fills and interpolation follow (time order for time series; row order
+    // when absent), options.times the time of each row for interpolation, and
+    // options.constant the already-parsed value for the constant method.
+    // Returns { filled, unfilled }; 'drop' is left to the caller, which removes rows.
+    static fill(store, name, method, options = {}) {
+        const column = store.column(name);
+        if (!column.imputed) column.imputed = ColumnStore.bitmap(store.rowCount);
+        const order = options.order || Uint32Array.from({ length: store.rowCount }, (value, row) => row);
+        const missing = store.rowCount - column.count;
+        if (missing === 0 || method === 'drop') return { filled: 0, unfilled: 0 };
+
+        const fills = column.kind === 'categorical'
+            ? Imputer.categoricalFills(column, method, order, options)
+            : Imputer.numericFills(store, name, column, method, order, options);
+
+        fills.forEach((value, row) => {
+            if (column.kind === 'categorical') {
+                column.codes[row] = value;
+            } else {
+                column.values[row] = value;
+                ColumnStore.setBit(column.valid, row);
+            }
+            ColumnStore.setBit(column.imputed, row);
+        });
+        column.count += fills.size;
+        store.invalidate(name);
+        return { filled: fills.size, unfilled: missing - fills.size };
+    }
+
+    // Map of row -> value for the missing cells of a numeric or date column
+    static numericFills(store, name, column, method, order, options) {
+        const fills = new Map();
+        const missingRows = () => order.filter(row => !ColumnStore.isValid(column, row));
+
+        if (method === 'mean' || method === 'median' || method === 'mode' || method === 'constant') {
+            const stats = store.stats(name);
+            const value = {
+                mean: () => stats.moments.mean,
+                median: () => stats.quantile(0.5),
+                mode: () => Imputer.mostFrequent(store.values(name)),
+                constant: () => options.constant
+            }[method]();
+            if (typeof value !== 'number' || isNaN(value)) return fills;
+            missingRows().forEach(row => fills.set(row, value));
+            return fills;
+        }
+
+        if (method === 'ffill' || method === 'bfill') {
+            const sequence = method === 'ffill' ? order : [...order].reverse();
+            let carried = null;
+            sequence.forEach(row => {
+                if (ColumnStore.isValid(column, row)) carried = column.values[row];
+                else if (carried !== null) fills.set(row, carried);
+            });
+            return fills;
+        }
+
+        // Linear interpolation between the nearest known values on either side,
+        // weighted by time when row times are known; gaps at either end stay missing
+        let previous = -1;
+        for (let position = 0; position < order.length; position++) {
+            const row = order[position];
+            if (!ColumnStore.isValid(column, row)) continue;
+            if (previous >= 0 && position - previous > 1) {
+                const startRow = order[previous];
+                const start = column.values[startRow];
+                const end = column.values[row];
+                for (let gap = previous + 1; gap < position; gap++) {
+                    const gapRow = order[gap];
+                    const times = options.times;
+                    const span = times ? times[row] - times[startRow] : 0;
+                    const weight = span > 0
+                        ? (times[gapRow] - times[startRow]) / span
+                        : (gap - previous) / (position - previous);
+                    fills.set(gapRow, start + (end - start) * weight);
+                }
+            }
+            previous = position;
+        }
+        return fills;
+    }
+
+    static categoricalFills(column, method, order, options) {
+        const fills = new Map();
+        const missingRows = () => order.filter(row => column.codes[row] === -1);
+
+        if (method === 'mode' || method === 'constant') {
+            let code = -1;
+            if (method === 'mode') {
+                code = Imputer.mostFrequent(column.codes.filter(value => value !== -1));
+            } else if (options.constant !== undefined && options.constant !== '') {
+                const label = String(options.constant);
+                code = column.dictionary.indexOf(label);
+                if (code === -1) code = column.dictionary.push(label) - 1;
+            }
+            if (code === -1 || code === undefined || isNaN(code)) return fills;
+            missingRows().forEach(row => fills.set(row, code));
+            return fills;
+        }
+
+        if (method === 'ffill' || method === 'bfill') {
+            const sequence = method === 'ffill' ? order : [...order].reverse();
+            let carried = -1;
+            sequence.forEach(row => {
+                if (column.codes[row] !== -1) carried = column.codes[row];
+                else if (carried !== -1) fills.set(row, carried);
+            });
+        }
+        return fills;
+    }
+
+    // The most common value; the smallest one on a tie, so results are stable
+    static mostFrequent(values) {
+        const counts = new Map();
+        let best = NaN;
+        let bestCount = 0;
+        for (let i = 0; i < values.length; i++) {
+            const value = values[i];
+            const count = (counts.get(value) || 0) + 1;
+            counts.set(value, count);
+            if (count > bestCount || (count === bestCount && value < best)) {
+                best = value;
+                bestCount = count;
+            }
+        }
+        return best;
+    }
+}
+
+// kinds are the ColumnStore column kinds a method can fill
+Imputer.METHODS = {
+    drop: { label: 'Drop rows', kinds: ['numeric', 'date', 'categorical'] },
+    mean: { label: 'Mean', kinds: ['numeric'] },
+    median: { label: 'Median', kinds: ['numeric'] },
+    mode: { label: 'Most frequent value', kinds: ['numeric', 'categorical'] },
+    ffill: { label: 'Forward fill', kinds: ['numeric', 'date', 'categorical'] },
+    bfill: { label: 'Back fill', kinds: ['numeric', 'date', 'categorical'] },
+    interpolate: { label: 'Linear interpolation', kinds: ['numeric', 'date'] },
+    constant: { label: 'Constant', kinds: ['numeric', 'date', 'categorical'] }
+};
@@ -0,0 +1,186 @@
+// JSON / JSON Lines importer
+// Locates the records array inside wrapped API responses, streams NDJSON files
+// line by line and flattens nested objects into dot-path columns.
+
+class JSONImporter {
+    static isJSONLines(fileName, sample) {
+        if (/\.(jsonl|ndjson)$/i.test(fileName)) return true;
+
+        const lines = sample.split(/\r?\n/).filter(line => line.trim() !== '');
+        if (lines.length < 2 || !/^\s*[[{]/.test(lines[1])) return false;
+        try {
+            JSON.parse(lines[0]);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Stream an NDJSON file one line at a time. Lines that are not valid JSON are
+    // reported through onInvalid instead of aborting the import.
+    static async parseLinesFile(file, options = {}) {
+        const chunkSize = options.chunkSize || CSVParser.DEFAULT_CHUNK_SIZE;
+        const decoder = new TextDecoder(options.encoding || 'utf-8');
+        const onRecord = options.onRecord || (() => {});
+        const onInvalid = options.onInvalid || (() => {});
+        let pending = '';
+        let line = 0;
+
+        const handleLine = (text) => {
+            line++;
+            if (text.trim() === '') return;
+            try {
+                onRecord(JSON.parse(text), { line, raw: text });
+            } catch (error) {
+                onInvalid({ line, raw: text, reason: 'invalid_json' });
+            }
+        };
+
+        for (let offset = 0; offset < file.size; offset += chunkSize) {
+            const buffer = await file.slice(offset, offset + chunkSize).arrayBuffer();
+            const lines = (pending + decoder.decode(buffer, { stream: true })).split('\n');
+            pending = lines.pop();
+            lines.forEach(text => handleLine(text.replace(/\r$/, '')));
+            if (options.onProgress) {
+                options.onProgress(Math.min(offset + chunkSize, file.size), file.size);
+            }
+        }
+
+        pending += decoder.decode();
+        if (pending !== '') handleLine(pending.replace(/\r$/, ''));
+    }
+
+    // List every array of objects reachable from the parsed document, largest first,
+    // so the user can choose which one holds the records.
+    static findRecordPaths(json, maxDepth = 4) {
+        const paths = [];
+
+        const visit = (value, path, depth) => {
+            if (Array.isArray(value)) {
+                if (value.some(item => JSONImporter.isPlainObject(item))) {
+                    paths.push({ path, length: value.length });
+                }
+                return;
+            }
+            if (!JSONImporter.isPlainObject(value) || depth >= maxDepth) return;
+            Object.entries(value).forEach(([key, child]) => {
+                visit(child, path ? `${path}.${key}` : key, depth + 1);
+            });
+        };
+
+        visit(json, '', 0);
+
+        const preferred = JSONImporter.PREFERRED_KEYS;
+        const rank = entry => {
+            const key = entry.path.split('.').pop().toLowerCase();
+            return preferred.includes(key) ? 0 : 1;
+        };
+        return paths.sort((a, b) => rank(a) - rank(b) || b.length - a.length);
+    }
+
+    static getPath(value, path) {
+        if (!path) return value;
+        return path.split('.').reduce((current, key) => (current == null ? undefined : current[key]), value);
+    }
+
+    // Dot-paths of array-valued fields in a sample of records; these are the
+    // candidates for the explode strategy.
+    static findArrayFields(records, sampleSize = 100) {
+        const fields = new Set();
+
+        const visit = (value, path) => {
+            if (Array.isArray(value)) {
+                fields.add(path);
+                return;
+            }
+            if (!JSONImporter.isPlainObject(value)) return;
+            Object.entries(value).forEach(([key, child]) => visit(child, path ? `${path}.${key}` : key));
+        };
+
+        records.slice(0, sampleSize).forEach(record => visit(record, ''));
+        return [...fields];
+    }
+
+    // Flatten one record into one or more flat rows.
+    //   arrayStrategy 'join'    - array values are joined into a single cell (", " separated)
+    //   arrayStrategy 'explode' - the array at explodePath produces one row per element;
+    //                             any other arrays are joined
+    static flatten(record, options = {}) {
+        const strategy = options.arrayStrategy || 'join';
+        const explodePath = options.explodePath || null;
+
+        if (!JSONImporter.isPlainObject(record)) {
+            return [{ value: JSONImporter.toCell(record) }];
+        }
+
+        if (strategy === 'explode' && explodePath) {
+            const items = JSONImporter.getPath(record, explodePath);
+            if (Array.isArray(items)) {
+                const base = JSONImporter.flattenObject(record, '', {}, explodePath);
+                if (items.length === 0) return [base];
+                return items.map(item => {
+                    const row = { ...base };
+                    if (JSONImporter.isPlainObject(item)) {
+                        JSONImporter.flattenObject(item, explodePath, row, null);
+                    } else {
+                        row[explodePath] = JSONImporter.toCell(item);
+                    }
+                    return row;
+                });
+            }
+        }
+
+        return [JSONImporter.flattenObject(record, '', {}, null)];
+    }
+
+    static flattenObject(value, prefix, target, skipPath) {
+        Object.entries(value).forEach(([key, child]) => {
+            const path = prefix ? `${prefix}.${key}` : key;
+            if (path === skipPath) return;
+
+            if (JSONImporter.isPlainObject(child)) {
+                JSONImporter.flattenObject(child, path, target, skipPath);
+            } else if (Array.isArray(child)) {
+                JSONImporter.joinArray(child, path, target);
+            } else {
+                target[path] = JSONImporter.toCell(child);
+            }
+        });
+        return target;
+    }
+
+    // Arrays of objects are joined per sub-field (items.sku = "A1, B2") so the
+    // values stay aligned with their own columns.
+    static joinArray(items, path, target) {
+        const columns = {};
+        items.forEach(item => {
+            const flat = JSONImporter.isPlainObject(item)
+                ? JSONImporter.flattenObject(item, path, {}, null)
+                : { [path]: JSONImporter.toCell(Array.isArray(item) ? JSON.stringify(item) : item) };
+            Object.entries(flat).forEach(([key, value]) => {
+                if (!columns[key]) columns[key] = [];
+                if (value !== null && value !== '') columns[key].push(value);
+            });
+        });
+
+        // An empty array adds no columns; the row simply has no value for them
+        Object.entries(columns).forEach(([key, values]) => {
+            target[key] = values.join(', ');
+        });
+    }
+
+    // Keep numbers numeric; everything else becomes a string so booleans are not
+    // mistaken for dates or numbers further down the pipeline.
+    static toCell(value) {
+        if (value === null || value === undefined) return null;
+        if (typeof value === 'number') return value;
+        return String(value);
+    }
+
+    static isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+}
+
+// Container keys API responses commonly wrap their records in
+JSONImporter.PREFERRED_KEYS = ['data', 'records', 'items', 'results', 'rows', 'entries'];
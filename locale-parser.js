@@ -0,0 +1,285 @@
+// Locale-aware value parsing
+// Every numeric and date cell the analyses read goes through here. Numbers are
+// read with an explicit number style (which character groups thousands, which
+// marks decimals); dates with an explicit day/month order. Both are guessed per
+// column from the values and the selected locale, and the guess says when the
+// data alone cannot decide (03/04/2025, 1.234).
+
+class LocaleParser {
+    // Number style and date order the locale uses when the data is ambiguous
+    static defaults(locale) {
+        if (locale === 'auto') locale = LocaleParser.browserLocale();
+        return LocaleParser.LOCALES[locale] || LocaleParser.LOCALES['en-US'];
+    }
+
+    static browserLocale() {
+        const language = typeof navigator !== 'undefined' && navigator.language;
+        if (!language) return 'en-US';
+        if (LocaleParser.LOCALES[language]) return language;
+        const prefix = language.split('-')[0];
+        return Object.keys(LocaleParser.LOCALES).find(locale => locale.startsWith(`${prefix}-`)) || 'en-US';
+    }
+
+    // "1.234,56 €", "(1,234.00)", "12,5 %", "−3", "1 234" -> number, or NaN
+    static parseNumber(value, style = 'comma-dot') {
+        if (typeof value === 'number') return value;
+        if (value === null || value === undefined || typeof value === 'boolean') return NaN;
+
+        let text = String(value).trim().replace(/[−‒–]/g, '-');
+        let negative = false;
+        // Accounting negatives: (123) and a trailing minus, 123-
+        if (/^\(.*\)$/.test(text)) {
+            negative = true;
+            text = text.slice(1, -1);
+        }
+        text = text.replace(LocaleParser.CURRENCY_PATTERN, '').replace(/%/g, '').replace(/\s/g, '');
+        if (/\d-$/.test(text)) {
+            negative = !negative;
+            text = text.slice(0, -1);
+        }
+
+        const { group, decimal, grouped } = LocaleParser.NUMBER_STYLES[style] || LocaleParser.NUMBER_STYLES['comma-dot'];
+        // Group separators only count in thousands positions: "1.5" is not 15
+        if (group !== ' ' && text.includes(group)) {
+            if (!grouped.test(text)) return NaN;
+            text = text.split(group).join('');
+        }
+        if (decimal !== '.') {
+            if (text.includes('.')) return NaN;
+            text = text.replace(decimal, '.');
+        }
+        if (!/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(text)) return NaN;
+
+        const number = parseFloat(text);
+        return negative ? -number : number;
+    }
+
+    // { style, ambiguous } for a column sample. Values with both separators, or
+    // a separator not followed by exactly three digits, decide the style; values
+    // like "1,234" or "1.234" could be either and only count as ambiguous.
+    static guessNumberStyle(values, locale) {
+        const votes = {};
+        let ambiguous = 0;
+
+        values.forEach(value => {
+            if (typeof value !== 'string') return;
+            const text = value.replace(LocaleParser.CURRENCY_PATTERN, '').replace(/[%()\s+-]/g, '');
+            if (!/^[\d.,']+$/.test(text) || !/\d/.test(text)) return;
+            const spaced = /\d\s\d{3}/.test(value.trim());
+
+            let style = null;
+            if (text.includes("'")) {
+                style = 'apostrophe-dot';
+            } else if (text.includes('.') && text.includes(',')) {
+                style = text.lastIndexOf(',') > text.lastIndexOf('.') ? 'dot-comma' : 'comma-dot';
+            } else if (text.includes(',')) {
+                // A comma that is not grouping thousands must be the decimal mark
+                if (spaced) style = 'space-comma';
+                else if (/^\d{1,3}(,\d{3})+$/.test(text)) ambiguous++;
+                else style = 'dot-comma';
+            } else if (text.includes('.')) {
+                if (/^\d{1,3}(\.\d{3})+$/.test(text)) ambiguous++;
+                else style = 'comma-dot';
+            } else if (spaced) {
+                style = 'space-comma';
+            }
+            if (style) votes[style] = (votes[style] || 0) + 1;
+        });
+
+        const [best] = Object.entries(votes).sort(([, a], [, b]) => b - a)[0] || [];
+        if (best) return { style: best, ambiguous: false };
+        return { style: LocaleParser.defaults(locale).numberStyle, ambiguous: ambiguous > 0 };
+    }
+
+    // { order, ambiguous, evidence } for a column sample. A first part over 12
+    // means DMY, a second part over 12 means MDY; a four-digit first part is YMD.
+    static guessDateOrder(values, locale) {
+        const evidence = { DMY: 0, MDY: 0, YMD: 0, ambiguous: 0 };
+
+        values.forEach(value => {
+            const match = String(value).trim().match(/^(\d{1,4})[/.-](\d{1,2})[/.-](\d{1,4})\b/);
+            if (!match) return;
+            const [, first, second] = match;
+            if (first.length === 4) evidence.YMD++;
+            else if (Number(first) > 12 && Number(second) <= 12) evidence.DMY++;
+            else if (Number(second) > 12 && Number(first) <= 12) evidence.MDY++;
+            else evidence.ambiguous++;
+        });
+
+        const fallback = LocaleParser.defaults(locale).dateOrder;
+        if (evidence.DMY > 0 || evidence.MDY > 0) {
+            const order = evidence.DMY >= evidence.MDY ? 'DMY' : 'MDY';
+            // Both orders seen: the column is inconsistent, report it
+            return { order, ambiguous: evidence.DMY > 0 && evidence.MDY > 0, evidence };
+        }
+        if (evidence.ambiguous > 0) {
+            return { order: fallback === 'YMD' ? 'MDY' : fallback, ambiguous: true, evidence };
+        }
+        return { order: evidence.YMD > 0 ? 'YMD' : fallback, ambiguous: false, evidence };
+    }
+
+    // Epoch milliseconds, or NaN. order decides day/month for numeric dates.
+    // Values without a written offset are wall-clock times in zone: an IANA name,
+    // 'UTC', or 'local' for the browser's zone
+    static parseDate(value, order = 'MDY', zone = 'local') {
+        if (value instanceof Date) return value.getTime();
+        if (typeof value === 'number') return value;
+        if (value === null || value === undefined || value === '') return NaN;
+
+        const parts = LocaleParser.dateParts(String(value).trim(), order);
+        if (!parts) return NaN;
+        return LocaleParser.partsToTime(parts, zone);
+    }
+
+    static partsToTime(parts, zone = 'local') {
+        const { year, month, day, hour, minute, second, millisecond, offset } = parts;
+        if (offset === null && zone !== 'local') return TimeZones.fromWallClock(parts, zone);
+        if (offset === null) {
+            const date = new Date(year, month - 1, day, hour, minute, second, millisecond);
+            date.setFullYear(year); // Years below 100 would otherwise become 19xx
+            return date.getTime();
+        }
+        return Date.UTC(year, month - 1, day, hour, minute, second, millisecond) - offset * 60000;
+    }
+
+    // Calendar fields plus the UTC offset in minutes written in the value (null
+    // when it has none). Returns null when the text is not a recognisable date.
+    static dateParts(text, order) {
+        const body = text.replace(LocaleParser.WEEKDAY_PREFIX, '');
+        let year;
+        let month;
+        let day;
+        let rest;
+
+        let match = body.match(/^(\d{4})[/.-](\d{1,2})[/.-](\d{1,2})(.*)$/);
+        if (match) {
+            [, year, month, day, rest] = match;
+        } else if ((match = body.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4}|\d{2})(.*)$/))) {
+            const [, first, second, yearText, remainder] = match;
+            [day, month] = order === 'DMY' ? [first, second] : [second, first];
+            year = yearText;
+            rest = remainder;
+        } else if ((match = body.match(/^(\d{1,2})(?:st|nd|rd|th)?[\s-]+([a-z]{3,})\.?,?[\s-]+(\d{4}|\d{2})(.*)$/i))) {
+            [, day, month, year, rest] = match;
+            month = LocaleParser.monthNumber(month);
+        } else if ((match = body.match(/^([a-z]{3,})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})(.*)$/i))) {
+            [, month, day, year, rest] = match;
+            month = LocaleParser.monthNumber(month);
+        } else if ((match = body.match(/^(\d{4})[\s-]+([a-z]{3,})\.?[\s-]+(\d{1,2})(?:st|nd|rd|th)?(.*)$/i))) {
+            [, year, month, day, rest] = match;
+            month = LocaleParser.monthNumber(month);
+        } else if ((match = body.match(/^([a-z]{3,})\.?,?[\s-]+(\d{4})(.*)$/i))) {
+            // A month on its own ("May 2025") is its first day
+            [, month, year, rest] = match;
+            month = LocaleParser.monthNumber(month);
+            day = 1;
+        } else {
+            return null;
+        }
+
+        year = Number(year);
+        if (String(year).length <= 2 && !/^\d{4}/.test(body)) year += year < LocaleParser.TWO_DIGIT_YEAR_PIVOT ? 2000 : 1900;
+        month = Number(month);
+        day = Number(day);
+        if (!month || month > 12 || day < 1 || day > new Date(Date.UTC(year, month, 0)).getUTCDate()) return null;
+
+        const time = LocaleParser.timeParts(rest.trim());
+        if (!time) return null;
+        return { year, month, day, ...time };
+    }
+
+    // "T10:30", " 10:30:15.250 PM", " 10:30 +02:00", " 10:30Z" -> fields, or null
+    static timeParts(text) {
+        const parts = { hour: 0, minute: 0, second: 0, millisecond: 0, offset: null };
+        let rest = text.replace(/^[T,\s]+/i, '');
+
+        const time = rest.match(/^(\d{1,2}):(\d{2})(?::(\d{2})(?:[.,](\d{1,9}))?)?\s*([ap]\.?m\.?)?/i);
+        if (time) {
+            const [whole, hour, minute, second = '0', fraction = '0', meridiem] = time;
+            parts.hour = Number(hour);
+            parts.minute = Number(minute);
+            parts.second = Number(second);
+            parts.millisecond = Math.round(Number(`0.${fraction}`) * 1000);
+            if (meridiem) {
+                if (parts.hour < 1 || parts.hour > 12) return null;
+                const pm = meridiem.toLowerCase().startsWith('p');
+                parts.hour = (parts.hour % 12) + (pm ? 12 : 0);
+            }
+            if (parts.hour > 23 || parts.minute > 59 || parts.second > 60) return null;
+            rest = rest.slice(whole.length).trim();
+        }
+
+        if (rest === '') return parts;
+        const abbreviation = LocaleParser.ZONE_ABBREVIATIONS[rest.toUpperCase()];
+        if (abbreviation !== undefined) {
+            parts.offset = abbreviation;
+            return parts;
+        }
+        const zone = rest.match(/^(?:(z)|(?:utc|gmt)?\s*(?:([+-])(\d{1,2})(?::?(\d{2}))?)?)$/i);
+        if (!zone) return null;
+        const [, zulu, sign, hours, minutes = '0'] = zone;
+        if (zulu || !sign) {
+            parts.offset = 0;
+        } else {
+            parts.offset = (sign === '-' ? -1 : 1) * (Number(hours) * 60 + Number(minutes));
+        }
+        return parts;
+    }
+
+    // "Mar", "march", "Sept" -> 3, 3, 9; NaN for words that are not a month
+    // name or its abbreviation ("Market")
+    static monthNumber(name) {
+        const text = name.toLowerCase();
+        const index = text.length < 3 ? -1 : LocaleParser.MONTHS.findIndex(month => month.startsWith(text));
+        return index === -1 ? NaN : index + 1;
+    }
+
+    // Whether text has the shape of a date: numeric day, month and year
+    // fields, or a month name. Label columns ("Store 1", "Size 10") do not.
+    static looksLikeDate(text) {
+        const body = String(text).trim().replace(LocaleParser.WEEKDAY_PREFIX, '');
+        return /^\d{1,4}[/.-]\d{1,2}[/.-]\d{1,4}/.test(body) || LocaleParser.MONTH_NAME.test(body);
+    }
+}
+
+// Thousands and decimal separators; a space group also matches non-breaking spaces
+LocaleParser.NUMBER_STYLES = {
+    'comma-dot': { group: ',', decimal: '.', label: '1,234.56', grouped: /^[-+]?\d{1,3}(,\d{3})+(\.\d*)?$/ },
+    'dot-comma': { group: '.', decimal: ',', label: '1.234,56', grouped: /^[-+]?\d{1,3}(\.\d{3})+(,\d*)?$/ },
+    'space-comma': { group: ' ', decimal: ',', label: '1 234,56', grouped: null },
+    'apostrophe-dot': { group: "'", decimal: '.', label: "1'234.56", grouped: /^[-+]?\d{1,3}('\d{3})+(\.\d*)?$/ }
+};
+
+LocaleParser.DATE_ORDERS = {
+    DMY: 'Day/Month/Year',
+    MDY: 'Month/Day/Year',
+    YMD: 'Year/Month/Day'
+};
+
+LocaleParser.LOCALES = {
+    'en-US': { label: 'English (US)', numberStyle: 'comma-dot', dateOrder: 'MDY' },
+    'en-GB': { label: 'English (UK)', numberStyle: 'comma-dot', dateOrder: 'DMY' },
+    'de-DE': { label: 'Deutsch', numberStyle: 'dot-comma', dateOrder: 'DMY' },
+    'fr-FR': { label: 'Français', numberStyle: 'space-comma', dateOrder: 'DMY' },
+    'es-ES': { label: 'Español', numberStyle: 'dot-comma', dateOrder: 'DMY' },
+    'it-IT': { label: 'Italiano', numberStyle: 'dot-comma', dateOrder: 'DMY' },
+    'nl-NL': { label: 'Nederlands', numberStyle: 'dot-comma', dateOrder: 'DMY' },
+    'de-CH': { label: 'Deutsch (Schweiz)', numberStyle: 'apostrophe-dot', dateOrder: 'DMY' },
+    'ja-JP': { label: '日本語', numberStyle: 'comma-dot', dateOrder: 'YMD' }
+};
+
+// Currency symbols and codes; codes may touch the digits ("5USD", "EUR12")
+LocaleParser.CURRENCY_PATTERN = /[$€£¥₹₩₽₺₪]|(?<![A-Za-z])(USD|EUR|GBP|JPY|INR|CAD|AUD|CHF|CNY|SEK|NOK|DKK|PLN|BRL)(?![A-Za-z])/g;
+// Offsets in minutes for zone abbreviations commonly written after a time
+LocaleParser.ZONE_ABBREVIATIONS = {
+    EST: -300, EDT: -240, CST: -360, CDT: -300, MST: -420, MDT: -360, PST: -480, PDT: -420,
+    BST: 60, CET: 60, CEST: 120, EET: 120, EEST: 180, JST: 540, AEST: 600, AEDT: 660
+};
+LocaleParser.MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+// A leading weekday, "Tue, " or "Tuesday ", which dates may start with
+LocaleParser.WEEKDAY_PREFIX = /^(mon|tue|wed|thu|fri|sat|sun)[a-z]*\.?,?\s+/i;
+// A month name or its abbreviation as a whole word
+LocaleParser.MONTH_NAME = /\b(jan(uary)?|feb(ruary)?|mar(ch)?|apr(il)?|may|june?|july?|aug(ust)?|sep(t(ember)?)?|oct(ober)?|nov(ember)?|dec(ember)?)\b/i;
+
+// Two-digit years below this are 20xx, the rest 19xx
+LocaleParser.TWO_DIGIT_YEAR_PIVOT = 50;
@@ -0,0 +1,215 @@
+// Market data
+// Recognises price bars (open/high/low/close, optionally volume) by column name
+// and tells which trading session a bar falls in. Session hours are wall-clock
+// times in the exchange's zone; by default that is the zone the timestamps were
+// recorded in, since intraday exports are usually stamped in exchange time.
+// An exchange calendar adds the holidays on which the market stays closed.
+
+class MarketData {
+    // { open, high, low, close, volume } column names, or null unless all four
+    // prices are present; volume is null when there is none
+    static ohlcColumns(columns) {
+        const find = field => columns.find(col => MarketData.FIELD_ALIASES[field].includes(MarketData.fieldKey(col))) || null;
+        const fields = {};
+        MarketData.FIELDS.forEach(field => { fields[field] = find(field); });
+        return MarketData.PRICE_FIELDS.every(field => fields[field]) ? fields : null;
+    }
+
+    // The column a price series is read from: close when there is one,
+    // otherwise a column named like a price; null when there is none
+    static priceColumn(columns) {
+        for (const alias of MarketData.PRICE_ALIASES) {
+            const found = columns.find(col => MarketData.fieldKey(col) === alias);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    // The volume column, whether or not there are price bars around it
+    static volumeColumn(columns) {
+        return columns.find(col => MarketData.FIELD_ALIASES.volume.includes(MarketData.fieldKey(col))) || null;
+    }
+
+    // Column names compared with case, spaces and punctuation ignored
+    static fieldKey(col) {
+        return col.toLowerCase().replace(/[^a-z]/g, '');
+    }
+
+    // Index into SESSIONS of the session time falls in. settings (see
+    // sessionSettings) gives 'HH:mm' boundaries for the start of pre-market,
+    // the open, the close and the end of after-hours, and the calendar whose
+    // holidays are closed like weekends.
+    static session(time, zone, settings = MarketData.DEFAULT_SETTINGS) {
+        const wall = TimeZones.toWallClock(time, zone);
+        const weekday = TimeZones.weekdayOf(wall);
+        if (weekday === 0 || weekday === 6) return MarketData.CLOSED;
+        if (MarketData.isHoliday(Math.floor(wall / TimeZones.DAY), settings)) return MarketData.CLOSED;
+
+        const minute = Math.floor(wall / 60000) % 1440;
+        const [preStart, open, close, afterEnd] = MarketData.HOUR_KEYS
+            .map(key => MarketData.minutes(settings.hours[key]));
+        if (minute >= open && minute < close) return MarketData.REGULAR;
+        if (minute >= preStart && minute < open) return MarketData.PRE_MARKET;
+        if (minute >= close && minute < afterEnd) return MarketData.AFTER_HOURS;
+        return MarketData.CLOSED;
+    }
+
+    // A session's 'HH:mm–HH:mm' span under hours; empty for the closed market
+    static sessionSpan(session, hours) {
+        const spans = {
+            [MarketData.PRE_MARKET]: ['preMarket', 'open'],
+            [MarketData.REGULAR]: ['open', 'close'],
+            [MarketData.AFTER_HOURS]: ['close', 'afterHours']
+        };
+        return spans[session] ? `${hours[spans[session][0]]}–${hours[spans[session][1]]}` : '';
+    }
+
+    // Minutes after midnight of an 'HH:mm' time
+    static minutes(text) {
+        const [hour, minute] = String(text).split(':').map(Number);
+        return hour * 60 + (minute || 0);
+    }
+
+    // { calendar, hours, holidays, include } with anything missing or invalid
+    // replaced by the default: a CALENDARS key, the four session boundaries
+    // (which must not run backwards), extra closed days as 'YYYY-MM-DD' and
+    // the session indices kept for analysis
+    static sessionSettings(settings = {}) {
+        const calendar = MarketData.CALENDARS[settings.calendar] ? settings.calendar : MarketData.DEFAULT_SETTINGS.calendar;
+        const given = settings.hours || {};
+        const hours = {};
+        MarketData.HOUR_KEYS.forEach(key => {
+            hours[key] = /^([01]\d|2[0-3]):[0-5]\d$/.test(given[key]) ? given[key] : MarketData.CALENDARS[calendar].hours[key];
+        });
+        const bounds = MarketData.HOUR_KEYS.map(key => MarketData.minutes(hours[key]));
+        const ordered = bounds[0] <= bounds[1] && bounds[1] < bounds[2] && bounds[2] <= bounds[3];
+        const holidays = Array.isArray(settings.holidays)
+            ? settings.holidays.filter(day => /^\d{4}-\d{2}-\d{2}$/.test(day) && !isNaN(Date.parse(day)))
+            : [];
+        const include = Array.isArray(settings.include)
+            ? MarketData.SESSIONS.map((label, session) => session).filter(session => settings.include.includes(session))
+            : MarketData.DEFAULT_SETTINGS.include;
+        return { calendar, hours: ordered ? hours : { ...MarketData.CALENDARS[calendar].hours }, holidays, include };
+    }
+
+    // Whether a day (days since 1970 on the exchange clock) is a holiday in
+    // settings' calendar or one of its extra closed days
+    static isHoliday(day, settings) {
+        const calendar = MarketData.CALENDARS[settings.calendar];
+        if (settings.holidays.length > 0) {
+            if (!MarketData.extraHolidays.has(settings.holidays)) {
+                MarketData.extraHolidays.set(settings.holidays, new Set(settings.holidays.map(date => Date.parse(date) / TimeZones.DAY)));
+            }
+            if (MarketData.extraHolidays.get(settings.holidays).has(day)) return true;
+        }
+        if (!calendar.holidays) return false;
+        const year = new Date(day * TimeZones.DAY).getUTCFullYear();
+        const key = `${settings.calendar}:${year}`;
+        if (!MarketData.holidayCache.has(key)) MarketData.holidayCache.set(key, new Set(calendar.holidays(year)));
+        return MarketData.holidayCache.get(key).has(day);
+    }
+
+    // Full-day NYSE closures of a year as days since 1970: New Year's Day,
+    // Martin Luther King Jr. Day, Presidents' Day, Good Friday, Memorial Day,
+    // Juneteenth (from 2022), Independence Day, Labor Day, Thanksgiving and
+    // Christmas. Fixed dates on a Saturday move to the Friday before (except
+    // New Year's Day, which is then not made up) and on a Sunday to the Monday.
+    static nyseHolidays(year) {
+        const day = (month, date) => Math.floor(TimeZones.utc(year, month, date, 0, 0, 0, 0) / TimeZones.DAY);
+        const observed = (month, date, moveBack = true) => {
+            const value = day(month, date);
+            const weekday = TimeZones.weekdayOf(value * TimeZones.DAY);
+            if (weekday === 6) return moveBack ? value - 1 : null;
+            return weekday === 0 ? value + 1 : value;
+        };
+        // nth (1-based) weekday of a month; n = -1 for the last one
+        const nth = (month, weekday, n) => {
+            if (n === -1) {
+                const last = day(month + 1, 1) - 1;
+                return last - ((TimeZones.weekdayOf(last * TimeZones.DAY) - weekday + 7) % 7);
+            }
+            const first = day(month, 1);
+            return first + ((weekday - TimeZones.weekdayOf(first * TimeZones.DAY) + 7) % 7) + (n - 1) * 7;
+        };
+
+        return [
+            observed(1, 1, false),
+            nth(1, 1, 3),
+            nth(2, 1, 3),
+            MarketData.easter(year) - 2,
+            nth(5, 1, -1),
+            year >= 2022 ? observed(6, 19) : null,
+            observed(7, 4),
+            nth(9, 1, 1),
+            nth(11, 4, 4),
+            observed(12, 25)
+        ].filter(holiday => holiday !== null);
+    }
+
+    // Easter Sunday (Gregorian) as days since 1970, by the anonymous
+    // Gregorian algorithm
+    static easter(year) {
+        const a = year % 19;
+        const b = Math.floor(year / 100);
+        const c = year % 100;
+        const d = Math.floor(b / 4);
+        const e = b % 4;
+        const f = Math.floor((b + 8) / 25);
+        const g = Math.floor((b - f + 1) / 3);
+        const h = (19 * a + b - d - g + 15) % 30;
+        const i = Math.floor(c / 4);
+        const k = c % 4;
+        const l = (32 + 2 * e + 2 * i - h - k) % 7;
+        const m = Math.floor((a + 11 * h + 22 * l) / 451);
+        const month = Math.floor((h + l - 7 * m + 114) / 31);
+        const date = ((h + l - 7 * m + 114) % 31) + 1;
+        return Math.floor(TimeZones.utc(year, month, date, 0, 0, 0, 0) / TimeZones.DAY);
+    }
+}
+
+MarketData.FIELDS = ['open', 'high', 'low', 'close', 'volume'];
+MarketData.PRICE_FIELDS = ['open', 'high', 'low', 'close'];
+// Column names (lower case, letters only) for each field
+MarketData.FIELD_ALIASES = {
+    open: ['open', 'openprice', 'o'],
+    high: ['high', 'highprice', 'h'],
+    low: ['low', 'lowprice', 'l'],
+    close: ['close', 'closeprice', 'adjclose', 'c'],
+    volume: ['volume', 'vol', 'v', 'qty', 'quantity']
+};
+// Column names for a single price series, best first
+MarketData.PRICE_ALIASES = [...MarketData.FIELD_ALIASES.close, 'price', 'last', 'lastprice', 'px'];
+
+// Session indices, as stored per bar
+MarketData.CLOSED = 0;
+MarketData.PRE_MARKET = 1;
+MarketData.REGULAR = 2;
+MarketData.AFTER_HOURS = 3;
+MarketData.SESSIONS = ['Closed', 'Pre-market', 'Regular', 'After-hours'];
+// Session boundaries in the order they come in a day
+MarketData.HOUR_KEYS = ['preMarket', 'open', 'close', 'afterHours'];
+// US equity hours
+MarketData.DEFAULT_HOURS = {
+    preMarket: '04:00',
+    open: '09:30',
+    close: '16:00',
+    afterHours: '20:00'
+};
+// Exchange calendars: default session hours and, where known, a year's
+// holidays. Exchanges without extended hours start pre-market at the open
+// and end after-hours at the close.
+MarketData.CALENDARS = {
+    nyse: { label: 'NYSE / Nasdaq', hours: MarketData.DEFAULT_HOURS, holidays: year => MarketData.nyseHolidays(year) },
+    lse: { label: 'London Stock Exchange (weekends only)', hours: { preMarket: '08:00', open: '08:00', close: '16:30', afterHours: '16:30' }, holidays: null },
+    xetra: { label: 'Xetra (weekends only)', hours: { preMarket: '09:00', open: '09:00', close: '17:30', afterHours: '17:30' }, holidays: null },
+    weekdays: { label: 'Every weekday', hours: MarketData.DEFAULT_HOURS, holidays: null }
+};
+MarketData.DEFAULT_SETTINGS = {
+    calendar: 'nyse',
+    hours: MarketData.DEFAULT_HOURS,
+    holidays: [],
+    include: [MarketData.CLOSED, MarketData.PRE_MARKET, MarketData.REGULAR, MarketData.AFTER_HOURS]
+};
+// Holiday sets per calendar and year, and per list of extra closed days
+MarketData.holidayCache = new Map();
+MarketData.extraHolidays = new WeakMap();
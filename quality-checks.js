@@ -0,0 +1,264 @@
+// Data quality checks
+// Row-level checks behind the quality score: duplicate rows, cells that do not
+// read as their column's type, values outside their column's domain, rows that
+// break a rule between columns (low <= high, clicks <= impressions) and
+// timestamps that run backwards, repeat or skip. Every check returns how many
+// rows it looked at, how many failed, and the first few failing rows so the page
+// can drill down to them.
+
+class QualityChecks {
+    // Exact duplicates match cell for cell; near duplicates match once text is
+    // trimmed and lower-cased, numbers are rounded to six significant digits,
+    // times to the second, and identifier columns are left out - the same record
+    // entered twice under a new id. Later copies are reported against the first.
+    static duplicates(data, columns, store, columnSchema) {
+        const exact = QualityChecks.result(data.length);
+        const near = QualityChecks.result(data.length);
+        const compared = columns.filter(col => store.has(col) && columnSchema[col].type !== 'identifier');
+        const labels = {};
+        compared.forEach(col => {
+            const column = store.column(col);
+            if (column.kind === 'categorical') labels[col] = column.dictionary.map(QualityChecks.normaliseText);
+        });
+
+        const exactSeen = new Map();
+        const nearSeen = new Map();
+        for (let row = 0; row < data.length; row++) {
+            const exactKey = JSON.stringify(columns.map(col => data[row][col]));
+            const first = exactSeen.get(exactKey);
+            if (first !== undefined) {
+                QualityChecks.fail(exact, row, `Same as row ${first + 1}`);
+                continue;
+            }
+            exactSeen.set(exactKey, row);
+
+            const nearKey = JSON.stringify(compared.map(col => {
+                const column = store.column(col);
+                if (column.kind === 'categorical') return column.codes[row] === -1 ? null : labels[col][column.codes[row]];
+                if (!ColumnStore.isValid(column, row)) return null;
+                const value = column.values[row];
+                return column.kind === 'date' ? Math.round(value / 1000) : Number(value.toPrecision(6));
+            }));
+            const similar = nearSeen.get(nearKey);
+            if (similar !== undefined) QualityChecks.fail(near, row, `Nearly the same as row ${similar + 1}`);
+            else nearSeen.set(nearKey, row);
+        }
+        return { exact, near };
+    }
+
+    // Non-empty cells that read as the column's type. Number and date cells must
+    // parse; boolean cells must be one of the yes/no spellings; any text is a
+    // valid category.
+    static conformance(data, store, col, schema) {
+        const column = store.column(col);
+        const result = QualityChecks.result(0);
+        const label = SemanticTypes.TYPES[schema.type].label.toLowerCase();
+
+        for (let row = 0; row < store.rowCount; row++) {
+            const raw = data[row][col];
+            if (ColumnStore.isMissing(raw)) continue;
+            result.checked++;
+            const conforms = column.kind === 'categorical'
+                ? schema.type !== 'boolean' || SemanticTypes.BOOLEAN_VALUES.has(String(raw).trim().toLowerCase())
+                : ColumnStore.isValid(column, row);
+            if (!conforms) QualityChecks.fail(result, row, `"${raw}" is not a valid ${label}`);
+        }
+        return result;
+    }
+
+    // The domain a column's values must fall in, from its semantic type or name:
+    // { label, min, max } or null when nothing is known about it
+    static domain(col, schema) {
+        if (schema.type === 'latitude') return { label: 'between -90 and 90', min: -90, max: 90 };
+        if (schema.type === 'longitude') return { label: 'between -180 and 180', min: -180, max: 180 };
+        if (schema.type === 'date') {
+            return {
+                label: `between ${QualityChecks.FIRST_YEAR} and ${QualityChecks.LAST_YEAR}`,
+                min: Date.UTC(QualityChecks.FIRST_YEAR, 0, 1),
+                max: Date.UTC(QualityChecks.LAST_YEAR + 1, 0, 1) - 1
+            };
+        }
+        const nonNegative = SemanticTypes.kind(schema.type) === 'numeric' &&
+            QualityChecks.NON_NEGATIVE_NAME.test(col) && !QualityChecks.SIGNED_NAME.test(col);
+        if (schema.type === 'duration' || nonNegative) {
+            return { label: 'zero or more', min: 0, max: Infinity };
+        }
+        return null;
+    }
+
+    static range(store, col, domain, format) {
+        const column = store.column(col);
+        const result = QualityChecks.result(0);
+        for (let row = 0; row < store.rowCount; row++) {
+            if (!ColumnStore.isValid(column, row)) continue;
+            result.checked++;
+            const value = column.values[row];
+            if (value < domain.min || value > domain.max) QualityChecks.fail(result, row, `${format(value)} is not ${domain.label}`);
+        }
+        return result;
+    }
+
+    // Rules between columns whose names say how they relate, e.g. every OHLC
+    // price lies between low and high. Columns are matched on their name with
+    // case, spaces and punctuation ignored.
+    static crossFieldRules(columns) {
+        const find = aliases => columns.find(col => aliases.includes(MarketData.fieldKey(col)));
+        return QualityChecks.CROSS_FIELD_RULES
+            .map(([left, right]) => ({ left: find(QualityChecks.FIELD_ALIASES[left]), right: find(QualityChecks.FIELD_ALIASES[right]) }))
+            .filter(rule => rule.left && rule.right && rule.left !== rule.right)
+            .map(rule => ({ ...rule, label: `${rule.left} ≤ ${rule.right}` }));
+    }
+
+    static crossField(store, rule, format) {
+        const left = store.numeric(rule.left);
+        const right = store.numeric(rule.right);
+        const result = QualityChecks.result(0);
+        for (let row = 0; row < store.rowCount; row++) {
+            if (!ColumnStore.isValid(left, row) || !ColumnStore.isValid(right, row)) continue;
+            result.checked++;
+            if (left.values[row] > right.values[row]) {
+                QualityChecks.fail(result, row, `${rule.left} ${format(rule.left, left.values[row])} > ${rule.right} ${format(rule.right, right.values[row])}`);
+            }
+        }
+        return result;
+    }
+
+    // Timestamps in file order should all run one way - newest-first files are
+    // common, so the direction most steps take is the expected one - without
+    // repeats. Gaps are steps more than GAP_FACTOR times the usual interval;
+    // for intraday data only within a day (in zone), for daily data not counting
+    // weekends, so closed markets and nights are not gaps.
+    static timestamps(store, col, zone) {
+        const column = store.column(col);
+        const rows = [];
+        for (let row = 0; row < store.rowCount; row++) {
+            if (ColumnStore.isValid(column, row)) rows.push(row);
+        }
+        const result = { ...QualityChecks.result(Math.max(rows.length - 1, 0)), direction: 'ascending', interval: null, backwards: 0, repeated: 0, gaps: 0 };
+        if (rows.length < 2) return result;
+
+        let rising = 0;
+        let falling = 0;
+        for (let i = 1; i < rows.length; i++) {
+            const step = column.values[rows[i]] - column.values[rows[i - 1]];
+            if (step > 0) rising++;
+            else if (step < 0) falling++;
+        }
+        const sign = falling > rising ? -1 : 1;
+        result.direction = sign === 1 ? 'ascending' : 'descending';
+
+        const steps = [];
+        for (let i = 1; i < rows.length; i++) {
+            const step = (column.values[rows[i]] - column.values[rows[i - 1]]) * sign;
+            if (step > 0) steps.push(step);
+        }
+        steps.sort((a, b) => a - b);
+        const interval = steps.length > 0 ? steps[Math.floor(steps.length / 2)] : null;
+        result.interval = interval;
+
+        for (let i = 1; i < rows.length; i++) {
+            const row = rows[i];
+            const previous = column.values[rows[i - 1]];
+            const current = column.values[row];
+            const step = (current - previous) * sign;
+            if (step < 0) {
+                result.backwards++;
+                QualityChecks.fail(result, row, `Out of ${result.direction} order after row ${rows[i - 1] + 1}`);
+            } else if (step === 0) {
+                result.repeated++;
+                QualityChecks.fail(result, row, `Same time as row ${rows[i - 1] + 1}`);
+            } else if (interval && step > interval * QualityChecks.GAP_FACTOR && QualityChecks.isGap(previous, current, interval, zone)) {
+                result.gaps++;
+                QualityChecks.fail(result, row, `${QualityChecks.formatDuration(step)} after row ${rows[i - 1] + 1} (usually ${QualityChecks.formatDuration(interval)})`);
+            }
+        }
+        return result;
+    }
+
+    static isGap(previous, current, interval, zone) {
+        const [from, to] = [previous, current].sort((a, b) => a - b).map(time => TimeZones.toWallClock(time, zone));
+        const firstDay = Math.floor(from / TimeZones.DAY);
+        const lastDay = Math.floor(to / TimeZones.DAY);
+        if (interval < TimeZones.DAY) return firstDay === lastDay;
+
+        // Daily or slower: a gap only when a weekday is skipped
+        for (let day = firstDay + 1; day < lastDay; day++) {
+            const weekday = TimeZones.weekdayOf(day * TimeZones.DAY);
+            if (weekday !== 0 && weekday !== 6) return true;
+        }
+        return false;
+    }
+
+    // Weighted mean of the dimension scores (0-100) that apply; a dimension
+    // with nothing to check is left out rather than counted as perfect
+    static score(dimensions) {
+        const applicable = Object.values(dimensions).filter(dimension => dimension.score !== null);
+        const weight = applicable.reduce((sum, dimension) => sum + dimension.weight, 0);
+        if (weight === 0) return 100;
+        return applicable.reduce((sum, dimension) => sum + dimension.score * dimension.weight, 0) / weight;
+    }
+
+    static result(checked) {
+        return { checked, failed: 0, rows: [] };
+    }
+
+    // Counts a failing row; only the first MAX_ROWS are kept for the drill-down
+    static fail(result, row, detail) {
+        result.failed++;
+        if (result.rows.length < QualityChecks.MAX_ROWS) result.rows.push({ row, detail });
+    }
+
+    static normaliseText(value) {
+        return String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+    }
+
+    static formatDuration(ms) {
+        const units = [['d', 86400000], ['h', 3600000], ['min', 60000], ['s', 1000]];
+        const [unit, size] = units.find(([, length]) => ms >= length) || ['ms', 1];
+        return `${Number((ms / size).toFixed(1))} ${unit}`;
+    }
+}
+
+// Failing rows kept per check for the drill-down
+QualityChecks.MAX_ROWS = 50;
+// A step this many times the usual interval is a gap
+QualityChecks.GAP_FACTOR = 1.5;
+// Dates outside these years are almost always parse or entry errors
+QualityChecks.FIRST_YEAR = 1900;
+QualityChecks.LAST_YEAR = 2100;
+// Numeric columns that cannot go below zero
+QualityChecks.NON_NEGATIVE_NAME = /(^|[^a-z])(price|open|high|low|close|volume|qty|quantity|count|clicks|impressions|views|sessions|visits|users|orders|units|conversions|age)([^a-z]|$)/i;
+// ...unless the name says it is a difference (price_change, net_units)
+QualityChecks.SIGNED_NAME = /change|diff|delta|return|pnl|profit|growth|net/i;
+// Column names (lower case, letters only) that play each part in a rule
+QualityChecks.FIELD_ALIASES = {
+    open: MarketData.FIELD_ALIASES.open,
+    high: MarketData.FIELD_ALIASES.high,
+    low: MarketData.FIELD_ALIASES.low,
+    close: MarketData.FIELD_ALIASES.close,
+    clicks: ['clicks', 'click'],
+    impressions: ['impressions', 'impr', 'views'],
+    conversions: ['conversions', 'conv'],
+    start: ['start', 'startdate', 'starttime', 'begin'],
+    end: ['end', 'enddate', 'endtime', 'finish']
+};
+// [left, right] pairs where left must not exceed right
+QualityChecks.CROSS_FIELD_RULES = [
+    ['low', 'high'],
+    ['low', 'open'],
+    ['low', 'close'],
+    ['open', 'high'],
+    ['close', 'high'],
+    ['clicks', 'impressions'],
+    ['conversions', 'clicks'],
+    ['start', 'end']
+];
+// Share of the overall score each dimension carries when it applies
+QualityChecks.WEIGHTS = {
+    completeness: 0.3,
+    conformance: 0.2,
+    validity: 0.15,
+    uniqueness: 0.15,
+    consistency: 0.1,
+    timeliness: 0.1
+};
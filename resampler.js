@@ -0,0 +1,138 @@
+// Resampling
+// Aggregates time-stamped rows into bars of a coarser time frame: five-minute
+// prices into hourly, daily or weekly ones, readings into daily totals. Price
+// bars keep their meaning (first open, highest high, lowest low, last close,
+// summed volume); other numeric columns take the sum, mean or last value.
+// Buckets are laid out on a wall clock: for price data that of the exchange,
+// with intraday buckets starting afresh at each session boundary so an hourly
+// bar never mixes pre-market and regular trading.
+
+class Resampler {
+    // Wall-clock start of the bucket a toWallClock value falls in. hours, when
+    // given, are MarketData session hours that intraday buckets are anchored to.
+    static bucketStart(wall, frequency, hours = null) {
+        const spec = Resampler.FREQUENCIES[frequency];
+        const day = Math.floor(wall / TimeZones.DAY) * TimeZones.DAY;
+        if (spec.minutes) {
+            const size = spec.minutes * 60000;
+            const anchor = hours ? day + Resampler.sessionStart((wall - day) / 60000, hours) * 60000 : 0;
+            return anchor + Math.floor((wall - anchor) / size) * size;
+        }
+        if (spec.unit === 'week') return day - ((TimeZones.weekdayOf(day) + 6) % 7) * TimeZones.DAY;
+        if (spec.unit === 'month') {
+            const date = new Date(day);
+            return TimeZones.utc(date.getUTCFullYear(), date.getUTCMonth() + 1, 1, 0, 0, 0, 0);
+        }
+        return day;
+    }
+
+    // Minutes after midnight at which the session holding minute began: the
+    // latest session boundary at or before it, or midnight before pre-market
+    static sessionStart(minute, hours) {
+        let start = 0;
+        ['preMarket', 'open', 'close', 'afterHours'].forEach(key => {
+            const boundary = MarketData.minutes(hours[key]);
+            if (minute >= boundary) start = boundary;
+        });
+        return start;
+    }
+
+    // Splits times (sorted, UTC milliseconds) into buckets on zone's clock:
+    // starts holds each bucket's start as a UTC time, ends the index one past
+    // its last time
+    static buckets(times, zone, frequency, hours = null) {
+        const starts = [];
+        const ends = [];
+        let current = null;
+        times.forEach((time, index) => {
+            const start = Resampler.bucketStart(TimeZones.toWallClock(time, zone), frequency, hours);
+            if (start !== current) {
+                if (current !== null) ends.push(index);
+                starts.push(Resampler.fromWall(start, zone));
+                current = start;
+            }
+        });
+        if (current !== null) ends.push(times.length);
+        return { starts: Float64Array.from(starts), ends: Uint32Array.from(ends) };
+    }
+
+    // One value per bucket from values (aligned with the bucketed times, NaN
+    // where missing) by method: first, max, min, last, sum or mean; NaN for a
+    // bucket with no values at all
+    static aggregate(values, ends, method) {
+        const result = new Float64Array(ends.length).fill(NaN);
+        let from = 0;
+        ends.forEach((end, bucket) => {
+            let count = 0;
+            let total = 0;
+            for (let i = from; i < end; i++) {
+                const value = values[i];
+                if (isNaN(value)) continue;
+                if (method === 'first' && count === 0) total = value;
+                else if (method === 'max') total = count === 0 ? value : Math.max(total, value);
+                else if (method === 'min') total = count === 0 ? value : Math.min(total, value);
+                else if (method === 'last') total = value;
+                else if (method === 'sum' || method === 'mean') total += value;
+                count++;
+            }
+            if (count > 0) result[bucket] = method === 'mean' ? total / count : total;
+            from = end;
+        });
+        return result;
+    }
+
+    // The aggregate method for each numeric column: price bar fields by their
+    // part in the bar, everything else by method (one of METHODS)
+    static columnMethods(numericColumns, method) {
+        const fields = MarketData.ohlcColumns(numericColumns);
+        const methods = {};
+        numericColumns.forEach(col => { methods[col] = method; });
+        if (fields) {
+            MarketData.FIELDS.forEach(field => {
+                if (fields[field]) methods[fields[field]] = Resampler.BAR_METHODS[field];
+            });
+        }
+        return methods;
+    }
+
+    static fromWall(wall, zone) {
+        const date = new Date(wall);
+        return TimeZones.fromWallClock({
+            year: date.getUTCFullYear(),
+            month: date.getUTCMonth() + 1,
+            day: date.getUTCDate(),
+            hour: date.getUTCHours(),
+            minute: date.getUTCMinutes(),
+            second: date.getUTCSeconds(),
+            millisecond: date.getUTCMilliseconds()
+        }, zone);
+    }
+}
+
+// Time frames: intraday ones by bucket length in minutes, the rest by calendar
+// unit (weeks start on Monday)
+Resampler.FREQUENCIES = {
+    raw: { label: 'As recorded' },
+    '5min': { label: '5-minute', minutes: 5 },
+    '15min': { label: '15-minute', minutes: 15 },
+    '30min': { label: '30-minute', minutes: 30 },
+    '1h': { label: 'Hourly', minutes: 60 },
+    '4h': { label: '4-hour', minutes: 240 },
+    '1d': { label: 'Daily', unit: 'day' },
+    '1w': { label: 'Weekly', unit: 'week' },
+    '1mo': { label: 'Monthly', unit: 'month' }
+};
+// Choices for numeric columns that are not part of a price bar
+Resampler.METHODS = {
+    mean: 'Mean',
+    sum: 'Sum',
+    last: 'Last value'
+};
+// How each price bar field combines
+Resampler.BAR_METHODS = {
+    open: 'first',
+    high: 'max',
+    low: 'min',
+    close: 'last',
+    volume: 'sum'
+};
@@ -0,0 +1,207 @@
+// Return and risk metrics
+// Bar-to-bar returns of a price series and the usual measures built on them:
+// annualised return and volatility, Sharpe and Sortino ratios, maximum
+// drawdown and Value-at-Risk. Annualising multiplies by the number of bars in
+// a year, which depends on the bar interval: 252 trading days for daily bars,
+// 252 times the bars a trading day holds for intraday ones.
+
+class RiskMetrics {
+    // prices and times in time order; riskFreeRate is annual, as a fraction.
+    // Returns null when there are too few bars to say anything.
+    static analyse(prices, times, options = {}) {
+        const { riskFreeRate = 0, zone = 'UTC' } = options;
+        if (prices.length < RiskMetrics.MIN_BARS) return null;
+
+        const simple = new Float64Array(prices.length - 1);
+        const log = new Float64Array(prices.length - 1);
+        for (let i = 1; i < prices.length; i++) {
+            simple[i - 1] = prices[i] / prices[i - 1] - 1;
+            log[i - 1] = Math.log(prices[i] / prices[i - 1]);
+        }
+        const simpleStats = RiskMetrics.moments(simple);
+        const logStats = RiskMetrics.moments(log);
+
+        const interval = RiskMetrics.interval(times);
+        const periodsPerYear = RiskMetrics.periodsPerYear(times, interval, zone);
+        const scale = Math.sqrt(periodsPerYear);
+        const periodRiskFree = riskFreeRate / periodsPerYear;
+        const excess = simpleStats.mean - periodRiskFree;
+        const downside = RiskMetrics.downsideDeviation(simple, periodRiskFree);
+
+        let best = 0;
+        let worst = 0;
+        simple.forEach((value, index) => {
+            if (value > simple[best]) best = index;
+            if (value < simple[worst]) worst = index;
+        });
+
+        return {
+            bars: prices.length,
+            interval,
+            periodsPerYear,
+            riskFreeRate,
+            returns: {
+                simple: { ...simpleStats, total: prices[prices.length - 1] / prices[0] - 1 },
+                log: { ...logStats, total: Math.log(prices[prices.length - 1] / prices[0]) }
+            },
+            annualisedReturn: Math.exp(logStats.mean * periodsPerYear) - 1,
+            annualisedVolatility: logStats.std * scale,
+            sharpe: simpleStats.std > 0 ? excess / simpleStats.std * scale : null,
+            sortino: downside > 0 ? excess / downside * scale : null,
+            drawdown: RiskMetrics.maxDrawdown(prices, times),
+            valueAtRisk: RiskMetrics.CONFIDENCE_LEVELS.map(confidence => ({
+                confidence,
+                historical: RiskMetrics.historicalVaR(simple, confidence),
+                parametric: RiskMetrics.parametricVaR(simpleStats.mean, simpleStats.std, confidence)
+            })),
+            best: { time: times[best + 1], value: simple[best] },
+            worst: { time: times[worst + 1], value: simple[worst] },
+            distribution: RiskMetrics.histogram(simple, simpleStats)
+        };
+    }
+
+    // Mean, sample standard deviation, skewness and excess kurtosis
+    static moments(values) {
+        const moments = new RunningMoments();
+        values.forEach(value => moments.add(value));
+        return {
+            count: moments.count,
+            mean: moments.mean,
+            std: moments.count > 1 ? Math.sqrt(moments.m2 / (moments.count - 1)) : 0,
+            skewness: moments.skewness,
+            kurtosis: moments.kurtosis
+        };
+    }
+
+    // The usual spacing of the bars: the median step between them
+    static interval(times) {
+        const steps = [];
+        for (let i = 1; i < times.length; i++) {
+            if (times[i] > times[i - 1]) steps.push(times[i] - times[i - 1]);
+        }
+        steps.sort((a, b) => a - b);
+        return steps.length > 0 ? steps[Math.floor(steps.length / 2)] : TimeZones.DAY;
+    }
+
+    // Intraday bars: TRADING_DAYS times the bars an average trading day in the
+    // data holds (days counted on zone's clock), so extended-hours data is
+    // scaled by the hours it covers. Daily bars: TRADING_DAYS. Slower bars:
+    // how many fit in a calendar year (52 weekly, 12 monthly).
+    static periodsPerYear(times, interval, zone) {
+        if (interval < TimeZones.DAY) {
+            const days = new Set();
+            times.forEach(time => days.add(Math.floor(TimeZones.toWallClock(time, zone) / TimeZones.DAY)));
+            return RiskMetrics.TRADING_DAYS * times.length / days.size;
+        }
+        if (interval <= RiskMetrics.DAILY_LIMIT) return RiskMetrics.TRADING_DAYS;
+        return RiskMetrics.YEAR / interval;
+    }
+
+    // Root mean square of the returns' shortfall below target; returns above
+    // it count as zero
+    static downsideDeviation(returns, target) {
+        let squares = 0;
+        returns.forEach(value => {
+            if (value < target) squares += (value - target) ** 2;
+        });
+        return returns.length > 0 ? Math.sqrt(squares / returns.length) : 0;
+    }
+
+    // Deepest fall from a running peak: depth as a fraction of the peak, when
+    // the peak and trough were, and when the price first got back to the peak
+    // (null if it has not)
+    static maxDrawdown(prices, times) {
+        let peak = 0;
+        let worst = { depth: 0, peak: 0, trough: -1 };
+        for (let i = 1; i < prices.length; i++) {
+            if (prices[i] > prices[peak]) peak = i;
+            const depth = 1 - prices[i] / prices[peak];
+            if (depth > worst.depth) worst = { depth, peak, trough: i };
+        }
+
+        const point = index => ({ time: times[index], price: prices[index] });
+        if (worst.trough === -1) return { depth: 0, peak: null, trough: null, recovery: null };
+        let recovery = null;
+        for (let i = worst.trough + 1; i < prices.length && !recovery; i++) {
+            if (prices[i] >= prices[worst.peak]) recovery = point(i);
+        }
+        return { depth: worst.depth, peak: point(worst.peak), trough: point(worst.trough), recovery };
+    }
+
+    // The loss (as a positive fraction) that returns fell below 1 - confidence
+    // of the time, and CVaR: the mean loss in those worst cases
+    static historicalVaR(returns, confidence) {
+        const sorted = Float64Array.from(returns).sort();
+        const cut = Math.max(Math.floor(sorted.length * (1 - confidence)), 1);
+        let tail = 0;
+        for (let i = 0; i < cut; i++) tail += sorted[i];
+        return { var: -sorted[cut - 1], cvar: -tail / cut };
+    }
+
+    // The same under a normal distribution with the returns' mean and deviation
+    static parametricVaR(mean, std, confidence) {
+        const z = RiskMetrics.normalQuantile(1 - confidence);
+        return {
+            var: -(mean + z * std),
+            cvar: -(mean - std * RiskMetrics.normalDensity(z) / (1 - confidence))
+        };
+    }
+
+    // Return counts in HISTOGRAM_BINS bins spanning mean +/- HISTOGRAM_SPREAD
+    // deviations (clamped to the data), with the mean and deviation for the
+    // normal curve drawn over them; returns beyond the span go in the end bins
+    static histogram(returns, stats) {
+        const spread = RiskMetrics.HISTOGRAM_SPREAD * stats.std;
+        let min = Infinity;
+        let max = -Infinity;
+        returns.forEach(value => {
+            min = Math.min(min, value);
+            max = Math.max(max, value);
+        });
+        min = Math.max(min, stats.mean - spread);
+        max = Math.min(max, stats.mean + spread);
+        const binWidth = max > min ? (max - min) / RiskMetrics.HISTOGRAM_BINS : 1;
+        const counts = new Array(RiskMetrics.HISTOGRAM_BINS).fill(0);
+        returns.forEach(value => {
+            const bin = Math.floor((value - min) / binWidth);
+            counts[Math.min(Math.max(bin, 0), counts.length - 1)]++;
+        });
+        return { min, binWidth, counts, mean: stats.mean, std: stats.std, count: returns.length };
+    }
+
+    static normalDensity(z) {
+        return Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+    }
+
+    // Inverse of the standard normal CDF (Acklam's rational approximation,
+    // relative error below 1.2e-9)
+    static normalQuantile(p) {
+        const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02, 1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+        const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02, 6.680131188771972e+01, -1.328068155288572e+01];
+        const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00, -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+        const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00, 3.754408661907416e+00];
+        const low = 0.02425;
+
+        if (p < low) {
+            const q = Math.sqrt(-2 * Math.log(p));
+            return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+                ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+        }
+        if (p > 1 - low) return -RiskMetrics.normalQuantile(1 - p);
+        const q = p - 0.5;
+        const r = q * q;
+        return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+            (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+    }
+}
+
+// Bars needed before returns mean anything
+RiskMetrics.MIN_BARS = 3;
+RiskMetrics.TRADING_DAYS = 252;
+// Bars up to this far apart (weekend gaps aside) count as daily
+RiskMetrics.DAILY_LIMIT = 1.5 * 86400000;
+RiskMetrics.YEAR = 365.25 * 86400000;
+RiskMetrics.CONFIDENCE_LEVELS = [0.95, 0.99];
+// Return distribution chart
+RiskMetrics.HISTOGRAM_BINS = 40;
+RiskMetrics.HISTOGRAM_SPREAD = 5;
@@ -3,24 +3,58 @@
 
 class ComprehensiveDataAnalyzer {
     constructor() {
-        this.data = null;
+        this.rowCount = 0;
+        this.sampleRows = [];
+        this.sampleImputed = []; // Columns filled in by imputation, per sample row
+        this.chartData = {}; // Pre-binned chart series from the analysis worker
         this.columns = [];
+        this.sourceColumns = []; // Columns as parsed, before the transform recipe
         this.numericColumns = [];
         this.dateColumns = [];
         this.categoricalColumns = [];
+        this.textColumns = [];
+        this.indicatorColumns = []; // Columns computed by technical indicators, in the worker's store only
+        this.columnSchema = {}; // Semantic type and unit per column, from the worker
+        this.schemaSignature = null;
+        this.recipe = this.loadRecipe(); // Transform steps being edited, kept between visits
+        this.appliedRecipe = []; // Steps the current results were computed with
+        this.recipeStepOp = 'filter'; // Operation selected in the Add Step form
+        this.contract = this.loadContract(); // Rules uploads are checked against, kept between visits
+        this.contractCheck = 'required'; // Check selected in the Add Rule form
+        this.validation = null; // Contract results for the current data
         this.analysisResults = {};
         this.charts = {}; // Store chart instances to properly destroy them
+        this.priceView = null; // { min, max } bar indices shown in the price chart
+        this.priceHover = null; // Bar index under the pointer, shared by the price panes
+        this.pricePaneKeys = []; // this.charts keys of the price chart and the panes below it
+        this.indicators = this.loadIndicators(); // Technical indicators added to price data
+        this.indicatorType = 'sma'; // Indicator selected in the Add Indicator form
+        this.heatmapMetric = 'meanVolume'; // Value the hour x weekday heatmap shows
+        this.currentFile = null;
+        this.importSettings = null;
+        this.datasets = null; // Files parsed in the worker, waiting to be combined (multi-file upload)
+        this.combinePlan = null;
+        this.currentSource = null; // URL the current data was fetched from, or 'paste'
+        this.worker = null;
+        this.pendingRequest = null;
+        this.downloadController = null; // Aborts a Load from URL download
+        this.progressStages = [];
+        this.requestCounter = 0;
         this.init();
     }
 
     init() {
         this.setupFileUpload();
         this.setupDragAndDrop();
+        this.setupURLSource();
+        this.setupPasteSource();
+        this.displayContractPanel();
+        this.loadFromQueryParameter();
     }
 
     setupFileUpload() {
         const fileInput = document.getElementById('fileInput');
-        fileInput.addEventListener('change', (e) => this.handleFile(e.target.files[0]));
+        fileInput.addEventListener('change', (e) => this.handleFiles(e.target.files));
     }
 
     setupDragAndDrop() {
@@ -41,760 +75,1172 @@ class ComprehensiveDataAnalyzer {
         uploadArea.addEventListener('drop', (e) => {
             const files = e.dataTransfer.files;
             if (files.length > 0) {
-                this.handleFile(files[0]);
+                this.handleFiles(files);
             }
         });
     }
 
+    setupURLSource() {
+        const form = document.getElementById('urlForm');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const url = document.getElementById('urlInput').value.trim();
+            if (url) this.loadFromURL(url);
+        });
+    }
+
+    setupPasteSource() {
+        document.getElementById('pasteButton').addEventListener('click', () => {
+            const text = document.getElementById('pasteInput').value;
+            if (text.trim()) this.loadFromText(text);
+        });
+    }
+
+    // ?data=<url> loads a dataset on page load so a dashboard can be bookmarked.
+    // Only files from this site load by themselves; a link to anywhere else
+    // just fills in the URL box, so opening a link never analyses a third
+    // party's file without the user asking for it.
+    loadFromQueryParameter() {
+        const url = new URLSearchParams(window.location.search).get('data');
+        if (!url) return;
+        document.getElementById('urlInput').value = url;
+        let target;
+        try {
+            target = new URL(url, window.location.href);
+        } catch (error) {
+            return;
+        }
+        if (target.origin === window.location.origin) this.loadFromURL(url);
+    }
+
+    // Fetched and pasted data is wrapped in a File so it goes through exactly the
+    // same detection and parsing as an uploaded file.
+    async loadFromURL(url) {
+        this.showLoading();
+        this.showProgress({ message: `Downloading ${url}` });
+        const controller = new AbortController();
+        this.downloadController = controller;
+
+        let file;
+        try {
+            const response = await fetch(url, { signal: controller.signal });
+            if (!response.ok) {
+                throw new Error(`the server responded with ${response.status} ${response.statusText}`.trim());
+            }
+            const blob = await response.blob();
+            const lastModified = Date.parse(response.headers.get('Last-Modified'));
+            file = new File([blob], this.fileNameFromURL(url), {
+                type: blob.type,
+                lastModified: isNaN(lastModified) ? Date.now() : lastModified
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('Error loading URL:', error);
+            this.hideLoading();
+            this.showError(`Could not load ${this.escapeHtml(url)}: ${error.message}`);
+            return;
+        } finally {
+            if (this.downloadController === controller) this.downloadController = null;
+        }
+
+        this.setDataParameter(url);
+        this.currentSource = url;
+        this.handleFile(file);
+    }
+
+    loadFromText(text) {
+        // Spreadsheet copies are tab separated; the .tsv name tells detection so
+        const file = new File([text], 'pasted-data.tsv', { type: 'text/tab-separated-values', lastModified: Date.now() });
+        this.setDataParameter(null);
+        this.currentSource = 'paste';
+        this.handleFile(file);
+    }
+
+    // Without a file extension in the URL the name stays extension-less and the
+    // format is detected from the content.
+    fileNameFromURL(url) {
+        try {
+            const path = new URL(url, window.location.href).pathname;
+            const name = decodeURIComponent(path.split('/').pop());
+            return name || 'download';
+        } catch (error) {
+            return 'download';
+        }
+    }
+
+    // Keep ?data= in the address bar in step with what is loaded, so reloading or
+    // bookmarking brings back the same dataset.
+    setDataParameter(url) {
+        const params = new URLSearchParams(window.location.search);
+        if (url) {
+            params.set('data', url);
+        } else {
+            params.delete('data');
+        }
+        const query = params.toString();
+        window.history.replaceState(null, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+    }
+
     preventDefaults(e) {
         e.preventDefault();
         e.stopPropagation();
     }
 
-    async handleFile(file) {
+    handleFiles(fileList) {
+        const files = [...fileList];
+        if (files.length === 0) return;
+
+        this.setDataParameter(null);
+        this.currentSource = null;
+        if (files.length === 1) {
+            this.handleFile(files[0]);
+        } else {
+            this.handleMultipleFiles(files);
+        }
+    }
+
+    // overrides holds import settings the user changed in the File Information panel
+    async handleFile(file, overrides = {}) {
         if (!file) return;
 
+        this.currentFile = file;
+        this.datasets = null;
         this.showFileInfo(file);
         this.showLoading();
 
         try {
-            const text = await this.readFile(file);
-            
-            if (file.name.endsWith('.csv')) {
-                this.data = this.parseCSV(text);
-            } else if (file.name.endsWith('.json')) {
-                this.data = JSON.parse(text);
-            }
-
-            await this.performComprehensiveAnalysis();
-            this.showResults();
+            const result = await this.requestAnalysis('load', { file, overrides, ...this.analysisOptions() }, {
+                onPartial: (key, value) => {
+                    // Sheets, record paths and array fields are only known once the file is parsed
+                    if (key === 'settings') this.showFileInfo(file, value);
+                }
+            });
+            this.importSettings = result.settings;
+            this.showAnalysis(result.view);
         } catch (error) {
+            if (error.name === 'AbortError') return;
             console.error('Error processing file:', error);
             this.hideLoading();
             this.showError(`Error processing file: ${error.message}`);
         }
     }
 
-    readFile(file) {
+    // Several files: the worker parses each one with its detected settings, then
+    // the user chooses how they are combined before anything is analysed.
+    async handleMultipleFiles(files) {
+        this.currentFile = null;
+        this.showLoading(['parse']);
+
+        try {
+            const result = await this.requestAnalysis('loadMany', { files });
+            this.datasets = result.datasets;
+            this.combinePlan = result.plan;
+            this.hideLoading();
+            this.showCombinePanel();
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('Error processing files:', error);
+            this.hideLoading();
+            this.showError(`Error processing files: ${error.message}`);
+        }
+    }
+
+    // Parsing and analysis run in analysis-worker.js. One request is active at a
+    // time; starting another cancels it. Progress updates the loading screen and
+    // partial results go to handlers.onPartial.
+    requestAnalysis(type, payload, handlers = {}) {
+        if (!this.worker) {
+            this.worker = this.createWorker();
+            this.worker.onmessage = event => this.handleWorkerMessage(event.data);
+            this.worker.onerror = event => {
+                event.preventDefault();
+                this.failPendingRequest(new Error(event.message || 'The analysis worker failed to start'));
+            };
+        }
+        this.cancelAnalysis();
+
+        const id = ++this.requestCounter;
         return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = e => resolve(e.target.result);
-            reader.onerror = reject;
-            reader.readAsText(file);
+            this.pendingRequest = { id, resolve, reject, handlers };
+            this.worker.postMessage({ type, id, ...payload });
         });
     }
 
-    parseCSV(text) {
-        const lines = text.trim().split('\n').filter(line => line.trim() !== '');
-        if (lines.length === 0) throw new Error('Empty CSV file');
-        
-        const headers = this.parseCSVLine(lines[0]);
-        const data = [];
+    createWorker() {
+        // Browsers refuse to start workers from pages opened straight from disk
+        if (typeof Worker === 'undefined' || window.location.protocol === 'file:') {
+            return AnalysisHost.createInlineWorker();
+        }
+        return new Worker(ComprehensiveDataAnalyzer.WORKER_SCRIPT);
+    }
 
-        for (let i = 1; i < lines.length; i++) {
-            try {
-                const values = this.parseCSVLine(lines[i]);
-                if (values.length !== headers.length) continue;
-                
-                const row = {};
-                headers.forEach((header, index) => {
-                    row[header] = values[index] || '';
-                });
-                data.push(row);
-            } catch (error) {
-                continue;
-            }
+    handleWorkerMessage(message) {
+        const request = this.pendingRequest;
+        // Messages from a request that has since been cancelled or replaced
+        if (!request || request.id !== message.id) return;
+
+        if (message.type === 'progress') {
+            this.showProgress(message);
+        } else if (message.type === 'partial') {
+            if (request.handlers.onPartial) request.handlers.onPartial(message.key, message.value);
+        } else if (message.type === 'result') {
+            this.pendingRequest = null;
+            request.resolve(message.value);
+        } else if (message.type === 'cancelled') {
+            this.failPendingRequest(AnalysisEngine.cancelledError());
+        } else {
+            this.failPendingRequest(new Error(message.message));
         }
+    }
 
-        if (data.length === 0) throw new Error('No valid data rows found');
-        return data;
+    cancelAnalysis() {
+        const request = this.pendingRequest;
+        if (!request) return;
+        this.worker.postMessage({ type: 'cancel', id: request.id });
+        this.failPendingRequest(AnalysisEngine.cancelledError());
     }
 
-    parseCSVLine(line) {
-        const result = [];
-        let current = '';
-        let inQuotes = false;
-        
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
-            const nextChar = line[i + 1];
-            
-            if (char === '"' && inQuotes && nextChar === '"') {
-                current += '"';
-                i++;
-            } else if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                result.push(current.trim());
-                current = '';
-            } else {
-                current += char;
-            }
+    failPendingRequest(error) {
+        const request = this.pendingRequest;
+        if (!request) return;
+        this.pendingRequest = null;
+        request.reject(error);
+    }
+
+    showAnalysis(view) {
+        this.validation = view.analysisResults.validation || null;
+        if (view.blocked) {
+            this.showBlocked(view);
+            return;
         }
-        
-        result.push(current.trim());
-        return result;
+        this.rowCount = view.rowCount;
+        this.columns = view.columns;
+        this.sourceColumns = view.sourceColumns;
+        this.appliedRecipe = view.recipe;
+        this.numericColumns = view.numericColumns;
+        this.dateColumns = view.dateColumns;
+        this.categoricalColumns = view.categoricalColumns;
+        this.textColumns = view.textColumns;
+        this.indicatorColumns = view.indicatorColumns;
+        this.columnSchema = view.columnSchema;
+        this.schemaSignature = view.schemaSignature;
+        this.analysisResults = view.analysisResults;
+        this.sampleRows = view.sampleRows;
+        this.sampleImputed = view.sampleImputed;
+        this.chartData = view.charts;
+        this.showResults();
+    }
+
+    // Columns available as left-hand keys for the given step: everything the
+    // earlier files contribute.
+    combineLeftColumns(stepIndex) {
+        const columns = [];
+        this.datasets.slice(0, stepIndex + 1).forEach(dataset => {
+            dataset.columns.forEach(column => {
+                if (!columns.includes(column)) columns.push(column);
+            });
+        });
+        return columns;
     }
 
-    showFileInfo(file) {
+    showCombinePanel() {
         const fileInfo = document.getElementById('fileInfo');
         const fileDetails = document.getElementById('fileDetails');
-        
+        const formatLabels = ComprehensiveDataAnalyzer.FORMAT_LABELS;
+        const columnOptions = (columns, selected) => columns.map(column => `
+            <option value="${this.escapeHtml(column)}" ${column === selected ? 'selected' : ''}>${this.escapeHtml(column)}</option>
+        `).join('');
+
         fileDetails.innerHTML = `
-            <p><strong>Name:</strong> ${file.name}</p>
-            <p><strong>Size:</strong> ${this.formatFileSize(file.size)}</p>
-            <p><strong>Type:</strong> ${file.type || 'Unknown'}</p>
-            <p><strong>Last Modified:</strong> ${new Date(file.lastModified).toLocaleString()}</p>
+            <p><strong>Files:</strong> ${this.datasets.length} files, ${this.formatFileSize(this.datasets.reduce((sum, dataset) => sum + dataset.size, 0))}</p>
+            <div class="table-scroll">
+                <table class="data-table">
+                    <thead>
+                        <tr><th>File</th><th>Format</th><th>Rows</th><th>Columns</th></tr>
+                    </thead>
+                    <tbody>
+                        ${this.datasets.map(dataset => `
+                            <tr>
+                                <td>${this.escapeHtml(dataset.name)}</td>
+                                <td>${formatLabels[dataset.format] || dataset.format}</td>
+                                <td>${dataset.rows.toLocaleString()}</td>
+                                <td>${dataset.columns.length}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <p><strong>Combine:</strong> starting from ${this.escapeHtml(this.datasets[0].name)}, each file is applied in turn</p>
+            ${this.combinePlan.map((step, index) => {
+                const dataset = this.datasets[index + 1];
+                const leftColumns = this.combineLeftColumns(index);
+                return `
+                    <div class="combine-step" data-combine-step="${index}">
+                        <div class="import-settings">
+                            <label>
+                                <span>${this.escapeHtml(dataset.name)}</span>
+                                <select data-combine-field="type">
+                                    ${Object.entries(ComprehensiveDataAnalyzer.COMBINE_TYPES).map(([value, label]) => `
+                                        <option value="${value}" ${value === step.type ? 'selected' : ''}>${label}</option>
+                                    `).join('')}
+                                </select>
+                            </label>
+                            ${step.type === 'union' ? '' : step.keys.map((key, keyIndex) => `
+                                <label>
+                                    <span>Key ${keyIndex + 1}</span>
+                                    <select data-combine-field="left" data-key-index="${keyIndex}">${columnOptions(leftColumns, key.left)}</select>
+                                </label>
+                                <label>
+                                    <span>= ${this.escapeHtml(this.truncateText(dataset.name, 20))}</span>
+                                    <select data-combine-field="right" data-key-index="${keyIndex}">${columnOptions(dataset.columns, key.right)}</select>
+                                </label>
+                            `).join('')}
+                        </div>
+                        ${step.type === 'union' ? '' : `
+                            <button class="secondary-btn" data-combine-add-key>+ Add Key Column</button>
+                            ${step.keys.length > 1 ? '<button class="secondary-btn" data-combine-remove-key>− Remove Key Column</button>' : ''}
+                        `}
+                    </div>
+                `;
+            }).join('')}
+            <button class="secondary-btn" data-combine-run>Combine &amp; Analyse</button>
         `;
-        
+
+        fileDetails.querySelectorAll('[data-combine-field]').forEach(select => {
+            select.addEventListener('change', () => {
+                this.readCombinePlan();
+                this.showCombinePanel();
+            });
+        });
+        fileDetails.querySelectorAll('[data-combine-add-key], [data-combine-remove-key]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.readCombinePlan();
+                const index = Number(button.closest('[data-combine-step]').dataset.combineStep);
+                const step = this.combinePlan[index];
+                if (button.hasAttribute('data-combine-add-key')) {
+                    step.keys.push({ left: this.combineLeftColumns(index)[0], right: this.datasets[index + 1].columns[0] });
+                } else {
+                    step.keys.pop();
+                }
+                this.showCombinePanel();
+            });
+        });
+        fileDetails.querySelector('[data-combine-run]').addEventListener('click', () => this.runCombine());
+
         fileInfo.style.display = 'block';
     }
 
-    formatFileSize(bytes) {
-        if (bytes === 0) return '0 Bytes';
-        const k = 1024;
-        const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-        const i = Math.floor(Math.log(bytes) / Math.log(k));
-        return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+    readCombinePlan() {
+        document.querySelectorAll('[data-combine-step]').forEach(element => {
+            const step = this.combinePlan[Number(element.dataset.combineStep)];
+            element.querySelectorAll('[data-combine-field]').forEach(select => {
+                const field = select.dataset.combineField;
+                if (field === 'type') {
+                    step.type = select.value;
+                } else {
+                    step.keys[Number(select.dataset.keyIndex)][field] = select.value;
+                }
+            });
+        });
     }
 
-    showLoading() {
-        document.getElementById('loadingSection').style.display = 'block';
-        document.getElementById('resultsSection').style.display = 'none';
+    // Remembered column types, imputation methods, locale, time zone, contract,
+    // indicators and risk-free rate, sent with every analysis
+    analysisOptions() {
+        return {
+            schemas: this.loadSchemaOverrides(),
+            locale: this.loadLocale(),
+            timeZone: this.loadTimeZone(),
+            imputations: this.loadImputations(),
+            contract: this.contract,
+            indicators: this.indicators,
+            riskFreeRate: this.loadRiskFreeRate() / 100,
+            resample: this.loadResample(),
+            sessions: this.loadSessionSettings()
+        };
     }
 
-    hideLoading() {
-        document.getElementById('loadingSection').style.display = 'none';
+    loadLocale() {
+        try {
+            return localStorage.getItem(ComprehensiveDataAnalyzer.LOCALE_STORAGE_KEY) || 'auto';
+        } catch (error) {
+            return 'auto';
+        }
     }
 
-    showError(message) {
-        const loadingSection = document.getElementById('loadingSection');
-        loadingSection.innerHTML = `
-            <div style="color: #ef4444; text-align: center; padding: 2rem;">
-                <div style="font-size: 3rem; margin-bottom: 1rem;">⚠️</div>
-                <h3>Error Processing File</h3>
-                <p>${message}</p>
-                <button onclick="location.reload()" style="margin-top: 1rem; padding: 0.5rem 1rem; background: #ef4444; color: white; border: none; border-radius: 0.5rem; cursor: pointer;">
-                    Try Again
-                </button>
-            </div>
-        `;
-        loadingSection.style.display = 'block';
+    saveLocale(locale) {
+        try {
+            localStorage.setItem(ComprehensiveDataAnalyzer.LOCALE_STORAGE_KEY, locale);
+        } catch (error) {
+            console.warn('Could not remember the locale:', error);
+        }
     }
 
-    async performComprehensiveAnalysis() {
-        console.log('Starting comprehensive analysis with AI...');
-        
-        // Step 1: Data profiling and quality assessment
-        this.identifyColumnTypes();
-        this.assessDataQuality();
-        
-        // Step 2: Generate executive summary metrics
-        this.generateExecutiveSummary();
-        
-        // Step 3: Perform detailed analyses
-        this.performPerformanceAnalysis();
-        this.performDemographicAnalysis();
-        this.performTemporalAnalysis();
-        this.performStatisticalAnalysis();
-        this.performCorrelationAnalysis();
-        
-        // Step 4: AI-powered analysis (with fallback)
+    // 'source' shows each date column in its own source zone
+    loadTimeZone() {
         try {
-            await this.performAIAnalysis();
+            return localStorage.getItem(ComprehensiveDataAnalyzer.TIME_ZONE_STORAGE_KEY) || 'source';
         } catch (error) {
-            console.warn('AI analysis failed, using statistical analysis:', error);
-            this.generateAdvancedInsights();
-            this.generateRecommendations();
+            return 'source';
         }
-        
-        // Add delay for better UX
-        await new Promise(resolve => setTimeout(resolve, 1500));
     }
 
-    async performAIAnalysis() {
-        console.log('Performing AI analysis...');
-        
-        // Prepare data for AI analysis
-        const dataPreview = this.prepareDataForAI();
-        const summary = this.generateAISummary();
-        
+    saveTimeZone(zone) {
         try {
-            // Call our Netlify function
-            const response = await fetch('/.netlify/functions/ai-analysis', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    dataPreview: dataPreview,
-                    columns: this.columns,
-                    summary: summary
-                })
-            });
+            localStorage.setItem(ComprehensiveDataAnalyzer.TIME_ZONE_STORAGE_KEY, zone);
+        } catch (error) {
+            console.warn('Could not remember the time zone:', error);
+        }
+    }
 
-            if (!response.ok) {
-                throw new Error(`AI analysis failed: ${response.status}`);
-            }
+    // Annual risk-free rate in percent
+    loadRiskFreeRate() {
+        try {
+            const rate = parseFloat(localStorage.getItem(ComprehensiveDataAnalyzer.RISK_FREE_STORAGE_KEY));
+            return isNaN(rate) ? 0 : rate;
+        } catch (error) {
+            return 0;
+        }
+    }
 
-            const result = await response.json();
-            
-            if (result.success && result.analysis) {
-                this.analysisResults.aiAnalysis = result.analysis;
-                this.enhanceAnalysisWithAI(result.analysis);
-                console.log('AI analysis completed successfully');
-            } else {
-                throw new Error('Invalid AI response format');
-            }
-            
+    saveRiskFreeRate(rate) {
+        try {
+            localStorage.setItem(ComprehensiveDataAnalyzer.RISK_FREE_STORAGE_KEY, String(rate));
         } catch (error) {
-            console.error('AI Analysis Error:', error);
-            // Fallback to statistical analysis
-            this.generateAdvancedInsights();
-            this.generateRecommendations();
-            throw error; // Re-throw to trigger fallback in main function
+            console.warn('Could not remember the risk-free rate:', error);
         }
     }
 
-    prepareDataForAI() {
-        // Send a representative sample of the data (first 15 rows)
-        const sampleSize = Math.min(15, this.data.length);
-        return this.data.slice(0, sampleSize);
+    // { frequency, method } the rows are resampled to; 'raw' keeps them as recorded
+    loadResample() {
+        try {
+            const resample = JSON.parse(localStorage.getItem(ComprehensiveDataAnalyzer.RESAMPLE_STORAGE_KEY));
+            return resample && Resampler.FREQUENCIES[resample.frequency] ? resample : { frequency: 'raw', method: 'mean' };
+        } catch (error) {
+            return { frequency: 'raw', method: 'mean' };
+        }
     }
 
-    generateAISummary() {
-        // Generate summary statistics for AI context
-        const summary = {
-            totalRows: this.data.length,
-            totalColumns: this.columns.length,
-            numericColumns: this.numericColumns,
-            dateColumns: this.dateColumns,
-            categoricalColumns: this.categoricalColumns,
-            statistics: {}
-        };
+    saveResample(resample) {
+        try {
+            localStorage.setItem(ComprehensiveDataAnalyzer.RESAMPLE_STORAGE_KEY, JSON.stringify(resample));
+        } catch (error) {
+            console.warn('Could not remember the time frame:', error);
+        }
+    }
 
-        // Add basic statistics for numeric columns
-        this.numericColumns.forEach(col => {
-            const values = this.data.map(row => parseFloat(row[col])).filter(v => !isNaN(v));
-            if (values.length > 0) {
-                summary.statistics[col] = {
-                    count: values.length,
-                    mean: (values.reduce((a, b) => a + b, 0) / values.length).toFixed(2),
-                    min: Math.min(...values),
-                    max: Math.max(...values),
-                    sum: values.reduce((a, b) => a + b, 0)
-                };
-            }
-        });
+    // Exchange calendar, session hours and the sessions analysed
+    loadSessionSettings() {
+        try {
+            return MarketData.sessionSettings(JSON.parse(localStorage.getItem(ComprehensiveDataAnalyzer.SESSION_STORAGE_KEY)) || {});
+        } catch (error) {
+            return MarketData.sessionSettings();
+        }
+    }
 
-        return summary;
+    saveSessionSettings(settings) {
+        try {
+            localStorage.setItem(ComprehensiveDataAnalyzer.SESSION_STORAGE_KEY, JSON.stringify(settings));
+        } catch (error) {
+            console.warn('Could not remember the session settings:', error);
+        }
     }
 
-    enhanceAnalysisWithAI(aiAnalysis) {
-        // Replace or enhance existing analysis with AI insights
-        if (aiAnalysis.businessRecommendations) {
-            this.analysisResults.recommendations = aiAnalysis.businessRecommendations;
+    // Column type overrides are remembered per header signature, so the next file
+    // with the same columns is analysed with them straight away
+    loadSchemaOverrides() {
+        try {
+            return JSON.parse(localStorage.getItem(ComprehensiveDataAnalyzer.SCHEMA_STORAGE_KEY)) || {};
+        } catch (error) {
+            return {};
         }
+    }
 
-        if (aiAnalysis.keyInsights) {
-            this.analysisResults.advancedInsights = aiAnalysis.keyInsights.map((insight, index) => ({
-                type: 'ai_insight',
-                title: `AI Insight ${index + 1}`,
-                description: insight
-            }));
+    saveSchemaOverrides(signature, overrides) {
+        const schemas = this.loadSchemaOverrides();
+        if (Object.keys(overrides).length > 0) {
+            schemas[signature] = overrides;
+        } else {
+            delete schemas[signature];
         }
+        try {
+            localStorage.setItem(ComprehensiveDataAnalyzer.SCHEMA_STORAGE_KEY, JSON.stringify(schemas));
+        } catch (error) {
+            console.warn('Could not remember column types:', error);
+        }
+    }
 
-        // Store additional AI insights
-        this.analysisResults.aiPatterns = aiAnalysis.patterns || [];
-        this.analysisResults.aiAnomalies = aiAnalysis.anomalies || [];
-        this.analysisResults.aiPredictions = aiAnalysis.predictions || [];
-        this.analysisResults.dataQualityAssessment = aiAnalysis.dataQualityAssessment || '';
-        this.analysisResults.nextSteps = aiAnalysis.nextSteps || [];
+    // Missing-value methods are remembered per header signature, like column types
+    loadImputations() {
+        try {
+            return JSON.parse(localStorage.getItem(ComprehensiveDataAnalyzer.IMPUTATION_STORAGE_KEY)) || {};
+        } catch (error) {
+            return {};
+        }
     }
 
-    identifyColumnTypes() {
-        if (this.data.length === 0) return;
-        
-        this.columns = Object.keys(this.data[0]);
-        this.numericColumns = [];
-        this.dateColumns = [];
-        this.categoricalColumns = [];
+    saveImputations(signature, settings) {
+        const imputations = this.loadImputations();
+        if (Object.keys(settings).length > 0) {
+            imputations[signature] = settings;
+        } else {
+            delete imputations[signature];
+        }
+        try {
+            localStorage.setItem(ComprehensiveDataAnalyzer.IMPUTATION_STORAGE_KEY, JSON.stringify(imputations));
+        } catch (error) {
+            console.warn('Could not remember missing-value methods:', error);
+        }
+    }
 
-        this.columns.forEach(col => {
-            const sample = this.data.slice(0, Math.min(100, this.data.length))
-                .map(row => row[col])
-                .filter(val => val != null && val !== '');
-            
-            // Check if numeric
-            const numericCount = sample.filter(val => !isNaN(parseFloat(val)) && isFinite(val)).length;
-            if (numericCount / sample.length > 0.7) {
-                this.numericColumns.push(col);
-                return;
-            }
-            
-            // Check if date
-            const dateCount = sample.filter(val => {
-                const date = new Date(val);
-                return !isNaN(date.getTime()) && date.getFullYear() > 1900;
-            }).length;
-            if (dateCount / sample.length > 0.7) {
-                this.dateColumns.push(col);
-                return;
-            }
-            
-            // Otherwise categorical
-            this.categoricalColumns.push(col);
-        });
+    loadIndicators() {
+        try {
+            const indicators = JSON.parse(localStorage.getItem(ComprehensiveDataAnalyzer.INDICATOR_STORAGE_KEY));
+            return Array.isArray(indicators) ? indicators : [];
+        } catch (error) {
+            return [];
+        }
     }
 
-    assessDataQuality() {
-        const totalRows = this.data.length;
-        const qualityMetrics = {
-            completeness: {},
-            uniqueness: {},
-            overall: 0
-        };
+    saveIndicators(indicators) {
+        this.indicators = indicators;
+        try {
+            localStorage.setItem(ComprehensiveDataAnalyzer.INDICATOR_STORAGE_KEY, JSON.stringify(indicators));
+        } catch (error) {
+            console.warn('Could not remember indicators:', error);
+        }
+    }
+
+    async runCombine() {
+        this.readCombinePlan();
+        // The files are already parsed
+        this.showLoading(Object.keys(ComprehensiveDataAnalyzer.PROGRESS_STAGES).filter(stage => stage !== 'parse'));
+
+        try {
+            const result = await this.requestAnalysis('combine', { plan: this.combinePlan, ...this.analysisOptions() });
+            this.showAnalysis(result.view);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('Error combining files:', error);
+            this.hideLoading();
+            this.showError(`Error combining files: ${error.message}`);
+        }
+    }
+
+    // Only the settings that differ from detection are stored
+    readColumnSchema() {
+        const overrides = {};
+        const field = (attribute, col) => [...document.querySelectorAll(`[${attribute}]`)]
+            .find(element => element.getAttribute(attribute) === col);
 
         this.columns.forEach(col => {
-            const values = this.data.map(row => row[col]);
-            const nonNullValues = values.filter(val => val != null && val !== '');
-            const uniqueValues = new Set(nonNullValues);
-            
-            qualityMetrics.completeness[col] = (nonNullValues.length / totalRows * 100).toFixed(1);
-            qualityMetrics.uniqueness[col] = uniqueValues.size;
+            const detected = this.columnSchema[col].detected;
+            const override = {};
+            const type = field('data-schema-type', col);
+            const unit = field('data-schema-unit', col);
+            const format = field('data-schema-format', col);
+            const zone = field('data-schema-zone', col);
+
+            if (type && type.value !== detected.type) override.type = type.value;
+            if (unit && unit.value.trim() !== detected.unit) override.unit = unit.value.trim();
+            if (format && format.dataset.formatKind === 'number' && format.value !== detected.numberStyle) override.numberStyle = format.value;
+            if (format && format.dataset.formatKind === 'date' && format.value !== detected.dateOrder) override.dateOrder = format.value;
+            if (zone && zone.value !== detected.timeZone) override.timeZone = zone.value;
+            if (Object.keys(override).length > 0) overrides[col] = override;
         });
+        return overrides;
+    }
 
-        // Calculate overall quality score
-        const avgCompleteness = Object.values(qualityMetrics.completeness)
-            .reduce((sum, val) => sum + parseFloat(val), 0) / this.columns.length;
-        
-        qualityMetrics.overall = avgCompleteness;
-        this.analysisResults.dataQuality = qualityMetrics;
-    }
-
-    generateExecutiveSummary() {
-        const summary = {
-            totalRows: this.data.length,
-            totalColumns: this.columns.length,
-            numericColumns: this.numericColumns.length,
-            dateColumns: this.dateColumns.length,
-            categoricalColumns: this.categoricalColumns.length,
-            dataQualityScore: this.analysisResults.dataQuality.overall,
-            keyMetrics: []
-        };
+    async applyColumnSchema(overrides) {
+        this.saveSchemaOverrides(this.schemaSignature, overrides);
+        // The data is already parsed; only the analysis runs again
+        this.showLoading(Object.keys(ComprehensiveDataAnalyzer.PROGRESS_STAGES).filter(stage => stage !== 'parse'));
 
-        // Calculate key business metrics if applicable
-        if (this.hasColumns(['impressions', 'clicks', 'spent'])) {
-            const totalImpressions = this.sumColumn('impressions');
-            const totalClicks = this.sumColumn('clicks');
-            const totalSpent = this.sumColumn('spent');
-            const ctr = totalImpressions > 0 ? (totalClicks / totalImpressions * 100) : 0;
-
-            summary.keyMetrics = [
-                { label: 'Total Impressions', value: totalImpressions.toLocaleString(), type: 'count' },
-                { label: 'Total Clicks', value: totalClicks.toLocaleString(), type: 'count' },
-                { label: 'Total Spend', value: `$${totalSpent.toLocaleString()}`, type: 'currency' },
-                { label: 'Overall CTR', value: `${ctr.toFixed(3)}%`, type: 'percentage' }
-            ];
-        } else {
-            // Generic metrics for any dataset
-            const topNumericCols = this.numericColumns.slice(0, 4);
-            summary.keyMetrics = topNumericCols.map(col => ({
-                label: this.formatColumnName(col),
-                value: this.sumColumn(col).toLocaleString(),
-                type: 'count'
-            }));
+        try {
+            const result = await this.requestAnalysis('retype', {
+                ...this.analysisOptions(),
+                schemas: { [this.schemaSignature]: overrides },
+                recipe: this.appliedRecipe
+            });
+            this.showAnalysis(result.view);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('Error re-analysing data:', error);
+            this.hideLoading();
+            this.showError(`Error re-analysing data: ${error.message}`);
         }
-
-        this.analysisResults.executiveSummary = summary;
     }
 
-    performPerformanceAnalysis() {
-        const performance = {
-            topPerformers: [],
-            trends: [],
-            efficiency: {},
-            insights: []
-        };
+    // Only columns with a method other than 'none' are stored
+    readImputations() {
+        const settings = {};
+        document.querySelectorAll('[data-impute-method]').forEach(select => {
+            if (select.value === 'none') return;
+            const col = select.dataset.imputeMethod;
+            const input = [...document.querySelectorAll('[data-impute-value]')].find(element => element.dataset.imputeValue === col);
+            settings[col] = select.value === 'constant' ? { method: 'constant', value: input ? input.value : '' } : { method: select.value };
+        });
+        return settings;
+    }
 
-        // Identify top performers based on key metrics
-        if (this.numericColumns.length > 0) {
-            const primaryMetric = this.numericColumns[0];
-            const sorted = [...this.data].sort((a, b) => 
-                parseFloat(b[primaryMetric]) - parseFloat(a[primaryMetric])
-            );
-            performance.topPerformers = sorted.slice(0, 10);
-        }
+    async applyImputations(settings) {
+        this.saveImputations(this.schemaSignature, settings);
+        this.showLoading(Object.keys(ComprehensiveDataAnalyzer.PROGRESS_STAGES).filter(stage => stage !== 'parse'));
 
-        // Calculate efficiency metrics
-        if (this.hasColumns(['spent', 'clicks']) || this.hasColumns(['cost', 'revenue'])) {
-            performance.efficiency = this.calculateEfficiencyMetrics();
+        try {
+            const result = await this.requestAnalysis('retype', { ...this.analysisOptions(), recipe: this.appliedRecipe });
+            this.showAnalysis(result.view);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('Error imputing missing values:', error);
+            this.hideLoading();
+            this.showError(`Error imputing missing values: ${error.message}`);
         }
-
-        this.analysisResults.performance = performance;
     }
 
-    performDemographicAnalysis() {
-        const demographics = {
-            segments: {},
-            performance: {},
-            insights: []
-        };
+    // Indicators become columns, so adding or removing one re-runs the analysis;
+    // the price chart keeps the bars it was showing
+    async applyIndicators(indicators) {
+        this.saveIndicators(indicators);
+        const view = this.priceView;
+        this.showLoading(Object.keys(ComprehensiveDataAnalyzer.PROGRESS_STAGES).filter(stage => stage !== 'parse'));
 
-        // Look for demographic columns
-        const demoColumns = this.categoricalColumns.filter(col => 
-            ['age', 'gender', 'location', 'segment', 'category', 'type'].some(demo => 
-                col.toLowerCase().includes(demo)
-            )
-        );
+        try {
+            const result = await this.requestAnalysis('retype', { ...this.analysisOptions(), recipe: this.appliedRecipe });
+            this.keptPriceView = view;
+            this.showAnalysis(result.view);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('Error computing indicators:', error);
+            this.hideLoading();
+            this.showError(`Error computing indicators: ${error.message}`);
+        }
+    }
 
-        demoColumns.forEach(col => {
-            const segments = this.groupBy(col);
-            demographics.segments[col] = segments;
-            
-            if (this.numericColumns.length > 0) {
-                demographics.performance[col] = this.calculateSegmentPerformance(col, segments);
-            }
-        });
+    async applyRiskFreeRate(rate) {
+        this.saveRiskFreeRate(rate);
+        this.showLoading(Object.keys(ComprehensiveDataAnalyzer.PROGRESS_STAGES).filter(stage => stage !== 'parse'));
 
-        this.analysisResults.demographics = demographics;
+        try {
+            const result = await this.requestAnalysis('retype', { ...this.analysisOptions(), recipe: this.appliedRecipe });
+            this.showAnalysis(result.view);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('Error measuring risk:', error);
+            this.hideLoading();
+            this.showError(`Error measuring risk: ${error.message}`);
+        }
     }
 
-    performTemporalAnalysis() {
-        const temporal = {
-            trends: {},
-            seasonality: {},
-            insights: []
-        };
+    // Every analysis, chart and the export follow the time frame, so changing
+    // it re-runs the analysis on the rows as recorded
+    async applyResample(resample) {
+        this.saveResample(resample);
+        this.showLoading(Object.keys(ComprehensiveDataAnalyzer.PROGRESS_STAGES).filter(stage => stage !== 'parse'));
 
-        if (this.dateColumns.length > 0) {
-            const dateCol = this.dateColumns[0];
-            const timeSeriesData = this.createTimeSeriesData(dateCol);
-            
-            temporal.trends = this.calculateTrends(timeSeriesData);
+        try {
+            const result = await this.requestAnalysis('retype', { ...this.analysisOptions(), recipe: this.appliedRecipe });
+            this.showAnalysis(result.view);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('Error resampling:', error);
+            this.hideLoading();
+            this.showError(`Error resampling: ${error.message}`);
         }
-
-        this.analysisResults.temporal = temporal;
     }
 
-    performStatisticalAnalysis() {
-        const statistical = {
-            distributions: {},
-            outliers: {},
-            insights: []
-        };
+    // Sessions left out drop rows before every analysis, so new settings re-run it
+    async applySessionSettings(settings) {
+        this.saveSessionSettings(settings);
+        this.showLoading(Object.keys(ComprehensiveDataAnalyzer.PROGRESS_STAGES).filter(stage => stage !== 'parse'));
 
-        this.numericColumns.forEach(col => {
-            const values = this.data.map(row => parseFloat(row[col])).filter(v => !isNaN(v));
-            statistical.distributions[col] = this.calculateDistributionStats(values);
-            statistical.outliers[col] = this.detectOutliers(values);
-        });
+        try {
+            const result = await this.requestAnalysis('retype', { ...this.analysisOptions(), recipe: this.appliedRecipe });
+            this.showAnalysis(result.view);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('Error applying session settings:', error);
+            this.hideLoading();
+            this.showError(`Error applying session settings: ${error.message}`);
+        }
+    }
 
-        this.analysisResults.statistical = statistical;
+    // The analysed rows, with imputed cells and indicator columns, as a CSV
+    // file; the rows live in the worker, which writes the file
+    async exportData() {
+        try {
+            const result = await this.requestAnalysis('export', {});
+            const blob = new Blob([result.csv], { type: 'text/csv' });
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = 'analysed-data.csv';
+            link.click();
+            setTimeout(() => URL.revokeObjectURL(link.href), 0);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('Error exporting data:', error);
+            this.showError(`Error exporting data: ${error.message}`);
+        }
     }
 
-    performCorrelationAnalysis() {
-        const correlations = {
-            significant: [],
-            insights: []
-        };
+    // A failed contract in block mode: the results stay hidden and the contract
+    // panel opens with the failing rules
+    showBlocked(view) {
+        this.hideLoading();
+        this.destroyAllCharts();
+        document.getElementById('resultsSection').style.display = 'none';
+        this.sourceColumns = view.sourceColumns;
+        this.appliedRecipe = view.recipe;
+        this.rowCount = view.rowCount;
+
+        const panel = document.getElementById('contractPanel');
+        panel.open = true;
+        this.displayContractPanel();
+        panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
 
-        if (this.numericColumns.length >= 2) {
-            for (let i = 0; i < this.numericColumns.length; i++) {
-                for (let j = i + 1; j < this.numericColumns.length; j++) {
-                    const col1 = this.numericColumns[i];
-                    const col2 = this.numericColumns[j];
-                    const correlation = this.calculateCorrelation(col1, col2);
-                    
-                    if (Math.abs(correlation) > 0.3) {
-                        correlations.significant.push({
-                            column1: col1,
-                            column2: col2,
-                            correlation: correlation,
-                            strength: this.getCorrelationStrength(correlation)
-                        });
-                    }
-                }
-            }
+    loadContract() {
+        try {
+            return JSON.parse(localStorage.getItem(ComprehensiveDataAnalyzer.CONTRACT_STORAGE_KEY)) || { blockOnFailure: false, rules: [] };
+        } catch (error) {
+            return { blockOnFailure: false, rules: [] };
         }
+    }
 
-        this.analysisResults.correlations = correlations;
+    saveContract(contract) {
+        this.contract = contract;
+        try {
+            localStorage.setItem(ComprehensiveDataAnalyzer.CONTRACT_STORAGE_KEY, JSON.stringify(contract));
+        } catch (error) {
+            console.warn('Could not remember the data contract:', error);
+        }
     }
 
-    generateAdvancedInsights() {
-        const insights = [];
+    // Checks the loaded data against the contract again; force analyses it even
+    // if rules fail
+    async checkContract(force = false) {
+        this.showLoading(Object.keys(ComprehensiveDataAnalyzer.PROGRESS_STAGES).filter(stage => stage !== 'parse'));
 
-        // Data quality insights
-        const avgQuality = this.analysisResults.dataQuality.overall;
-        if (avgQuality < 80) {
-            insights.push({
-                type: 'warning',
-                title: 'Data Quality Concern',
-                description: `Average data completeness is ${avgQuality.toFixed(1)}%. Consider data cleaning to improve analysis accuracy.`
-            });
+        try {
+            const contract = force ? { ...this.contract, blockOnFailure: false } : this.contract;
+            const result = await this.requestAnalysis('retype', { ...this.analysisOptions(), recipe: this.appliedRecipe, contract });
+            this.showAnalysis(result.view);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('Error checking the data contract:', error);
+            this.hideLoading();
+            this.showError(`Error checking the data contract: ${error.message}`);
         }
+    }
 
-        // Performance insights
-        if (this.analysisResults.performance.efficiency) {
-            const efficiency = this.analysisResults.performance.efficiency;
-            if (efficiency.roi && efficiency.roi < 1) {
-                insights.push({
-                    type: 'opportunity',
-                    title: 'ROI Optimization Opportunity',
-                    description: `Current ROI is ${efficiency.roi.toFixed(2)}. Focus on high-performing segments to improve returns.`
-                });
+    // The Add Rule form as a rule object
+    readContractRule() {
+        const rule = { check: this.contractCheck };
+        DataContract.CHECKS[rule.check].params.forEach(param => {
+            const input = document.querySelector(`[data-contract-param="${param.name}"]`);
+            if (!input) return;
+            if (param.kind === 'columns' || param.kind === 'names') {
+                rule[param.name] = TransformPipeline.list(input.value);
+            } else if (param.kind === 'flag') {
+                if (input.checked) rule[param.name] = true;
+            } else if (param.kind === 'number') {
+                if (input.value.trim() !== '') rule[param.name] = Number(input.value);
+            } else if (input.value !== '' || param.kind === 'select') {
+                rule[param.name] = param.kind === 'column' ? input.value.trim() : input.value;
             }
-        }
-
-        // Correlation insights
-        const strongCorrelations = this.analysisResults.correlations.significant.filter(c => 
-            Math.abs(c.correlation) > 0.7
-        );
-        if (strongCorrelations.length > 0) {
-            insights.push({
-                type: 'insight',
-                title: 'Strong Correlations Detected',
-                description: `Found ${strongCorrelations.length} strong correlations that could indicate causal relationships.`
-            });
-        }
+        });
+        return rule;
+    }
 
-        this.analysisResults.advancedInsights = insights;
+    exportContract() {
+        const blob = new Blob([DataContract.exportContract(this.contract)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'data-contract.json';
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
     }
 
-    generateRecommendations() {
-        const recommendations = [];
+    async importContract(file) {
+        try {
+            this.saveContract(DataContract.parseContract(await file.text()));
+            this.displayContractPanel();
+        } catch (error) {
+            this.displayContractPanel(`Could not import ${file.name}: ${error.message}`);
+        }
+    }
 
-        // Data-driven recommendations based on analysis
-        if (this.analysisResults.demographics.performance) {
-            const bestSegments = this.findBestPerformingSegments();
-            if (bestSegments.length > 0) {
-                recommendations.push({
-                    priority: 'high',
-                    title: 'Focus on High-Performing Segments',
-                    description: `Allocate more resources to ${bestSegments.join(', ')} segments which show superior performance metrics.`
-                });
-            }
+    loadRecipe() {
+        try {
+            return JSON.parse(localStorage.getItem(ComprehensiveDataAnalyzer.RECIPE_STORAGE_KEY)) || [];
+        } catch (error) {
+            return [];
         }
+    }
 
-        if (this.analysisResults.temporal.trends) {
-            const trends = this.analysisResults.temporal.trends;
-            if (trends.direction === 'declining') {
-                recommendations.push({
-                    priority: 'high',
-                    title: 'Address Declining Trend',
-                    description: 'Implement strategies to reverse the declining performance trend identified in the temporal analysis.'
-                });
-            }
+    saveRecipe(steps) {
+        this.recipe = steps;
+        try {
+            localStorage.setItem(ComprehensiveDataAnalyzer.RECIPE_STORAGE_KEY, JSON.stringify(steps));
+        } catch (error) {
+            console.warn('Could not remember the transform recipe:', error);
         }
+    }
 
-        // Quality recommendations
-        const lowQualityColumns = Object.entries(this.analysisResults.dataQuality.completeness)
-            .filter(([col, quality]) => parseFloat(quality) < 70)
-            .map(([col, quality]) => col);
+    // Re-analyses the parsed rows with the recipe; an empty recipe restores the
+    // data as uploaded
+    async applyRecipe(steps) {
+        this.showLoading(Object.keys(ComprehensiveDataAnalyzer.PROGRESS_STAGES).filter(stage => stage !== 'parse'));
 
-        if (lowQualityColumns.length > 0) {
-            recommendations.push({
-                priority: 'medium',
-                title: 'Improve Data Collection',
-                description: `Improve data collection for ${lowQualityColumns.join(', ')} to enhance analysis accuracy.`
-            });
+        try {
+            const result = await this.requestAnalysis('retype', { ...this.analysisOptions(), recipe: steps });
+            this.showAnalysis(result.view);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('Error applying the transform recipe:', error);
+            this.hideLoading();
+            this.showError(`Error applying the transform recipe: ${error.message}`);
         }
-
-        this.analysisResults.recommendations = recommendations;
     }
 
-    // Helper methods
-    hasColumns(requiredColumns) {
-        return requiredColumns.every(col => 
-            this.columns.some(existingCol => 
-                existingCol.toLowerCase() === col.toLowerCase()
-            )
-        );
+    // Columns that exist once the first count recipe steps have run
+    recipeColumns(count) {
+        return this.recipe.slice(0, count).reduce((columns, step) => TransformPipeline.columnsAfter(columns, step), this.sourceColumns);
     }
 
-    sumColumn(columnName) {
-        return this.data.reduce((sum, row) => {
-            const value = parseFloat(row[columnName]);
-            return sum + (isNaN(value) ? 0 : value);
-        }, 0);
+    // The Add Step form as a step object
+    readRecipeStep() {
+        const step = { op: this.recipeStepOp };
+        TransformPipeline.OPERATIONS[step.op].params.forEach(param => {
+            const input = document.querySelector(`[data-recipe-param="${param.name}"]`);
+            if (!input) return;
+            if (param.kind === 'columns') {
+                step[param.name] = [...input.selectedOptions].map(option => option.value);
+            } else if (param.kind === 'names') {
+                step[param.name] = TransformPipeline.list(input.value);
+            } else if (param.kind === 'flag') {
+                if (input.checked) step[param.name] = true;
+            } else if (input.value !== '' || param.kind === 'select') {
+                step[param.name] = input.value;
+            }
+        });
+        return step;
     }
 
-    formatColumnName(col) {
-        return col.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+    exportRecipe() {
+        const blob = new Blob([TransformPipeline.exportRecipe(this.recipe)], { type: 'application/json' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = 'transform-recipe.json';
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0);
     }
 
-    groupBy(column) {
-        const groups = {};
-        this.data.forEach(row => {
-            const key = row[column];
-            if (!groups[key]) groups[key] = [];
-            groups[key].push(row);
-        });
-        return groups;
+    async importRecipe(file) {
+        try {
+            this.saveRecipe(TransformPipeline.parseRecipe(await file.text()));
+            this.displayTransformPanel();
+        } catch (error) {
+            this.displayTransformPanel(`Could not import ${file.name}: ${error.message}`);
+        }
     }
 
-    calculateCorrelation(col1, col2) {
-        const pairs = this.data.map(row => ({
-            x: parseFloat(row[col1]),
-            y: parseFloat(row[col2])
-        })).filter(pair => !isNaN(pair.x) && !isNaN(pair.y));
+    showFileInfo(file, settings) {
+        const fileInfo = document.getElementById('fileInfo');
+        const fileDetails = document.getElementById('fileDetails');
+        
+        fileDetails.innerHTML = `
+            ${this.currentSource ? `<p><strong>Source:</strong> ${this.currentSource === 'paste' ? 'Pasted text' : this.escapeHtml(this.currentSource)}</p>` : ''}
+            <p><strong>Name:</strong> ${this.escapeHtml(file.name)}</p>
+            <p><strong>Size:</strong> ${this.formatFileSize(file.size)}</p>
+            <p><strong>Type:</strong> ${this.escapeHtml(file.type || 'Unknown')}</p>
+            <p><strong>Last Modified:</strong> ${new Date(file.lastModified).toLocaleString()}</p>
+            ${settings && settings.format === 'csv' ? this.renderImportSettings(settings) : ''}
+            ${settings && (settings.format === 'json' || settings.format === 'jsonl') ? this.renderJSONSettings(settings) : ''}
+            ${settings && settings.format === 'workbook' && settings.sheets ? this.renderWorkbookSettings(settings) : ''}
+            ${settings && settings.availableColumns ? this.renderColumnPicker(settings) : ''}
+        `;
 
-        if (pairs.length < 2) return 0;
+        fileDetails.querySelectorAll('[data-import-setting]').forEach(select => {
+            select.addEventListener('change', () => this.applyImportSettings());
+        });
+        fileDetails.querySelectorAll('[data-import-apply]').forEach(button => {
+            button.addEventListener('click', () => this.applyImportSettings());
+        });
+        
+        fileInfo.style.display = 'block';
+    }
 
-        const n = pairs.length;
-        const sumX = pairs.reduce((sum, pair) => sum + pair.x, 0);
-        const sumY = pairs.reduce((sum, pair) => sum + pair.y, 0);
-        const sumXY = pairs.reduce((sum, pair) => sum + pair.x * pair.y, 0);
-        const sumXX = pairs.reduce((sum, pair) => sum + pair.x * pair.x, 0);
-        const sumYY = pairs.reduce((sum, pair) => sum + pair.y * pair.y, 0);
+    renderImportSettings(settings) {
+        const detected = settings.detected || {};
+        const option = (value, label, current, detectedValue) => `
+            <option value="${value}" ${String(value) === String(current) ? 'selected' : ''}>
+                ${label}${String(value) === String(detectedValue) ? ' (detected)' : ''}
+            </option>
+        `;
 
-        const numerator = n * sumXY - sumX * sumY;
-        const denominator = Math.sqrt((n * sumXX - sumX * sumX) * (n * sumYY - sumY * sumY));
+        return `
+            <div class="import-settings">
+                <label>
+                    <span>Delimiter</span>
+                    <select data-import-setting="delimiter">
+                        ${Object.entries(ComprehensiveDataAnalyzer.DELIMITER_LABELS)
+                            .map(([value, label]) => option(encodeURIComponent(value), label, encodeURIComponent(settings.delimiter), encodeURIComponent(detected.delimiter)))
+                            .join('')}
+                    </select>
+                </label>
+                <label>
+                    <span>Encoding</span>
+                    <select data-import-setting="encoding">
+                        ${Object.entries(ComprehensiveDataAnalyzer.ENCODING_LABELS)
+                            .map(([value, label]) => option(value, label, settings.encoding, detected.encoding))
+                            .join('')}
+                    </select>
+                </label>
+                <label>
+                    <span>Header Row</span>
+                    <select data-import-setting="hasHeader">
+                        ${option(true, 'First row is header', settings.hasHeader, detected.hasHeader)}
+                        ${option(false, 'No header (column_1..n)', settings.hasHeader, detected.hasHeader)}
+                    </select>
+                </label>
+            </div>
+        `;
+    }
 
-        return denominator === 0 ? 0 : numerator / denominator;
+    renderJSONSettings(settings) {
+        const formatLabel = settings.format === 'jsonl' ? 'JSON Lines' : 'JSON';
+        const recordPaths = settings.recordPaths || [];
+        const arrayFields = settings.arrayFields || [];
+
+        return `
+            <p><strong>Format:</strong> ${formatLabel} (${this.describeEncoding(settings.encoding)})</p>
+            <div class="import-settings">
+                ${recordPaths.length > 0 ? `
+                    <label>
+                        <span>Records</span>
+                        <select data-import-setting="recordPath">
+                            ${recordPaths.map(entry => `
+                                <option value="${this.escapeHtml(entry.path)}" ${entry.path === settings.recordPath ? 'selected' : ''}>
+                                    ${this.escapeHtml(entry.path || '(top level)')} (${entry.length.toLocaleString()} items)
+                                </option>
+                            `).join('')}
+                        </select>
+                    </label>
+                ` : ''}
+                ${arrayFields.length > 0 ? `
+                    <label>
+                        <span>Arrays</span>
+                        <select data-import-setting="arrayStrategy">
+                            <option value="join" ${settings.arrayStrategy === 'join' ? 'selected' : ''}>Join values into one cell</option>
+                            <option value="explode" ${settings.arrayStrategy === 'explode' ? 'selected' : ''}>Explode into one row per item</option>
+                        </select>
+                    </label>
+                    ${settings.arrayStrategy === 'explode' ? `
+                        <label>
+                            <span>Explode</span>
+                            <select data-import-setting="explodePath">
+                                ${arrayFields.map(field => `
+                                    <option value="${this.escapeHtml(field)}" ${field === settings.explodePath ? 'selected' : ''}>${this.escapeHtml(field)}</option>
+                                `).join('')}
+                            </select>
+                        </label>
+                    ` : ''}
+                ` : ''}
+            </div>
+        `;
     }
 
-    getCorrelationStrength(correlation) {
-        const abs = Math.abs(correlation);
-        if (abs >= 0.8) return 'Very Strong';
-        if (abs >= 0.6) return 'Strong';
-        if (abs >= 0.4) return 'Moderate';
-        if (abs >= 0.2) return 'Weak';
-        return 'Very Weak';
+    renderWorkbookSettings(settings) {
+        return `
+            <p><strong>Format:</strong> Excel workbook (${settings.sheets.length} sheet${settings.sheets.length === 1 ? '' : 's'})</p>
+            <div class="import-settings">
+                <label>
+                    <span>Sheet</span>
+                    <select data-import-setting="sheet">
+                        ${settings.sheets.map(sheet => `
+                            <option value="${this.escapeHtml(sheet.name)}" ${sheet.name === settings.sheet ? 'selected' : ''}>
+                                ${this.escapeHtml(sheet.name)} (${sheet.rows.toLocaleString()} rows)
+                            </option>
+                        `).join('')}
+                    </select>
+                </label>
+                <label>
+                    <span>Header Row</span>
+                    <select data-import-setting="headerRow">
+                        ${settings.headerRows.map(entry => `
+                            <option value="${entry.row}" ${entry.row === settings.headerRow ? 'selected' : ''}>
+                                Row ${entry.row}${entry.preview ? `: ${this.escapeHtml(this.truncateText(entry.preview, 40))}` : ''}
+                            </option>
+                        `).join('')}
+                    </select>
+                </label>
+            </div>
+        `;
     }
 
-    calculateDistributionStats(values) {
-        if (values.length === 0) return null;
-
-        const sorted = [...values].sort((a, b) => a - b);
-        const mean = values.reduce((a, b) => a + b, 0) / values.length;
-        const median = sorted.length % 2 === 0 
-            ? (sorted[sorted.length / 2 - 1] + sorted[sorted.length / 2]) / 2
-            : sorted[Math.floor(sorted.length / 2)];
-        
-        const variance = values.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / values.length;
-        const std = Math.sqrt(variance);
-        const skewness = std === 0 ? 0 : values.reduce((sum, val) => sum + Math.pow((val - mean) / std, 3), 0) / values.length;
-
-        return {
-            mean: mean,
-            median: median,
-            std: std,
-            skewness: skewness,
-            min: Math.min(...values),
-            max: Math.max(...values),
-            q1: sorted[Math.floor(sorted.length * 0.25)],
-            q3: sorted[Math.floor(sorted.length * 0.75)]
-        };
+    renderColumnPicker(settings) {
+        const formatLabel = settings.format === 'parquet' ? 'Apache Parquet' : 'Apache Arrow IPC';
+        const kindLabels = { numeric: 'Numeric', date: 'Date/Time', categorical: 'Categorical' };
+
+        return `
+            <p><strong>Format:</strong> ${formatLabel} (${settings.rowCount.toLocaleString()} rows, ${settings.availableColumns.length} columns, types read from the file schema)</p>
+            <div class="column-picker">
+                ${settings.availableColumns.map(field => `
+                    <label>
+                        <input type="checkbox" data-import-column value="${this.escapeHtml(field.name)}" ${settings.columns.includes(field.name) ? 'checked' : ''}>
+                        <span>${this.escapeHtml(field.name)}</span>
+                        <small>${kindLabels[field.kind]} · ${this.escapeHtml(field.type)}</small>
+                    </label>
+                `).join('')}
+            </div>
+            <button class="secondary-btn" data-import-apply>Load Selected Columns</button>
+        `;
     }
 
-    detectOutliers(values) {
-        const stats = this.calculateDistributionStats(values);
-        if (!stats) return [];
+    applyImportSettings() {
+        const overrides = {};
+        document.querySelectorAll('[data-import-setting]').forEach(select => {
+            const key = select.dataset.importSetting;
+            if (key === 'delimiter') {
+                overrides.delimiter = decodeURIComponent(select.value);
+            } else if (key === 'hasHeader') {
+                overrides.hasHeader = select.value === 'true';
+            } else if (key === 'headerRow') {
+                overrides.headerRow = Number(select.value);
+            } else {
+                overrides[key] = select.value;
+            }
+        });
 
-        const iqr = stats.q3 - stats.q1;
-        const lowerBound = stats.q1 - 1.5 * iqr;
-        const upperBound = stats.q3 + 1.5 * iqr;
+        const columnBoxes = document.querySelectorAll('[data-import-column]');
+        if (columnBoxes.length > 0) {
+            overrides.columns = [...columnBoxes].filter(box => box.checked).map(box => box.value);
+        }
 
-        return values.filter(val => val < lowerBound || val > upperBound);
+        this.handleFile(this.currentFile, overrides);
     }
 
-    calculateEfficiencyMetrics() {
-        const efficiency = {};
-        
-        if (this.hasColumns(['spent', 'clicks'])) {
-            const totalSpent = this.sumColumn('spent');
-            const totalClicks = this.sumColumn('clicks');
-            efficiency.cpc = totalClicks > 0 ? totalSpent / totalClicks : 0;
-        }
+    describeEncoding(encoding) {
+        return ComprehensiveDataAnalyzer.ENCODING_LABELS[encoding] || encoding;
+    }
 
-        if (this.hasColumns(['spent', 'approved_conversion'])) {
-            const totalSpent = this.sumColumn('spent');
-            const totalConversions = this.sumColumn('approved_conversion');
-            efficiency.costPerConversion = totalConversions > 0 ? totalSpent / totalConversions : 0;
-            efficiency.roi = totalSpent > 0 ? totalConversions / totalSpent : 0;
-        }
+    formatFileSize(bytes) {
+        if (bytes === 0) return '0 Bytes';
+        const k = 1024;
+        const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+        const i = Math.floor(Math.log(bytes) / Math.log(k));
+        return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+    }
 
-        return efficiency;
+    // stages lists the PROGRESS_STAGES this run goes through, in order
+    showLoading(stages = Object.keys(ComprehensiveDataAnalyzer.PROGRESS_STAGES)) {
+        const loadingSection = document.getElementById('loadingSection');
+        this.progressStages = stages;
+        // showError replaces the loader, so put it back for the next run
+        loadingSection.innerHTML = `
+            <div class="loader"></div>
+            <p id="loadingMessage">Starting analysis...</p>
+            <div class="progress-bar">
+                <div class="progress-fill" id="progressFill"></div>
+            </div>
+            <ul class="progress-stages">
+                ${stages.map(stage => `
+                    <li data-progress-stage="${stage}">
+                        <span>${ComprehensiveDataAnalyzer.PROGRESS_STAGES[stage]}</span>
+                        <span class="stage-status">Waiting</span>
+                    </li>
+                `).join('')}
+            </ul>
+            <button class="secondary-btn" id="cancelButton">Cancel</button>
+        `;
+        document.getElementById('cancelButton').addEventListener('click', () => this.cancelLoading());
+        loadingSection.style.display = 'block';
+        document.getElementById('resultsSection').style.display = 'none';
     }
 
-    calculateSegmentPerformance(column, segments) {
-        const performance = {};
-        
-        Object.keys(segments).forEach(segment => {
-            const segmentData = segments[segment];
-            const metrics = {};
-            
-            this.numericColumns.forEach(numCol => {
-                const values = segmentData.map(row => parseFloat(row[numCol])).filter(v => !isNaN(v));
-                metrics[numCol] = {
-                    sum: values.reduce((a, b) => a + b, 0),
-                    avg: values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0,
-                    count: values.length
-                };
-            });
-            
-            performance[segment] = metrics;
+    // progress is a worker progress message: stage, message and optionally
+    // done / total (bytes, columns or column pairs) and rows read so far
+    showProgress(progress) {
+        const message = document.getElementById('loadingMessage');
+        if (!message) return;
+
+        const percent = progress.total > 0 && progress.done !== undefined
+            ? Math.min(100, Math.round(progress.done / progress.total * 100))
+            : null;
+        message.textContent = [
+            `${progress.message}...`,
+            percent !== null ? `${percent}%` : '',
+            progress.rows !== undefined ? `${progress.rows.toLocaleString()} rows` : ''
+        ].filter(Boolean).join(' · ');
+
+        const index = this.progressStages.indexOf(progress.stage);
+        if (index === -1) return;
+
+        document.querySelectorAll('[data-progress-stage]').forEach((item, itemIndex) => {
+            const status = item.querySelector('.stage-status');
+            if (itemIndex < index) {
+                item.className = 'done';
+                status.textContent = 'Done';
+            } else if (itemIndex === index) {
+                item.className = 'active';
+                status.textContent = percent !== null ? `${percent}%` : 'Running';
+            } else {
+                item.className = '';
+                status.textContent = 'Waiting';
+            }
         });
-        
-        return performance;
+
+        // Finished stages plus the finished share of the current one
+        const overall = (index + (percent || 0) / 100) / this.progressStages.length;
+        document.getElementById('progressFill').style.width = `${(overall * 100).toFixed(1)}%`;
     }
 
-    findBestPerformingSegments() {
-        const bestSegments = [];
-        
-        if (this.analysisResults.demographics.performance) {
-            Object.entries(this.analysisResults.demographics.performance).forEach(([column, segments]) => {
-                const primaryMetric = this.numericColumns[0];
-                if (primaryMetric && segments) {
-                    const sortedSegments = Object.entries(segments)
-                        .sort(([,a], [,b]) => (b[primaryMetric]?.avg || 0) - (a[primaryMetric]?.avg || 0));
-                    
-                    if (sortedSegments.length > 0) {
-                        bestSegments.push(`${column}: ${sortedSegments[0][0]}`);
-                    }
-                }
-            });
+    // Stops the download or analysis in flight (including the AI request) and
+    // goes back to the previous results, if there are any.
+    cancelLoading() {
+        if (this.downloadController) this.downloadController.abort();
+        this.cancelAnalysis();
+        this.hideLoading();
+        if (this.rowCount > 0) {
+            document.getElementById('resultsSection').style.display = 'block';
         }
-        
-        return bestSegments;
     }
 
-    createTimeSeriesData(dateColumn) {
-        const timeSeriesData = this.data.map(row => ({
-            date: new Date(row[dateColumn]),
-            ...this.numericColumns.reduce((acc, col) => {
-                acc[col] = parseFloat(row[col]) || 0;
-                return acc;
-            }, {})
-        })).filter(item => !isNaN(item.date.getTime()))
-          .sort((a, b) => a.date - b.date);
-
-        return timeSeriesData;
+    hideLoading() {
+        document.getElementById('loadingSection').style.display = 'none';
     }
 
-    calculateTrends(timeSeriesData) {
-        if (timeSeriesData.length < 2) return { direction: 'insufficient_data' };
-
-        const primaryMetric = this.numericColumns[0];
-        if (!primaryMetric) return { direction: 'no_numeric_data' };
-
-        const values = timeSeriesData.map((item, index) => ({
-            x: index,
-            y: item[primaryMetric]
-        }));
+    showError(message) {
+        const loadingSection = document.getElementById('loadingSection');
+        loadingSection.innerHTML = `
+            <div style="color: #ef4444; text-align: center; padding: 2rem;">
+                <div style="font-size: 3rem; margin-bottom: 1rem;">⚠️</div>
+                <h3>Error Processing File</h3>
+                <p>${this.escapeHtml(message)}</p>
+                <button onclick="location.reload()" style="margin-top: 1rem; padding: 0.5rem 1rem; background: #ef4444; color: white; border: none; border-radius: 0.5rem; cursor: pointer;">
+                    Try Again
+                </button>
+            </div>
+        `;
+        loadingSection.style.display = 'block';
+    }
 
-        // Simple linear regression
-        const n = values.length;
-        const sumX = values.reduce((sum, point) => sum + point.x, 0);
-        const sumY = values.reduce((sum, point) => sum + point.y, 0);
-        const sumXY = values.reduce((sum, point) => sum + point.x * point.y, 0);
-        const sumXX = values.reduce((sum, point) => sum + point.x * point.x, 0);
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
 
-        const slope = (n * sumXY - sumX * sumY) / (n * sumXX - sumX * sumX);
-        const direction = slope > 0.001 ? 'increasing' : slope < -0.001 ? 'declining' : 'stable';
+    truncateText(text, maxLength) {
+        const value = String(text == null ? '' : text);
+        return value.length > maxLength ? value.slice(0, maxLength) + '…' : value;
+    }
 
-        return { direction, slope, metric: primaryMetric };
+    formatColumnName(col) {
+        return AnalysisEngine.formatColumnName(col);
     }
 
     showResults() {
@@ -809,8 +1255,16 @@ class ComprehensiveDataAnalyzer {
 
         this.displayExecutiveSummary();
         this.displayDataOverview();
+        this.displayColumnSchema();
+        this.displayTransformPanel();
+        this.displayImputationPanel();
+        this.displayContractPanel();
+        this.displayImportReport();
         this.displayPerformanceAnalysis();
         this.displayDemographicAnalysis();
+        this.displayPriceChart();
+        this.displayRiskAnalysis();
+        this.displaySessionAnalysis();
         this.displayTemporalAnalysis();
         this.displayStatisticalAnalysis();
         this.displayCorrelationAnalysis();
@@ -835,21 +1289,24 @@ class ComprehensiveDataAnalyzer {
         
         const metricsHtml = summary.keyMetrics.map(metric => `
             <div class="metric-card">
-                <h3>${metric.value}</h3>
-                <p>${metric.label}</p>
+                <h3>${this.escapeHtml(metric.value)}</h3>
+                <p>${this.escapeHtml(metric.label)}</p>
             </div>
         `).join('');
         
         container.innerHTML = metricsHtml;
 
         // Key findings
+        const diagnostics = this.analysisResults.diagnostics;
         const keyFindings = document.getElementById('keyFindings');
         keyFindings.innerHTML = `
             <div class="key-findings">
                 <h4>📊 Key Findings</h4>
                 <ul>
                     <li>Dataset contains ${summary.totalRows.toLocaleString()} records across ${summary.totalColumns} variables</li>
+                    ${diagnostics && diagnostics.rejectedCount > 0 ? `<li>${diagnostics.rejectedCount.toLocaleString()} of ${diagnostics.recordsRead.toLocaleString()} rows were rejected during import (see Import Report)</li>` : ''}
                     <li>Data quality score: ${summary.dataQualityScore.toFixed(1)}%</li>
+                    ${this.validation ? `<li>Data contract: ${this.validation.passed} of ${this.validation.results.length} rules passed${this.validation.failed > 0 ? ' (see Data Contract above)' : ''}</li>` : ''}
                     <li>Identified ${summary.numericColumns} numeric metrics for analysis</li>
                     <li>${summary.dateColumns > 0 ? 'Time-based analysis available' : 'Static dataset analysis'}</li>
                 </ul>
@@ -864,7 +1321,7 @@ class ComprehensiveDataAnalyzer {
         overview.innerHTML = `
             <div class="data-stats">
                 <div class="stat-item">
-                    <div class="stat-value">${this.data.length.toLocaleString()}</div>
+                    <div class="stat-value">${this.rowCount.toLocaleString()}</div>
                     <div class="stat-label">Total Records</div>
                 </div>
                 <div class="stat-item">
@@ -882,39 +1339,800 @@ class ComprehensiveDataAnalyzer {
             </div>
             <div style="margin-top: 1.5rem;">
                 <h4>Column Details:</h4>
-                <p><strong>Numeric:</strong> ${this.numericColumns.join(', ') || 'None'}</p>
-                <p><strong>Categorical:</strong> ${this.categoricalColumns.join(', ') || 'None'}</p>
-                <p><strong>Date/Time:</strong> ${this.dateColumns.join(', ') || 'None'}</p>
+                <p><strong>Numeric:</strong> ${this.escapeHtml(this.numericColumns.join(', ') || 'None')}</p>
+                <p><strong>Categorical:</strong> ${this.escapeHtml(this.categoricalColumns.join(', ') || 'None')}</p>
+                <p><strong>Date/Time:</strong> ${this.escapeHtml(this.dateColumns.join(', ') || 'None')}</p>
+                <p><strong>Identifiers &amp; Text:</strong> ${this.escapeHtml(this.textColumns.join(', ') || 'None')}</p>
             </div>
         `;
 
         // Data quality assessment
         const qualityMetrics = this.analysisResults.dataQuality;
+        const percent = value => (value === null || value === undefined ? '—' : `${value.toFixed(1)}%`);
+        const grade = score => (score > 90 ? ['performance-high', 'Good'] : score > 70 ? ['performance-medium', 'Fair'] : ['performance-low', 'Poor']);
         const qualityHtml = Object.entries(qualityMetrics.completeness)
-            .map(([col, completeness]) => `
+            .map(([col, completeness]) => {
+                const conformance = qualityMetrics.conformance[col];
+                const validity = qualityMetrics.validity[col];
+                // A column is as good as its weakest check
+                const score = Math.min(parseFloat(completeness), conformance === null ? 100 : conformance, validity && validity.rate !== null ? validity.rate : 100);
+                const [indicator, label] = grade(score);
+                return `
                 <tr>
-                    <td>${col}</td>
+                    <td>${this.escapeHtml(col)}</td>
                     <td>${completeness}%</td>
                     <td>${qualityMetrics.uniqueness[col]}</td>
-                    <td><span class="performance-indicator ${parseFloat(completeness) > 90 ? 'performance-high' : parseFloat(completeness) > 70 ? 'performance-medium' : 'performance-low'}">${parseFloat(completeness) > 90 ? 'Good' : parseFloat(completeness) > 70 ? 'Fair' : 'Poor'}</span></td>
+                    <td>${percent(conformance)}</td>
+                    <td>${validity ? `${percent(validity.rate)} <small>(${validity.rule})</small>` : '—'}</td>
+                    <td><span class="performance-indicator ${indicator}">${label}</span></td>
                 </tr>
-            `).join('');
+            `;
+            }).join('');
+        const dimensionLabels = {
+            completeness: 'Completeness',
+            conformance: 'Type Conformance',
+            validity: 'Valid Ranges',
+            uniqueness: 'Unique Rows',
+            consistency: 'Consistency',
+            timeliness: 'Timestamps'
+        };
+        const dimensions = Object.entries(qualityMetrics.dimensions).map(([dimension, { score, weight }]) => `
+            <div class="stat-item">
+                <div class="stat-value">${percent(score)}</div>
+                <div class="stat-label">${dimensionLabels[dimension]} <small>(weight ${Math.round(weight * 100)}%)</small></div>
+            </div>
+        `).join('');
+        const timestamps = qualityMetrics.timestamps;
+        const issues = qualityMetrics.issues;
+
+        quality.innerHTML = `
+            <h4>Data Quality Assessment</h4>
+            <div class="data-stats">
+                <div class="stat-item">
+                    <div class="stat-value">${qualityMetrics.overall.toFixed(1)}%</div>
+                    <div class="stat-label">Quality Score</div>
+                </div>
+                ${dimensions}
+            </div>
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Column</th>
+                        <th>Completeness</th>
+                        <th>Unique Values</th>
+                        <th>Type Conformance</th>
+                        <th>Valid Range</th>
+                        <th>Quality</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${qualityHtml}
+                </tbody>
+            </table>
+            <ul class="quality-checks">
+                <li><strong>Duplicate rows:</strong> ${qualityMetrics.duplicates.exact.toLocaleString()} exact, ${qualityMetrics.duplicates.near.toLocaleString()} near (same after trimming, case and rounding, ignoring identifiers)</li>
+                ${qualityMetrics.consistency.length > 0 ? `
+                    <li><strong>Cross-column rules:</strong> ${qualityMetrics.consistency.map(rule => `${this.escapeHtml(rule.rule)} (${rule.failed.toLocaleString()} of ${rule.checked.toLocaleString()} rows break it)`).join(', ')}</li>
+                ` : ''}
+                ${timestamps ? `
+                    <li><strong>Timestamps (${this.escapeHtml(timestamps.column)}):</strong> ${timestamps.direction}${timestamps.interval ? `, usually every ${QualityChecks.formatDuration(timestamps.interval)}` : ''}; ${timestamps.backwards.toLocaleString()} out of order, ${timestamps.repeated.toLocaleString()} repeated, ${timestamps.gaps.toLocaleString()} gaps</li>
+                ` : ''}
+            </ul>
+            ${issues.length > 0 ? `
+                <h4>Issues</h4>
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th>Dimension</th>
+                            <th>Check</th>
+                            <th>Rows</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${issues.map((issue, index) => `
+                            <tr>
+                                <td>${dimensionLabels[issue.dimension]}</td>
+                                <td>${this.escapeHtml(issue.label)}</td>
+                                <td>${issue.failed.toLocaleString()}</td>
+                                <td><button class="secondary-btn" data-quality-issue="${index}">Show Rows</button></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <div data-quality-rows></div>
+            ` : '<p>No rows failed a quality check.</p>'}
+        `;
+
+        quality.querySelectorAll('[data-quality-issue]').forEach(button => {
+            button.addEventListener('click', () => this.displayQualityRows(issues[Number(button.dataset.qualityIssue)]));
+        });
+    }
+
+    // Drill-down for one quality issue: its first offending rows with the
+    // values of the columns involved
+    displayQualityRows(issue) {
+        const container = document.querySelector('[data-quality-rows]');
+        container.innerHTML = `
+            <h4>${this.escapeHtml(issue.label)}</h4>
+            ${issue.failed > issue.rows.length ? `<p class="schema-note">Showing the first ${issue.rows.length} of ${issue.failed.toLocaleString()} rows.</p>` : ''}
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Row</th>
+                        <th>Problem</th>
+                        ${issue.columns.map(col => `<th>${this.escapeHtml(col)}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${issue.rows.map(row => `
+                        <tr>
+                            <td>${row.row.toLocaleString()}</td>
+                            <td>${this.escapeHtml(row.detail)}</td>
+                            ${row.values.map(value => `<td>${this.escapeHtml(String(value === undefined || value === null ? '' : value))}</td>`).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    displayColumnSchema() {
+        const container = document.getElementById('columnSchema');
+        const locale = this.loadLocale();
+        const options = (entries, current, detected) => entries.map(([value, label]) => `
+            <option value="${value}" ${value === current ? 'selected' : ''}>${label}${value === detected ? ' (detected)' : ''}</option>
+        `).join('');
+        const typeOptions = Object.entries(SemanticTypes.TYPES).map(([type, info]) => [type, info.label]);
+        const numberOptions = Object.entries(LocaleParser.NUMBER_STYLES).map(([style, info]) => [style, info.label]);
+        const dateOptions = Object.entries(LocaleParser.DATE_ORDERS);
+        const timeZone = this.loadTimeZone();
+        const zoneOptions = current => [['local', `Browser time (${TimeZones.localZone()})`], ...TimeZones.list().map(zone => [zone, zone])]
+            .map(([value, label]) => `<option value="${value}" ${value === current ? 'selected' : ''}>${label}</option>`)
+            .join('');
+
+        // Number style for numeric types, day/month order and source zone for dates
+        const formatCell = (col, schema) => {
+            const kind = SemanticTypes.kind(schema.type);
+            if (kind === 'numeric' && schema.type !== 'duration') {
+                return `
+                    <select data-schema-format="${this.escapeHtml(col)}" data-format-kind="number">
+                        ${options(numberOptions, schema.numberStyle, schema.detected.numberStyle)}
+                    </select>
+                    ${schema.numberAmbiguous ? '<span class="schema-warning" title="Values like 1.234 or 1,234 read differently by locale">⚠ ambiguous</span>' : ''}
+                `;
+            }
+            if (kind === 'date') {
+                return `
+                    <select data-schema-format="${this.escapeHtml(col)}" data-format-kind="date">
+                        ${options(dateOptions, schema.dateOrder, schema.detected.dateOrder)}
+                    </select>
+                    <select data-schema-zone="${this.escapeHtml(col)}" title="Zone of times written without an offset">
+                        ${zoneOptions(schema.timeZone)}
+                    </select>
+                    ${schema.dateAmbiguous ? '<span class="schema-warning" title="Dates like 03/04/2025 fit both day/month and month/day">⚠ ambiguous</span>' : ''}
+                `;
+            }
+            return '—';
+        };
+
+        const rows = this.columns.map(col => {
+            const schema = this.columnSchema[col];
+            return `
+                <tr class="${schema.overridden ? 'schema-overridden' : ''}">
+                    <td>${this.escapeHtml(col)}</td>
+                    <td>
+                        <select data-schema-type="${this.escapeHtml(col)}">
+                            ${options(typeOptions, schema.type, schema.detected.type)}
+                        </select>
+                    </td>
+                    <td>${formatCell(col, schema)}</td>
+                    <td><input type="text" data-schema-unit="${this.escapeHtml(col)}" value="${this.escapeHtml(schema.unit)}" placeholder="e.g. USD, %, s"></td>
+                </tr>
+            `;
+        }).join('');
+        const hasOverrides = this.columns.some(col => this.columnSchema[col].overridden);
+        const ambiguousDates = this.columns.filter(col => this.columnSchema[col].dateAmbiguous);
+
+        container.innerHTML = `
+            <p>Identifiers and free text are profiled but left out of totals, segments and correlations. Changing a type re-runs the analysis without reading the file again, and the choice is remembered for files with the same columns.</p>
+            <div class="import-settings schema-locale">
+                <label>
+                    <span>Number &amp; Date Locale</span>
+                    <select data-schema-locale>
+                        <option value="auto" ${locale === 'auto' ? 'selected' : ''}>Auto-detect (browser: ${LocaleParser.LOCALES[LocaleParser.browserLocale()].label})</option>
+                        ${Object.entries(LocaleParser.LOCALES).map(([code, info]) => `
+                            <option value="${code}" ${code === locale ? 'selected' : ''}>${info.label}</option>
+                        `).join('')}
+                    </select>
+                </label>
+                ${this.dateColumns.length > 0 ? `
+                    <label>
+                        <span>Display Time Zone</span>
+                        <select data-schema-display-zone>
+                            <option value="source" ${timeZone === 'source' ? 'selected' : ''}>As recorded (each column's source zone)</option>
+                            ${zoneOptions(timeZone)}
+                        </select>
+                    </label>
+                ` : ''}
+            </div>
+            ${ambiguousDates.length > 0 ? `
+                <p class="schema-note">⚠ Dates in ${ambiguousDates.map(col => `<strong>${this.escapeHtml(col)}</strong>`).join(', ')} could be day/month or month/day and were read as ${ambiguousDates.map(col => LocaleParser.DATE_ORDERS[this.columnSchema[col].dateOrder]).join(', ')}. Pick the right order below if that is wrong.</p>
+            ` : ''}
+            <table class="data-table schema-table">
+                <thead>
+                    <tr>
+                        <th>Column</th>
+                        <th>Type</th>
+                        <th>Format</th>
+                        <th>Unit</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows}
+                </tbody>
+            </table>
+            <div class="schema-actions">
+                <button class="secondary-btn" data-schema-apply>Apply Column Types</button>
+                ${hasOverrides ? '<button class="secondary-btn" data-schema-reset>Reset to Detected</button>' : ''}
+            </div>
+        `;
+
+        container.querySelector('[data-schema-apply]').addEventListener('click', () => this.applyColumnSchema(this.readColumnSchema()));
+        const resetButton = container.querySelector('[data-schema-reset]');
+        if (resetButton) resetButton.addEventListener('click', () => this.applyColumnSchema({}));
+        // A new locale changes what is detected, so it applies straight away
+        container.querySelector('[data-schema-locale]').addEventListener('change', event => {
+            this.saveLocale(event.target.value);
+            this.applyColumnSchema(this.readColumnSchema());
+        });
+        // Trend days and hour/weekday buckets depend on the display zone too
+        const displayZone = container.querySelector('[data-schema-display-zone]');
+        if (displayZone) {
+            displayZone.addEventListener('change', event => {
+                this.saveTimeZone(event.target.value);
+                this.applyColumnSchema(this.readColumnSchema());
+            });
+        }
+    }
+
+    // message is shown above the form (an invalid step or a failed import)
+    displayTransformPanel(message = '') {
+        const container = document.getElementById('transformPanel');
+        const transform = this.analysisResults.transform;
+        const pending = JSON.stringify(this.recipe) !== JSON.stringify(this.appliedRecipe);
+        const operation = TransformPipeline.OPERATIONS[this.recipeStepOp];
+        const columns = this.recipeColumns(this.recipe.length);
+        const columnOptions = columns.map(col => `<option value="${this.escapeHtml(col)}">${this.escapeHtml(col)}</option>`).join('');
+
+        const field = param => {
+            const name = `data-recipe-param="${param.name}"`;
+            let control;
+            if (param.kind === 'column') {
+                control = `<select ${name}>${columnOptions}</select>`;
+            } else if (param.kind === 'columns') {
+                control = `<select ${name} multiple size="${Math.min(6, Math.max(2, columns.length))}">${columnOptions}</select>`;
+            } else if (param.kind === 'select') {
+                control = `<select ${name}>${Object.entries(param.options).map(([value, label]) => `<option value="${value}">${this.escapeHtml(label)}</option>`).join('')}</select>`;
+            } else if (param.kind === 'flag') {
+                control = `<input type="checkbox" ${name}>`;
+            } else if (param.kind === 'expression') {
+                control = `<input type="text" class="recipe-expression" ${name} placeholder="e.g. (high - low) / low">`;
+            } else {
+                control = `<input type="text" ${name}>`;
+            }
+            return `<label><span>${param.label}</span>${control}</label>`;
+        };
+
+        const report = transform ? `
+            <p><strong>Applied:</strong> ${transform.steps.length} steps, ${transform.rowsIn.toLocaleString()} rows in, ${transform.rowsOut.toLocaleString()} rows out</p>
+            <table class="data-table">
+                <thead>
+                    <tr><th>#</th><th>Step</th><th>Rows</th><th>Cells Changed</th></tr>
+                </thead>
+                <tbody>
+                    ${transform.steps.map((step, index) => `
+                        <tr>
+                            <td>${index + 1}</td>
+                            <td>${this.escapeHtml(step.description)}${step.skipped ? `<span class="schema-warning">⚠ skipped: ${this.escapeHtml(step.skipped)}</span>` : ''}</td>
+                            <td>${step.rowsBefore.toLocaleString()} → ${step.rowsAfter.toLocaleString()}</td>
+                            <td>${step.changed.toLocaleString()}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : '';
+
+        const steps = this.recipe.length > 0 ? `
+            <ol class="recipe-steps">
+                ${this.recipe.map((step, index) => `
+                    <li>
+                        <span>${this.escapeHtml(TransformPipeline.describe(step))}</span>
+                        <span class="recipe-step-actions">
+                            <button class="secondary-btn" data-recipe-move="${index}" data-direction="-1" ${index === 0 ? 'disabled' : ''} title="Move up">↑</button>
+                            <button class="secondary-btn" data-recipe-move="${index}" data-direction="1" ${index === this.recipe.length - 1 ? 'disabled' : ''} title="Move down">↓</button>
+                            <button class="secondary-btn" data-recipe-remove="${index}" title="Remove">✕</button>
+                        </span>
+                    </li>
+                `).join('')}
+            </ol>
+        ` : '<p>No steps yet - the data is analysed exactly as uploaded.</p>';
+
+        container.innerHTML = `
+            <p>Steps run in order on the uploaded rows before anything is analysed. The recipe is kept between visits and can be exported, so the same cleaning applies to next week's file with one click.</p>
+            ${report}
+            <h4>Recipe</h4>
+            ${steps}
+            ${pending ? '<p class="schema-note">The recipe has changes that are not applied yet.</p>' : ''}
+            ${message ? `<p class="schema-note">⚠ ${this.escapeHtml(message)}</p>` : ''}
+            <div class="import-settings recipe-form">
+                <label>
+                    <span>Add Step</span>
+                    <select data-recipe-op>
+                        ${Object.entries(TransformPipeline.OPERATIONS).map(([op, info]) => `
+                            <option value="${op}" ${op === this.recipeStepOp ? 'selected' : ''}>${info.label}</option>
+                        `).join('')}
+                    </select>
+                </label>
+                ${operation.params.map(field).join('')}
+                <button class="secondary-btn" data-recipe-add>Add Step</button>
+            </div>
+            ${operation.params.some(param => param.kind === 'expression') ? `
+                <p class="recipe-help">
+                    Use column names (or <code>[Column Name]</code>), numbers, <code>"text"</code>, <code>+ - * / % ^</code>, <code>&amp;</code> to join text,
+                    comparisons, <code>and</code>/<code>or</code>/<code>not</code> and <code>condition ? a : b</code>.
+                    Functions: ${Object.keys(ExpressionParser.FUNCTIONS).map(name => `<code>${name}</code>`).join(', ')}.
+                    <code>lag(close, 1)</code> reads the row above, in the file's order.
+                </p>
+            ` : ''}
+            <div class="schema-actions">
+                <button class="secondary-btn" data-recipe-apply>Apply Recipe</button>
+                ${this.recipe.length > 0 ? '<button class="secondary-btn" data-recipe-export>Export Recipe</button>' : ''}
+                <label class="secondary-btn recipe-import">
+                    Import Recipe
+                    <input type="file" accept=".json,application/json" data-recipe-import hidden>
+                </label>
+                ${this.recipe.length > 0 ? '<button class="secondary-btn" data-recipe-clear>Clear Recipe</button>' : ''}
+            </div>
+        `;
+
+        container.querySelector('[data-recipe-op]').addEventListener('change', event => {
+            this.recipeStepOp = event.target.value;
+            this.displayTransformPanel();
+        });
+        container.querySelector('[data-recipe-add]').addEventListener('click', () => {
+            const step = this.readRecipeStep();
+            const problem = TransformPipeline.validateStep(step) ||
+                TransformPipeline.existingColumn(step, this.recipeColumns(this.recipe.length));
+            if (problem) {
+                this.displayTransformPanel(problem);
+                return;
+            }
+            this.saveRecipe([...this.recipe, step]);
+            this.displayTransformPanel();
+        });
+        container.querySelectorAll('[data-recipe-move]').forEach(button => {
+            button.addEventListener('click', () => {
+                const index = Number(button.dataset.recipeMove);
+                const target = index + Number(button.dataset.direction);
+                const steps = [...this.recipe];
+                [steps[index], steps[target]] = [steps[target], steps[index]];
+                this.saveRecipe(steps);
+                this.displayTransformPanel();
+            });
+        });
+        container.querySelectorAll('[data-recipe-remove]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.saveRecipe(this.recipe.filter((step, index) => index !== Number(button.dataset.recipeRemove)));
+                this.displayTransformPanel();
+            });
+        });
+        container.querySelector('[data-recipe-apply]').addEventListener('click', () => this.applyRecipe(this.recipe));
+        container.querySelector('[data-recipe-import]').addEventListener('change', event => {
+            if (event.target.files[0]) this.importRecipe(event.target.files[0]);
+        });
+        const exportButton = container.querySelector('[data-recipe-export]');
+        if (exportButton) exportButton.addEventListener('click', () => this.exportRecipe());
+        const clearButton = container.querySelector('[data-recipe-clear]');
+        if (clearButton) {
+            clearButton.addEventListener('click', () => {
+                this.saveRecipe([]);
+                this.displayTransformPanel();
+            });
+        }
+    }
+
+    displayImputationPanel() {
+        const container = document.getElementById('imputationPanel');
+        const imputation = this.analysisResults.imputation;
+        const entries = imputation ? Object.entries(imputation.columns) : [];
+
+        if (entries.length === 0) {
+            container.innerHTML = '<p>No missing values in the numeric, date or category columns.</p>';
+            return;
+        }
+
+        const number = value => value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+        const date = (col, value) => new Date(TimeZones.asLocal(value, this.columnSchema[col].timeZone)).toLocaleString();
+        // Before/after summary: centre and spread for numbers, range for dates,
+        // the commonest label and its share for categories
+        const summary = (col, entry, stats) => {
+            if (stats.count === 0) return 'no values';
+            if (entry.kind === 'numeric') return `mean ${number(stats.mean)} · median ${number(stats.median)} · sd ${number(stats.std)} (n=${stats.count.toLocaleString()})`;
+            if (entry.kind === 'date') return `${date(col, stats.min)} – ${date(col, stats.max)} (n=${stats.count.toLocaleString()})`;
+            return `${this.escapeHtml(stats.mode)} ${(stats.modeShare * 100).toFixed(1)}% · ${stats.distinct} values (n=${stats.count.toLocaleString()})`;
+        };
+
+        const rows = entries.map(([col, entry]) => `
+            <tr>
+                <td>${this.escapeHtml(col)}</td>
+                <td>${entry.missing.toLocaleString()} (${(entry.missing / (this.rowCount + imputation.rowsDropped) * 100).toFixed(1)}%)</td>
+                <td>
+                    <select data-impute-method="${this.escapeHtml(col)}">
+                        <option value="none" ${entry.method === 'none' ? 'selected' : ''}>Leave missing</option>
+                        ${entry.methods.map(method => `
+                            <option value="${method}" ${method === entry.method ? 'selected' : ''}>${Imputer.METHODS[method].label}</option>
+                        `).join('')}
+                    </select>
+                    <input type="text" data-impute-value="${this.escapeHtml(col)}" value="${this.escapeHtml(entry.value)}" placeholder="Constant" ${entry.method === 'constant' ? '' : 'disabled'}>
+                    ${entry.problem ? `<span class="schema-warning">⚠ ${this.escapeHtml(entry.problem)}</span>` : ''}
+                </td>
+                <td>${entry.filled.toLocaleString()}${entry.unfilled > 0 && entry.method !== 'none' ? ` <span class="schema-warning" title="Gaps with no value to carry or interpolate from">${entry.unfilled.toLocaleString()} left</span>` : ''}</td>
+                <td>${summary(col, entry, entry.before)}</td>
+                <td>${summary(col, entry, entry.after)}</td>
+            </tr>
+        `).join('');
+        const saved = this.loadImputations()[this.schemaSignature];
+
+        container.innerHTML = `
+            <p>Choose how each column's gaps are handled before the analysis runs. Forward fill, back fill and interpolation follow time order when every row has a date, and interpolation weighs gaps by the time between readings. Filled cells are marked in the sample table.</p>
+            ${imputation.rowsDropped > 0 ? `<p class="schema-note">${imputation.rowsDropped.toLocaleString()} rows with missing values were dropped.</p>` : ''}
+            <table class="data-table imputation-table">
+                <thead>
+                    <tr>
+                        <th>Column</th>
+                        <th>Missing</th>
+                        <th>Method</th>
+                        <th>Filled</th>
+                        <th>Before</th>
+                        <th>After</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows}
+                </tbody>
+            </table>
+            ${imputation.examples.length > 0 ? `
+                <h4>Imputed Rows</h4>
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th>Row</th>
+                            <th>Filled Values</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${imputation.examples.map(example => `
+                            <tr>
+                                <td>${example.row.toLocaleString()}</td>
+                                <td>${Object.entries(example.values).map(([col, value]) => `<strong>${this.escapeHtml(col)}</strong> = ${this.escapeHtml(String(value))}`).join(', ')}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            ` : ''}
+            <div class="schema-actions">
+                <button class="secondary-btn" data-impute-apply>Apply Missing Values</button>
+                ${saved ? '<button class="secondary-btn" data-impute-reset>Leave All Missing</button>' : ''}
+            </div>
+        `;
+
+        container.querySelectorAll('[data-impute-method]').forEach(select => {
+            select.addEventListener('change', () => {
+                const input = [...container.querySelectorAll('[data-impute-value]')].find(element => element.dataset.imputeValue === select.dataset.imputeMethod);
+                if (input) input.disabled = select.value !== 'constant';
+            });
+        });
+        container.querySelector('[data-impute-apply]').addEventListener('click', () => this.applyImputations(this.readImputations()));
+        const resetButton = container.querySelector('[data-impute-reset]');
+        if (resetButton) resetButton.addEventListener('click', () => this.applyImputations({}));
+    }
+
+    // Editor for the contract (in the upload section, so rules can be set up
+    // before the first upload) with the results for the current data.
+    // message is shown above the form (an invalid rule or a failed import).
+    displayContractPanel(message = '') {
+        const container = document.getElementById('contractEditor');
+        const check = DataContract.CHECKS[this.contractCheck];
+        const rules = this.contract.rules;
+        const validation = this.validation;
+        const hasData = this.sourceColumns.length > 0;
+        const summary = document.querySelector('#contractPanel summary');
+        summary.textContent = `📜 Data Contract${rules.length > 0 ? ` (${rules.length} rule${rules.length > 1 ? 's' : ''}${this.contract.blockOnFailure ? ', blocking' : ''})` : ''}`;
+
+        const field = param => {
+            const name = `data-contract-param="${param.name}"`;
+            let control;
+            if (param.kind === 'column') {
+                control = `<input type="text" ${name} list="contractColumns" placeholder="Column name">`;
+            } else if (param.kind === 'columns' || param.kind === 'names') {
+                control = `<input type="text" ${name} ${param.kind === 'columns' ? 'list="contractColumns"' : ''} placeholder="a, b, c">`;
+            } else if (param.kind === 'select') {
+                control = `<select ${name}>${Object.entries(param.options).map(([value, label]) => `<option value="${value}">${this.escapeHtml(label)}</option>`).join('')}</select>`;
+            } else if (param.kind === 'flag') {
+                control = `<input type="checkbox" ${name}>`;
+            } else if (param.kind === 'number') {
+                control = `<input type="number" step="any" ${name}>`;
+            } else {
+                control = `<input type="text" ${name}>`;
+            }
+            return `<label><span>${param.label}</span>${control}</label>`;
+        };
+
+        const results = validation ? `
+            <p class="${validation.failed > 0 ? 'schema-note' : ''}">
+                ${validation.blocked ? '<strong>Analysis blocked:</strong> ' : ''}${validation.passed} of ${validation.results.length} rules passed for the current data.
+            </p>
+            <table class="data-table">
+                <thead>
+                    <tr><th>Rule</th><th>Result</th><th>Rows Checked</th><th>Failing</th><th>Examples</th></tr>
+                </thead>
+                <tbody>
+                    ${validation.results.map(result => `
+                        <tr>
+                            <td>${this.escapeHtml(result.description)}</td>
+                            <td><span class="performance-indicator ${result.passed ? 'performance-high' : 'performance-low'}">${result.passed ? 'Pass' : 'Fail'}</span></td>
+                            <td>${result.checked.toLocaleString()}</td>
+                            <td>${result.problem ? this.escapeHtml(result.problem) : result.failed.toLocaleString()}</td>
+                            <td>${result.examples.map(example => `row ${example.row.toLocaleString()}: ${this.escapeHtml(example.note || `"${example.value}"`)}`).join('; ')}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        ` : '';
+
+        const list = rules.length > 0 ? `
+            <ol class="recipe-steps">
+                ${rules.map((rule, index) => `
+                    <li>
+                        <span>${this.escapeHtml(DataContract.describe(rule))}</span>
+                        <span class="recipe-step-actions">
+                            <button class="secondary-btn" data-contract-remove="${index}" title="Remove">✕</button>
+                        </span>
+                    </li>
+                `).join('')}
+            </ol>
+        ` : '<p>No rules yet - every upload is analysed as it is.</p>';
+
+        container.innerHTML = `
+            <p>Rules are checked against every upload as it arrives, before any transform or analysis. With blocking on, a file that breaks a rule is not analysed at all.</p>
+            ${results}
+            <h4>Rules</h4>
+            ${list}
+            ${message ? `<p class="schema-note">⚠ ${this.escapeHtml(message)}</p>` : ''}
+            <datalist id="contractColumns">
+                ${this.sourceColumns.map(col => `<option value="${this.escapeHtml(col)}">`).join('')}
+            </datalist>
+            <div class="import-settings recipe-form">
+                <label>
+                    <span>Add Rule</span>
+                    <select data-contract-check>
+                        ${Object.entries(DataContract.CHECKS).map(([name, info]) => `
+                            <option value="${name}" ${name === this.contractCheck ? 'selected' : ''}>${info.label}</option>
+                        `).join('')}
+                    </select>
+                </label>
+                ${check.params.map(field).join('')}
+                <button class="secondary-btn" data-contract-add>Add Rule</button>
+            </div>
+            <label class="contract-block">
+                <input type="checkbox" data-contract-block ${this.contract.blockOnFailure ? 'checked' : ''}>
+                Block analysis when a rule fails
+            </label>
+            <div class="schema-actions">
+                ${hasData && rules.length > 0 ? '<button class="secondary-btn" data-contract-run>Check Current Data</button>' : ''}
+                ${validation && validation.blocked ? '<button class="secondary-btn" data-contract-force>Analyse Anyway</button>' : ''}
+                ${rules.length > 0 ? '<button class="secondary-btn" data-contract-export>Export Contract</button>' : ''}
+                <label class="secondary-btn recipe-import">
+                    Import Contract
+                    <input type="file" accept=".json,application/json" data-contract-import hidden>
+                </label>
+                ${rules.length > 0 ? '<button class="secondary-btn" data-contract-clear>Clear Rules</button>' : ''}
+            </div>
+        `;
+
+        container.querySelector('[data-contract-check]').addEventListener('change', event => {
+            this.contractCheck = event.target.value;
+            this.displayContractPanel();
+        });
+        container.querySelector('[data-contract-add]').addEventListener('click', () => {
+            const rule = this.readContractRule();
+            const problem = DataContract.validateRule(rule);
+            if (problem) {
+                this.displayContractPanel(problem);
+                return;
+            }
+            this.saveContract({ ...this.contract, rules: [...rules, rule] });
+            this.displayContractPanel();
+        });
+        container.querySelectorAll('[data-contract-remove]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.saveContract({ ...this.contract, rules: rules.filter((rule, index) => index !== Number(button.dataset.contractRemove)) });
+                this.displayContractPanel();
+            });
+        });
+        container.querySelector('[data-contract-block]').addEventListener('change', event => {
+            this.saveContract({ ...this.contract, blockOnFailure: event.target.checked });
+            this.displayContractPanel();
+        });
+        container.querySelector('[data-contract-import]').addEventListener('change', event => {
+            if (event.target.files[0]) this.importContract(event.target.files[0]);
+        });
+        const runButton = container.querySelector('[data-contract-run]');
+        if (runButton) runButton.addEventListener('click', () => this.checkContract());
+        const forceButton = container.querySelector('[data-contract-force]');
+        if (forceButton) forceButton.addEventListener('click', () => this.checkContract(true));
+        const exportButton = container.querySelector('[data-contract-export]');
+        if (exportButton) exportButton.addEventListener('click', () => this.exportContract());
+        const clearButton = container.querySelector('[data-contract-clear]');
+        if (clearButton) {
+            clearButton.addEventListener('click', () => {
+                this.saveContract({ ...this.contract, rules: [] });
+                this.displayContractPanel();
+            });
+        }
+    }
+
+    displayImportReport() {
+        const diagnostics = this.analysisResults.diagnostics;
+        const container = document.getElementById('importReport');
+
+        if (!diagnostics) {
+            container.innerHTML = '<p>No import diagnostics available.</p>';
+            return;
+        }
+
+        const repairedTotal = diagnostics.repaired.padded + diagnostics.repaired.truncated;
+        const locationLabels = { json: 'Record', workbook: 'Row', parquet: 'Row', arrow: 'Row' };
+        const locationLabel = locationLabels[diagnostics.format] || 'Line';
+        const isMultiple = diagnostics.format === 'multiple';
+
+        let html = `
+            <div class="data-stats">
+                <div class="stat-item">
+                    <div class="stat-value">${diagnostics.recordsRead.toLocaleString()}</div>
+                    <div class="stat-label">Rows Read</div>
+                </div>
+                <div class="stat-item">
+                    <div class="stat-value">${diagnostics.rowsAccepted.toLocaleString()}</div>
+                    <div class="stat-label">Rows Analysed</div>
+                </div>
+                <div class="stat-item">
+                    <div class="stat-value">${diagnostics.rejectedCount.toLocaleString()}</div>
+                    <div class="stat-label">Rows Rejected</div>
+                </div>
+                <div class="stat-item">
+                    <div class="stat-value">${repairedTotal.toLocaleString()}</div>
+                    <div class="stat-label">Rows Repaired</div>
+                </div>
+            </div>
+        `;
+
+        html += '<ul class="insights-list">';
+        if (isMultiple) {
+            html += `<li><strong>Files:</strong> ${diagnostics.files.map(file => `${this.escapeHtml(file.name)} (${file.rows.toLocaleString()} rows)`).join(', ')}</li>`;
+        }
+        (diagnostics.joins || []).forEach(join => {
+            const typeLabel = ComprehensiveDataAnalyzer.COMBINE_TYPES[join.type];
+            html += `<li><strong>${typeLabel} ${this.escapeHtml(join.rightName)}:</strong> ${join.leftMatched.toLocaleString()} of ${join.leftRows.toLocaleString()} rows found a match; ${join.rightUnmatchedKeys.toLocaleString()} of ${join.rightKeyCount.toLocaleString()} keys in ${this.escapeHtml(join.rightName)} were never used</li>`;
+            if (join.duplicateRightKeys > 0 && join.type !== 'lookup') {
+                html += `<li><strong>Duplicate Keys:</strong> ${join.duplicateRightKeys.toLocaleString()} keys appear more than once in ${this.escapeHtml(join.rightName)}, so matching rows were repeated</li>`;
+            } else if (join.duplicateRightKeys > 0) {
+                html += `<li><strong>Duplicate Keys:</strong> ${join.duplicateRightKeys.toLocaleString()} keys appear more than once in ${this.escapeHtml(join.rightName)}; the first match was used</li>`;
+            }
+        });
+        if (diagnostics.rejectedCount === 0 && repairedTotal === 0) {
+            html += '<li><strong>Clean Import:</strong> Every row matched the expected structure</li>';
+        }
+        Object.entries(diagnostics.rejectedByReason).forEach(([reason, count]) => {
+            html += `<li><strong>${ComprehensiveDataAnalyzer.REJECTION_REASONS[reason] || reason}:</strong> ${count.toLocaleString()} rows rejected</li>`;
+        });
+        if (diagnostics.repaired.padded > 0) {
+            html += `<li><strong>Padded:</strong> ${diagnostics.repaired.padded.toLocaleString()} short rows filled with empty values${diagnostics.expectedFields ? ` to ${diagnostics.expectedFields} fields` : ''}</li>`;
+        }
+        if (diagnostics.missingFormulaValues > 0) {
+            html += `<li><strong>Formulas:</strong> ${diagnostics.missingFormulaValues.toLocaleString()} formula cells had no saved result and were left empty - open and re-save the workbook in Excel to store their values</li>`;
+        }
+        if (diagnostics.skippedColumns > 0) {
+            html += `<li><strong>Columns:</strong> ${diagnostics.skippedColumns.toLocaleString()} columns were not selected and were not read</li>`;
+        }
+        if (diagnostics.explodedRows > 0) {
+            html += `<li><strong>Exploded:</strong> array items added ${diagnostics.explodedRows.toLocaleString()} extra rows</li>`;
+        }
+        if (diagnostics.repaired.truncated > 0) {
+            html += `<li><strong>Truncated:</strong> ${diagnostics.repaired.truncated.toLocaleString()} rows had empty trailing fields removed</li>`;
+        }
+        html += '</ul>';
+
+        if (diagnostics.joins && diagnostics.joins.length > 0) {
+            html += this.renderKeyMatchTable(diagnostics.joins);
+        }
+
+        if (diagnostics.rejected.length > 0) {
+            const shown = diagnostics.rejected.length < diagnostics.rejectedCount
+                ? ` (first ${diagnostics.rejected.length.toLocaleString()})`
+                : '';
+            html += `
+                <h4>Rejected Rows${shown}</h4>
+                <div class="table-scroll">
+                    <table class="data-table">
+                        <thead>
+                            <tr>
+                                ${isMultiple ? '<th>File</th>' : ''}
+                                <th>${isMultiple ? 'Location' : locationLabel}</th>
+                                <th>Reason</th>
+                                <th>Raw Text</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${diagnostics.rejected.map(row => `
+                                <tr>
+                                    ${isMultiple ? `<td>${this.escapeHtml(row.file)}</td>` : ''}
+                                    <td>${isMultiple ? `${locationLabels[row.format] || 'Line'} ${row.line}` : row.line}</td>
+                                    <td>${ComprehensiveDataAnalyzer.REJECTION_REASONS[row.reason] || row.reason}</td>
+                                    <td class="raw-text">${this.escapeHtml(this.truncateText(row.raw, 200))}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            `;
+        }
 
-        quality.innerHTML = `
-            <h4>Data Quality Assessment</h4>
-            <table class="data-table">
-                <thead>
-                    <tr>
-                        <th>Column</th>
-                        <th>Completeness</th>
-                        <th>Unique Values</th>
-                        <th>Quality</th>
-                    </tr>
-                </thead>
-                <tbody>
-                    ${qualityHtml}
-                </tbody>
-            </table>
+        container.innerHTML = html;
+    }
+
+    renderKeyMatchTable(joins) {
+        const samples = keys => (keys.length > 0
+            ? keys.map(key => this.escapeHtml(this.truncateText(key.replace(/␟/g, ' | '), 40))).join(', ')
+            : '—');
+
+        return `
+            <h4>Key Matching</h4>
+            <div class="table-scroll">
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th>File</th>
+                            <th>Join</th>
+                            <th>Keys</th>
+                            <th>Rows Matched</th>
+                            <th>Rows Unmatched</th>
+                            <th>Unused Keys</th>
+                            <th>Rows Out</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${joins.map(join => `
+                            <tr>
+                                <td>${this.escapeHtml(join.rightName)}</td>
+                                <td>${ComprehensiveDataAnalyzer.COMBINE_TYPES[join.type]}</td>
+                                <td>${join.leftKeys.map((key, index) => `${this.escapeHtml(key)} = ${this.escapeHtml(join.rightKeys[index])}`).join('<br>')}</td>
+                                <td>${join.leftMatched.toLocaleString()}</td>
+                                <td>${join.leftUnmatched.toLocaleString()}${join.leftNullKeys > 0 ? ` (${join.leftNullKeys.toLocaleString()} with empty keys)` : ''}</td>
+                                <td>${join.rightUnmatchedKeys.toLocaleString()}</td>
+                                <td>${join.outputRows.toLocaleString()}</td>
+                            </tr>
+                            <tr>
+                                <td colspan="7" class="raw-text">
+                                    Unmatched in ${this.escapeHtml(join.leftName)}: ${samples(join.unmatchedLeftSamples)}<br>
+                                    Unmatched in ${this.escapeHtml(join.rightName)}: ${samples(join.unmatchedRightSamples)}
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
         `;
     }
 
@@ -959,7 +2177,7 @@ class ComprehensiveDataAnalyzer {
         
         Object.entries(demographics.segments).forEach(([column, segments]) => {
             const segmentCount = Object.keys(segments).length;
-            insightsHtml += `<li><strong>${this.formatColumnName(column)} Segments:</strong> Found ${segmentCount} distinct segments</li>`;
+            insightsHtml += `<li><strong>${this.escapeHtml(this.formatColumnName(column))} Segments:</strong> Found ${segmentCount} distinct segments</li>`;
         });
         
         insightsHtml += '</ul>';
@@ -968,6 +2186,426 @@ class ComprehensiveDataAnalyzer {
         this.createDemographicChart();
     }
 
+    displayPriceChart() {
+        const ohlc = this.chartData.ohlc;
+        const card = document.getElementById('priceCard');
+        if (!ohlc || ohlc.times.length === 0) {
+            card.style.display = 'none';
+            return;
+        }
+        card.style.display = 'block';
+
+        // The last bars at first; re-analysing for indicators keeps the bars in view
+        const bars = ohlc.times.length;
+        const kept = this.keptPriceView;
+        this.keptPriceView = null;
+        this.priceView = kept && kept.max < bars ? kept : { min: Math.max(bars - ComprehensiveDataAnalyzer.PRICE_WINDOW, 0), max: bars - 1 };
+        this.priceHover = null;
+        this.priceDrag = null;
+
+        const counts = [0, 0, 0, 0];
+        if (ohlc.sessions) ohlc.sessions.forEach(session => { counts[session]++; });
+        const legend = [MarketData.PRE_MARKET, MarketData.REGULAR, MarketData.AFTER_HOURS, MarketData.CLOSED]
+            .filter(session => counts[session] > 0)
+            .map(session => `
+                <span class="price-legend-item">
+                    <span class="price-swatch" style="background: ${ComprehensiveDataAnalyzer.SESSION_SHADES[session] || '#ffffff'};"></span>
+                    ${MarketData.SESSIONS[session]} ${MarketData.sessionSpan(session, ohlc.sessionHours)}: ${counts[session].toLocaleString()} bars
+                </span>
+            `).join('');
+        document.getElementById('priceLegend').innerHTML = `
+            ${legend}
+            <span class="schema-note">${ohlc.sessions ? `Sessions read in ${this.escapeHtml(ohlc.sessionZone)}; axis` : 'Axis'} in ${this.escapeHtml(ohlc.timeZone)}</span>
+        `;
+
+        this.displayIndicatorControls();
+
+        const panes = ohlc.indicators.filter(indicator => indicator.pane === 'pane');
+        const paneKeys = panes.map((indicator, index) => `indicatorPane${index}`);
+        document.getElementById('indicatorPanes').innerHTML = paneKeys.map(key => `
+            <div class="indicator-pane-container">
+                <canvas id="${key}"></canvas>
+            </div>
+        `).join('');
+        document.getElementById('volumeChartContainer').style.display = ohlc.volume ? 'block' : 'none';
+        this.pricePaneKeys = ['priceChart', ...(ohlc.volume ? ['volumeChart'] : []), ...paneKeys];
+
+        const labels = Array.from(ohlc.times, time => this.formatBarTime(time, ohlc.timeZone));
+        this.createPriceChart(labels);
+        if (ohlc.volume) this.createVolumeChart(labels);
+        panes.forEach((indicator, index) => this.createIndicatorPane(paneKeys[index], indicator, labels));
+        this.bindPriceZoom();
+    }
+
+    // Add Indicator form and the indicators in use. Indicators are kept between
+    // visits and apply to any data with OHLC columns.
+    displayIndicatorControls(message = '') {
+        const container = document.getElementById('indicatorControls');
+        const ohlc = this.chartData.ohlc;
+        const result = this.analysisResults.indicators || { added: [], skipped: [] };
+        const definition = TechnicalIndicators.INDICATORS[this.indicatorType];
+
+        const active = this.indicators.length > 0 ? `
+            <ol class="recipe-steps">
+                ${this.indicators.map((indicator, index) => {
+                    const entry = TechnicalIndicators.INDICATORS[indicator.type];
+                    return `
+                        <li>
+                            <span>${this.escapeHtml(TechnicalIndicators.describe(indicator))}${entry ? ` <span class="schema-note">${entry.pane === 'overlay' ? 'overlay' : 'own pane'}</span>` : ''}</span>
+                            <span class="recipe-step-actions">
+                                <button class="secondary-btn" data-indicator-remove="${index}" title="Remove">✕</button>
+                            </span>
+                        </li>
+                    `;
+                }).join('')}
+            </ol>
+        ` : '';
+        const skipped = result.skipped.map(entry => `
+            <p class="schema-note"><span class="schema-warning">⚠ ${this.escapeHtml(entry.label)}: ${this.escapeHtml(entry.problem)}</span></p>
+        `).join('');
+
+        container.innerHTML = `
+            <div class="import-settings recipe-form">
+                <label>
+                    <span>Add Indicator</span>
+                    <select data-indicator-type>
+                        ${Object.entries(TechnicalIndicators.INDICATORS).map(([type, entry]) => `
+                            <option value="${type}" ${type === this.indicatorType ? 'selected' : ''} ${entry.needsVolume && !ohlc.volume ? 'disabled' : ''}>${entry.label}</option>
+                        `).join('')}
+                    </select>
+                </label>
+                ${definition.params.map(param => `
+                    <label>
+                        <span>${param.label}</span>
+                        <input type="number" data-indicator-param="${param.name}" value="${param.default}" min="${param.min}" max="${param.max}" step="${param.integer ? 1 : 0.1}">
+                    </label>
+                `).join('')}
+                <button class="secondary-btn" data-indicator-add>Add Indicator</button>
+            </div>
+            ${message ? `<p class="schema-note">⚠ ${this.escapeHtml(message)}</p>` : ''}
+            ${active}
+            ${skipped}
+        `;
+
+        container.querySelector('[data-indicator-type]').addEventListener('change', event => {
+            this.indicatorType = event.target.value;
+            this.displayIndicatorControls();
+        });
+        container.querySelector('[data-indicator-add]').addEventListener('click', () => {
+            const params = {};
+            container.querySelectorAll('[data-indicator-param]').forEach(input => {
+                params[input.dataset.indicatorParam] = input.value === '' ? '' : Number(input.value);
+            });
+            const indicator = TechnicalIndicators.withDefaults({ type: this.indicatorType, params });
+            const problem = TechnicalIndicators.validate(indicator);
+            if (problem) {
+                this.displayIndicatorControls(problem);
+                return;
+            }
+            const label = TechnicalIndicators.describe(indicator);
+            if (this.indicators.some(existing => TechnicalIndicators.describe(existing) === label)) {
+                this.displayIndicatorControls(`${label} is already on the chart`);
+                return;
+            }
+            this.applyIndicators([...this.indicators, indicator]);
+        });
+        container.querySelectorAll('[data-indicator-remove]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.applyIndicators(this.indicators.filter((indicator, index) => index !== Number(button.dataset.indicatorRemove)));
+            });
+        });
+    }
+
+    displayRiskAnalysis() {
+        const risk = this.analysisResults.risk;
+        const card = document.getElementById('riskCard');
+        if (!risk) {
+            card.style.display = 'none';
+            return;
+        }
+        card.style.display = 'block';
+
+        const percent = value => `${(value * 100).toFixed(2)}%`;
+        const ratio = value => (value === null ? 'n/a' : value.toFixed(2));
+        const when = time => this.formatBarTime(time, risk.timeZone);
+        const { simple, log } = risk.returns;
+        const drawdown = risk.drawdown;
+        const stat = (value, label) => `
+            <div class="stat-item">
+                <div class="stat-value">${value}</div>
+                <div class="stat-label">${label}</div>
+            </div>
+        `;
+
+        document.getElementById('riskAnalysis').innerHTML = `
+            <div class="data-stats">
+                ${stat(percent(simple.total), 'Total Return')}
+                ${stat(percent(risk.annualisedReturn), 'Annualised Return')}
+                ${stat(percent(risk.annualisedVolatility), 'Annualised Volatility')}
+                ${stat(ratio(risk.sharpe), 'Sharpe Ratio')}
+                ${stat(ratio(risk.sortino), 'Sortino Ratio')}
+                ${stat(drawdown.trough ? `-${percent(drawdown.depth)}` : '0%', 'Max Drawdown')}
+            </div>
+            <div class="import-settings recipe-form">
+                <label>
+                    <span>Risk-free rate (% a year)</span>
+                    <input type="number" step="0.01" value="${(risk.riskFreeRate * 100).toFixed(2)}" data-risk-free>
+                </label>
+                <button class="secondary-btn" data-risk-apply>Recalculate</button>
+            </div>
+            <ul class="insights-list">
+                <li><strong>Price:</strong> ${this.escapeHtml(this.formatColumnName(risk.column))}, ${risk.bars.toLocaleString()} bars ${QualityChecks.formatDuration(risk.interval)} apart; annualised with ${Math.round(risk.periodsPerYear).toLocaleString()} bars a year${risk.interval < TimeZones.DAY ? ` (${RiskMetrics.TRADING_DAYS} trading days of ${(risk.periodsPerYear / RiskMetrics.TRADING_DAYS).toFixed(1)} bars)` : ''}</li>
+                <li><strong>Simple Returns:</strong> mean ${percent(simple.mean)} per bar, standard deviation ${percent(simple.std)}, skewness ${simple.skewness.toFixed(2)}, excess kurtosis ${simple.kurtosis.toFixed(2)}</li>
+                <li><strong>Log Returns:</strong> mean ${percent(log.mean)} per bar, standard deviation ${percent(log.std)}, ${log.total.toFixed(4)} in total</li>
+                ${drawdown.trough ? `<li><strong>Max Drawdown:</strong> ${percent(drawdown.depth)} from ${drawdown.peak.price.toLocaleString()} on ${when(drawdown.peak.time)} to ${drawdown.trough.price.toLocaleString()} on ${when(drawdown.trough.time)}; ${drawdown.recovery ? `recovered on ${when(drawdown.recovery.time)}` : 'not yet recovered'}</li>` : ''}
+                <li><strong>Best / Worst Bar:</strong> ${percent(risk.best.value)} on ${when(risk.best.time)}, ${percent(risk.worst.value)} on ${when(risk.worst.time)}</li>
+                <li><strong>Times:</strong> in ${this.escapeHtml(risk.timeZone)}</li>
+            </ul>
+            <h4>Value at Risk (loss over one bar)</h4>
+            <table class="data-table">
+                <thead>
+                    <tr><th>Confidence</th><th>Historical VaR</th><th>Historical CVaR</th><th>Parametric VaR</th><th>Parametric CVaR</th></tr>
+                </thead>
+                <tbody>
+                    ${risk.valueAtRisk.map(level => `
+                        <tr>
+                            <td>${(level.confidence * 100).toFixed(0)}%</td>
+                            <td>${percent(level.historical.var)}</td>
+                            <td>${percent(level.historical.cvar)}</td>
+                            <td>${percent(level.parametric.var)}</td>
+                            <td>${percent(level.parametric.cvar)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <p class="schema-note">Historical figures come from the returns as they happened; parametric ones assume normally distributed returns with the same mean and deviation. CVaR is the average loss beyond the VaR.</p>
+        `;
+
+        const container = document.getElementById('riskAnalysis');
+        container.querySelector('[data-risk-apply]').addEventListener('click', () => {
+            const rate = parseFloat(container.querySelector('[data-risk-free]').value);
+            this.applyRiskFreeRate(isNaN(rate) ? 0 : rate);
+        });
+        this.createReturnDistributionChart();
+    }
+
+    // Session settings, per-session figures, the time-of-day chart and the
+    // hour x weekday heatmap. The profile covers every session, including the
+    // ones left out of the other cards. message is shown above the form.
+    displaySessionAnalysis(message = '') {
+        const profile = this.analysisResults.sessions;
+        const card = document.getElementById('sessionCard');
+        if (!profile) {
+            card.style.display = 'none';
+            return;
+        }
+        card.style.display = 'block';
+
+        const { settings } = profile;
+        const percent = value => (value === null ? 'n/a' : `${(value * 100).toFixed(2)}%`);
+        const volume = value => (value === null ? 'n/a' : Math.round(value).toLocaleString());
+        const slot = minute => `${String(Math.floor(minute / 60)).padStart(2, '0')}:${String(minute % 60).padStart(2, '0')}`;
+        const slotSpan = minute => `${slot(minute)}–${slot((minute + profile.slotMinutes) % 1440)}`;
+        const hourLabels = {
+            preMarket: 'Pre-market from',
+            open: 'Regular open',
+            close: 'Regular close',
+            afterHours: 'After-hours until'
+        };
+        const sessions = profile.sessions.filter(entry => entry.bars > 0);
+        const excluded = MarketData.SESSIONS.filter((label, session) => !settings.include.includes(session) && profile.sessions[session].bars > 0);
+        const peak = key => profile.timeOfDay.reduce((best, entry) => (entry[key] !== null && (!best || entry[key] > best[key]) ? entry : best), null);
+        const busiest = profile.volumeColumn ? peak('meanVolume') : null;
+        const wildest = peak('volatility');
+
+        document.getElementById('sessionAnalysis').innerHTML = `
+            ${message ? `<p class="schema-note">⚠ ${this.escapeHtml(message)}</p>` : ''}
+            <div class="import-settings recipe-form">
+                <label>
+                    <span>Exchange calendar</span>
+                    <select data-session-calendar>
+                        ${Object.entries(MarketData.CALENDARS).map(([calendar, entry]) => `<option value="${calendar}" ${calendar === settings.calendar ? 'selected' : ''}>${this.escapeHtml(entry.label)}</option>`).join('')}
+                    </select>
+                </label>
+                ${MarketData.HOUR_KEYS.map(key => `
+                    <label>
+                        <span>${hourLabels[key]}</span>
+                        <input type="time" value="${settings.hours[key]}" data-session-hour="${key}">
+                    </label>
+                `).join('')}
+                <label>
+                    <span>Extra closed days</span>
+                    <input type="text" value="${settings.holidays.join(', ')}" placeholder="YYYY-MM-DD, ..." data-session-holidays>
+                </label>
+                <button class="secondary-btn" data-session-apply>Apply</button>
+            </div>
+            <table class="data-table">
+                <thead>
+                    <tr><th>Analysed</th><th>Session</th><th>Hours</th><th>Bars</th><th>Volume</th><th>Share of Volume</th><th>Average Volume per Bar</th><th>Volatility per Bar</th></tr>
+                </thead>
+                <tbody>
+                    ${sessions.map(entry => `
+                        <tr>
+                            <td><input type="checkbox" data-session-include="${entry.session}" ${settings.include.includes(entry.session) ? 'checked' : ''}></td>
+                            <td>${MarketData.SESSIONS[entry.session]}</td>
+                            <td>${MarketData.sessionSpan(entry.session, settings.hours) || 'Weekends, holidays and overnight'}</td>
+                            <td>${entry.bars.toLocaleString()}</td>
+                            <td>${volume(entry.volume)}</td>
+                            <td>${percent(entry.volumeShare)}</td>
+                            <td>${volume(entry.meanVolume)}</td>
+                            <td>${percent(entry.volatility)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <ul class="insights-list">
+                <li><strong>Bars:</strong> ${profile.bars.toLocaleString()} bars of ${this.escapeHtml(this.formatColumnName(profile.column))}${profile.volumeColumn ? ` and ${this.escapeHtml(this.formatColumnName(profile.volumeColumn))}` : ''}, on the ${this.escapeHtml(profile.calendarLabel)} calendar in ${this.escapeHtml(profile.timeZone)}</li>
+                ${busiest ? `<li><strong>Busiest Time:</strong> ${slotSpan(busiest.minute)} averages ${volume(busiest.meanVolume)} a bar</li>` : ''}
+                ${wildest ? `<li><strong>Most Volatile Time:</strong> ${slotSpan(wildest.minute)} moves ${percent(wildest.volatility)} a bar</li>` : ''}
+                ${excluded.length > 0 ? `<li><strong>Left Out:</strong> ${profile.rowsExcluded.toLocaleString()} rows in ${excluded.join(', ').toLowerCase()} bars; the other cards analyse the remaining ${(profile.rowsIn - profile.rowsExcluded).toLocaleString()} rows</li>` : ''}
+            </ul>
+            <p class="schema-note">Volatility is the standard deviation of bar-to-bar log returns within each trading day. Untick a session to leave its bars out of every other card.</p>
+        `;
+
+        const container = document.getElementById('sessionAnalysis');
+        // Picking a calendar fills in its usual hours
+        container.querySelector('[data-session-calendar]').addEventListener('change', event => {
+            const hours = MarketData.CALENDARS[event.target.value].hours;
+            container.querySelectorAll('[data-session-hour]').forEach(input => { input.value = hours[input.dataset.sessionHour]; });
+        });
+        container.querySelector('[data-session-apply]').addEventListener('click', () => {
+            const hours = {};
+            container.querySelectorAll('[data-session-hour]').forEach(input => { hours[input.dataset.sessionHour] = input.value; });
+            const shown = sessions.map(entry => entry.session);
+            const include = [
+                ...settings.include.filter(session => !shown.includes(session)),
+                ...[...container.querySelectorAll('[data-session-include]')].filter(input => input.checked).map(input => Number(input.dataset.sessionInclude))
+            ];
+            if (!include.some(session => shown.includes(session))) {
+                this.displaySessionAnalysis('Keep at least one session to analyse');
+                return;
+            }
+            const bounds = MarketData.HOUR_KEYS.map(key => MarketData.minutes(hours[key]));
+            if (!(bounds[0] <= bounds[1] && bounds[1] < bounds[2] && bounds[2] <= bounds[3])) {
+                this.displaySessionAnalysis('Session hours must run pre-market, open, close, after-hours through the day, with the open before the close');
+                return;
+            }
+            const holidays = container.querySelector('[data-session-holidays]').value.split(/[\s,;]+/).filter(Boolean);
+            const invalid = holidays.find(day => !/^\d{4}-\d{2}-\d{2}$/.test(day) || isNaN(Date.parse(day)));
+            if (invalid) {
+                this.displaySessionAnalysis(`"${invalid}" is not a YYYY-MM-DD date`);
+                return;
+            }
+            this.applySessionSettings({ calendar: container.querySelector('[data-session-calendar]').value, hours, holidays, include });
+        });
+
+        this.createTimeOfDayChart();
+        this.displaySessionHeatmap();
+    }
+
+    // Average volume (bars) and volatility (line) per time-of-day slot, the
+    // bars coloured by the session most of the slot falls in
+    createTimeOfDayChart() {
+        const profile = this.analysisResults.sessions;
+        const ctx = document.getElementById('timeOfDayChart').getContext('2d');
+        const slots = profile.timeOfDay;
+        const labels = slots.map(entry => `${String(Math.floor(entry.minute / 60)).padStart(2, '0')}:${String(entry.minute % 60).padStart(2, '0')}`);
+        const datasets = [{
+            type: 'line',
+            label: 'Volatility per bar',
+            data: slots.map(entry => (entry.volatility === null ? null : entry.volatility * 100)),
+            borderColor: '#ef4444',
+            borderWidth: 2,
+            pointRadius: 2,
+            tension: 0.2,
+            yAxisID: 'volatility'
+        }];
+        if (profile.volumeColumn) {
+            datasets.push({
+                label: 'Average volume per bar',
+                data: slots.map(entry => entry.meanVolume),
+                backgroundColor: slots.map(entry => ComprehensiveDataAnalyzer.SESSION_COLOURS[entry.session]),
+                yAxisID: 'volume'
+            });
+        }
+
+        this.charts.timeOfDayChart = new Chart(ctx, {
+            type: 'bar',
+            data: { labels, datasets },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    x: { title: { display: true, text: `Time of day (${profile.timeZone})` } },
+                    volatility: { position: 'right', beginAtZero: true, title: { display: true, text: 'Volatility (%)' }, grid: { drawOnChartArea: !profile.volumeColumn } },
+                    volume: { display: Boolean(profile.volumeColumn), position: 'left', beginAtZero: true, title: { display: true, text: 'Volume' } }
+                },
+                plugins: {
+                    title: {
+                        display: true,
+                        text: `Activity by Time of Day (${profile.slotMinutes}-minute slots)`
+                    }
+                }
+            }
+        });
+    }
+
+    // Hours across, weekdays (Monday first) down, with only the hours and days
+    // that have bars; each cell shaded by its share of the largest value
+    displaySessionHeatmap() {
+        const profile = this.analysisResults.sessions;
+        const container = document.getElementById('sessionHeatmap');
+        const metrics = { ...ComprehensiveDataAnalyzer.HEATMAP_METRICS };
+        if (!profile.volumeColumn) delete metrics.meanVolume;
+        const metric = metrics[this.heatmapMetric] ? this.heatmapMetric : 'volatility';
+        const format = value => {
+            if (value === null) return '';
+            if (metric === 'volatility') return `${(value * 100).toFixed(2)}%`;
+            return Math.round(value).toLocaleString();
+        };
+
+        const days = [1, 2, 3, 4, 5, 6, 0].filter(day => profile.heatmap[day].some(cell => cell.bars > 0));
+        const hours = Array.from({ length: 24 }, (value, hour) => hour).filter(hour => days.some(day => profile.heatmap[day][hour].bars > 0));
+        let max = 0;
+        days.forEach(day => hours.forEach(hour => { max = Math.max(max, profile.heatmap[day][hour][metric] || 0); }));
+
+        container.innerHTML = `
+            <div class="import-settings recipe-form">
+                <label>
+                    <span>Heatmap</span>
+                    <select data-heatmap-metric>
+                        ${Object.entries(metrics).map(([key, label]) => `<option value="${key}" ${key === metric ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                </label>
+            </div>
+            <div class="heatmap-scroll">
+                <table class="data-table heatmap-table">
+                    <thead>
+                        <tr><th></th>${hours.map(hour => `<th>${String(hour).padStart(2, '0')}</th>`).join('')}</tr>
+                    </thead>
+                    <tbody>
+                        ${days.map(day => `
+                            <tr>
+                                <th>${TimeZones.WEEKDAYS[day].slice(0, 3)}</th>
+                                ${hours.map(hour => {
+                                    const value = profile.heatmap[day][hour][metric];
+                                    const shade = value === null || max === 0 ? 0 : value / max;
+                                    return `<td style="background: rgba(99, 102, 241, ${(shade * 0.85).toFixed(3)}); color: ${shade > 0.5 ? 'white' : 'inherit'};" title="${TimeZones.WEEKDAYS[day]} ${String(hour).padStart(2, '0')}:00 - ${profile.heatmap[day][hour].bars} bars">${format(value)}</td>`;
+                                }).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <p class="schema-note">Hours in ${this.escapeHtml(profile.timeZone)}.</p>
+        `;
+
+        container.querySelector('[data-heatmap-metric]').addEventListener('change', event => {
+            this.heatmapMetric = event.target.value;
+            this.displaySessionHeatmap();
+        });
+    }
+
     displayTemporalAnalysis() {
         const temporal = this.analysisResults.temporal;
         
@@ -977,12 +2615,33 @@ class ComprehensiveDataAnalyzer {
         }
         
         document.getElementById('timeSeriesCard').style.display = 'block';
+        this.displayResampleControls();
         
         const insights = document.getElementById('timeSeriesInsights');
+        const resampling = this.analysisResults.resampling;
         let insightsHtml = '<ul class="insights-list">';
         
         if (temporal.trends.direction) {
-            insightsHtml += `<li><strong>Trend Analysis:</strong> Data shows ${temporal.trends.direction} trend over time</li>`;
+            let basis = '';
+            if (temporal.trends.basis === 'daily') basis = ` (daily means over ${temporal.trends.days} days)`;
+            else if (temporal.trends.basis === 'resampled') basis = ` (over ${temporal.trends.points.toLocaleString()} ${resampling.label.toLowerCase()} bars)`;
+            insightsHtml += `<li><strong>Trend Analysis:</strong> Data shows ${temporal.trends.direction} trend over time${basis}</li>`;
+        }
+        if (resampling) {
+            const undated = resampling.undated > 0 ? `; ${resampling.undated.toLocaleString()} rows without a date were left out` : '';
+            insightsHtml += `<li><strong>Time Frame:</strong> ${resampling.rowsIn.toLocaleString()} rows resampled to ${resampling.rowsOut.toLocaleString()} ${resampling.label.toLowerCase()} bars by ${this.escapeHtml(this.formatColumnName(resampling.dateColumn))} in ${this.escapeHtml(resampling.timeZone)}${undated}</li>`;
+        }
+
+        const seasonality = temporal.seasonality;
+        if (seasonality.peakHour !== null && seasonality.peakHour !== undefined) {
+            const hour = String(seasonality.peakHour).padStart(2, '0');
+            insightsHtml += `<li><strong>Time of Day:</strong> ${this.escapeHtml(this.formatColumnName(seasonality.metric))} averages highest between ${hour}:00 and ${hour}:59</li>`;
+        }
+        if (seasonality.peakWeekday !== null && seasonality.peakWeekday !== undefined && seasonality.weekdayCounts.filter(Boolean).length > 1) {
+            insightsHtml += `<li><strong>Day of Week:</strong> ${this.escapeHtml(this.formatColumnName(seasonality.metric))} averages highest on ${TimeZones.WEEKDAYS[seasonality.peakWeekday]}s</li>`;
+        }
+        if (temporal.timeZone) {
+            insightsHtml += `<li><strong>Time Zone:</strong> Days, hours and the chart axis are in ${this.escapeHtml(temporal.timeZone)}</li>`;
         }
         
         insightsHtml += '</ul>';
@@ -991,6 +2650,41 @@ class ComprehensiveDataAnalyzer {
         this.createTimeSeriesChart();
     }
 
+    // Time frame form above the temporal chart. Price bar columns combine the
+    // way bars do whatever method is picked; the method applies to the rest.
+    displayResampleControls() {
+        const container = document.getElementById('resampleControls');
+        const resample = this.loadResample();
+        const fields = MarketData.ohlcColumns(this.numericColumns);
+        const bars = fields ? MarketData.FIELDS.map(field => fields[field]).filter(Boolean) : [];
+
+        container.innerHTML = `
+            <div class="import-settings recipe-form">
+                <label>
+                    <span>Time frame</span>
+                    <select data-resample-frequency>
+                        ${Object.entries(Resampler.FREQUENCIES).map(([frequency, entry]) => `<option value="${frequency}" ${frequency === resample.frequency ? 'selected' : ''}>${entry.label}</option>`).join('')}
+                    </select>
+                </label>
+                <label>
+                    <span>Combine values by</span>
+                    <select data-resample-method>
+                        ${Object.entries(Resampler.METHODS).map(([method, label]) => `<option value="${method}" ${method === resample.method ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                </label>
+                <button class="secondary-btn" data-resample-apply>Apply</button>
+            </div>
+            ${bars.length > 0 ? `<p class="schema-note">Price bars combine as first open, highest high, lowest low, last close and total volume (${bars.map(col => this.escapeHtml(this.formatColumnName(col))).join(', ')}); intraday bars start afresh at each session boundary.</p>` : ''}
+        `;
+
+        container.querySelector('[data-resample-apply]').addEventListener('click', () => {
+            this.applyResample({
+                frequency: container.querySelector('[data-resample-frequency]').value,
+                method: container.querySelector('[data-resample-method]').value
+            });
+        });
+    }
+
     displayStatisticalAnalysis() {
         const statistical = this.analysisResults.statistical;
         const insights = document.getElementById('statisticalInsights');
@@ -1001,7 +2695,7 @@ class ComprehensiveDataAnalyzer {
             if (stats) {
                 const skewnessDesc = Math.abs(stats.skewness) > 1 ? 
                     (stats.skewness > 0 ? 'right-skewed' : 'left-skewed') : 'normally distributed';
-                insightsHtml += `<li><strong>${this.formatColumnName(col)}:</strong> Mean ${stats.mean.toFixed(2)}, ${skewnessDesc} distribution</li>`;
+                insightsHtml += `<li><strong>${this.escapeHtml(this.formatColumnName(col))}:</strong> Mean ${stats.mean.toFixed(2)}, ${skewnessDesc} distribution</li>`;
             }
         });
         
@@ -1019,7 +2713,7 @@ class ComprehensiveDataAnalyzer {
         
         correlations.significant.forEach(corr => {
             const direction = corr.correlation > 0 ? 'positive' : 'negative';
-            insightsHtml += `<li><strong>${this.formatColumnName(corr.column1)} vs ${this.formatColumnName(corr.column2)}:</strong> ${corr.strength} ${direction} correlation (${corr.correlation.toFixed(3)})</li>`;
+            insightsHtml += `<li><strong>${this.escapeHtml(this.formatColumnName(corr.column1))} vs ${this.escapeHtml(this.formatColumnName(corr.column2))}:</strong> ${corr.strength} ${direction} correlation (${corr.correlation.toFixed(3)})</li>`;
         });
         
         if (correlations.significant.length === 0) {
@@ -1050,7 +2744,7 @@ class ComprehensiveDataAnalyzer {
                     
                     <div class="ai-executive-summary">
                         <h4>📋 Executive Summary</h4>
-                        <p class="ai-summary-text">${aiAnalysis.executiveSummary}</p>
+                        <p class="ai-summary-text">${this.escapeHtml(aiAnalysis.executiveSummary)}</p>
                     </div>
                     
                     ${aiAnalysis.keyInsights && aiAnalysis.keyInsights.length > 0 ? `
@@ -1060,7 +2754,7 @@ class ComprehensiveDataAnalyzer {
                                 ${aiAnalysis.keyInsights.map((insight, index) => `
                                     <div class="insight-card">
                                         <div class="insight-number">${index + 1}</div>
-                                        <div class="insight-content">${insight}</div>
+                                        <div class="insight-content">${this.escapeHtml(insight)}</div>
                                     </div>
                                 `).join('')}
                             </div>
@@ -1071,7 +2765,7 @@ class ComprehensiveDataAnalyzer {
                         <div class="ai-patterns">
                             <h4>🔍 Patterns Detected</h4>
                             <ul class="pattern-list">
-                                ${aiAnalysis.patterns.map(pattern => `<li>${pattern}</li>`).join('')}
+                                ${aiAnalysis.patterns.map(pattern => `<li>${this.escapeHtml(pattern)}</li>`).join('')}
                             </ul>
                         </div>
                     ` : ''}
@@ -1080,7 +2774,7 @@ class ComprehensiveDataAnalyzer {
                         <div class="ai-anomalies">
                             <h4>⚠️ Anomalies Found</h4>
                             <ul class="anomaly-list">
-                                ${aiAnalysis.anomalies.map(anomaly => `<li>${anomaly}</li>`).join('')}
+                                ${aiAnalysis.anomalies.map(anomaly => `<li>${this.escapeHtml(anomaly)}</li>`).join('')}
                             </ul>
                         </div>
                     ` : ''}
@@ -1089,7 +2783,7 @@ class ComprehensiveDataAnalyzer {
                         <div class="ai-predictions">
                             <h4>🔮 Predictive Insights</h4>
                             <ul class="prediction-list">
-                                ${aiAnalysis.predictions.map(prediction => `<li>${prediction}</li>`).join('')}
+                                ${aiAnalysis.predictions.map(prediction => `<li>${this.escapeHtml(prediction)}</li>`).join('')}
                             </ul>
                         </div>
                     ` : ''}
@@ -1097,7 +2791,7 @@ class ComprehensiveDataAnalyzer {
                     ${aiAnalysis.dataQualityAssessment ? `
                         <div class="ai-quality-assessment">
                             <h4>📊 Data Quality Assessment</h4>
-                            <p>${aiAnalysis.dataQualityAssessment}</p>
+                            <p>${this.escapeHtml(aiAnalysis.dataQualityAssessment)}</p>
                         </div>
                     ` : ''}
                     
@@ -1105,14 +2799,14 @@ class ComprehensiveDataAnalyzer {
                         <div class="ai-next-steps">
                             <h4>🎯 Next Steps</h4>
                             <ol class="next-steps-list">
-                                ${aiAnalysis.nextSteps.map(step => `<li>${step}</li>`).join('')}
+                                ${aiAnalysis.nextSteps.map(step => `<li>${this.escapeHtml(step)}</li>`).join('')}
                             </ol>
                         </div>
                     ` : ''}
                     
                     ${aiAnalysis.metadata ? `
                         <div class="ai-metadata">
-                            <small>Analysis completed at ${new Date(aiAnalysis.metadata.timestamp).toLocaleString()} using ${aiAnalysis.metadata.model}</small>
+                            <small>Analysis completed at ${new Date(aiAnalysis.metadata.timestamp).toLocaleString()} using ${this.escapeHtml(aiAnalysis.metadata.model)}</small>
                         </div>
                     ` : ''}
                 </div>
@@ -1123,9 +2817,9 @@ class ComprehensiveDataAnalyzer {
         if (insights.length > 0 && !aiAnalysis) {
             html += `<div class="traditional-insights">`;
             html += insights.map(insight => `
-                <div class="insight-item ${insight.type}">
-                    <h4>${insight.title}</h4>
-                    <p>${insight.description}</p>
+                <div class="insight-item ${this.escapeHtml(insight.type)}">
+                    <h4>${this.escapeHtml(insight.title)}</h4>
+                    <p>${this.escapeHtml(insight.description)}</p>
                 </div>
             `).join('');
             html += `</div>`;
@@ -1159,11 +2853,11 @@ class ComprehensiveDataAnalyzer {
                             ${highPriority.map(rec => `
                                 <div class="recommendation-card high">
                                     <div class="rec-header">
-                                        <h5>${rec.title}</h5>
+                                        <h5>${this.escapeHtml(rec.title)}</h5>
                                         <span class="priority-badge high">HIGH</span>
                                     </div>
-                                    <p class="rec-description">${rec.description}</p>
-                                    ${rec.expectedImpact ? `<p class="rec-impact"><strong>Expected Impact:</strong> ${rec.expectedImpact}</p>` : ''}
+                                    <p class="rec-description">${this.escapeHtml(rec.description)}</p>
+                                    ${rec.expectedImpact ? `<p class="rec-impact"><strong>Expected Impact:</strong> ${this.escapeHtml(rec.expectedImpact)}</p>` : ''}
                                 </div>
                             `).join('')}
                         </div>
@@ -1177,11 +2871,11 @@ class ComprehensiveDataAnalyzer {
                             ${mediumPriority.map(rec => `
                                 <div class="recommendation-card medium">
                                     <div class="rec-header">
-                                        <h5>${rec.title}</h5>
+                                        <h5>${this.escapeHtml(rec.title)}</h5>
                                         <span class="priority-badge medium">MEDIUM</span>
                                     </div>
-                                    <p class="rec-description">${rec.description}</p>
-                                    ${rec.expectedImpact ? `<p class="rec-impact"><strong>Expected Impact:</strong> ${rec.expectedImpact}</p>` : ''}
+                                    <p class="rec-description">${this.escapeHtml(rec.description)}</p>
+                                    ${rec.expectedImpact ? `<p class="rec-impact"><strong>Expected Impact:</strong> ${this.escapeHtml(rec.expectedImpact)}</p>` : ''}
                                 </div>
                             `).join('')}
                         </div>
@@ -1195,11 +2889,11 @@ class ComprehensiveDataAnalyzer {
                             ${lowPriority.map(rec => `
                                 <div class="recommendation-card low">
                                     <div class="rec-header">
-                                        <h5>${rec.title}</h5>
+                                        <h5>${this.escapeHtml(rec.title)}</h5>
                                         <span class="priority-badge low">LOW</span>
                                     </div>
-                                    <p class="rec-description">${rec.description}</p>
-                                    ${rec.expectedImpact ? `<p class="rec-impact"><strong>Expected Impact:</strong> ${rec.expectedImpact}</p>` : ''}
+                                    <p class="rec-description">${this.escapeHtml(rec.description)}</p>
+                                    ${rec.expectedImpact ? `<p class="rec-impact"><strong>Expected Impact:</strong> ${this.escapeHtml(rec.expectedImpact)}</p>` : ''}
                                 </div>
                             `).join('')}
                         </div>
@@ -1211,7 +2905,7 @@ class ComprehensiveDataAnalyzer {
                 // Display traditional recommendations
                 html = `
                     <ul class="recommendations-list">
-                        ${recommendations.map(rec => `<li>${rec.description || rec}</li>`).join('')}
+                        ${recommendations.map(rec => `<li>${this.escapeHtml(rec.description || rec)}</li>`).join('')}
                     </ul>
                 `;
             }
@@ -1226,16 +2920,27 @@ class ComprehensiveDataAnalyzer {
         const container = document.getElementById('detailedTables');
         
         // Show sample of data
-        const sampleSize = Math.min(10, this.data.length);
-        const sampleData = this.data.slice(0, sampleSize);
-        
-        const headers = this.columns.map(col => `<th>${col}</th>`).join('');
-        const rows = sampleData.map(row => 
-            `<tr>${this.columns.map(col => `<td>${row[col]}</td>`).join('')}</tr>`
-        ).join('');
+        const sampleData = this.sampleRows;
+        const sampleSize = sampleData.length;
+        
+        const headers = this.columns.map(col => `<th>${this.escapeHtml(col)}</th>`).join('');
+        // Imputed cells are highlighted so they are not mistaken for recorded values
+        const rows = sampleData.map((row, index) => {
+            const imputed = this.sampleImputed[index] || [];
+            const cell = col => this.escapeHtml(row[col] == null ? '' : row[col]);
+            return `<tr>${this.columns.map(col => (imputed.includes(col)
+                ? `<td class="imputed-cell" title="Imputed">${cell(col)}</td>`
+                : `<td>${cell(col)}</td>`)).join('')}</tr>`;
+        }).join('');
+        const hasImputed = this.sampleImputed.some(columns => columns.length > 0);
         
         container.innerHTML = `
+            <div class="schema-actions">
+                <button class="secondary-btn" data-export-csv>Export CSV</button>
+                <span class="schema-note">All ${this.rowCount.toLocaleString()} rows as analysed${this.indicatorColumns.length > 0 ? `, with ${this.indicatorColumns.length} indicator columns` : ''}</span>
+            </div>
             <h4>Sample Data (First ${sampleSize} Records)</h4>
+            ${hasImputed ? '<p class="schema-note">Highlighted cells were filled in by imputation.</p>' : ''}
             <table class="data-table">
                 <thead>
                     <tr>${headers}</tr>
@@ -1245,6 +2950,7 @@ class ComprehensiveDataAnalyzer {
                 </tbody>
             </table>
         `;
+        container.querySelector('[data-export-csv]').addEventListener('click', () => this.exportData());
     }
 
     // Chart creation methods
@@ -1256,28 +2962,16 @@ class ComprehensiveDataAnalyzer {
             return;
         }
 
-        const primaryMetric = this.numericColumns[0];
-        const values = this.data.map(row => parseFloat(row[primaryMetric])).filter(v => !isNaN(v));
-        
-        // Create histogram
-        const min = Math.min(...values);
-        const max = Math.max(...values);
-        const binCount = Math.min(20, Math.ceil(Math.sqrt(values.length)));
-        const binWidth = (max - min) / binCount;
-        
-        const bins = Array(binCount).fill(0);
+        // Histogram counts come pre-binned from the analysis worker
+        const primaryMetric = this.chartData.primaryMetric;
+        const { min, binWidth, bins } = this.chartData.performanceHistogram;
         const binLabels = [];
         
-        for (let i = 0; i < binCount; i++) {
+        for (let i = 0; i < bins.length; i++) {
             const binStart = min + i * binWidth;
             const binEnd = min + (i + 1) * binWidth;
             binLabels.push(`${binStart.toFixed(1)}-${binEnd.toFixed(1)}`);
         }
-        
-        values.forEach(value => {
-            const binIndex = Math.min(Math.floor((value - min) / binWidth), binCount - 1);
-            bins[binIndex]++;
-        });
 
         this.charts.performanceChart = new Chart(ctx, {
             type: 'bar',
@@ -1317,7 +3011,7 @@ class ComprehensiveDataAnalyzer {
         const segments = demographics.segments[firstDemographic];
         
         const labels = Object.keys(segments);
-        const data = labels.map(label => segments[label].length);
+        const data = labels.map(label => segments[label]);
 
         this.charts.demographicChart = new Chart(ctx, {
             type: 'doughnut',
@@ -1352,14 +3046,13 @@ class ComprehensiveDataAnalyzer {
             return;
         }
 
-        const dateCol = this.dateColumns[0];
-        const valueCol = this.numericColumns[0];
-        
-        const timeSeriesData = this.data.map(row => ({
-            x: new Date(row[dateCol]),
-            y: parseFloat(row[valueCol])
-        })).filter(point => !isNaN(point.y) && !isNaN(point.x.getTime()))
-          .sort((a, b) => a.x - b.x);
+        // Sorted in the worker; arrives as parallel typed arrays. The time axis
+        // formats in browser time, so points are shifted to read in the display zone.
+        const { valueColumn: valueCol, times, values, timeZone } = this.chartData.timeSeries;
+        const timeSeriesData = Array.from(times, (time, index) => ({
+            x: new Date(TimeZones.asLocal(time, timeZone)),
+            y: values[index]
+        }));
 
         this.charts.timeSeriesChart = new Chart(ctx, {
             type: 'line',
@@ -1387,6 +3080,10 @@ class ComprehensiveDataAnalyzer {
                                 week: 'MMM dd',
                                 month: 'MMM yyyy'
                             }
+                        },
+                        title: {
+                            display: true,
+                            text: `Time (${timeZone})`
                         }
                     }
                 },
@@ -1400,6 +3097,415 @@ class ComprehensiveDataAnalyzer {
         });
     }
 
+    // Candles are two floating bars on a category axis (one bar per price bar,
+    // so nights and weekends leave no gaps): a thin low-high wick and an
+    // open-close body drawn over it. Overlay indicators are lines on top.
+    createPriceChart(labels) {
+        const ohlc = this.chartData.ohlc;
+        const ctx = document.getElementById('priceChart').getContext('2d');
+        const rising = Array.from(ohlc.close, (close, index) => close >= ohlc.open[index]);
+        const colours = rising.map(up => (up ? ComprehensiveDataAnalyzer.CANDLE_UP : ComprehensiveDataAnalyzer.CANDLE_DOWN));
+
+        // A body with open equal to close would have no height at all
+        let low = Infinity;
+        let high = -Infinity;
+        ohlc.low.forEach(value => { low = Math.min(low, value); });
+        ohlc.high.forEach(value => { high = Math.max(high, value); });
+        const flat = Math.max((high - low) * 0.001, Number.EPSILON);
+
+        const overlays = ohlc.indicators.filter(indicator => indicator.pane === 'overlay');
+        this.charts.priceChart = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels,
+                datasets: [{
+                    label: 'Range',
+                    data: Array.from(ohlc.low, (value, index) => [value, ohlc.high[index]]),
+                    backgroundColor: colours,
+                    grouped: false,
+                    barPercentage: 0.12,
+                    categoryPercentage: 1
+                }, {
+                    label: 'Candle',
+                    data: Array.from(ohlc.open, (open, index) => (open === ohlc.close[index] ? [open - flat / 2, open + flat / 2] : [open, ohlc.close[index]])),
+                    backgroundColor: colours,
+                    grouped: false,
+                    barPercentage: 0.7,
+                    categoryPercentage: 1
+                }, ...overlays.flatMap(indicator => this.indicatorDatasets(indicator))]
+            },
+            options: this.pricePaneOptions('priceChart', {
+                scales: {
+                    y: { title: { display: true, text: 'Price' } }
+                },
+                plugins: {
+                    // Candles explain themselves; only overlays get a legend entry
+                    legend: { display: overlays.length > 0, labels: { filter: item => item.datasetIndex > 1 } },
+                    title: {
+                        display: true,
+                        text: `${this.formatColumnName(ohlc.fields.close)} (${ohlc.fields.open} / ${ohlc.fields.high} / ${ohlc.fields.low} / ${ohlc.fields.close})`
+                    },
+                    tooltip: {
+                        mode: 'index',
+                        intersect: false,
+                        filter: item => item.datasetIndex === 1,
+                        callbacks: {
+                            label: item => this.priceTooltipLines(item.dataIndex)
+                        }
+                    }
+                }
+            }),
+            plugins: [this.sessionShadePlugin(), this.crosshairPlugin()]
+        });
+    }
+
+    createVolumeChart(labels) {
+        const ohlc = this.chartData.ohlc;
+        const ctx = document.getElementById('volumeChart').getContext('2d');
+        const colours = Array.from(ohlc.close, (close, index) => (close >= ohlc.open[index]
+            ? ComprehensiveDataAnalyzer.VOLUME_UP
+            : ComprehensiveDataAnalyzer.VOLUME_DOWN));
+
+        this.charts.volumeChart = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels,
+                datasets: [{
+                    label: this.formatColumnName(ohlc.fields.volume),
+                    data: Array.from(ohlc.volume),
+                    backgroundColor: colours,
+                    barPercentage: 0.7,
+                    categoryPercentage: 1
+                }]
+            },
+            options: this.pricePaneOptions('volumeChart', {
+                scales: {
+                    y: { beginAtZero: true, title: { display: true, text: 'Volume' } }
+                },
+                plugins: {
+                    legend: { display: false },
+                    tooltip: { enabled: false }
+                }
+            }),
+            plugins: [this.sessionShadePlugin(), this.crosshairPlugin()]
+        });
+    }
+
+    // A sub-pane indicator in its own chart under the volume pane, with its
+    // reference levels (RSI 30/70, stochastic 20/80) as dotted lines
+    createIndicatorPane(key, indicator, labels) {
+        const ctx = document.getElementById(key).getContext('2d');
+        const levels = indicator.levels.map(level => ({
+            type: 'line',
+            label: String(level),
+            data: labels.map(() => level),
+            borderColor: 'rgba(107, 114, 128, 0.6)',
+            borderWidth: 1,
+            borderDash: [2, 3],
+            pointRadius: 0,
+            level: true
+        }));
+        const format = value => value.toLocaleString(undefined, { maximumFractionDigits: 4 });
+
+        this.charts[key] = new Chart(ctx, {
+            type: 'line',
+            data: {
+                labels,
+                datasets: [...this.indicatorDatasets(indicator), ...levels]
+            },
+            options: this.pricePaneOptions(key, {
+                scales: {
+                    y: indicator.range ? { min: indicator.range[0], max: indicator.range[1] } : {}
+                },
+                plugins: {
+                    legend: { display: false },
+                    title: { display: true, text: indicator.label, align: 'start' },
+                    tooltip: {
+                        mode: 'index',
+                        intersect: false,
+                        filter: item => !item.dataset.level && !isNaN(item.raw),
+                        callbacks: {
+                            label: item => `${item.dataset.label}: ${format(item.raw)}`
+                        }
+                    }
+                }
+            }),
+            plugins: [this.sessionShadePlugin(), this.crosshairPlugin()]
+        });
+    }
+
+    // One dataset per indicator output, all in the indicator's colour: the
+    // first output solid, the others dashed, histograms as up/down bars
+    indicatorDatasets(indicator) {
+        const ohlc = this.chartData.ohlc;
+        const palette = ComprehensiveDataAnalyzer.INDICATOR_COLOURS;
+        const colour = palette[ohlc.indicators.indexOf(indicator) % palette.length];
+        return indicator.columns.map((output, index) => {
+            const data = Array.from(output.values);
+            if (output.bars) {
+                return {
+                    type: 'bar',
+                    label: output.label,
+                    data,
+                    backgroundColor: data.map(value => (value >= 0 ? ComprehensiveDataAnalyzer.VOLUME_UP : ComprehensiveDataAnalyzer.VOLUME_DOWN)),
+                    barPercentage: 0.7,
+                    categoryPercentage: 1
+                };
+            }
+            return {
+                type: 'line',
+                label: output.label,
+                data,
+                borderColor: colour,
+                backgroundColor: colour,
+                borderWidth: 1.5,
+                borderDash: index === 0 ? [] : [5, 3],
+                pointRadius: 0,
+                pointHoverRadius: 0
+            };
+        });
+    }
+
+    // Options shared by the stacked price panes: the visible bar range, x ticks
+    // on the bottom pane only, a fixed y-axis width so the panes line up, and
+    // hover shared between them
+    pricePaneOptions(key, options) {
+        const bottom = key === this.pricePaneKeys[this.pricePaneKeys.length - 1];
+        options.responsive = true;
+        options.maintainAspectRatio = false;
+        options.animation = false;
+        options.interaction = { mode: 'index', intersect: false };
+        options.scales.x = {
+            min: this.priceView.min,
+            max: this.priceView.max,
+            offset: true,
+            grid: { display: false },
+            ticks: bottom ? { autoSkip: true, maxRotation: 0, maxTicksLimit: 8 } : { display: false }
+        };
+        options.scales.y = {
+            ...options.scales.y,
+            afterFit: scale => { scale.width = ComprehensiveDataAnalyzer.PRICE_AXIS_WIDTH; }
+        };
+        options.onHover = (event, elements, chart) => this.setPriceHover(chart, event);
+        return options;
+    }
+
+    priceTooltipLines(index) {
+        const ohlc = this.chartData.ohlc;
+        const format = value => value.toLocaleString(undefined, { maximumFractionDigits: 4 });
+        const lines = [
+            `Open: ${format(ohlc.open[index])}`,
+            `High: ${format(ohlc.high[index])}`,
+            `Low: ${format(ohlc.low[index])}`,
+            `Close: ${format(ohlc.close[index])}`
+        ];
+        if (ohlc.volume && !isNaN(ohlc.volume[index])) lines.push(`Volume: ${ohlc.volume[index].toLocaleString()}`);
+        if (ohlc.sessions) lines.push(`Session: ${MarketData.SESSIONS[ohlc.sessions[index]]}`);
+        ohlc.indicators.filter(indicator => indicator.pane === 'overlay').forEach(indicator => {
+            indicator.columns.forEach(output => {
+                if (!isNaN(output.values[index])) lines.push(`${output.label}: ${format(output.values[index])}`);
+            });
+        });
+        return lines;
+    }
+
+    // Shows the hovered bar on every pane; hovering another pane also opens
+    // the price tooltip, so all four prices are readable from any of them
+    setPriceHover(source, event) {
+        const area = source.chartArea;
+        const inside = event.x >= area.left && event.x <= area.right && event.y >= area.top && event.y <= area.bottom;
+        const index = inside ? Math.round(source.scales.x.getValueForPixel(event.x)) : null;
+        if (index === this.priceHover) return;
+        this.priceHover = index;
+
+        const price = this.charts.priceChart;
+        if (price && source !== price) {
+            const active = index === null ? [] : [{ datasetIndex: 1, index }];
+            price.tooltip.setActiveElements(active, { x: price.scales.x.getPixelForValue(index || 0), y: price.chartArea.top });
+            price.update('none');
+        }
+        this.pricePanes().filter(chart => chart !== price || source === price).forEach(chart => chart.draw());
+    }
+
+    pricePanes() {
+        return this.pricePaneKeys.map(key => this.charts[key]).filter(Boolean);
+    }
+
+    // Grey behind pre-market and after-hours bars, darker behind closed-market ones
+    sessionShadePlugin() {
+        return {
+            id: 'sessionShade',
+            beforeDatasetsDraw: chart => {
+                const sessions = this.chartData.ohlc.sessions;
+                if (!sessions) return;
+                const { ctx, chartArea, scales: { x } } = chart;
+                const first = Math.max(Math.floor(x.min), 0);
+                const last = Math.min(Math.ceil(x.max), sessions.length - 1);
+                const width = (chartArea.right - chartArea.left) / Math.max(last - first + 1, 1);
+                ctx.save();
+                ctx.beginPath();
+                ctx.rect(chartArea.left, chartArea.top, chartArea.right - chartArea.left, chartArea.bottom - chartArea.top);
+                ctx.clip();
+                for (let index = first; index <= last; index++) {
+                    const shade = ComprehensiveDataAnalyzer.SESSION_SHADES[sessions[index]];
+                    if (!shade) continue;
+                    ctx.fillStyle = shade;
+                    ctx.fillRect(x.getPixelForValue(index) - width / 2, chartArea.top, width, chartArea.bottom - chartArea.top);
+                }
+                ctx.restore();
+            }
+        };
+    }
+
+    // A vertical line through the hovered bar on every pane, and a horizontal
+    // one at the pointer on the pane being hovered
+    crosshairPlugin() {
+        return {
+            id: 'crosshair',
+            afterEvent: (chart, args) => {
+                if (args.event.type === 'mouseout') this.setPriceHover(chart, { x: -1, y: -1 });
+                chart.crosshairY = args.inChartArea ? args.event.y : null;
+            },
+            afterDatasetsDraw: chart => {
+                if (this.priceHover === null) return;
+                const { ctx, chartArea, scales: { x } } = chart;
+                const pixel = x.getPixelForValue(this.priceHover);
+                ctx.save();
+                ctx.strokeStyle = 'rgba(55, 65, 81, 0.6)';
+                ctx.lineWidth = 1;
+                ctx.setLineDash([4, 4]);
+                ctx.beginPath();
+                ctx.moveTo(pixel, chartArea.top);
+                ctx.lineTo(pixel, chartArea.bottom);
+                if (chart.crosshairY !== null && chart.crosshairY !== undefined) {
+                    ctx.moveTo(chartArea.left, chart.crosshairY);
+                    ctx.lineTo(chartArea.right, chart.crosshairY);
+                }
+                ctx.stroke();
+                ctx.restore();
+            }
+        };
+    }
+
+    // Wheel zooms around the pointer, dragging pans and a double click (or the
+    // Show All button) shows every bar. The price and volume canvases outlive
+    // their charts and indicator canvases are replaced on each render, so each
+    // canvas is bound once and listeners read the current charts.
+    bindPriceZoom() {
+        this.pricePaneKeys.forEach(key => this.bindPaneZoom(key));
+        if (this.priceZoomBound) return;
+        this.priceZoomBound = true;
+
+        window.addEventListener('mousemove', (e) => {
+            const drag = this.priceDrag;
+            if (!drag) return;
+            const shift = Math.round((drag.x - e.clientX) / drag.barWidth);
+            this.setPriceView(drag.view.min + shift, drag.view.max + shift);
+        });
+        window.addEventListener('mouseup', () => { this.priceDrag = null; });
+        document.getElementById('priceResetZoom').addEventListener('click', () => this.resetPriceZoom());
+    }
+
+    bindPaneZoom(key) {
+        const canvas = document.getElementById(key);
+        if (canvas.dataset.zoomBound) return;
+        canvas.dataset.zoomBound = 'true';
+
+        canvas.addEventListener('wheel', (e) => {
+            const chart = this.charts[key];
+            if (!chart || !this.priceView) return;
+            e.preventDefault();
+            const { min, max } = this.priceView;
+            const rect = canvas.getBoundingClientRect();
+            const centre = chart.scales.x.getValueForPixel(e.clientX - rect.left);
+            const factor = e.deltaY > 0 ? ComprehensiveDataAnalyzer.PRICE_ZOOM_STEP : 1 / ComprehensiveDataAnalyzer.PRICE_ZOOM_STEP;
+            const span = Math.max((max - min) * factor, ComprehensiveDataAnalyzer.PRICE_MIN_BARS);
+            const share = max > min ? (centre - min) / (max - min) : 0.5;
+            this.setPriceView(centre - span * share, centre - span * share + span);
+        }, { passive: false });
+        canvas.addEventListener('mousedown', (e) => {
+            const chart = this.charts[key];
+            if (!chart || !this.priceView) return;
+            const { left, right } = chart.chartArea;
+            this.priceDrag = { x: e.clientX, view: { ...this.priceView }, barWidth: (right - left) / (this.priceView.max - this.priceView.min + 1) };
+        });
+        canvas.addEventListener('dblclick', () => this.resetPriceZoom());
+    }
+
+    resetPriceZoom() {
+        if (!this.chartData.ohlc) return;
+        this.setPriceView(0, this.chartData.ohlc.times.length - 1);
+    }
+
+    // Shows bars min..max on every pane, kept inside the data; y axes rescale
+    // to the visible bars
+    setPriceView(min, max) {
+        const last = this.chartData.ohlc.times.length - 1;
+        const span = Math.min(Math.round(max - min), last);
+        const start = Math.min(Math.max(Math.round(min), 0), last - span);
+        this.priceView = { min: start, max: start + span };
+        this.pricePanes().forEach(chart => {
+            chart.options.scales.x.min = this.priceView.min;
+            chart.options.scales.x.max = this.priceView.max;
+            chart.update('none');
+        });
+    }
+
+    // 'YYYY-MM-DD HH:mm' wall clock in zone
+    formatBarTime(time, zone) {
+        return new Date(TimeZones.toWallClock(time, zone)).toISOString().slice(0, 16).replace('T', ' ');
+    }
+
+    // Histogram of simple returns with the normal curve of the same mean and
+    // deviation, scaled to counts, so fat tails show as bars above the line
+    createReturnDistributionChart() {
+        const risk = this.analysisResults.risk;
+        const ctx = document.getElementById('returnDistributionChart').getContext('2d');
+        const { min, binWidth, counts, mean, std, count } = risk.distribution;
+        const centres = counts.map((value, index) => min + (index + 0.5) * binWidth);
+        const normal = centres.map(x => (std > 0
+            ? count * binWidth * RiskMetrics.normalDensity((x - mean) / std) / std
+            : null));
+
+        this.charts.returnDistributionChart = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: centres.map(x => `${(x * 100).toFixed(2)}%`),
+                datasets: [{
+                    type: 'line',
+                    label: 'Normal distribution',
+                    data: normal,
+                    borderColor: '#ef4444',
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    tension: 0.3
+                }, {
+                    label: 'Returns',
+                    data: counts,
+                    backgroundColor: 'rgba(99, 102, 241, 0.6)',
+                    borderColor: '#6366f1',
+                    borderWidth: 1,
+                    barPercentage: 1,
+                    categoryPercentage: 1
+                }]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                scales: {
+                    x: { title: { display: true, text: 'Return per bar' } },
+                    y: { beginAtZero: true, title: { display: true, text: 'Bars' } }
+                },
+                plugins: {
+                    title: {
+                        display: true,
+                        text: `${this.formatColumnName(risk.column)} Return Distribution`
+                    }
+                }
+            }
+        });
+    }
+
     createDistributionChart() {
         const ctx = document.getElementById('distributionChart').getContext('2d');
         
@@ -1409,28 +3515,14 @@ class ComprehensiveDataAnalyzer {
         }
 
         // Create a separate distribution chart (not reusing performance chart)
-        const primaryMetric = this.numericColumns[0];
-        const values = this.data.map(row => parseFloat(row[primaryMetric])).filter(v => !isNaN(v));
-        
-        // Create histogram
-        const min = Math.min(...values);
-        const max = Math.max(...values);
-        const binCount = Math.min(15, Math.ceil(Math.sqrt(values.length)));
-        const binWidth = (max - min) / binCount;
-        
-        const bins = Array(binCount).fill(0);
+        const primaryMetric = this.chartData.primaryMetric;
+        const { min, binWidth, bins } = this.chartData.distributionHistogram;
         const binLabels = [];
         
-        for (let i = 0; i < binCount; i++) {
+        for (let i = 0; i < bins.length; i++) {
             const binStart = min + i * binWidth;
-            const binEnd = min + (i + 1) * binWidth;
             binLabels.push(`${binStart.toFixed(2)}`);
         }
-        
-        values.forEach(value => {
-            const binIndex = Math.min(Math.floor((value - min) / binWidth), binCount - 1);
-            bins[binIndex]++;
-        });
 
         this.charts.distributionChart = new Chart(ctx, {
             type: 'line',
@@ -1502,6 +3594,109 @@ class ComprehensiveDataAnalyzer {
     }
 }
 
+// Parsing and analysis run here (see analysis-engine.js for the message protocol)
+ComprehensiveDataAnalyzer.WORKER_SCRIPT = 'analysis-worker.js';
+
+// Loading screen stages, in the order the analysis worker reports them
+ComprehensiveDataAnalyzer.PROGRESS_STAGES = {
+    parse: 'Reading file',
+    profile: 'Profiling columns',
+    quality: 'Data quality',
+    analysis: 'Statistics',
+    correlations: 'Correlations',
+    ai: 'AI insights'
+};
+
+ComprehensiveDataAnalyzer.DELIMITER_LABELS = {
+    ',': 'Comma (,)',
+    '\t': 'Tab',
+    ';': 'Semicolon (;)',
+    '|': 'Pipe (|)'
+};
+
+ComprehensiveDataAnalyzer.ENCODING_LABELS = {
+    'utf-8': 'UTF-8',
+    'utf-16le': 'UTF-16 LE',
+    'utf-16be': 'UTF-16 BE',
+    'windows-1252': 'Windows-1252'
+};
+
+ComprehensiveDataAnalyzer.FORMAT_LABELS = {
+    csv: 'CSV',
+    json: 'JSON',
+    jsonl: 'JSON Lines',
+    workbook: 'Excel',
+    parquet: 'Parquet',
+    arrow: 'Arrow IPC'
+};
+
+ComprehensiveDataAnalyzer.COMBINE_TYPES = {
+    union: 'Append rows (union)',
+    inner: 'Inner join',
+    left: 'Left join',
+    lookup: 'Lookup (enrich)'
+};
+
+// localStorage keys: column type overrides (keyed by header signature), the
+// number/date locale and the display time zone
+ComprehensiveDataAnalyzer.SCHEMA_STORAGE_KEY = 'dataDashboard.columnSchemas';
+ComprehensiveDataAnalyzer.LOCALE_STORAGE_KEY = 'dataDashboard.locale';
+ComprehensiveDataAnalyzer.TIME_ZONE_STORAGE_KEY = 'dataDashboard.timeZone';
+// The transform recipe being edited (applied only when the user asks)
+ComprehensiveDataAnalyzer.RECIPE_STORAGE_KEY = 'dataDashboard.recipe';
+// The data contract uploads are checked against
+ComprehensiveDataAnalyzer.CONTRACT_STORAGE_KEY = 'dataDashboard.contract';
+// Missing-value methods per column, keyed by header signature
+ComprehensiveDataAnalyzer.IMPUTATION_STORAGE_KEY = 'dataDashboard.imputation';
+// Technical indicators added to price data
+ComprehensiveDataAnalyzer.INDICATOR_STORAGE_KEY = 'dataDashboard.indicators';
+// Annual risk-free rate (percent) for Sharpe and Sortino ratios
+ComprehensiveDataAnalyzer.RISK_FREE_STORAGE_KEY = 'dataDashboard.riskFreeRate';
+// Time frame and method rows are resampled with
+ComprehensiveDataAnalyzer.RESAMPLE_STORAGE_KEY = 'dataDashboard.resample';
+// Exchange calendar, session hours and sessions analysed
+ComprehensiveDataAnalyzer.SESSION_STORAGE_KEY = 'dataDashboard.sessions';
+// Price chart: bars shown at first, fewest bars a zoom can reach, the zoom
+// factor per wheel step and the y-axis width every pane shares
+ComprehensiveDataAnalyzer.PRICE_WINDOW = 200;
+ComprehensiveDataAnalyzer.PRICE_MIN_BARS = 10;
+ComprehensiveDataAnalyzer.PRICE_ZOOM_STEP = 1.25;
+ComprehensiveDataAnalyzer.PRICE_AXIS_WIDTH = 64;
+ComprehensiveDataAnalyzer.CANDLE_UP = '#10b981';
+ComprehensiveDataAnalyzer.CANDLE_DOWN = '#ef4444';
+ComprehensiveDataAnalyzer.VOLUME_UP = 'rgba(16, 185, 129, 0.5)';
+ComprehensiveDataAnalyzer.VOLUME_DOWN = 'rgba(239, 68, 68, 0.5)';
+// Line colours of indicators, in the order they were added
+ComprehensiveDataAnalyzer.INDICATOR_COLOURS = ['#6366f1', '#f59e0b', '#8b5cf6', '#0ea5e9', '#ec4899', '#14b8a6'];
+// Background behind bars by MarketData session; regular hours are unshaded
+ComprehensiveDataAnalyzer.SESSION_SHADES = {
+    [MarketData.CLOSED]: 'rgba(107, 114, 128, 0.18)',
+    [MarketData.PRE_MARKET]: 'rgba(99, 102, 241, 0.08)',
+    [MarketData.AFTER_HOURS]: 'rgba(245, 158, 11, 0.1)'
+};
+// Time-of-day volume bars per session
+ComprehensiveDataAnalyzer.SESSION_COLOURS = {
+    [MarketData.CLOSED]: 'rgba(107, 114, 128, 0.6)',
+    [MarketData.PRE_MARKET]: 'rgba(99, 102, 241, 0.45)',
+    [MarketData.REGULAR]: 'rgba(99, 102, 241, 0.8)',
+    [MarketData.AFTER_HOURS]: 'rgba(245, 158, 11, 0.7)'
+};
+// Values the session heatmap can show
+ComprehensiveDataAnalyzer.HEATMAP_METRICS = {
+    meanVolume: 'Average volume per bar',
+    volatility: 'Volatility per bar',
+    bars: 'Bars'
+};
+
+ComprehensiveDataAnalyzer.REJECTION_REASONS = {
+    too_many_fields: 'Too many fields',
+    too_few_fields: 'Too few fields',
+    unbalanced_quotes: 'Unbalanced quotes',
+    encoding_error: 'Encoding error',
+    invalid_json: 'Invalid JSON',
+    not_an_object: 'Not an object'
+};
+
 // Initialize the application
 document.addEventListener('DOMContentLoaded', () => {
     new ComprehensiveDataAnalyzer();
@@ -0,0 +1,186 @@
+// Semantic column types
+// Each column gets a semantic type (currency, identifier, duration...) on top of
+// the kind the analyses work with: numeric, date, categorical, or text (read but
+// never aggregated - identifiers and free text). Detection looks at the column
+// name and a sample of values; the user can override both type and unit.
+
+class SemanticTypes {
+    static kind(type) {
+        return (SemanticTypes.TYPES[type] || SemanticTypes.TYPES.category).kind;
+    }
+
+    // Types declared by a file schema (Parquet/Arrow) only give the kind
+    static fromKind(kind) {
+        return { numeric: 'number', date: 'date', categorical: 'category' }[kind] || 'category';
+    }
+
+    // Columns with the same names in the same order share remembered overrides
+    static headerSignature(columns) {
+        return columns.join('␟');
+    }
+
+    // values are the non-empty sample values of the column; formats holds the
+    // number style and date order guessed for it (see LocaleParser)
+    static detect(column, values, formats = {}) {
+        const { numberStyle = 'comma-dot', dateOrder = 'MDY' } = formats;
+        const toNumber = value => LocaleParser.parseNumber(value, numberStyle);
+        if (values.length === 0) return { type: 'category', unit: '' };
+
+        const strings = values.map(value => String(value).trim());
+        const share = test => strings.filter(test).length / strings.length;
+        const isMajority = test => share(test) > SemanticTypes.THRESHOLD;
+        const name = column.toLowerCase();
+
+        if (share(value => SemanticTypes.BOOLEAN_VALUES.has(value.toLowerCase())) === 1 &&
+            (share(value => /^[01]$/.test(value)) < 1 || SemanticTypes.BOOLEAN_NAME.test(column))) {
+            return { type: 'boolean', unit: '' };
+        }
+
+        if (isMajority(value => /%\)?$/.test(value) && !isNaN(toNumber(value)))) {
+            return { type: 'percentage', unit: '%' };
+        }
+
+        const currencySymbol = value => (value.match(LocaleParser.CURRENCY_PATTERN) || [])[0];
+        if (isMajority(value => currencySymbol(value) && !isNaN(toNumber(value)))) {
+            return { type: 'currency', unit: SemanticTypes.currencyUnit(strings.map(currencySymbol)) };
+        }
+
+        if (isMajority(value => isNaN(value) && !isNaN(SemanticTypes.parseDuration(value)))) {
+            return { type: 'duration', unit: 's' };
+        }
+
+        // Plain numbers, allowing thousands separators and accounting negatives
+        if (isMajority(value => !isNaN(toNumber(value)))) {
+            if (SemanticTypes.IDENTIFIER_NAME.test(name) || /[a-z](Id|ID)$/.test(column) ||
+                strings.some(value => /^0\d{2,}$/.test(value))) {
+                return { type: 'identifier', unit: '' };
+            }
+            const numbers = strings.map(toNumber).filter(value => !isNaN(value));
+            const within = limit => numbers.every(value => Math.abs(value) <= limit);
+            if (SemanticTypes.LATITUDE_NAME.test(name) && within(90)) return { type: 'latitude', unit: '°' };
+            if (SemanticTypes.LONGITUDE_NAME.test(name) && within(180)) return { type: 'longitude', unit: '°' };
+            if (SemanticTypes.CURRENCY_NAME.test(name)) return { type: 'currency', unit: '' };
+            return { type: 'number', unit: '' };
+        }
+
+        if (isMajority(value => {
+            if (!LocaleParser.looksLikeDate(value)) return false;
+            const time = LocaleParser.parseDate(value, dateOrder);
+            return !isNaN(time) && new Date(time).getFullYear() > 1900;
+        })) {
+            return { type: 'date', unit: '' };
+        }
+
+        if (SemanticTypes.IDENTIFIER_NAME.test(name) || /[a-z](Id|ID)$/.test(column) ||
+            isMajority(value => SemanticTypes.TOKEN_PATTERN.test(value))) {
+            return { type: 'identifier', unit: '' };
+        }
+
+        const averageWords = strings.reduce((sum, value) => sum + value.split(/\s+/).length, 0) / strings.length;
+        const averageLength = strings.reduce((sum, value) => sum + value.length, 0) / strings.length;
+        if (averageWords >= 5 || averageLength > 40) return { type: 'text', unit: '' };
+
+        return { type: 'category', unit: '' };
+    }
+
+    // How the column store reads a cell: a number for numeric types, a time for
+    // dates, a normalised label for booleans, the default conversion otherwise.
+    // schema supplies the column's number style, date order and source time zone.
+    static parser(type, schema = {}) {
+        switch (type) {
+            case 'currency':
+            case 'percentage':
+            case 'number':
+            case 'latitude':
+            case 'longitude':
+                return value => LocaleParser.parseNumber(value, schema.numberStyle);
+            case 'duration':
+                return value => SemanticTypes.parseDuration(value);
+            case 'date':
+                return value => LocaleParser.parseDate(value, schema.dateOrder, schema.timeZone);
+            case 'boolean':
+                return value => {
+                    const text = String(value).trim().toLowerCase();
+                    return SemanticTypes.TRUE_VALUES.has(text) ? 'true' : SemanticTypes.BOOLEAN_VALUES.has(text) ? 'false' : String(value);
+                };
+            default:
+                return null;
+        }
+    }
+
+    // Seconds from "1:02:03", "4:05" (m:ss), "PT1H30M", "1h 30m", "90s" or "2 days"
+    static parseDuration(value) {
+        if (typeof value === 'number') return value;
+        const text = String(value).trim().toLowerCase();
+
+        const clock = text.match(/^(-)?(\d+):(\d{1,2})(?::(\d{1,2}(?:\.\d+)?))?$/);
+        if (clock) {
+            const [, sign, first, second, third] = clock;
+            const seconds = third === undefined
+                ? Number(first) * 60 + Number(second)
+                : Number(first) * 3600 + Number(second) * 60 + Number(third);
+            return sign ? -seconds : seconds;
+        }
+
+        const iso = text.match(/^p(?:(\d+(?:\.\d+)?)d)?(?:t(?:(\d+(?:\.\d+)?)h)?(?:(\d+(?:\.\d+)?)m)?(?:(\d+(?:\.\d+)?)s)?)?$/);
+        if (iso && text !== 'p' && text !== 'pt') {
+            const [, days = 0, hours = 0, minutes = 0, seconds = 0] = iso;
+            return Number(days) * 86400 + Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+        }
+
+        const parts = [...text.matchAll(/(\d+(?:\.\d+)?)\s*([a-z]+)/g)];
+        if (parts.length === 0 || text.replace(/(\d+(?:\.\d+)?)\s*([a-z]+)/g, '').trim() !== '') return NaN;
+        let total = 0;
+        for (const [, amount, unit] of parts) {
+            const seconds = SemanticTypes.DURATION_UNITS[unit];
+            if (seconds === undefined) return NaN;
+            total += Number(amount) * seconds;
+        }
+        return total;
+    }
+
+    // The most common currency symbol in the sample, as an ISO code where known
+    static currencyUnit(symbols) {
+        const counts = {};
+        symbols.filter(Boolean).forEach(symbol => { counts[symbol] = (counts[symbol] || 0) + 1; });
+        const [symbol] = Object.entries(counts).sort(([, a], [, b]) => b - a)[0] || [''];
+        return SemanticTypes.CURRENCY_CODES[symbol] || symbol;
+    }
+}
+
+// kind decides which analyses use the column
+SemanticTypes.TYPES = {
+    number: { label: 'Number', kind: 'numeric' },
+    currency: { label: 'Currency', kind: 'numeric' },
+    percentage: { label: 'Percentage', kind: 'numeric' },
+    duration: { label: 'Duration', kind: 'numeric' },
+    latitude: { label: 'Latitude', kind: 'numeric' },
+    longitude: { label: 'Longitude', kind: 'numeric' },
+    date: { label: 'Date / time', kind: 'date' },
+    category: { label: 'Category', kind: 'categorical' },
+    boolean: { label: 'Boolean', kind: 'categorical' },
+    identifier: { label: 'Identifier', kind: 'text' },
+    text: { label: 'Free text', kind: 'text' }
+};
+
+// Share of sample values that must match a type
+SemanticTypes.THRESHOLD = 0.7;
+
+SemanticTypes.TRUE_VALUES = new Set(['true', 'yes', 'y', 't', '1']);
+SemanticTypes.BOOLEAN_VALUES = new Set(['true', 'false', 'yes', 'no', 'y', 'n', 't', 'f', '1', '0']);
+SemanticTypes.BOOLEAN_NAME = /^(is|has|can|should)[_A-Z]|flag|active|enabled/i;
+SemanticTypes.IDENTIFIER_NAME = /(^|[_\s.-])(id|uuid|guid|zip|zipcode|postcode|phone|sku|isbn|ean|upc)$|^(id|uuid|guid)([_\s.-]|$)|(zip|postal)[_\s-]?code/;
+SemanticTypes.LATITUDE_NAME = /^lat$|latitude|(^|[_\s.-])lat$/;
+SemanticTypes.LONGITUDE_NAME = /^(lon|lng|long)$|longitude|(^|[_\s.-])(lon|lng)$/;
+SemanticTypes.CURRENCY_NAME = /price|cost|revenue|amount|spend|spent|salary|fee|budget|income|usd|eur|gbp/;
+SemanticTypes.CURRENCY_CODES = { '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₹': 'INR', '₩': 'KRW', '₽': 'RUB', '₺': 'TRY', '₪': 'ILS' };
+// UUIDs, hashes and codes like "ORD-00123"
+SemanticTypes.TOKEN_PATTERN = /^([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|[0-9a-f]{24,}|[A-Z]{2,5}[-_]?\d{3,})$/i;
+SemanticTypes.DURATION_UNITS = {
+    ms: 0.001,
+    s: 1, sec: 1, secs: 1, second: 1, seconds: 1,
+    m: 60, min: 60, mins: 60, minute: 60, minutes: 60,
+    h: 3600, hr: 3600, hrs: 3600, hour: 3600, hours: 3600,
+    d: 86400, day: 86400, days: 86400,
+    w: 604800, week: 604800, weeks: 604800
+};
@@ -0,0 +1,86 @@
+// Session and time-of-day profile
+// How trading activity spreads over the day for intraday price data: volume
+// and volatility per trading session, per time-of-day slot and per hour of
+// each weekday. Volatility is the standard deviation of bar-to-bar log
+// returns, each return counted in the slot of the bar it ends on; the first
+// bar of every trading day has no return, so overnight gaps do not count.
+
+class SessionProfile {
+    // Bars in time order: times, prices (all positive), volume (NaN where
+    // missing, or null) and each bar's MarketData session, read on zone's
+    // clock. Returns null with fewer than two bars.
+    static analyse(times, prices, volume, sessions, zone) {
+        if (times.length < 2) return null;
+
+        const bySession = MarketData.SESSIONS.map(() => SessionProfile.group());
+        const bySlot = new Map();
+        const heatmap = TimeZones.WEEKDAYS.map(() => Array.from({ length: 24 }, () => SessionProfile.group()));
+        let total = 0;
+
+        let previousDay = null;
+        times.forEach((time, bar) => {
+            const wall = TimeZones.toWallClock(time, zone);
+            const day = Math.floor(wall / TimeZones.DAY);
+            const minute = Math.floor(wall / 60000) % 1440;
+            const slot = minute - (minute % SessionProfile.SLOT_MINUTES);
+            const value = volume && !isNaN(volume[bar]) ? volume[bar] : NaN;
+            const change = day === previousDay ? Math.log(prices[bar] / prices[bar - 1]) : NaN;
+            previousDay = day;
+            if (!isNaN(value)) total += value;
+
+            if (!bySlot.has(slot)) bySlot.set(slot, { ...SessionProfile.group(), sessions: new Array(MarketData.SESSIONS.length).fill(0) });
+            const slotGroup = bySlot.get(slot);
+            slotGroup.sessions[sessions[bar]]++;
+            [bySession[sessions[bar]], slotGroup, heatmap[TimeZones.weekdayOf(wall)][TimeZones.hourOf(wall)]]
+                .forEach(group => SessionProfile.add(group, value, change));
+        });
+
+        return {
+            bars: times.length,
+            totalVolume: volume ? total : null,
+            slotMinutes: SessionProfile.SLOT_MINUTES,
+            sessions: bySession.map((group, session) => ({
+                session,
+                ...SessionProfile.summary(group),
+                volumeShare: volume && total > 0 ? group.volume / total : null
+            })),
+            timeOfDay: [...bySlot.entries()]
+                .sort(([a], [b]) => a - b)
+                .map(([minute, group]) => ({
+                    minute,
+                    // The session most of the slot's bars are in
+                    session: group.sessions.indexOf(Math.max(...group.sessions)),
+                    ...SessionProfile.summary(group)
+                })),
+            heatmap: heatmap.map(hours => hours.map(group => SessionProfile.summary(group)))
+        };
+    }
+
+    static group() {
+        return { bars: 0, volume: 0, volumeBars: 0, returns: new RunningMoments() };
+    }
+
+    static add(group, volume, change) {
+        group.bars++;
+        if (!isNaN(volume)) {
+            group.volume += volume;
+            group.volumeBars++;
+        }
+        if (!isNaN(change)) group.returns.add(change);
+    }
+
+    // bars, total and mean volume per bar, and volatility (sample standard
+    // deviation of the log returns; null with fewer than two)
+    static summary(group) {
+        const returns = group.returns;
+        return {
+            bars: group.bars,
+            volume: group.volumeBars > 0 ? group.volume : null,
+            meanVolume: group.volumeBars > 0 ? group.volume / group.volumeBars : null,
+            volatility: returns.count > 1 ? Math.sqrt(returns.m2 / (returns.count - 1)) : null
+        };
+    }
+}
+
+// Width of the time-of-day slots
+SessionProfile.SLOT_MINUTES = 30;
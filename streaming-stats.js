@@ -0,0 +1,302 @@
+// One-pass statistics
+// Aggregators that see each value once, never hold the whole column and can be
+// merged, so a column can be summarised chunk by chunk or split across several
+// workers and combined afterwards. toState()/fromState() turn an aggregator into
+// a plain object that survives postMessage.
+
+// Count, sum, min/max and the central moments needed for mean, variance,
+// skewness and kurtosis (Welford's update, Pébay's formulas for merging)
+class RunningMoments {
+    constructor() {
+        this.count = 0;
+        this.sum = 0;
+        this.min = Infinity;
+        this.max = -Infinity;
+        this.mean = 0;
+        this.m2 = 0;
+        this.m3 = 0;
+        this.m4 = 0;
+    }
+
+    add(value) {
+        const n1 = this.count;
+        const n = n1 + 1;
+        const delta = value - this.mean;
+        const deltaN = delta / n;
+        const deltaN2 = deltaN * deltaN;
+        const term1 = delta * deltaN * n1;
+
+        this.mean += deltaN;
+        this.m4 += term1 * deltaN2 * (n * n - 3 * n + 3) + 6 * deltaN2 * this.m2 - 4 * deltaN * this.m3;
+        this.m3 += term1 * deltaN * (n - 2) - 3 * deltaN * this.m2;
+        this.m2 += term1;
+        this.count = n;
+        this.sum += value;
+        if (value < this.min) this.min = value;
+        if (value > this.max) this.max = value;
+    }
+
+    merge(other) {
+        if (other.count === 0) return this;
+        if (this.count === 0) return Object.assign(this, other);
+
+        const a = this.count;
+        const b = other.count;
+        const n = a + b;
+        const delta = other.mean - this.mean;
+        const delta2 = delta * delta;
+        const delta3 = delta * delta2;
+        const delta4 = delta2 * delta2;
+
+        const m2 = this.m2 + other.m2 + delta2 * a * b / n;
+        const m3 = this.m3 + other.m3
+            + delta3 * a * b * (a - b) / (n * n)
+            + 3 * delta * (a * other.m2 - b * this.m2) / n;
+        const m4 = this.m4 + other.m4
+            + delta4 * a * b * (a * a - a * b + b * b) / (n * n * n)
+            + 6 * delta2 * (a * a * other.m2 + b * b * this.m2) / (n * n)
+            + 4 * delta * (a * other.m3 - b * this.m3) / n;
+
+        this.mean += delta * b / n;
+        this.m2 = m2;
+        this.m3 = m3;
+        this.m4 = m4;
+        this.count = n;
+        this.sum += other.sum;
+        this.min = Math.min(this.min, other.min);
+        this.max = Math.max(this.max, other.max);
+        return this;
+    }
+
+    // Population variance, matching the dashboard's earlier statistics
+    get variance() {
+        return this.count > 0 ? this.m2 / this.count : 0;
+    }
+
+    get skewness() {
+        return this.m2 === 0 ? 0 : Math.sqrt(this.count) * this.m3 / Math.pow(this.m2, 1.5);
+    }
+
+    // Excess kurtosis (0 for a normal distribution)
+    get kurtosis() {
+        return this.m2 === 0 ? 0 : this.count * this.m4 / (this.m2 * this.m2) - 3;
+    }
+
+    toState() {
+        return { ...this };
+    }
+
+    static fromState(state) {
+        return Object.assign(new RunningMoments(), state);
+    }
+}
+
+// Merging t-digest (Dunning & Ertl) for approximate quantiles. Centroids near
+// the tails stay small, so extreme quantiles are accurate; memory is bounded
+// by the compression factor, not the number of values.
+class TDigest {
+    constructor(compression = TDigest.DEFAULT_COMPRESSION) {
+        this.compression = compression;
+        this.means = [];
+        this.weights = [];
+        this.buffer = [];
+        this.count = 0;
+        this.min = Infinity;
+        this.max = -Infinity;
+    }
+
+    add(value) {
+        this.buffer.push(value);
+        this.count++;
+        if (value < this.min) this.min = value;
+        if (value > this.max) this.max = value;
+        if (this.buffer.length >= this.compression * TDigest.BUFFER_FACTOR) this.compress();
+    }
+
+    merge(other) {
+        if (other.count === 0) return this;
+        other.compress();
+        this.compress();
+
+        const means = this.means.concat(other.means);
+        const weights = this.weights.concat(other.weights);
+        this.count += other.count;
+        this.min = Math.min(this.min, other.min);
+        this.max = Math.max(this.max, other.max);
+        this.mergeCentroids(means, weights);
+        return this;
+    }
+
+    compress() {
+        if (this.buffer.length === 0) return;
+        const means = this.means.concat(this.buffer);
+        const weights = this.weights.concat(this.buffer.map(() => 1));
+        this.buffer = [];
+        this.mergeCentroids(means, weights);
+    }
+
+    // Sort every centroid by mean, then sweep once, folding neighbours together
+    // while the k-scale says the merged centroid is still small enough.
+    mergeCentroids(means, weights) {
+        const order = means.map((mean, index) => index).sort((a, b) => means[a] - means[b]);
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+        const mergedMeans = [];
+        const mergedWeights = [];
+        let mean = means[order[0]];
+        let weight = weights[order[0]];
+        let weightSoFar = 0;
+        let limit = total * this.kToQ(this.qToK(0) + 1);
+
+        for (let i = 1; i < order.length; i++) {
+            const nextMean = means[order[i]];
+            const nextWeight = weights[order[i]];
+            if (weightSoFar + weight + nextWeight <= limit) {
+                weight += nextWeight;
+                mean += (nextMean - mean) * nextWeight / weight;
+            } else {
+                mergedMeans.push(mean);
+                mergedWeights.push(weight);
+                weightSoFar += weight;
+                limit = total * this.kToQ(this.qToK(weightSoFar / total) + 1);
+                mean = nextMean;
+                weight = nextWeight;
+            }
+        }
+        mergedMeans.push(mean);
+        mergedWeights.push(weight);
+
+        this.means = mergedMeans;
+        this.weights = mergedWeights;
+    }
+
+    // k1 scale function: k = δ/2π · asin(2q - 1)
+    qToK(q) {
+        return this.compression / (2 * Math.PI) * Math.asin(2 * q - 1);
+    }
+
+    kToQ(k) {
+        if (k >= this.compression / 4) return 1;
+        return (Math.sin(k * 2 * Math.PI / this.compression) + 1) / 2;
+    }
+
+    // q in [0, 1]; interpolates between centroid centres, and towards min/max
+    // beyond the first and last centroid
+    quantile(q) {
+        this.compress();
+        if (this.count === 0) return NaN;
+        if (q <= 0) return this.min;
+        if (q >= 1) return this.max;
+        if (this.means.length === 1) return this.means[0];
+
+        const { means, weights } = this;
+        const last = means.length - 1;
+        const index = q * this.count;
+
+        if (index < weights[0] / 2) {
+            return this.min + (means[0] - this.min) * index / (weights[0] / 2);
+        }
+
+        let cumulative = weights[0] / 2;
+        for (let i = 0; i < last; i++) {
+            const next = cumulative + (weights[i] + weights[i + 1]) / 2;
+            if (index <= next) {
+                const fraction = (index - cumulative) / (next - cumulative);
+                return means[i] + (means[i + 1] - means[i]) * fraction;
+            }
+            cumulative = next;
+        }
+
+        const tail = weights[last] / 2;
+        const fraction = Math.min((index - cumulative) / tail, 1);
+        return means[last] + (this.max - means[last]) * fraction;
+    }
+
+    toState() {
+        this.compress();
+        return {
+            compression: this.compression,
+            means: this.means,
+            weights: this.weights,
+            count: this.count,
+            min: this.min,
+            max: this.max
+        };
+    }
+
+    static fromState(state) {
+        return Object.assign(new TDigest(state.compression), state, { buffer: [] });
+    }
+}
+
+// Values per centroid budget buffered before a compression sweep
+TDigest.BUFFER_FACTOR = 5;
+TDigest.DEFAULT_COMPRESSION = 200;
+
+// Moments and quantile sketch for one column
+class StreamingStats {
+    constructor() {
+        this.moments = new RunningMoments();
+        this.digest = new TDigest();
+    }
+
+    static of(values) {
+        return new StreamingStats().addAll(values);
+    }
+
+    add(value) {
+        this.moments.add(value);
+        this.digest.add(value);
+        return this;
+    }
+
+    // Works on arrays, typed arrays and typed-array chunks (subarray)
+    addAll(values) {
+        for (let i = 0; i < values.length; i++) this.add(values[i]);
+        return this;
+    }
+
+    merge(other) {
+        this.moments.merge(other.moments);
+        this.digest.merge(other.digest);
+        return this;
+    }
+
+    get count() {
+        return this.moments.count;
+    }
+
+    quantile(q) {
+        return this.digest.quantile(q);
+    }
+
+    summary() {
+        const moments = this.moments;
+        if (moments.count === 0) return null;
+
+        return {
+            count: moments.count,
+            sum: moments.sum,
+            mean: moments.mean,
+            median: this.quantile(0.5),
+            std: Math.sqrt(moments.variance),
+            skewness: moments.skewness,
+            kurtosis: moments.kurtosis,
+            min: moments.min,
+            max: moments.max,
+            q1: this.quantile(0.25),
+            q3: this.quantile(0.75)
+        };
+    }
+
+    toState() {
+        return { moments: this.moments.toState(), digest: this.digest.toState() };
+    }
+
+    static fromState(state) {
+        const stats = new StreamingStats();
+        stats.moments = RunningMoments.fromState(state.moments);
+        stats.digest = TDigest.fromState(state.digest);
+        return stats;
+    }
+}
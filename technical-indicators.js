@@ -0,0 +1,309 @@
+// Technical indicators
+// Moving averages, oscillators and volume studies over price bars in time
+// order. Every series is a Float64Array as long as the bars, NaN until enough
+// bars have been seen (the warm-up). An indicator is plain JSON - { type,
+// params } - so the list the user builds can be kept and sent to the worker:
+//
+//   { "type": "sma", "params": { "period": 20 } }
+//   { "type": "macd", "params": { "fast": 12, "slow": 26, "signal": 9 } }
+
+class TechnicalIndicators {
+    // bars holds open, high, low and close (and volume, which may be null) in
+    // time order, and day: the trading day of each bar, where VWAP restarts.
+    // Returns { output key: Float64Array } for the outputs of the type.
+    static compute(indicator, bars) {
+        const { params } = TechnicalIndicators.withDefaults(indicator);
+        switch (indicator.type) {
+            case 'sma':
+                return { sma: TechnicalIndicators.sma(bars.close, params.period) };
+            case 'ema':
+                return { ema: TechnicalIndicators.ema(bars.close, params.period) };
+            case 'bollinger':
+                return TechnicalIndicators.bollinger(bars.close, params.period, params.width);
+            case 'vwap':
+                return { vwap: TechnicalIndicators.vwap(bars.high, bars.low, bars.close, bars.volume, bars.day) };
+            case 'rsi':
+                return { rsi: TechnicalIndicators.rsi(bars.close, params.period) };
+            case 'macd':
+                return TechnicalIndicators.macd(bars.close, params.fast, params.slow, params.signal);
+            case 'atr':
+                return { atr: TechnicalIndicators.atr(bars.high, bars.low, bars.close, params.period) };
+            case 'obv':
+                return { obv: TechnicalIndicators.obv(bars.close, bars.volume) };
+            case 'stochastic':
+                return TechnicalIndicators.stochastic(bars.high, bars.low, bars.close, params.k, params.d);
+            default:
+                throw new Error(`Unknown indicator "${indicator.type}"`);
+        }
+    }
+
+    // Mean of the last period values; NaN while the window holds a gap
+    static sma(values, period) {
+        const out = new Float64Array(values.length).fill(NaN);
+        let sum = 0;
+        let gaps = 0;
+        for (let i = 0; i < values.length; i++) {
+            if (isNaN(values[i])) gaps++;
+            else sum += values[i];
+            if (i >= period) {
+                if (isNaN(values[i - period])) gaps--;
+                else sum -= values[i - period];
+            }
+            if (i >= period - 1 && gaps === 0) out[i] = sum / period;
+        }
+        return out;
+    }
+
+    // Exponential average seeded with the mean of the first period values.
+    // alpha defaults to 2 / (period + 1); Wilder's smoothing (RSI, ATR) passes
+    // 1 / period. Leading NaNs (another indicator's warm-up) are skipped.
+    static ema(values, period, alpha = 2 / (period + 1)) {
+        const out = new Float64Array(values.length).fill(NaN);
+        let seen = 0;
+        let average = 0;
+        for (let i = 0; i < values.length; i++) {
+            const value = values[i];
+            if (isNaN(value)) continue;
+            if (seen < period) {
+                average += value / period;
+                seen++;
+                if (seen === period) out[i] = average;
+                continue;
+            }
+            average += alpha * (value - average);
+            out[i] = average;
+        }
+        return out;
+    }
+
+    // Middle band is the SMA; the others sit width standard deviations
+    // (population, over the same window) above and below it
+    static bollinger(values, period, width) {
+        const middle = TechnicalIndicators.sma(values, period);
+        const upper = new Float64Array(values.length).fill(NaN);
+        const lower = new Float64Array(values.length).fill(NaN);
+        for (let i = period - 1; i < values.length; i++) {
+            if (isNaN(middle[i])) continue;
+            let squares = 0;
+            for (let j = i - period + 1; j <= i; j++) squares += (values[j] - middle[i]) ** 2;
+            const spread = width * Math.sqrt(squares / period);
+            upper[i] = middle[i] + spread;
+            lower[i] = middle[i] - spread;
+        }
+        return { middle, upper, lower };
+    }
+
+    // Volume-weighted typical price ((high + low + close) / 3), restarting each day
+    static vwap(high, low, close, volume, day) {
+        const out = new Float64Array(close.length).fill(NaN);
+        let weighted = 0;
+        let total = 0;
+        for (let i = 0; i < close.length; i++) {
+            if (i > 0 && day[i] !== day[i - 1]) {
+                weighted = 0;
+                total = 0;
+            }
+            const traded = volume[i] > 0 ? volume[i] : 0;
+            weighted += (high[i] + low[i] + close[i]) / 3 * traded;
+            total += traded;
+            if (total > 0) out[i] = weighted / total;
+        }
+        return out;
+    }
+
+    // Wilder's relative strength index, 0-100
+    static rsi(close, period) {
+        const gains = new Float64Array(close.length).fill(NaN);
+        const losses = new Float64Array(close.length).fill(NaN);
+        for (let i = 1; i < close.length; i++) {
+            const change = close[i] - close[i - 1];
+            gains[i] = Math.max(change, 0);
+            losses[i] = Math.max(-change, 0);
+        }
+        const averageGain = TechnicalIndicators.ema(gains, period, 1 / period);
+        const averageLoss = TechnicalIndicators.ema(losses, period, 1 / period);
+        return averageGain.map((gain, i) => {
+            if (isNaN(gain)) return NaN;
+            return averageLoss[i] === 0 ? 100 : 100 - 100 / (1 + gain / averageLoss[i]);
+        });
+    }
+
+    static macd(close, fast, slow, signal) {
+        const fastLine = TechnicalIndicators.ema(close, fast);
+        const slowLine = TechnicalIndicators.ema(close, slow);
+        const macd = fastLine.map((value, i) => value - slowLine[i]);
+        const signalLine = TechnicalIndicators.ema(macd, signal);
+        return { macd, signal: signalLine, histogram: macd.map((value, i) => value - signalLine[i]) };
+    }
+
+    // Wilder-smoothed true range: the bar's range stretched to the previous close
+    static atr(high, low, close, period) {
+        const ranges = Float64Array.from(close, (value, i) => (i === 0
+            ? high[i] - low[i]
+            : Math.max(high[i] - low[i], Math.abs(high[i] - close[i - 1]), Math.abs(low[i] - close[i - 1]))));
+        return TechnicalIndicators.ema(ranges, period, 1 / period);
+    }
+
+    // On-balance volume: running total adding volume on up bars and taking it
+    // away on down bars; missing volume counts as none
+    static obv(close, volume) {
+        const out = new Float64Array(close.length);
+        for (let i = 1; i < close.length; i++) {
+            const traded = volume[i] > 0 ? volume[i] : 0;
+            out[i] = out[i - 1] + Math.sign(close[i] - close[i - 1]) * traded;
+        }
+        return out;
+    }
+
+    // %K places the close within the high-low range of the last k bars (50 when
+    // the range is flat); %D is its d-bar SMA
+    static stochastic(high, low, close, k, d) {
+        const percentK = new Float64Array(close.length).fill(NaN);
+        for (let i = k - 1; i < close.length; i++) {
+            let highest = -Infinity;
+            let lowest = Infinity;
+            for (let j = i - k + 1; j <= i; j++) {
+                highest = Math.max(highest, high[j]);
+                lowest = Math.min(lowest, low[j]);
+            }
+            percentK[i] = highest > lowest ? 100 * (close[i] - lowest) / (highest - lowest) : 50;
+        }
+        return { k: percentK, d: TechnicalIndicators.sma(percentK, d) };
+    }
+
+    // The indicator with every parameter filled in from its defaults
+    static withDefaults(indicator) {
+        const definition = TechnicalIndicators.INDICATORS[indicator.type];
+        const params = {};
+        if (definition) {
+            definition.params.forEach(param => {
+                const value = indicator.params && indicator.params[param.name];
+                params[param.name] = value === undefined || value === null || value === '' ? param.default : Number(value);
+            });
+        }
+        return { type: indicator.type, params };
+    }
+
+    // A problem with the indicator itself, or null when it can be computed
+    static validate(indicator) {
+        const definition = indicator && TechnicalIndicators.INDICATORS[indicator.type];
+        if (!definition) return `Unknown indicator "${indicator && indicator.type}"`;
+
+        const { params } = TechnicalIndicators.withDefaults(indicator);
+        for (const param of definition.params) {
+            const value = params[param.name];
+            if (isNaN(value)) return `${definition.label}: ${param.label} must be a number`;
+            if (param.integer && !Number.isInteger(value)) return `${definition.label}: ${param.label} must be a whole number`;
+            if (value < param.min || value > param.max) return `${definition.label}: ${param.label} must be between ${param.min} and ${param.max}`;
+        }
+        if (indicator.type === 'macd' && params.fast >= params.slow) return 'MACD: the fast period must be shorter than the slow one';
+        return null;
+    }
+
+    // Column name of one output, e.g. sma_20 or macd_signal_12_26_9
+    static columnName(indicator, output) {
+        const { params } = TechnicalIndicators.withDefaults(indicator);
+        return [output.column, ...Object.values(params)].join('_');
+    }
+
+    // Short label of one output, e.g. SMA(20) or MACD signal(12, 26, 9)
+    static outputLabel(indicator, output) {
+        const values = Object.values(TechnicalIndicators.withDefaults(indicator).params);
+        return values.length > 0 ? `${output.label}(${values.join(', ')})` : output.label;
+    }
+
+    static describe(indicator) {
+        const definition = TechnicalIndicators.INDICATORS[indicator.type];
+        if (!definition) return `Unknown indicator "${indicator.type}"`;
+        const values = Object.values(TechnicalIndicators.withDefaults(indicator).params);
+        return values.length > 0 ? `${definition.label} (${values.join(', ')})` : definition.label;
+    }
+}
+
+// pane is where the page draws it: 'overlay' on the price axis, 'pane' in its
+// own chart below. needsVolume indicators are skipped for data without volume;
+// levels are reference lines and range fixes the pane's axis.
+TechnicalIndicators.INDICATORS = {
+    sma: {
+        label: 'Simple moving average',
+        pane: 'overlay',
+        params: [{ name: 'period', label: 'Period', default: 20, min: 1, max: 500, integer: true }],
+        outputs: [{ key: 'sma', column: 'sma', label: 'SMA' }]
+    },
+    ema: {
+        label: 'Exponential moving average',
+        pane: 'overlay',
+        params: [{ name: 'period', label: 'Period', default: 20, min: 1, max: 500, integer: true }],
+        outputs: [{ key: 'ema', column: 'ema', label: 'EMA' }]
+    },
+    bollinger: {
+        label: 'Bollinger Bands',
+        pane: 'overlay',
+        params: [
+            { name: 'period', label: 'Period', default: 20, min: 2, max: 500, integer: true },
+            { name: 'width', label: 'Standard deviations', default: 2, min: 0.1, max: 10 }
+        ],
+        outputs: [
+            { key: 'upper', column: 'bb_upper', label: 'BB upper' },
+            { key: 'middle', column: 'bb_middle', label: 'BB middle' },
+            { key: 'lower', column: 'bb_lower', label: 'BB lower' }
+        ]
+    },
+    vwap: {
+        label: 'VWAP (daily)',
+        pane: 'overlay',
+        needsVolume: true,
+        params: [],
+        outputs: [{ key: 'vwap', column: 'vwap', label: 'VWAP' }]
+    },
+    rsi: {
+        label: 'Relative strength index',
+        pane: 'pane',
+        params: [{ name: 'period', label: 'Period', default: 14, min: 2, max: 500, integer: true }],
+        outputs: [{ key: 'rsi', column: 'rsi', label: 'RSI' }],
+        levels: [30, 70],
+        range: [0, 100]
+    },
+    macd: {
+        label: 'MACD',
+        pane: 'pane',
+        params: [
+            { name: 'fast', label: 'Fast period', default: 12, min: 1, max: 500, integer: true },
+            { name: 'slow', label: 'Slow period', default: 26, min: 2, max: 500, integer: true },
+            { name: 'signal', label: 'Signal period', default: 9, min: 1, max: 500, integer: true }
+        ],
+        outputs: [
+            { key: 'macd', column: 'macd', label: 'MACD' },
+            { key: 'signal', column: 'macd_signal', label: 'MACD signal' },
+            { key: 'histogram', column: 'macd_hist', label: 'MACD histogram', bars: true }
+        ],
+        levels: [0]
+    },
+    atr: {
+        label: 'Average true range',
+        pane: 'pane',
+        params: [{ name: 'period', label: 'Period', default: 14, min: 1, max: 500, integer: true }],
+        outputs: [{ key: 'atr', column: 'atr', label: 'ATR' }]
+    },
+    obv: {
+        label: 'On-balance volume',
+        pane: 'pane',
+        needsVolume: true,
+        params: [],
+        outputs: [{ key: 'obv', column: 'obv', label: 'OBV' }]
+    },
+    stochastic: {
+        label: 'Stochastic oscillator',
+        pane: 'pane',
+        params: [
+            { name: 'k', label: '%K period', default: 14, min: 1, max: 500, integer: true },
+            { name: 'd', label: '%D period', default: 3, min: 1, max: 100, integer: true }
+        ],
+        outputs: [
+            { key: 'k', column: 'stoch_k', label: '%K' },
+            { key: 'd', column: 'stoch_d', label: '%D' }
+        ],
+        levels: [20, 80],
+        range: [0, 100]
+    }
+};
@@ -0,0 +1,152 @@
+// Time zones
+// IANA zone arithmetic on top of Intl.DateTimeFormat, which carries each zone's
+// daylight-saving rules. Times stay UTC milliseconds everywhere; a zone only
+// matters when a naive wall-clock value ("2025-05-30 19:55:00") is read - in the
+// column's source zone - and when times are bucketed or drawn - in the display zone.
+
+class TimeZones {
+    static localZone() {
+        try {
+            return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+        } catch (error) {
+            return 'UTC';
+        }
+    }
+
+    // 'local' stands for the browser's zone, whatever it is on the day
+    static resolve(zone) {
+        return zone === 'local' ? TimeZones.localZone() : zone;
+    }
+
+    static isValid(zone) {
+        if (zone === 'local' || zone === 'UTC') return true;
+        if (typeof zone !== 'string' || zone === '') return false;
+        try {
+            TimeZones.formatter(zone);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Every zone the browser knows, UTC first
+    static list() {
+        const zones = typeof Intl.supportedValuesOf === 'function'
+            ? Intl.supportedValuesOf('timeZone')
+            : TimeZones.COMMON_ZONES;
+        return ['UTC', ...zones.filter(zone => zone !== 'UTC')];
+    }
+
+    static formatter(zone) {
+        if (!TimeZones.formatters.has(zone)) {
+            TimeZones.formatters.set(zone, new Intl.DateTimeFormat('en-US', {
+                timeZone: zone,
+                hourCycle: 'h23',
+                year: 'numeric',
+                month: 'numeric',
+                day: 'numeric',
+                hour: 'numeric',
+                minute: 'numeric',
+                second: 'numeric'
+            }));
+        }
+        return TimeZones.formatters.get(zone);
+    }
+
+    // Minutes east of UTC in zone at the instant time. Offsets only change on
+    // quarter-hour boundaries, so they are cached per quarter hour.
+    static offset(zone, time) {
+        zone = TimeZones.resolve(zone);
+        if (zone === 'UTC' || !isFinite(time)) return 0;
+
+        let offsets = TimeZones.offsets.get(zone);
+        if (!offsets || offsets.size > TimeZones.CACHE_LIMIT) {
+            offsets = new Map();
+            TimeZones.offsets.set(zone, offsets);
+        }
+        const step = Math.floor(time / TimeZones.OFFSET_STEP);
+        if (!offsets.has(step)) {
+            const instant = step * TimeZones.OFFSET_STEP;
+            const fields = {};
+            TimeZones.formatter(zone).formatToParts(instant).forEach(({ type, value }) => {
+                fields[type] = Number(value);
+            });
+            const wall = TimeZones.utc(fields.year, fields.month, fields.day, fields.hour, fields.minute, fields.second, 0);
+            offsets.set(step, Math.round((wall - instant) / 60000));
+        }
+        return offsets.get(step);
+    }
+
+    // The instant at which zone's clocks showed the given wall-clock fields
+    // ({ year, month (1-12), day, hour, minute, second, millisecond }). A time
+    // that happened twice (clocks going back) is the earlier one; a time that
+    // never happened (clocks going forward) is read with the offset from just
+    // before the change, so it lands that far past the jump.
+    static fromWallClock(parts, zone) {
+        const { year, month, day, hour, minute, second, millisecond } = parts;
+        const wall = TimeZones.utc(year, month, day, hour, minute, second, millisecond);
+        if (TimeZones.resolve(zone) === 'UTC') return wall;
+
+        const before = TimeZones.offset(zone, wall - TimeZones.DAY);
+        const after = TimeZones.offset(zone, wall + TimeZones.DAY);
+        const readings = [before, after]
+            .map(offset => ({ offset, time: wall - offset * 60000 }))
+            .filter(({ offset, time }) => TimeZones.offset(zone, time) === offset)
+            .map(({ time }) => time);
+
+        return readings.length > 0 ? Math.min(...readings) : wall - before * 60000;
+    }
+
+    // Milliseconds whose UTC fields are zone's wall clock at time, for bucketing
+    // by day, hour or weekday in that zone
+    static toWallClock(time, zone) {
+        return time + TimeZones.offset(zone, time) * 60000;
+    }
+
+    // A time that the browser's own clock shows the way zone's clock showed time.
+    // Chart axes format in browser time, so shifting points this way makes them
+    // read in zone.
+    static asLocal(time, zone) {
+        const wall = new Date(TimeZones.toWallClock(time, zone));
+        const local = new Date(
+            wall.getUTCFullYear(), wall.getUTCMonth(), wall.getUTCDate(),
+            wall.getUTCHours(), wall.getUTCMinutes(), wall.getUTCSeconds(), wall.getUTCMilliseconds()
+        );
+        local.setFullYear(wall.getUTCFullYear());
+        return local.getTime();
+    }
+
+    // Hour of day (0-23) and weekday (0 = Sunday) of a toWallClock value
+    static hourOf(wall) {
+        return ((Math.floor(wall / 3600000) % 24) + 24) % 24;
+    }
+
+    static weekdayOf(wall) {
+        // 1 January 1970 was a Thursday
+        return ((Math.floor(wall / TimeZones.DAY) + 4) % 7 + 7) % 7;
+    }
+
+    // Date.UTC without its 19xx mapping of years below 100
+    static utc(year, month, day, hour, minute, second, millisecond) {
+        const date = new Date(Date.UTC(2000, month - 1, day, hour, minute, second, millisecond));
+        date.setUTCFullYear(year);
+        return date.getTime();
+    }
+}
+
+TimeZones.formatters = new Map();
+TimeZones.offsets = new Map();
+TimeZones.DAY = 86400000;
+TimeZones.OFFSET_STEP = 15 * 60000;
+// Cached quarter hours per zone before the cache starts over (about ten years)
+TimeZones.CACHE_LIMIT = 350000;
+// Zone naive timestamps are read in until the user declares another
+TimeZones.DEFAULT_SOURCE = 'UTC';
+// Offered when the browser cannot list its zones
+TimeZones.COMMON_ZONES = [
+    'America/New_York', 'America/Chicago', 'America/Denver', 'America/Los_Angeles',
+    'America/Toronto', 'America/Sao_Paulo', 'Europe/London', 'Europe/Paris',
+    'Europe/Berlin', 'Europe/Zurich', 'Asia/Dubai', 'Asia/Kolkata', 'Asia/Singapore',
+    'Asia/Hong_Kong', 'Asia/Shanghai', 'Asia/Tokyo', 'Australia/Sydney', 'Pacific/Auckland'
+];
+TimeZones.WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
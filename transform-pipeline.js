@@ -0,0 +1,523 @@
+// Transform pipeline
+// Cleans the parsed rows before they are analysed. A recipe is an ordered list
+// of plain step objects ({ op: 'rename', column: 'Px', to: 'price' }), so it can
+// be saved as JSON and replayed on next week's file. Steps that name a column
+// the file does not have are skipped and reported rather than failing the run.
+
+class TransformPipeline {
+    // options.columnTypes are declared column types (Parquet/Arrow), carried
+    // through renames and dropped for columns whose values a step converts;
+    // options.numberStyle / dateOrder read numbers and dates in filters and casts.
+    static apply(data, steps = [], options = {}) {
+        let columns = Object.keys(data[0] || {});
+        let columnTypes = options.columnTypes ? { ...options.columnTypes } : null;
+        if (steps.length === 0) return { data, columns, columnTypes, report: [] };
+
+        // The parsed rows are re-used when the recipe changes, so work on copies
+        let rows = data.map(row => ({ ...row }));
+        const report = steps.map(step => {
+            const entry = { op: step.op, description: TransformPipeline.describe(step), rowsBefore: rows.length };
+            const problem = TransformPipeline.validateStep(step) || TransformPipeline.missingColumns(step, columns) ||
+                TransformPipeline.existingColumn(step, columns);
+            if (problem) return { ...entry, rowsAfter: rows.length, changed: 0, skipped: problem };
+
+            const operation = TransformPipeline.OPERATIONS[step.op];
+            const result = TransformPipeline[operation.method](rows, columns, step, options);
+            const nextColumns = TransformPipeline.columnsAfter(columns, step);
+            if (columnTypes) columnTypes = TransformPipeline.typesAfter(columnTypes, step);
+            rows = result.rows;
+            columns = nextColumns;
+            return { ...entry, rowsAfter: rows.length, changed: result.changed || 0 };
+        });
+
+        return { data: rows, columns, columnTypes, report };
+    }
+
+    // Column list after a step, without touching any rows; the recipe editor
+    // uses it to offer the columns that exist at each step
+    static columnsAfter(columns, step) {
+        const list = TransformPipeline.list;
+        switch (step.op) {
+            case 'drop': {
+                const dropped = list(step.columns);
+                return columns.filter(col => !dropped.includes(col));
+            }
+            // A rename onto another column's name is skipped (see existingColumn)
+            case 'rename':
+                if (TransformPipeline.existingColumn(step, columns)) return columns;
+                return columns.map(col => (col === step.column ? step.to : col));
+            // New columns take the place of the source column(s), or follow them
+            // when they are kept; existing columns with the same names are replaced
+            case 'split':
+                return TransformPipeline.insertColumns(columns, [step.column], list(step.into), step.keep);
+            case 'merge':
+                return TransformPipeline.insertColumns(columns, list(step.columns), [step.into], step.keep);
+            case 'calculate':
+                return columns.includes(step.into) ? columns : [...columns, step.into];
+            default:
+                return columns;
+        }
+    }
+
+    static insertColumns(columns, sources, added, keep) {
+        const rest = columns.filter(col => !added.includes(col) && (keep || !sources.includes(col)));
+        const positions = sources.map(col => columns.indexOf(col)).filter(index => index >= 0);
+        const anchor = keep ? Math.max(...positions) + 1 : Math.min(...positions);
+        const index = columns.slice(0, anchor).filter(col => rest.includes(col)).length;
+        rest.splice(index, 0, ...added);
+        return rest;
+    }
+
+    static typesAfter(columnTypes, step) {
+        const types = { ...columnTypes };
+        if (step.op === 'drop') TransformPipeline.list(step.columns).forEach(col => delete types[col]);
+        if (step.op === 'rename' && step.column in types) {
+            types[step.to] = types[step.column];
+            delete types[step.column];
+        }
+        if (step.op === 'cast') TransformPipeline.list(step.columns).forEach(col => delete types[col]);
+        if (step.op === 'calculate') delete types[step.into];
+        if (step.op === 'split' && !step.keep) delete types[step.column];
+        return types;
+    }
+
+    // A problem with the step itself, or null
+    static validateStep(step) {
+        const operation = step && TransformPipeline.OPERATIONS[step.op];
+        if (!operation) return `Unknown operation "${step && step.op}"`;
+
+        for (const param of operation.params) {
+            const value = step[param.name];
+            const empty = value === undefined || value === null || value === '' ||
+                ((param.kind === 'columns' || param.kind === 'names') && TransformPipeline.list(value).length === 0);
+            if (empty && !param.optional) return `${operation.label}: ${param.label} is required`;
+            if (!empty && param.kind === 'select' && !param.options[value]) return `${operation.label}: unknown ${param.label.toLowerCase()} "${value}"`;
+        }
+        if (step.op === 'filter' && step.operator === 'matches') {
+            try {
+                new RegExp(step.value);
+            } catch (error) {
+                return `Invalid pattern: ${error.message}`;
+            }
+        }
+        if (step.op === 'calculate') {
+            try {
+                ExpressionParser.parse(step.expression);
+            } catch (error) {
+                return `Expression: ${error.message}`;
+            }
+        }
+        if (step.op === 'fill' && step.method === 'value' && (step.value === undefined || step.value === null)) {
+            return 'Fill missing values: Value is required';
+        }
+        return null;
+    }
+
+    static missingColumns(step, columns) {
+        const named = TransformPipeline.OPERATIONS[step.op].params
+            .filter(param => param.kind === 'column' || param.kind === 'columns' || param.kind === 'expression')
+            .flatMap(param => (param.kind === 'expression'
+                ? ExpressionParser.parse(step[param.name]).columns
+                : TransformPipeline.list(step[param.name])));
+        const missing = named.filter(col => !columns.includes(col));
+        return missing.length > 0 ? `Column not found: ${missing.join(', ')}` : null;
+    }
+
+    // Renaming onto a name another column has would leave two columns with
+    // one name and lose the other column's values, so the step is refused
+    static existingColumn(step, columns) {
+        if (step.op !== 'rename' || step.to === step.column || !columns.includes(step.to)) return null;
+        return `Column ${step.to} already exists`;
+    }
+
+    // Reads an exported recipe; throws when it is not one or a step is invalid
+    static parseRecipe(text) {
+        let recipe;
+        try {
+            recipe = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Not a JSON file: ${error.message}`);
+        }
+        const steps = Array.isArray(recipe) ? recipe : recipe && recipe.steps;
+        if (!Array.isArray(steps)) throw new Error('The file has no "steps" list');
+
+        steps.forEach((step, index) => {
+            const problem = TransformPipeline.validateStep(step);
+            if (problem) throw new Error(`Step ${index + 1}: ${problem}`);
+        });
+        return steps;
+    }
+
+    static exportRecipe(steps) {
+        return JSON.stringify({ format: TransformPipeline.RECIPE_FORMAT, version: 1, steps }, null, 2);
+    }
+
+    static describe(step) {
+        const operation = step && TransformPipeline.OPERATIONS[step.op];
+        if (!operation) return `Unknown operation "${step && step.op}"`;
+        const names = value => TransformPipeline.list(value).join(', ');
+
+        switch (step.op) {
+            case 'filter': {
+                const operator = TransformPipeline.FILTER_OPERATORS[step.operator] || step.operator;
+                const needsValue = step.operator !== 'empty' && step.operator !== 'not_empty';
+                return `Keep rows where ${step.column} ${operator}${needsValue ? ` "${step.value}"` : ''}`;
+            }
+            case 'drop':
+                return `Drop ${names(step.columns)}`;
+            case 'rename':
+                return `Rename ${step.column} to ${step.to}`;
+            case 'trim':
+                return `Trim whitespace in ${names(step.columns) || 'all columns'}`;
+            case 'case':
+                return `${TransformPipeline.CASE_MODES[step.mode] || step.mode}: ${names(step.columns) || 'all columns'}`;
+            case 'split':
+                return `Split ${step.column} on "${step.separator}" into ${names(step.into)}`;
+            case 'merge':
+                return `Merge ${names(step.columns)} into ${step.into}`;
+            case 'fill':
+                return step.method === 'value'
+                    ? `Fill missing ${names(step.columns)} with "${step.value}"`
+                    : `Fill missing ${names(step.columns)} ${String(TransformPipeline.FILL_METHODS[step.method] || step.method).toLowerCase()}`;
+            case 'cast':
+                return `Convert ${names(step.columns)} to ${TransformPipeline.CAST_TYPES[step.to] || step.to}`;
+            case 'calculate':
+                return `${step.into} = ${step.expression}`;
+            case 'dedupe':
+                return `Remove duplicate rows${step.columns && names(step.columns) ? ` by ${names(step.columns)}` : ''}`;
+            default:
+                return operation.label;
+        }
+    }
+
+    // Column lists may be arrays or comma-separated text (hand-written recipes)
+    static list(value) {
+        if (Array.isArray(value)) return value.map(String).filter(Boolean);
+        if (value === undefined || value === null || value === '') return [];
+        return String(value).split(',').map(item => item.trim()).filter(Boolean);
+    }
+
+    // Numbers, then dates, then text - so "price > 10" and "date >= 2025-05-01"
+    // both compare as expected
+    static compare(cell, value, options) {
+        const numbers = [cell, value].map(item => LocaleParser.parseNumber(item, options.numberStyle));
+        if (!numbers.some(isNaN)) return numbers[0] - numbers[1];
+
+        const dates = [cell, value].map(item => LocaleParser.parseDate(item, options.dateOrder, 'UTC'));
+        if (!dates.some(isNaN)) return dates[0] - dates[1];
+
+        return String(cell).localeCompare(String(value));
+    }
+
+    static filterRows(rows, columns, step, options) {
+        const { column, operator, value } = step;
+        const pattern = operator === 'matches' ? new RegExp(value, 'i') : null;
+        const text = cell => String(cell).toLowerCase();
+        const needle = String(value === undefined ? '' : value).toLowerCase();
+
+        const keep = row => {
+            const cell = row[column];
+            const missing = ColumnStore.isMissing(cell);
+            switch (operator) {
+                case 'empty': return missing;
+                case 'not_empty': return !missing;
+                case 'equals': return !missing && TransformPipeline.compare(cell, value, options) === 0;
+                case 'not_equals': return missing || TransformPipeline.compare(cell, value, options) !== 0;
+                case 'contains': return !missing && text(cell).includes(needle);
+                case 'not_contains': return missing || !text(cell).includes(needle);
+                case 'matches': return !missing && pattern.test(String(cell));
+                case 'greater': return !missing && TransformPipeline.compare(cell, value, options) > 0;
+                case 'greater_or_equal': return !missing && TransformPipeline.compare(cell, value, options) >= 0;
+                case 'less': return !missing && TransformPipeline.compare(cell, value, options) < 0;
+                case 'less_or_equal': return !missing && TransformPipeline.compare(cell, value, options) <= 0;
+                default: return true;
+            }
+        };
+        return { rows: rows.filter(keep) };
+    }
+
+    static dropColumns(rows, columns, step) {
+        return { rows: TransformPipeline.reshape(rows, TransformPipeline.columnsAfter(columns, step), row => row) };
+    }
+
+    static renameColumn(rows, columns, step) {
+        const next = TransformPipeline.columnsAfter(columns, step);
+        return {
+            rows: TransformPipeline.reshape(rows, next, row => ({ ...row, [step.to]: row[step.column] }))
+        };
+    }
+
+    // Trims the ends and collapses runs of whitespace inside the value
+    static trimValues(rows, columns, step) {
+        return TransformPipeline.mapCells(rows, TransformPipeline.targets(step, columns),
+            value => (typeof value === 'string' ? value.trim().replace(/\s+/g, ' ') : value));
+    }
+
+    static changeCase(rows, columns, step) {
+        const convert = {
+            lower: text => text.toLowerCase(),
+            upper: text => text.toUpperCase(),
+            title: text => text.toLowerCase().replace(/(^|[\s\-_/'(])(\p{L})/gu, (match, before, letter) => before + letter.toUpperCase())
+        }[step.mode];
+        return TransformPipeline.mapCells(rows, TransformPipeline.targets(step, columns),
+            value => (typeof value === 'string' ? convert(value) : value));
+    }
+
+    // The last new column takes whatever is left, so "a, b, c" split on ", "
+    // into two columns gives "a" and "b, c"
+    static splitColumn(rows, columns, step) {
+        const into = TransformPipeline.list(step.into);
+        const separator = String(step.separator);
+        let changed = 0;
+        const result = TransformPipeline.reshape(rows, TransformPipeline.columnsAfter(columns, step), row => {
+            const value = row[step.column];
+            const parts = ColumnStore.isMissing(value) ? [] : String(value).split(separator);
+            if (parts.length > 1) changed++;
+            const pieces = {};
+            into.forEach((name, index) => {
+                const piece = index === into.length - 1 ? parts.slice(index).join(separator) : parts[index];
+                pieces[name] = piece === undefined ? '' : piece.trim();
+            });
+            return { ...row, ...pieces };
+        });
+        return { rows: result, changed };
+    }
+
+    static mergeColumns(rows, columns, step) {
+        const merged = TransformPipeline.list(step.columns);
+        const separator = step.separator === undefined ? ' ' : String(step.separator);
+        return {
+            rows: TransformPipeline.reshape(rows, TransformPipeline.columnsAfter(columns, step), row => ({
+                ...row,
+                [step.into]: merged.map(col => row[col]).filter(value => !ColumnStore.isMissing(value)).join(separator)
+            }))
+        };
+    }
+
+    static fillMissing(rows, columns, step) {
+        let changed = 0;
+        TransformPipeline.list(step.columns).forEach(col => {
+            const order = step.method === 'next' ? [...rows.keys()].reverse() : [...rows.keys()];
+            let carried;
+            order.forEach(index => {
+                const row = rows[index];
+                if (!ColumnStore.isMissing(row[col])) {
+                    carried = row[col];
+                    return;
+                }
+                const fill = step.method === 'value' ? step.value : carried;
+                if (fill === undefined) return;
+                row[col] = fill;
+                changed++;
+            });
+        });
+        return { rows, changed };
+    }
+
+    // Cells that cannot be converted become empty, so they count as missing
+    static castValues(rows, columns, step, options) {
+        const convert = {
+            number: value => LocaleParser.parseNumber(value, options.numberStyle),
+            integer: value => Math.round(LocaleParser.parseNumber(value, options.numberStyle)),
+            date: value => TransformPipeline.normaliseDate(value, options.dateOrder),
+            boolean: value => {
+                const text = String(value).trim().toLowerCase();
+                if (!SemanticTypes.BOOLEAN_VALUES.has(text)) return NaN;
+                return SemanticTypes.TRUE_VALUES.has(text) ? 'true' : 'false';
+            },
+            text: value => String(value)
+        }[step.to];
+
+        return TransformPipeline.mapCells(rows, TransformPipeline.list(step.columns), value => {
+            if (ColumnStore.isMissing(value)) return value;
+            const converted = convert(value);
+            return typeof converted === 'number' && isNaN(converted) ? '' : converted;
+        });
+    }
+
+    // "30/05/2025 7:55 PM" -> "2025-05-30 19:55:00". Naive times stay naive so
+    // the column's source time zone still decides what instant they are.
+    static normaliseDate(value, dateOrder) {
+        if (value instanceof Date) return value.toISOString();
+        if (typeof value === 'number') return isFinite(value) ? new Date(value).toISOString() : NaN;
+        const parts = LocaleParser.dateParts(String(value).trim(), dateOrder);
+        if (!parts) return NaN;
+        if (parts.offset !== null) return new Date(LocaleParser.partsToTime(parts)).toISOString();
+
+        const pad = (number, length = 2) => String(number).padStart(length, '0');
+        const date = `${pad(parts.year, 4)}-${pad(parts.month)}-${pad(parts.day)}`;
+        const time = `${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}${parts.millisecond ? `.${pad(parts.millisecond, 3)}` : ''}`;
+        return `${date} ${time}`;
+    }
+
+    // Every value is computed before any is stored, so lag() and lead() read the
+    // rows as they were before this step - even when into replaces a column
+    static calculateColumn(rows, columns, step, options) {
+        const evaluate = ExpressionParser.compile(step.expression, options);
+        const values = rows.map((row, index) => ExpressionParser.toCell(evaluate(rows, index)));
+        let changed = 0;
+        rows.forEach((row, index) => {
+            row[step.into] = values[index];
+            if (values[index] !== '') changed++;
+        });
+        return { rows, changed };
+    }
+
+    // Keeps the first of each set of rows with equal key columns (all columns
+    // when none are given)
+    static dedupeRows(rows, columns, step) {
+        const keys = TransformPipeline.targets(step, columns);
+        const seen = new Set();
+        return {
+            rows: rows.filter(row => {
+                const key = JSON.stringify(keys.map(col => (ColumnStore.isMissing(row[col]) ? null : String(row[col]))));
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+        };
+    }
+
+    // The step's columns, or every column when it names none
+    static targets(step, columns) {
+        const named = TransformPipeline.list(step.columns);
+        return named.length > 0 ? named : columns;
+    }
+
+    static mapCells(rows, targets, convert) {
+        let changed = 0;
+        rows.forEach(row => {
+            targets.forEach(col => {
+                const value = convert(row[col]);
+                if (value !== row[col]) {
+                    row[col] = value;
+                    changed++;
+                }
+            });
+        });
+        return { rows, changed };
+    }
+
+    // New row objects holding exactly columns, in that order
+    static reshape(rows, columns, extend) {
+        return rows.map(row => {
+            const source = extend(row);
+            const result = {};
+            columns.forEach(col => { result[col] = source[col] === undefined ? '' : source[col]; });
+            return result;
+        });
+    }
+}
+
+// Exported recipes carry this so an unrelated JSON file is not mistaken for one
+TransformPipeline.RECIPE_FORMAT = 'data-dashboard-recipe';
+
+TransformPipeline.FILTER_OPERATORS = {
+    equals: 'equals',
+    not_equals: 'does not equal',
+    contains: 'contains',
+    not_contains: 'does not contain',
+    matches: 'matches pattern',
+    greater: '>',
+    greater_or_equal: '≥',
+    less: '<',
+    less_or_equal: '≤',
+    empty: 'is empty',
+    not_empty: 'is not empty'
+};
+
+TransformPipeline.CASE_MODES = { lower: 'lower case', upper: 'UPPER CASE', title: 'Title Case' };
+TransformPipeline.FILL_METHODS = { value: 'With a value', previous: 'From the row above', next: 'From the row below' };
+TransformPipeline.CAST_TYPES = { number: 'number', integer: 'whole number', date: 'date', boolean: 'true/false', text: 'text' };
+
+// Each operation's parameters drive validation and the recipe editor form.
+// kind: column (one existing column), columns (several), names (new column
+// names), text, expression (see ExpressionParser), flag (true/false) or select
+// (one of options); optional params may be left empty.
+TransformPipeline.OPERATIONS = {
+    filter: {
+        label: 'Filter rows',
+        method: 'filterRows',
+        params: [
+            { name: 'column', label: 'Column', kind: 'column' },
+            { name: 'operator', label: 'Condition', kind: 'select', options: TransformPipeline.FILTER_OPERATORS },
+            { name: 'value', label: 'Value', kind: 'text', optional: true }
+        ]
+    },
+    drop: {
+        label: 'Drop columns',
+        method: 'dropColumns',
+        params: [{ name: 'columns', label: 'Columns', kind: 'columns' }]
+    },
+    rename: {
+        label: 'Rename column',
+        method: 'renameColumn',
+        params: [
+            { name: 'column', label: 'Column', kind: 'column' },
+            { name: 'to', label: 'New name', kind: 'text' }
+        ]
+    },
+    trim: {
+        label: 'Trim whitespace',
+        method: 'trimValues',
+        params: [{ name: 'columns', label: 'Columns (all when empty)', kind: 'columns', optional: true }]
+    },
+    case: {
+        label: 'Change case',
+        method: 'changeCase',
+        params: [
+            { name: 'columns', label: 'Columns (all when empty)', kind: 'columns', optional: true },
+            { name: 'mode', label: 'Case', kind: 'select', options: TransformPipeline.CASE_MODES }
+        ]
+    },
+    split: {
+        label: 'Split column',
+        method: 'splitColumn',
+        params: [
+            { name: 'column', label: 'Column', kind: 'column' },
+            { name: 'separator', label: 'Separator', kind: 'text' },
+            { name: 'into', label: 'New columns (comma separated)', kind: 'names' },
+            { name: 'keep', label: 'Keep original', kind: 'flag', optional: true }
+        ]
+    },
+    merge: {
+        label: 'Merge columns',
+        method: 'mergeColumns',
+        params: [
+            { name: 'columns', label: 'Columns', kind: 'columns' },
+            { name: 'separator', label: 'Separator', kind: 'text', optional: true },
+            { name: 'into', label: 'New column', kind: 'text' },
+            { name: 'keep', label: 'Keep originals', kind: 'flag', optional: true }
+        ]
+    },
+    fill: {
+        label: 'Fill missing values',
+        method: 'fillMissing',
+        params: [
+            { name: 'columns', label: 'Columns', kind: 'columns' },
+            { name: 'method', label: 'Fill', kind: 'select', options: TransformPipeline.FILL_METHODS },
+            { name: 'value', label: 'Value', kind: 'text', optional: true }
+        ]
+    },
+    cast: {
+        label: 'Convert type',
+        method: 'castValues',
+        params: [
+            { name: 'columns', label: 'Columns', kind: 'columns' },
+            { name: 'to', label: 'To', kind: 'select', options: TransformPipeline.CAST_TYPES }
+        ]
+    },
+    calculate: {
+        label: 'Add calculated column',
+        method: 'calculateColumn',
+        params: [
+            { name: 'into', label: 'New column', kind: 'text' },
+            { name: 'expression', label: 'Expression', kind: 'expression' }
+        ]
+    },
+    dedupe: {
+        label: 'Remove duplicates',
+        method: 'dedupeRows',
+        params: [{ name: 'columns', label: 'Key columns (all when empty)', kind: 'columns', optional: true }]
+    }
+};
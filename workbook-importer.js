@@ -0,0 +1,149 @@
+// Excel workbook importer (.xlsx, .xlsm, .xls, .ods)
+// Wraps the bundled SheetJS build (vendor/xlsx.full.min.js) and turns a worksheet
+// into the same row-object array the CSV and JSON paths produce.
+
+class WorkbookImporter {
+    static isWorkbook(fileName, bytes) {
+        if (/\.(xlsx|xlsm|xlsb|xls|ods)$/i.test(fileName)) return true;
+        // Legacy .xls files are OLE compound documents
+        return bytes.length >= 4 && bytes[0] === 0xD0 && bytes[1] === 0xCF && bytes[2] === 0x11 && bytes[3] === 0xE0;
+    }
+
+    static read(buffer) {
+        if (typeof XLSX === 'undefined') throw new Error('Workbook support is not loaded');
+        if (!WorkbookImporter.isSupportedVersion(XLSX.version)) {
+            throw new Error(`The bundled SheetJS ${XLSX.version} is unsafe to open workbooks with; run npm run vendor to bundle ${WorkbookImporter.MIN_XLSX_VERSION} or later`);
+        }
+        // cellDates turns date-formatted serial numbers into Date objects; formulas
+        // are kept only so cells without a cached value can be reported
+        return XLSX.read(buffer, { type: 'array', cellDates: true, cellFormula: true, cellStyles: false });
+    }
+
+    // SheetJS releases before MIN_XLSX_VERSION have CVE-2023-30533 (prototype
+    // pollution) and CVE-2024-22363 (ReDoS) on crafted files
+    static isSupportedVersion(version) {
+        const parts = String(version).split('.').map(Number);
+        const minimum = WorkbookImporter.MIN_XLSX_VERSION.split('.').map(Number);
+        const index = minimum.findIndex((part, i) => parts[i] !== part);
+        return index === -1 || parts[index] > minimum[index];
+    }
+
+    static describeSheets(workbook) {
+        return workbook.SheetNames.map(name => {
+            const sheet = workbook.Sheets[name];
+            const range = sheet && sheet['!ref'] ? XLSX.utils.decode_range(sheet['!ref']) : null;
+            return {
+                name,
+                rows: range ? range.e.r + 1 : 0,
+                columns: range ? range.e.c + 1 : 0
+            };
+        });
+    }
+
+    // Every row of the sheet as an array of cell values, starting from A1 so that
+    // row indexes line up with Excel's row numbers. Merged ranges are filled with
+    // the value of their top-left cell.
+    static toRows(sheet) {
+        if (!sheet || !sheet['!ref']) return { rows: [], textCounts: [], missingFormulaValues: 0, merges: [] };
+
+        const range = XLSX.utils.decode_range(sheet['!ref']);
+        const rows = [];
+        const textCounts = [];
+        let missingFormulaValues = 0;
+
+        for (let r = 0; r <= range.e.r; r++) {
+            const row = new Array(range.e.c + 1).fill(null);
+            let text = 0;
+            for (let c = range.s.c; c <= range.e.c; c++) {
+                const cell = sheet[XLSX.utils.encode_cell({ r, c })];
+                if (!cell) continue;
+                if (cell.f && cell.v === undefined) missingFormulaValues++;
+                row[c] = WorkbookImporter.cellValue(cell);
+                if (cell.t === 's' && row[c] !== '') text++;
+            }
+            rows.push(row);
+            textCounts.push(text);
+        }
+
+        (sheet['!merges'] || []).forEach(merge => {
+            const value = rows[merge.s.r] ? rows[merge.s.r][merge.s.c] : null;
+            for (let r = merge.s.r; r <= merge.e.r && r < rows.length; r++) {
+                for (let c = merge.s.c; c <= merge.e.c; c++) {
+                    if (r === merge.s.r && c === merge.s.c) continue;
+                    rows[r][c] = value;
+                }
+            }
+        });
+
+        return { rows, textCounts, missingFormulaValues, merges: sheet['!merges'] || [] };
+    }
+
+    static cellValue(cell) {
+        if (cell.v === undefined || cell.v === null) return null;
+        if (cell.t === 'e') return null; // #DIV/0!, #N/A and friends
+        if (cell.v instanceof Date) return WorkbookImporter.formatDate(cell.v);
+        if (typeof cell.v === 'number') return cell.v;
+        return String(cell.v).trim();
+    }
+
+    static formatDate(date) {
+        const pad = value => String(value).padStart(2, '0');
+        const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+        if (date.getHours() === 0 && date.getMinutes() === 0 && date.getSeconds() === 0) return day;
+        return `${day} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+    }
+
+    // The header is the first of the opening rows with the most text cells (counted
+    // before merges are filled) - title rows above a table are narrower and data
+    // rows below it are mostly numbers and dates.
+    static detectHeaderRow(textCounts) {
+        const candidates = textCounts.slice(0, 20);
+        const most = Math.max(0, ...candidates);
+        const index = candidates.findIndex(count => count === most && count > 0);
+        return index === -1 ? 0 : index;
+    }
+
+    // Column names for the chosen header row. When the row above holds merged
+    // group labels ("Sales" over "Q1", "Q2") they are combined into "Sales Q1".
+    static buildHeaders(rows, headerIndex, merges) {
+        const header = rows[headerIndex] || [];
+        const groups = {};
+
+        merges
+            .filter(merge => merge.s.r === headerIndex - 1 && merge.e.r === headerIndex - 1 && merge.e.c > merge.s.c)
+            .forEach(merge => {
+                const label = rows[headerIndex - 1][merge.s.c];
+                if (label === null || label === '') return;
+                for (let c = merge.s.c; c <= merge.e.c; c++) groups[c] = label;
+            });
+
+        const names = header.map((value, index) => {
+            const name = value === null ? '' : String(value);
+            if (groups[index] === undefined || groups[index] === name) return name;
+            return name ? `${groups[index]} ${name}` : String(groups[index]);
+        });
+        return CSVParser.normalizeHeaders(names);
+    }
+
+    // Plain numbers in a date-named column are usually unformatted Excel serials
+    static convertDateSerials(data, headers) {
+        headers
+            .filter(header => /date|time|period/i.test(header))
+            .forEach(header => {
+                const values = data.map(row => row[header]).filter(value => value !== null && value !== '');
+                const serials = values.filter(value => typeof value === 'number' && value >= 20000 && value <= 80000);
+                if (values.length === 0 || serials.length / values.length < 0.9) return;
+
+                data.forEach(row => {
+                    const value = row[header];
+                    if (typeof value !== 'number') return;
+                    const parts = XLSX.SSF.parse_date_code(value);
+                    if (!parts) return;
+                    row[header] = WorkbookImporter.formatDate(new Date(parts.y, parts.m - 1, parts.d, parts.H, parts.M, Math.floor(parts.S)));
+                });
+            });
+    }
+}
+
+// Oldest SheetJS release without known vulnerabilities
+WorkbookImporter.MIN_XLSX_VERSION = '0.20.2';